@@ -0,0 +1,137 @@
+/**
+ * HeaterShop Site Adapter
+ *
+ * Categories, discovery rules and selectors for heatershop.co.uk, the
+ * original (and first) supplier scraped for the Norko catalogue.
+ *
+ * @author Norko Development Team
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+const { SiteAdapter } = require('./site-adapter');
+
+// Enhanced categories with more detailed targeting
+const CATEGORIES = [
+  {
+    name: 'Panel Heaters',
+    path: '/infrared-heaters/infrared-panel-heaters',
+    crystallizePath: '/infrared-heaters/panel-heaters',
+    description: 'Wall-mounted infrared panel heaters perfect for residential and office spaces',
+    powerRange: '250W - 1200W',
+    urlKeywords: ['panel'],
+    targetSelectors: {
+      products: '.product-item, .product-card, [class*="product"]',
+      productLinks: 'a[href*="panel"], a[href*="infrared"]'
+    }
+  },
+  {
+    name: 'Ceiling Heaters',
+    path: '/infrared-heaters/ceiling-infrared-heaters-1',
+    crystallizePath: '/infrared-heaters/ceiling-heaters',
+    description: 'Ceiling-mounted infrared heaters ideal for commercial environments',
+    powerRange: '1000W - 3000W',
+    urlKeywords: ['ceiling', 'cassette'],
+    targetSelectors: {
+      products: '.product-item, .product-card, [class*="product"]',
+      productLinks: 'a[href*="ceiling"], a[href*="cassette"]'
+    }
+  },
+  {
+    name: 'Industrial Heaters',
+    path: '/infrared-heaters/industrial-warehouse',
+    crystallizePath: '/infrared-heaters/industrial-heaters',
+    description: 'Heavy-duty infrared heaters for workshops and industrial spaces',
+    powerRange: '2000W - 6000W',
+    urlKeywords: ['industrial', 'warehouse', 'workshop'],
+    targetSelectors: {
+      products: '.product-item, .product-card, [class*="product"]',
+      productLinks: 'a[href*="industrial"], a[href*="warehouse"]'
+    }
+  },
+  {
+    name: 'Far Infrared Heaters',
+    path: '/infrared-heaters/far-infrared-heaters',
+    crystallizePath: '/infrared-heaters/far-infrared-heaters',
+    description: 'Health-focused far infrared heating technology',
+    powerRange: '300W - 800W',
+    urlKeywords: ['far-infrared', 'mirror', 'picture'],
+    targetSelectors: {
+      products: '.product-item, .product-card, [class*="product"]',
+      productLinks: 'a[href*="far"], a[href*="health"]'
+    }
+  },
+  {
+    name: 'Patio Heaters',
+    path: '/infrared-heaters/outdoor-patio-heaters',
+    crystallizePath: '/infrared-heaters/patio-heaters',
+    description: 'Outdoor infrared heaters for patios and hospitality',
+    powerRange: '1500W - 3000W',
+    urlKeywords: ['patio', 'outdoor', 'garden', 'parasol'],
+    targetSelectors: {
+      products: '.product-item, .product-card, [class*="product"]',
+      productLinks: 'a[href*="patio"], a[href*="outdoor"]'
+    }
+  }
+];
+
+const heaterShopAdapter = new SiteAdapter({
+  id: 'heatershop',
+  name: 'HeaterShop',
+  baseUrl: 'https://www.heatershop.co.uk',
+  source: 'heatershop.co.uk',
+  categories: CATEGORIES,
+
+  discovery: {
+    productIndicators: [
+      'heater', 'infrared', 'panel', 'ceiling', 'industrial',
+      'patio', 'outdoor', 'herschel', 'product'
+    ]
+  },
+
+  selectors: {
+    name: [
+      'h1',
+      '.product-title',
+      '.product-name',
+      'title',
+      '.page-title',
+      '[class*="title"]'
+    ],
+    price: [
+      '.price',
+      '.product-price',
+      '[class*="price"]',
+      '.cost',
+      '.amount'
+    ],
+    description: [
+      '.product-description',
+      '.description',
+      '.product-details',
+      '.product-info p',
+      '.content p',
+      '.summary'
+    ],
+    manufacturer: [
+      '.manufacturer',
+      '.brand',
+      '[class*="brand"]'
+    ],
+    availability: [
+      '.stock-status',
+      '.availability',
+      '[class*="stock"]',
+      '[class*="available"]'
+    ]
+  },
+
+  // UK retail site: prices are shown in pounds including 20% VAT
+  pricing: {
+    currency: 'GBP',
+    vatRate: 0.2,
+    pricesIncludeVat: true
+  }
+});
+
+module.exports = heaterShopAdapter;
@@ -0,0 +1,54 @@
+/**
+ * Site Adapter Registry
+ *
+ * Looks up the adapter for a supplier by id. To add a retailer, create a
+ * module in this directory that exports a `SiteAdapter` instance and add it
+ * to `ADAPTERS` below.
+ *
+ * @author Norko Development Team
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+const { SiteAdapter } = require('./site-adapter');
+const heaterShopAdapter = require('./heatershop');
+
+const ADAPTERS = {
+  [heaterShopAdapter.id]: heaterShopAdapter
+};
+
+/**
+ * Register an additional site adapter at runtime
+ * @param {SiteAdapter} adapter - Adapter instance
+ * @returns {SiteAdapter} The registered adapter
+ */
+function registerAdapter(adapter) {
+  if (!(adapter instanceof SiteAdapter)) {
+    throw new Error('Adapters must be SiteAdapter instances');
+  }
+  ADAPTERS[adapter.id] = adapter;
+  return adapter;
+}
+
+/**
+ * Get a site adapter by id
+ * @param {string} id - Adapter id (e.g. `heatershop`)
+ * @returns {SiteAdapter} Matching adapter
+ */
+function getAdapter(id) {
+  const adapter = ADAPTERS[id];
+  if (!adapter) {
+    throw new Error(`Unknown site adapter "${id}". Available: ${Object.keys(ADAPTERS).join(', ')}`);
+  }
+  return adapter;
+}
+
+/**
+ * List the ids of all registered adapters
+ * @returns {Array<string>} Adapter ids
+ */
+function listAdapters() {
+  return Object.keys(ADAPTERS);
+}
+
+module.exports = { SiteAdapter, registerAdapter, getAdapter, listAdapters };
@@ -0,0 +1,345 @@
+/**
+ * Site Adapter Base Class
+ *
+ * A site adapter describes everything that is specific to one retailer:
+ * where its catalogue lives, how product URLs are discovered, which
+ * selectors hold each product field, and how its categories map onto
+ * Norko categories in Crystallize. The scraper engine only talks to this
+ * interface, so adding a supplier means adding one adapter module.
+ *
+ * Adapter definition shape:
+ * - id, name, baseUrl, source
+ * - categories: [{ name, path, crystallizePath, description, powerRange, targetSelectors, urlKeywords }]
+ * - discovery: { productContainers, productIndicators, excludePatterns, perCategoryLimit,
+ *   nextPageSelectors, loadMoreSelectors, pageParams, maxPages, sitemapPaths,
+ *   relatedSections, maxRelatedLinks }
+ * - selectors: { name, price, priceContainer, description, manufacturer, availability } (ordered lists)
+ * - pricing: { currency, vatRate, pricesIncludeVat } defaults for prices the page does not label
+ * - brands: extra brand dictionary entries `{ name, aliases, models }` for brands only this supplier sells
+ * - extractors: optional `{ field($, context) }` functions that replace the selector lookup
+ *
+ * @author Norko Development Team
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+const DEFAULT_DISCOVERY = {
+  productContainers: '.product-item, .product-card, .product-tile, .item, [class*="product"]',
+  productIndicators: ['product'],
+  excludePatterns: [
+    'category', 'categories', '?', '#', 'javascript:', 'mailto:',
+    '/search', '/cart', '/checkout', '/account', '/login', '/blog'
+  ],
+  perCategoryLimit: 25,
+  // Category pagination
+  nextPageSelectors: 'link[rel="next"], a[rel="next"], .pagination a.next, .pages a.next, a.pagination-next',
+  loadMoreSelectors: '[data-load-more], .load-more, .load-more-button, [class*="load-more"]',
+  pageParams: ['page', 'p', 'pg'],
+  maxPages: 10,
+  // Sitemap discovery (robots.txt `Sitemap:` entries are used too)
+  sitemapPaths: ['/sitemap.xml'],
+  // Product page blocks linking to other products, and the relation each expresses
+  relatedSections: [
+    { selector: '.product-accessories, .accessories, [data-block="accessories"]', relation: 'accessory' },
+    { selector: '.block.crosssell, .cross-sells, [data-block="crosssell"]', relation: 'alsoBought' },
+    { selector: '.block.related, section.related.products, .related-products', relation: 'related' },
+    { selector: '.block.upsell, section.up-sells, .upsells', relation: 'related' }
+  ],
+  maxRelatedLinks: 20
+};
+
+// Headings of product page blocks that have no recognisable class
+const RELATED_HEADINGS = [
+  { pattern: /accessor|you (?:may|will) also need|compatible (?:with|controls)|thermostats? (?:and|&) controls/i, relation: 'accessory' },
+  { pattern: /customers (?:also|who) bought|frequently bought|bought together/i, relation: 'alsoBought' },
+  { pattern: /related products|you may also like|similar products/i, relation: 'related' }
+];
+
+// Link text of add-ons sold with a heater, wherever the page lists them
+const ACCESSORY_PATTERN = /\b(?:thermostats?|brackets?|controllers?|remote controls?|timers?|stands?|mounting kits?|receivers?|wall mounts?|ceiling mounts?)\b/i;
+
+const DEFAULT_SELECTORS = {
+  name: ['h1', '.product-title', '.product-name', 'title'],
+  price: ['.price', '.product-price', '[class*="price"]'],
+  // Blocks holding the current, was and ex/inc VAT prices together
+  priceContainer: ['.price-box', '.product-info-price', '.product-prices', '.price-container', 'p.price', '[class*="price-wrap"]'],
+  description: ['.product-description', '.description'],
+  manufacturer: ['.manufacturer', '.brand'],
+  availability: ['.stock-status', '.availability']
+};
+
+const DEFAULT_PRICING = {
+  currency: 'GBP',
+  vatRate: 0.2, // UK standard rate; null when the supplier's VAT rate is unknown
+  pricesIncludeVat: true // Basis of prices shown without an "inc VAT" / "ex VAT" label
+};
+
+/**
+ * Site Adapter Class
+ */
+class SiteAdapter {
+  /**
+   * @param {Object} definition - Adapter definition (see module header)
+   */
+  constructor(definition) {
+    if (!definition.id || !definition.baseUrl) {
+      throw new Error('Site adapter requires an id and a baseUrl');
+    }
+
+    this.id = definition.id;
+    this.name = definition.name || definition.id;
+    this.baseUrl = definition.baseUrl.replace(/\/+$/, '');
+    this.source = definition.source || new URL(this.baseUrl).hostname.replace(/^www\./, '');
+    this.categories = definition.categories || [];
+    this.discovery = { ...DEFAULT_DISCOVERY, ...definition.discovery };
+    this.selectors = { ...DEFAULT_SELECTORS, ...definition.selectors };
+    this.pricing = { ...DEFAULT_PRICING, ...definition.pricing };
+    this.brands = definition.brands || [];
+    this.extractors = definition.extractors || {};
+  }
+
+  /**
+   * Resolve a link found on the site to an absolute URL
+   * @param {string} href - Absolute or site-relative link
+   * @returns {string} Absolute URL
+   */
+  resolveUrl(href) {
+    if (href.startsWith('http')) return href;
+    if (href.startsWith('//')) return `https:${href}`;
+    return this.baseUrl + (href.startsWith('/') ? '' : '/') + href;
+  }
+
+  /**
+   * Get the listing URL for a category
+   * @param {Object} category - Category definition
+   * @returns {string} Absolute category URL
+   */
+  getCategoryUrl(category) {
+    return this.resolveUrl(category.path);
+  }
+
+  /**
+   * Map a source category onto the Norko catalogue
+   * @param {Object} category - Category definition
+   * @returns {Object} Norko category name, Crystallize path and topics
+   */
+  mapCategory(category) {
+    return {
+      name: category.name,
+      crystallizePath: category.crystallizePath,
+      topics: [category.crystallizePath]
+    };
+  }
+
+  /**
+   * Determine if a URL is likely a product page on this site
+   * @param {string} url - URL to check
+   * @param {Object} category - Category context
+   * @returns {boolean} True if likely a product URL
+   */
+  isProductUrl(url, category) {
+    const urlLower = url.toLowerCase();
+    // Match keywords against the path only: the site's own domain often contains one
+    const pathLower = url.startsWith('http') || url.startsWith('//')
+      ? urlLower.replace(/^(https?:)?\/\/[^/]+/, '')
+      : urlLower;
+    const hasProductKeyword = this.discovery.productIndicators.some(keyword => pathLower.includes(keyword));
+
+    return hasProductKeyword && !this.isExcludedUrl(url) && url.length > 10;
+  }
+
+  /**
+   * Check a URL against the discovery exclude patterns (cart, account, blog pages...)
+   * @param {string} url - URL to check
+   * @returns {boolean} True if the URL can never be a product page
+   */
+  isExcludedUrl(url) {
+    const urlLower = url.toLowerCase();
+    return this.discovery.excludePatterns.some(pattern => urlLower.includes(pattern));
+  }
+
+  /**
+   * Discover product URLs on a category listing page
+   * @param {Object} $ - Cheerio object for the category page
+   * @param {Object} category - Category definition
+   * @returns {Array<string>} Absolute product URLs, in page order
+   */
+  discoverProductUrls($, category) {
+    const productUrls = new Set();
+    const listingPath = new URL(this.getCategoryUrl(category)).pathname;
+    const add = href => {
+      if (!href) return;
+      const url = this.resolveUrl(href);
+      // Links back to the listing itself are pagination, and links to its parents are navigation
+      const { pathname } = new URL(url);
+      if (pathname !== listingPath && !listingPath.startsWith(`${pathname.replace(/\/$/, '')}/`)) productUrls.add(url);
+    };
+
+    // Strategy 1: Use category-specific selectors (broad link patterns, so still apply the exclusions)
+    if (category.targetSelectors) {
+      $(category.targetSelectors.products).each((i, element) => {
+        const href = $(element).find('a').first().attr('href');
+        if (href && !this.isExcludedUrl(href)) add(href);
+      });
+
+      $(category.targetSelectors.productLinks).each((i, element) => {
+        const href = $(element).attr('href');
+        if (href && !this.isExcludedUrl(href)) add(href);
+      });
+    }
+
+    // Strategy 2: Look for common product patterns
+    $('a[href*="/"]').each((i, element) => {
+      const href = $(element).attr('href');
+      if (href && this.isProductUrl(href, category)) add(href);
+    });
+
+    // Strategy 3: Look for product cards/containers
+    $(this.discovery.productContainers).each((i, element) => {
+      const link = $(element).find('a').first().attr('href');
+      if (link && this.isProductUrl(link, category)) add(link);
+    });
+
+    return Array.from(productUrls);
+  }
+
+  /**
+   * Find the links a product page makes to other products: accessories,
+   * related products and "customers also bought" items
+   * @param {Object} $ - Cheerio object for the product page
+   * @param {string} pageUrl - URL of the product page
+   * @returns {Array<Object>} `{ url, relation, title }` per linked product
+   */
+  findRelatedLinks($, pageUrl) {
+    const host = new URL(this.baseUrl).hostname.replace(/^www\./, '');
+    const pagePath = new URL(pageUrl).pathname.replace(/\/$/, '');
+    const categoryPaths = this.categories.map(category => category.path.replace(/\/$/, ''));
+    const links = new Map();
+
+    const collect = (section, relation) => {
+      // Wish list, compare and basket buttons sit inside the product cards
+      $(section).find('a[href]').not('.action, [class*="wishlist"], [class*="compare"], [class*="cart"]').each((i, element) => {
+        let url;
+        try {
+          url = new URL(this.resolveUrl($(element).attr('href')));
+        } catch (error) {
+          return;
+        }
+        // Add-to-cart and review links point back at the page itself through the query or hash
+        url.search = '';
+        url.hash = '';
+        const path = url.pathname.replace(/\/$/, '');
+        // Category listings and their parents are navigation, not products
+        const isListing = categoryPaths.some(categoryPath => categoryPath === path || categoryPath.startsWith(`${path}/`));
+        if (url.hostname.replace(/^www\./, '') !== host || !path || path === pagePath || isListing || this.isExcludedUrl(url.href)) return;
+
+        const title = ($(element).attr('title') || $(element).text()).replace(/\s+/g, ' ').trim() || null;
+        const existing = links.get(url.href);
+        // Cards link the image and the name separately; keep the link with a name
+        if (existing) {
+          existing.title = existing.title || title;
+          return;
+        }
+        const isAccessory = relation === 'accessory' || ACCESSORY_PATTERN.test(`${title || ''} ${path.replace(/[-_/]+/g, ' ')}`);
+        links.set(url.href, { url: url.href, relation: isAccessory ? 'accessory' : relation, title });
+      });
+    };
+
+    for (const { selector, relation } of this.discovery.relatedSections) {
+      $(selector).each((i, element) => collect(element, relation));
+    }
+    $('h2, h3, h4, .block-title, .section-title').each((i, element) => {
+      const heading = $(element).text().trim();
+      const match = RELATED_HEADINGS.find(({ pattern }) => pattern.test(heading));
+      const block = $(element).parent();
+      // A heading placed straight in the page body would take every link on the page with it
+      if (match && heading.length < 80 && block.find('h1').length === 0) collect(block, match.relation);
+    });
+
+    return [...links.values()].slice(0, this.discovery.maxRelatedLinks);
+  }
+
+  /**
+   * Find the next page of a paginated category listing.
+   * Tries, in order: `rel="next"` and next-page links, "load more" endpoints,
+   * then links to the same listing with the page query parameter set to the next page.
+   * @param {Object} $ - Cheerio object for the current listing page
+   * @param {string} currentUrl - URL of the current listing page
+   * @param {number} pageNumber - 1-based number of the current page
+   * @returns {string|null} Absolute URL of the next page, or null on the last page
+   */
+  findNextPageUrl($, currentUrl, pageNumber) {
+    const nextLink = $(this.discovery.nextPageSelectors).first().attr('href');
+    if (nextLink) return this.resolveUrl(nextLink);
+
+    const loadMore = $(this.discovery.loadMoreSelectors).first();
+    const endpoint = loadMore.attr('data-url') || loadMore.attr('data-href')
+      || loadMore.attr('data-next-url') || loadMore.attr('href');
+    if (endpoint && !endpoint.startsWith('#') && !endpoint.startsWith('javascript:')) {
+      return this.resolveUrl(endpoint);
+    }
+
+    const current = new URL(currentUrl);
+    let pageLink = null;
+    $('a[href]').each((i, element) => {
+      let candidate;
+      try {
+        candidate = new URL(this.resolveUrl($(element).attr('href')));
+      } catch (error) {
+        return;
+      }
+      if (candidate.pathname !== current.pathname) return;
+
+      const isNextPage = this.discovery.pageParams
+        .some(param => candidate.searchParams.get(param) === String(pageNumber + 1));
+      if (isNextPage) {
+        pageLink = candidate.href;
+        return false;
+      }
+    });
+
+    return pageLink;
+  }
+
+  /**
+   * Pick the category a product URL from the sitemap belongs to.
+   * Matches the category path first, then the category's `urlKeywords`.
+   * Flat URLs such as `/herschel-select-xl-850` match neither, and are not
+   * guessed: filing them under the first category would put every unknown
+   * product in Panel Heaters.
+   * @param {string} url - Product URL
+   * @returns {Object|null} Category definition, or null if nothing in the URL names a category
+   */
+  matchCategory(url) {
+    const urlLower = url.toLowerCase();
+    const byPath = this.categories.find(category => new URL(url, this.baseUrl).pathname.startsWith(`${category.path}/`));
+    if (byPath) return byPath;
+
+    const byKeyword = this.categories.find(category =>
+      (category.urlKeywords || []).some(keyword => urlLower.includes(keyword)));
+    return byKeyword || null;
+  }
+
+  /**
+   * Run a custom field extractor if the adapter defines one
+   * @param {string} field - Field name (e.g. `price`)
+   * @param {Object} $ - Cheerio object
+   * @param {Object} [context] - Extra context such as the product name
+   * @returns {*} Extracted value, or undefined to fall back to selectors
+   */
+  extract(field, $, context = {}) {
+    const extractor = this.extractors[field];
+    return extractor ? extractor($, context) : undefined;
+  }
+
+  /**
+   * Get the ordered selector list for a field
+   * @param {string} field - Field name
+   * @returns {Array<string>} Selectors to try in order
+   */
+  getSelectors(field) {
+    return this.selectors[field] || [];
+  }
+}
+
+module.exports = { SiteAdapter, DEFAULT_DISCOVERY, DEFAULT_SELECTORS };
@@ -0,0 +1,215 @@
+/**
+ * Brand Dictionary
+ *
+ * Maintained list of the heater brands we stock, used to normalise
+ * `information.manufacturer` and `information.model`:
+ * - aliases map spellings found on supplier pages ("herschel infrared",
+ *   "HERSCHEL") onto one canonical name, so brand filters group correctly
+ * - model series give each brand's model-number format, e.g. Herschel
+ *   "select xl-700" becomes `Select XL 700W`
+ *
+ * Brands a supplier states that are not in the dictionary are kept as
+ * stated and listed for review (see findUnknownBrands). Add them here, with
+ * their aliases, once checked.
+ *
+ * @author Norko Development Team
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+const { PROVENANCE } = require('./provenance');
+
+/**
+ * Brand entries: `name` (canonical casing), `aliases` (lowercase spellings, the
+ * name itself included) and `models` (series names followed by a power rating)
+ */
+const BRANDS = [
+  {
+    name: 'Herschel',
+    aliases: ['herschel', 'herschel infrared', 'herschel infrared ltd'],
+    models: [
+      { series: 'Select XL', unit: 'W' },
+      { series: 'Inspire', unit: 'W' },
+      { series: 'Summit', unit: 'W' },
+      { series: 'Halo', unit: 'W' }
+    ]
+  },
+  {
+    name: 'Ecostrad',
+    aliases: ['ecostrad'],
+    models: [
+      { series: 'Accent iQ', unit: 'W' },
+      { series: 'Adapt', unit: 'W' }
+    ]
+  },
+  {
+    name: 'Tansun',
+    aliases: ['tansun', 'tansun ltd'],
+    models: [
+      { series: 'Sorrento', unit: 'kW' },
+      { series: 'Apollo', unit: 'kW' },
+      { series: 'Rio Grande', unit: 'kW' }
+    ]
+  },
+  {
+    name: 'Bromic',
+    aliases: ['bromic', 'bromic heating'],
+    models: [
+      { series: 'Tungsten Smart-Heat', unit: 'W' },
+      { series: 'Platinum Smart-Heat', unit: 'W' }
+    ]
+  },
+  { name: 'Infrared4Homes', aliases: ['infrared4homes', 'infrared 4 homes'], models: [] },
+  { name: 'Aurora', aliases: ['aurora'], models: [] },
+  { name: 'Solus', aliases: ['solus'], models: [] },
+  { name: 'Heatstrip', aliases: ['heatstrip'], models: [] },
+  { name: 'Burda', aliases: ['burda'], models: [] },
+  { name: 'Consort', aliases: ['consort', 'consort claudgen'], models: [] },
+  { name: 'Dimplex', aliases: ['dimplex'], models: [] },
+  { name: 'Mirrorstone', aliases: ['mirrorstone'], models: [] },
+  { name: 'Redwell', aliases: ['redwell'], models: [] },
+  { name: 'Welltherm', aliases: ['welltherm'], models: [] }
+];
+
+/**
+ * Lowercase a brand or alias and collapse spacing and punctuation
+ * @param {string} value - Brand as written
+ * @returns {string} Lookup key, e.g. `herschel infrared`
+ */
+function brandKey(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - Literal text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Brand Dictionary Class
+ */
+class BrandDictionary {
+  /**
+   * @param {Array<Object>} [brands] - Brand entries (defaults to BRANDS)
+   */
+  constructor(brands = BRANDS) {
+    this.brands = brands;
+    this.byAlias = new Map();
+    for (const brand of brands) {
+      for (const alias of [brand.name, ...(brand.aliases || [])]) {
+        this.byAlias.set(brandKey(alias), brand);
+      }
+    }
+
+    // Longest alias first, so "herschel infrared" wins over "herschel"
+    const aliases = [...this.byAlias.keys()].sort((a, b) => b.length - a.length);
+    this.aliasPattern = new RegExp(`\\b(${aliases.map(alias => escapeRegExp(alias).replace(/ /g, '\\s+')).join('|')})\\b`, 'i');
+
+    // "Select XL 700W", "select-xl 700", "Sorrento 2kW"
+    this.modelPatterns = new Map(brands.map(brand => [brand, (brand.models || []).map(model => ({
+      ...model,
+      pattern: new RegExp(`\\b${model.series.split(/[\s-]+/).map(escapeRegExp).join('[\\s-]*')}[\\s-]*(\\d+(?:\\.\\d+)?)\\s*(?:${model.unit})?\\b`, 'i')
+    }))]));
+  }
+
+  /**
+   * Look up a brand by its name or an alias
+   * @param {string} value - Brand as written, e.g. `HERSCHEL Infrared`
+   * @returns {Object|null} Brand entry, or null if unknown
+   */
+  lookup(value) {
+    return this.byAlias.get(brandKey(value)) || null;
+  }
+
+  /**
+   * Find the first brand mentioned in a piece of text, e.g. a product name
+   * @param {string} text - Text to search
+   * @returns {Object|null} Brand entry, or null if none is mentioned
+   */
+  findInText(text) {
+    const match = brandKey(text).match(this.aliasPattern);
+    return match ? this.lookup(match[1]) : null;
+  }
+
+  /**
+   * Normalise a stated manufacturer to its canonical name
+   * @param {string|null} value - Manufacturer from the page, e.g. `herschel infrared ltd`
+   * @returns {Object|null} `{ name, known }`: the canonical name when known, otherwise the value as stated
+   */
+  normaliseManufacturer(value) {
+    if (value === null || value === undefined || String(value).trim() === '') return null;
+
+    // "Herschel Infrared Ltd" and "Tansun Heaters UK" still name a known brand
+    const brand = this.lookup(value) || this.findInText(value);
+    if (brand) return { name: brand.name, known: true };
+    return { name: String(value).trim().replace(/\s+/g, ' '), known: false };
+  }
+
+  /**
+   * Find a model number in the brand's own format
+   * @param {string} text - Text to search, e.g. the product name
+   * @param {string|null} manufacturer - Canonical manufacturer name
+   * @returns {string|null} Canonical model, e.g. `Select XL 700W`, or null if none matches
+   */
+  matchModel(text, manufacturer) {
+    const brand = manufacturer ? this.lookup(manufacturer) : null;
+    if (!brand || !text) return null;
+
+    for (const model of this.modelPatterns.get(brand)) {
+      const match = String(text).match(model.pattern);
+      if (match) return `${model.series} ${match[1]}${model.unit}`;
+    }
+    return null;
+  }
+
+  /**
+   * Normalise a model number: the brand's format when it matches, otherwise
+   * the value without the brand name and with spacing collapsed
+   * @param {string|null} model - Model as extracted, e.g. `HERSCHEL select-xl 700`
+   * @param {string|null} manufacturer - Canonical manufacturer name
+   * @returns {string|null} Normalised model, or null if nothing is left
+   */
+  normaliseModel(model, manufacturer) {
+    if (model === null || model === undefined) return null;
+
+    const canonical = this.matchModel(model, manufacturer);
+    if (canonical) return canonical;
+
+    let value = String(model).trim().replace(/\s+/g, ' ');
+    // "Herschel XL700" is model XL700
+    const brand = manufacturer ? this.lookup(manufacturer) : null;
+    if (brand) {
+      const leading = brandKey(value).match(this.aliasPattern);
+      if (leading && leading.index === 0 && this.lookup(leading[1]) === brand) {
+        value = value.replace(new RegExp(`^${leading[1].split(' ').map(escapeRegExp).join('[^a-z0-9]+')}[\\s:-]*`, 'i'), '');
+      }
+    }
+    return value || null;
+  }
+
+  /**
+   * List the stated manufacturers that are not in the dictionary
+   * @param {Array<Object>} products - Product records
+   * @returns {Array<Object>} `{ name, products, examples }` per unknown brand, most products first
+   */
+  findUnknownBrands(products) {
+    const unknown = new Map();
+    for (const product of products) {
+      const manufacturer = product.information?.manufacturer;
+      // Generated brands are placeholders, and manual ones have been checked already
+      if (!manufacturer || product.provenance?.manufacturer !== PROVENANCE.SCRAPED || this.lookup(manufacturer)) continue;
+
+      const entry = unknown.get(manufacturer) || { name: manufacturer, products: 0, examples: [] };
+      entry.products++;
+      if (entry.examples.length < 3) entry.examples.push({ name: product.name, sourceUrl: product.sourceUrl });
+      unknown.set(manufacturer, entry);
+    }
+    return [...unknown.values()].sort((a, b) => b.products - a.products);
+  }
+}
+
+module.exports = { BrandDictionary, BRANDS };
@@ -0,0 +1,329 @@
+/**
+ * Catalogue Diff Engine for Scraped Products
+ *
+ * Compares a new scraping run against the previously saved snapshot and
+ * reports which products were added, removed or changed on the source site.
+ *
+ * Features:
+ * - Product matching by `id`, falling back to `sourceUrl`
+ * - Removals only reported for categories the run crawled completely, so a
+ *   `--categories` or `--max-products` run does not report the rest as removed
+ * - Field-level changes for price, basic specifications and availability
+ * - JSON output for tooling plus a readable Markdown report
+ *
+ * Usage: node catalogue-diff.js <previous.json> <current.json>
+ *
+ * @author Norko Development Team
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+const fs = require('fs').promises;
+
+/**
+ * Fields compared between runs. `expand` compares each key of an object field
+ * separately so that the report says which specification moved.
+ */
+const TRACKED_FIELDS = [
+  { path: 'pricing.basePrice', label: 'Price' },
+  { path: 'pricing.compareAtPrice', label: 'Compare-at price' },
+  { path: 'specifications.basic', label: 'Specification', expand: true },
+  { path: 'information.availability', label: 'Availability' }
+];
+
+/**
+ * Read a dotted path from an object
+ * @param {Object} object - Source object
+ * @param {string} fieldPath - Dotted path, e.g. `pricing.basePrice`
+ * @returns {*} Value at the path or undefined
+ */
+function getField(object, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+/**
+ * Compare two values for equality, treating null and undefined as the same
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if the values are equal
+ */
+function isSameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Compute the field-level changes between two versions of a product
+ * @param {Object} previous - Product from the previous snapshot
+ * @param {Object} current - Product from the current run
+ * @returns {Array<Object>} List of `{ field, label, before, after }` changes
+ */
+function diffProductFields(previous, current) {
+  const changes = [];
+
+  for (const { path, label, expand } of TRACKED_FIELDS) {
+    const before = getField(previous, path);
+    const after = getField(current, path);
+
+    if (expand) {
+      const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+      for (const key of keys) {
+        if (!isSameValue(before?.[key], after?.[key])) {
+          changes.push({
+            field: `${path}.${key}`,
+            label: `${label}: ${key}`,
+            before: before?.[key] ?? null,
+            after: after?.[key] ?? null
+          });
+        }
+      }
+    } else if (!isSameValue(before, after)) {
+      const change = { field: path, label, before: before ?? null, after: after ?? null };
+
+      if (typeof before === 'number' && typeof after === 'number') {
+        change.delta = Math.round((after - before) * 100) / 100;
+        change.percentChange = before !== 0 ? Math.round((change.delta / before) * 1000) / 10 : null;
+      }
+
+      changes.push(change);
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Summarise a product for the added/removed lists
+ * @param {Object} product - Product record
+ * @returns {Object} Compact product reference
+ */
+function summariseProduct(product) {
+  return {
+    id: product.id,
+    name: product.name,
+    sourceUrl: product.sourceUrl,
+    category: product.category,
+    price: product.pricing?.basePrice ?? null
+  };
+}
+
+/**
+ * Compare two catalogue snapshots
+ * @param {Array<Object>} previousProducts - Products from the last saved snapshot
+ * @param {Array<Object>} currentProducts - Products from the current run
+ * @param {Object} [options] - Diff options
+ * @param {Array<string>|null} [options.crawledCategories] - Categories the current run crawled completely;
+ *   a missing product listed anywhere else counts as `notCrawled` rather than removed. Null compares everything.
+ * @returns {Object} Diff with `summary`, `added`, `removed` and `changed` lists
+ */
+function diffCatalogues(previousProducts = [], currentProducts = [], { crawledCategories = null } = {}) {
+  // Slugged ids are not guaranteed unique, so keep every candidate per key
+  const previousById = new Map();
+  const previousByUrl = new Map();
+  const index = (map, key, product) => {
+    if (!key) return;
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(product);
+  };
+  for (const product of previousProducts) {
+    index(previousById, product.id, product);
+    index(previousByUrl, product.sourceUrl, product);
+  }
+
+  const matched = new Set();
+  const findPrevious = product => {
+    const byUrl = previousByUrl.get(product.sourceUrl) || [];
+    const byId = previousById.get(product.id) || [];
+    // Prefer a product that matches on both keys, then either key alone
+    return byId.find(p => byUrl.includes(p) && !matched.has(p))
+      || byId.find(p => !matched.has(p))
+      || byUrl.find(p => !matched.has(p));
+  };
+  const added = [];
+  const changed = [];
+  let unchanged = 0;
+
+  for (const product of currentProducts) {
+    const previous = findPrevious(product);
+
+    if (!previous) {
+      added.push(summariseProduct(product));
+      continue;
+    }
+
+    matched.add(previous);
+    const changes = diffProductFields(previous, product);
+
+    if (changes.length > 0) {
+      changed.push({ ...summariseProduct(product), previousId: previous.id, changes });
+    } else {
+      unchanged++;
+    }
+  }
+
+  // A merged duplicate is only known to be gone when every category it was listed in was crawled
+  const crawled = crawledCategories && new Set(crawledCategories);
+  const wasCrawled = product => !crawled
+    || (product.categories || [{ name: product.category }]).every(category => crawled.has(category.name));
+  const missing = previousProducts.filter(product => !matched.has(product));
+  const removed = missing.filter(wasCrawled).map(summariseProduct);
+  const notCrawled = missing.length - removed.length;
+
+  return {
+    summary: {
+      previousTotal: previousProducts.length,
+      currentTotal: currentProducts.length,
+      added: added.length,
+      removed: removed.length,
+      changed: changed.length,
+      unchanged,
+      notCrawled
+    },
+    added,
+    removed,
+    changed
+  };
+}
+
+/**
+ * Format a value for the Markdown report
+ * @param {*} value - Value to format
+ * @returns {string} Display string
+ */
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') return '_none_';
+  if (typeof value === 'object') return `\`${JSON.stringify(value)}\``;
+  return String(value).replace(/\|/g, '\\|');
+}
+
+/**
+ * Render a diff as a Markdown report
+ * @param {Object} diff - Result of diffCatalogues
+ * @param {Object} [meta] - Snapshot timestamps (`previousScrapedAt`, `currentScrapedAt`)
+ * @returns {string} Markdown document
+ */
+function renderMarkdownReport(diff, meta = {}) {
+  const { summary } = diff;
+  const lines = [
+    '# Catalogue Change Report',
+    '',
+    `- Previous snapshot: ${meta.previousScrapedAt || 'unknown'} (${summary.previousTotal} products)`,
+    `- Current run: ${meta.currentScrapedAt || 'unknown'} (${summary.currentTotal} products)`,
+    '',
+    '| Added | Removed | Changed | Unchanged |',
+    '|------:|--------:|--------:|----------:|',
+    `| ${summary.added} | ${summary.removed} | ${summary.changed} | ${summary.unchanged} |`,
+    ''
+  ];
+
+  if (summary.notCrawled > 0) {
+    lines.push(`${summary.notCrawled} previous products are in categories this run did not crawl completely, so they are not reported as removed.`, '');
+  }
+
+  const productTable = products => [
+    '| Product | Category | Price | Source |',
+    '|---------|----------|------:|--------|',
+    ...products.map(p => `| ${formatValue(p.name)} | ${formatValue(p.category)} | ${formatValue(p.price)} | ${p.sourceUrl || ''} |`),
+    ''
+  ];
+
+  if (diff.added.length > 0) {
+    lines.push('## Added', '', ...productTable(diff.added));
+  }
+
+  if (diff.removed.length > 0) {
+    lines.push('## Removed', '', ...productTable(diff.removed));
+  }
+
+  if (diff.changed.length > 0) {
+    lines.push('## Changed', '');
+    for (const product of diff.changed) {
+      lines.push(`### ${product.name}`, '', `Source: ${product.sourceUrl || 'unknown'}`, '');
+      for (const change of product.changes) {
+        const delta = change.delta !== undefined
+          ? ` (${change.delta > 0 ? '+' : ''}${change.delta}${change.percentChange !== null ? `, ${change.percentChange}%` : ''})`
+          : '';
+        lines.push(`- **${change.label}**: ${formatValue(change.before)} → ${formatValue(change.after)}${delta}`);
+      }
+      lines.push('');
+    }
+  }
+
+  if (summary.added + summary.removed + summary.changed === 0) {
+    lines.push('No changes since the previous snapshot.', '');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Load a saved product snapshot
+ * @param {string} filePath - Path to a scraper output file
+ * @returns {Promise<Object|null>} Parsed snapshot or null if missing/unreadable
+ */
+async function loadSnapshot(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`⚠️  Could not read snapshot ${filePath}: ${error.message}`);
+    }
+    return null;
+  }
+}
+
+/**
+ * Diff two snapshots and write the JSON and Markdown reports
+ * @param {Object|null} previousSnapshot - Previous scraper output (`{ metadata, products }`)
+ * @param {Object} currentSnapshot - Current scraper output
+ * @param {Object} files - Output file paths (`json`, `markdown`)
+ * @param {Object} [options] - Options for diffCatalogues (`crawledCategories`)
+ * @returns {Promise<Object>} The computed diff
+ */
+async function writeDiffReports(previousSnapshot, currentSnapshot, files, options = {}) {
+  const meta = {
+    previousScrapedAt: previousSnapshot?.metadata?.scrapedAt || null,
+    currentScrapedAt: currentSnapshot.metadata?.scrapedAt || null
+  };
+  const diff = diffCatalogues(previousSnapshot?.products || [], currentSnapshot.products || [], options);
+
+  await fs.writeFile(files.json, JSON.stringify({ ...meta, ...diff }, null, 2));
+  await fs.writeFile(files.markdown, renderMarkdownReport(diff, meta));
+
+  return diff;
+}
+
+// Compare two saved snapshots from the command line
+if (require.main === module) {
+  const [previousFile, currentFile] = process.argv.slice(2);
+
+  if (!previousFile || !currentFile) {
+    console.error('Usage: node catalogue-diff.js <previous.json> <current.json>');
+    process.exit(1);
+  }
+
+  (async () => {
+    const previous = await loadSnapshot(previousFile);
+    const current = await loadSnapshot(currentFile);
+    if (!current) {
+      console.error(`❌ Could not read ${currentFile}`);
+      process.exit(1);
+    }
+
+    const diff = await writeDiffReports(previous, current, {
+      json: 'catalogue-diff.json',
+      markdown: 'catalogue-diff.md'
+    });
+    const { summary } = diff;
+    console.log(`📊 ${summary.added} added, ${summary.removed} removed, ${summary.changed} changed, ${summary.unchanged} unchanged`);
+    console.log('📋 Saved catalogue-diff.json and catalogue-diff.md');
+  })();
+}
+
+module.exports = {
+  TRACKED_FIELDS,
+  diffCatalogues,
+  diffProductFields,
+  renderMarkdownReport,
+  loadSnapshot,
+  writeDiffReports
+};
@@ -0,0 +1,294 @@
+/**
+ * Catalogue Exporters
+ *
+ * Writes the normalised product records in the formats used outside
+ * Crystallize:
+ * - CSV, one row per product, for spreadsheets
+ * - NDJSON, one full product record per line, for streaming loads
+ * - A Google Merchant Center RSS 2.0 product feed, one item per variant
+ *
+ * The Merchant feed only lists products Google would accept: a scraped (or
+ * manual) price and an image. Generated brands are left out.
+ *
+ * @author Norko Development Team
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { findUntrustedFields, PROVENANCE } = require('./provenance');
+
+const EXPORT_FORMATS = ['csv', 'ndjson', 'merchant'];
+
+/**
+ * CSV columns: header and how to read the value from a product
+ */
+const CSV_COLUMNS = [
+  { header: 'id', value: product => product.id },
+  { header: 'name', value: product => product.name },
+  { header: 'category', value: product => product.category },
+  { header: 'all_categories', value: product => (product.categories || [{ name: product.category }]).map(category => category.name).join('|') },
+  { header: 'manufacturer', value: product => product.information?.manufacturer },
+  { header: 'model', value: product => product.information?.model },
+  { header: 'gtin', value: product => product.information?.gtin },
+  { header: 'sku', value: product => product.information?.sku },
+  { header: 'price', value: product => product.pricing?.basePrice },
+  { header: 'currency', value: product => product.pricing?.currency },
+  { header: 'price_ex_vat', value: product => product.pricing?.net },
+  { header: 'compare_at_price', value: product => product.pricing?.compareAtPrice },
+  { header: 'on_sale', value: product => product.pricing?.onSale },
+  { header: 'availability', value: product => product.information?.availability },
+  { header: 'wattage_w', value: product => product.specifications?.measurements?.power?.value },
+  { header: 'dimensions', value: product => product.specifications?.basic?.dimensions },
+  { header: 'weight_kg', value: product => product.specifications?.measurements?.weight?.value },
+  { header: 'variants', value: product => product.variants?.length || 0 },
+  { header: 'rating', value: product => product.rating?.average },
+  { header: 'rating_count', value: product => product.rating?.count },
+  { header: 'image_link', value: product => product.media?.images?.[0]?.url },
+  { header: 'additional_images', value: product => (product.media?.images || []).slice(1).map(image => image.url).join('|') },
+  { header: 'price_provenance', value: product => product.provenance?.price },
+  { header: 'path', value: product => product.path },
+  { header: 'source_url', value: product => product.sourceUrl }
+];
+
+/**
+ * Map of display availability to Google Merchant availability values
+ */
+const MERCHANT_AVAILABILITY = {
+  'In Stock': 'in_stock',
+  'Available': 'in_stock',
+  'Limited Stock': 'in_stock',
+  'In Store Only': 'out_of_stock',
+  'Pre-order': 'preorder',
+  'Backorder': 'backorder',
+  'Out of Stock': 'out_of_stock',
+  'Discontinued': 'out_of_stock'
+};
+
+/**
+ * Quote a value for CSV (RFC 4180)
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  // Spreadsheets run cells starting with these characters as formulas
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV document of products
+ * @param {Array<Object>} products - Product records
+ * @param {Array<Object>} [columns] - Column definitions (defaults to CSV_COLUMNS)
+ * @returns {string} CSV with a header row
+ */
+function toCsv(products, columns = CSV_COLUMNS) {
+  const rows = [
+    columns.map(column => csvCell(column.header)).join(','),
+    ...products.map(product => columns.map(column => csvCell(column.value(product))).join(','))
+  ];
+  return rows.join('\r\n') + '\r\n';
+}
+
+/**
+ * Build newline-delimited JSON of products
+ * @param {Array<Object>} products - Product records
+ * @returns {string} One JSON record per line
+ */
+function toNdjson(products) {
+  return products.map(product => JSON.stringify(product)).join('\n') + (products.length > 0 ? '\n' : '');
+}
+
+/**
+ * Escape text for XML
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+function xmlText(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+}
+
+/**
+ * Format a price for Merchant Center
+ * @param {number} amount - Price
+ * @param {string} currency - ISO currency code
+ * @returns {string} e.g. `299.00 GBP`
+ */
+function merchantPrice(amount, currency) {
+  return `${amount.toFixed(2)} ${currency}`;
+}
+
+/**
+ * Build the Merchant Center items for one product: the product itself, or one per variant
+ * @param {Object} product - Product record
+ * @param {Object} options - `storefrontUrl` (base URL for product links)
+ * @returns {Array<Object>} Items as `{ tag: value }` maps in feed order
+ */
+function merchantItems(product, { storefrontUrl }) {
+  const { pricing, information, provenance } = product;
+  const plainDescription = product.components?.description?.content?.plainText || information?.description || product.name;
+  const link = storefrontUrl ? `${storefrontUrl.replace(/\/$/, '')}${product.path}` : product.sourceUrl;
+  const images = (product.media?.images || []).map(image => image.url);
+  const brand = provenance?.manufacturer === PROVENANCE.GENERATED ? null : information?.manufacturer;
+  const gtin = information?.gtin || null;
+  const mpn = provenance?.model === PROVENANCE.SCRAPED || provenance?.model === PROVENANCE.MANUAL ? information?.model : null;
+  const availability = MERCHANT_AVAILABILITY[information?.availability] || 'in_stock';
+
+  const base = {
+    'g:title': product.name,
+    'g:description': plainDescription.substring(0, 5000),
+    'g:link': link,
+    'g:image_link': images[0],
+    'g:additional_image_link': images.slice(1, 11),
+    'g:availability': availability,
+    'g:price': merchantPrice(pricing.onSale ? pricing.compareAtPrice : pricing.basePrice, pricing.currency),
+    'g:sale_price': pricing.onSale ? merchantPrice(pricing.basePrice, pricing.currency) : null,
+    'g:brand': brand,
+    'g:gtin': gtin,
+    'g:mpn': mpn,
+    // Google asks for identifier_exists=no when a product has neither GTIN nor MPN
+    'g:identifier_exists': gtin || mpn ? null : 'no',
+    'g:condition': 'new',
+    // One product_type per category the product is listed in (Google reads up to 5)
+    'g:product_type': [...new Set([product.category, ...(product.categories || []).map(category => category.name)])]
+      .slice(0, 5)
+      .map(category => `Infrared Heaters > ${category}`)
+  };
+
+  const variants = product.variants || [];
+  if (variants.length <= 1) {
+    return [{ 'g:id': product.id, ...base }];
+  }
+
+  return variants.map(variant => {
+    const variantPrices = variant.priceVariants || [];
+    const regular = variantPrices.find(priceVariant => priceVariant.identifier === 'default')?.price ?? variant.price;
+    const sale = variantPrices.find(priceVariant => priceVariant.identifier === 'sales')?.price ?? null;
+    return {
+      'g:id': variant.sku,
+      'g:item_group_id': product.id,
+      ...base,
+      'g:title': `${product.name} - ${variant.name}`,
+      'g:image_link': variant.images?.[0]?.url || base['g:image_link'],
+      'g:availability': variant.stock === 0 ? 'out_of_stock' : availability,
+      'g:price': merchantPrice(regular, pricing.currency),
+      'g:sale_price': sale !== null ? merchantPrice(sale, pricing.currency) : null,
+      'g:mpn': variant.supplierSku || mpn
+    };
+  });
+}
+
+/**
+ * Build a Google Merchant Center RSS 2.0 feed
+ * @param {Array<Object>} products - Product records
+ * @param {Object} [options] - `title`, `description`, `storefrontUrl`, `allowGenerated` (list products with generated prices)
+ * @returns {Object} `{ xml, included, skipped }` where skipped entries carry `id` and `reason`
+ */
+function toMerchantFeed(products, { title = 'Norko Infrared Heaters', description = 'Norko product feed', storefrontUrl = null, allowGenerated = false } = {}) {
+  const items = [];
+  const skipped = [];
+
+  for (const product of products) {
+    const untrusted = allowGenerated ? [] : findUntrustedFields(product.provenance, ['price']);
+    if (untrusted.length > 0) {
+      skipped.push({ id: product.id, reason: `price is ${untrusted[0].provenance}` });
+    } else if (!(product.pricing?.basePrice > 0)) {
+      skipped.push({ id: product.id, reason: 'no price' });
+    } else if (!product.media?.images?.length) {
+      skipped.push({ id: product.id, reason: 'no image' });
+    } else {
+      items.push(...merchantItems(product, { storefrontUrl }));
+    }
+  }
+
+  const renderItem = item => {
+    const lines = [];
+    for (const [tag, value] of Object.entries(item)) {
+      for (const entry of [].concat(value)) {
+        if (entry !== null && entry !== undefined && entry !== '') {
+          lines.push(`      <${tag}>${xmlText(entry)}</${tag}>`);
+        }
+      }
+    }
+    return ['    <item>', ...lines, '    </item>'].join('\n');
+  };
+
+  // Without a storefront the items link to the supplier pages, so the channel does too
+  const channelLink = storefrontUrl || (products[0]?.sourceUrl ? new URL(products[0].sourceUrl).origin : '');
+  const xml = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:g="http://base.google.com/ns/1.0">',
+    '  <channel>',
+    `    <title>${xmlText(title)}</title>`,
+    `    <link>${xmlText(channelLink)}</link>`,
+    `    <description>${xmlText(description)}</description>`,
+    ...items.map(renderItem),
+    '  </channel>',
+    '</rss>',
+    ''
+  ].join('\n');
+
+  return { xml, included: items.length, skipped };
+}
+
+/**
+ * Write the catalogue in the requested formats
+ * @param {Array<Object>} products - Product records
+ * @param {Object} options - Export options
+ * @param {Array<string>} options.formats - Any of EXPORT_FORMATS
+ * @param {Object} options.files - File path per format
+ * @param {string} [options.storefrontUrl] - Base URL for Merchant feed links
+ * @param {boolean} [options.allowGenerated] - Include generated prices in the Merchant feed
+ * @returns {Promise<Array<Object>>} `{ format, file, count, skipped }` per file written
+ */
+async function exportCatalogue(products, { formats, files, storefrontUrl = null, allowGenerated = false }) {
+  const unknown = formats.filter(format => !EXPORT_FORMATS.includes(format));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown export formats: ${unknown.join(', ')} (available: ${EXPORT_FORMATS.join(', ')})`);
+  }
+
+  const written = [];
+  for (const format of formats) {
+    const file = files[format];
+    let content;
+    let count = products.length;
+    let skipped = [];
+
+    if (format === 'csv') {
+      content = toCsv(products);
+    } else if (format === 'ndjson') {
+      content = toNdjson(products);
+    } else {
+      const feed = toMerchantFeed(products, { storefrontUrl, allowGenerated });
+      content = feed.xml;
+      count = feed.included;
+      skipped = feed.skipped;
+    }
+
+    const directory = path.dirname(file);
+    if (directory !== '.') await fs.mkdir(directory, { recursive: true });
+    await fs.writeFile(file, content);
+    written.push({ format, file, count, skipped });
+  }
+
+  return written;
+}
+
+module.exports = {
+  exportCatalogue,
+  toCsv,
+  toNdjson,
+  toMerchantFeed,
+  csvCell,
+  CSV_COLUMNS,
+  EXPORT_FORMATS
+};
@@ -0,0 +1,293 @@
+/**
+ * Text-Based Category Classifier
+ *
+ * A product's `category` is the supplier category page it was found on,
+ * which is often wrong or incomplete: suppliers list patio heaters under
+ * "Industrial" and mirror heaters only under "Panel". This classifier reads
+ * the product itself (name, description, features and specs such as
+ * mounting, IP rating and power) and assigns Norko categories and topics
+ * with a confidence score each.
+ *
+ * Each rule is a list of signals with a weight between 0 and 1; positive
+ * signals combine as independent evidence (1 - (1 - w1)(1 - w2)...) and
+ * negative signals scale the result down. A category or topic is assigned
+ * when its confidence reaches the threshold, and the best category is always
+ * reported so disagreements with the source category can be reviewed.
+ * Generated text is never read.
+ *
+ * @author Norko Development Team
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+const { PROVENANCE } = require('./provenance');
+
+const DEFAULT_THRESHOLD = 0.5;
+
+/**
+ * Signal shorthands: a pattern on the product text (`name` or all text) or a test on the specs
+ */
+const inName = (pattern, weight) => ({ field: 'name', pattern, weight });
+const inText = (pattern, weight) => ({ field: 'text', pattern, weight });
+const whenSpecs = (label, test, weight) => ({ label, test, weight });
+
+/**
+ * IP rating digit for water protection, e.g. 4 for IP44 or IPX4
+ * @param {Object} facts - Product facts from productFacts
+ * @returns {number|null} Second digit of the IP rating, or null if unknown
+ */
+const waterRating = facts => {
+  const digit = facts.ipRating?.match(/^IP[0-6X](\d)$/)?.[1];
+  return digit === undefined ? null : Number(digit);
+};
+
+/**
+ * Norko categories, keyed by Crystallize path
+ */
+const CATEGORY_RULES = [
+  {
+    name: 'Panel Heaters',
+    crystallizePath: '/infrared-heaters/panel-heaters',
+    signals: [
+      inName(/\bpanels?\b/i, 0.6),
+      inText(/\b(?:slim|frameless|flat)[\s-]?panel|\bpanel heater/i, 0.3),
+      whenSpecs('wall mounted', facts => /wall/i.test(facts.mounting || ''), 0.2),
+      whenSpecs('up to 1200W', facts => facts.power !== null && facts.power <= 1200, 0.1)
+    ],
+    negative: [
+      inName(/\bpatio|parasol|\bceiling|cassette/i, 0.5),
+      whenSpecs('over 2kW', facts => facts.power !== null && facts.power > 2000, 0.6)
+    ]
+  },
+  {
+    name: 'Ceiling Heaters',
+    crystallizePath: '/infrared-heaters/ceiling-heaters',
+    signals: [
+      inName(/\bceiling\b|cassette|recessed/i, 0.7),
+      inText(/ceiling[\s-]mount|suspended ceiling|ceiling grid|\bgrid\b|drop ceiling/i, 0.4),
+      whenSpecs('ceiling mounted', facts => /ceiling/i.test(facts.mounting || ''), 0.6)
+    ],
+    negative: [
+      inName(/\bpatio|parasol|freestanding/i, 0.5)
+    ]
+  },
+  {
+    name: 'Industrial Heaters',
+    crystallizePath: '/infrared-heaters/industrial-heaters',
+    signals: [
+      inName(/industrial|warehouse|workshop|factory/i, 0.7),
+      inText(/warehouse|workshop|factor(?:y|ies)|garage|loading bay|spot heating|high ceilings?/i, 0.35),
+      inText(/\bquartz\b|\bhalogen\b|short[\s-]?wave/i, 0.15),
+      whenSpecs('3kW or more', facts => facts.power !== null && facts.power >= 3000, 0.35),
+      whenSpecs('400V supply', facts => /\b(?:400|415)\s*V\b|three[\s-]phase/i.test(facts.text), 0.4)
+    ],
+    negative: [
+      inText(/\bbathroom|bedroom|living room|nursery/i, 0.5),
+      whenSpecs('under 1kW', facts => facts.power !== null && facts.power < 1000, 0.6)
+    ]
+  },
+  {
+    name: 'Far Infrared Heaters',
+    crystallizePath: '/infrared-heaters/far-infrared-heaters',
+    signals: [
+      inName(/far[\s-]?infra[\s-]?red|\bmirror\b|\bpicture\b|\bglass\b|\bartwork\b|\bprinted\b/i, 0.7),
+      inText(/far[\s-]?infra[\s-]?red|long[\s-]?wave|no glow|\bwellness\b|health benefits/i, 0.4),
+      whenSpecs('up to 1200W', facts => facts.power !== null && facts.power <= 1200, 0.1)
+    ],
+    negative: [
+      inText(/\bquartz\b|\bhalogen\b|short[\s-]?wave/i, 0.6),
+      whenSpecs('over 2kW', facts => facts.power !== null && facts.power > 2000, 0.6)
+    ]
+  },
+  {
+    name: 'Patio Heaters',
+    crystallizePath: '/infrared-heaters/patio-heaters',
+    signals: [
+      inName(/\bpatio|parasol|outdoor|garden|terrace/i, 0.7),
+      inText(/\boutdoors?\b|patio|terrace|pergola|gazebo|beer garden|smoking shelter|weatherproof|al fresco/i, 0.4),
+      whenSpecs('IPX4 or better', facts => waterRating(facts) !== null && waterRating(facts) >= 4, 0.2),
+      whenSpecs('IPX5 or better', facts => waterRating(facts) !== null && waterRating(facts) >= 5, 0.2)
+    ],
+    negative: [
+      inText(/\bindoor use only|not suitable for outdoor/i, 0.8)
+    ]
+  }
+];
+
+/**
+ * Topics that cut across categories, keyed by Crystallize topic path
+ */
+const TOPIC_RULES = [
+  {
+    name: 'Outdoor',
+    path: '/features/outdoor',
+    signals: [
+      inText(/\boutdoors?\b|patio|terrace|pergola|gazebo|garden|weatherproof/i, 0.5),
+      whenSpecs('IPX5 or better', facts => waterRating(facts) !== null && waterRating(facts) >= 5, 0.4)
+    ],
+    negative: [
+      inText(/\bindoor use only|not suitable for outdoor/i, 0.8)
+    ]
+  },
+  {
+    name: 'Bathroom Safe',
+    path: '/features/bathroom-safe',
+    signals: [
+      inText(/bathroom|shower room|en[\s-]?suite|wet room/i, 0.4),
+      whenSpecs('IPX4 or better', facts => waterRating(facts) !== null && waterRating(facts) >= 4, 0.4)
+    ],
+    negative: [
+      whenSpecs('IPX0 to IPX3', facts => waterRating(facts) !== null && waterRating(facts) < 4, 0.9)
+    ]
+  },
+  {
+    name: 'Mirror Heaters',
+    path: '/features/mirror',
+    signals: [inName(/\bmirror\b/i, 0.8)],
+    negative: []
+  },
+  {
+    name: 'Picture Heaters',
+    path: '/features/picture',
+    signals: [inName(/\bpicture\b|\bartwork\b|\bprinted\b|\bimage panel/i, 0.8)],
+    negative: []
+  },
+  {
+    name: 'Commercial',
+    path: '/features/commercial',
+    signals: [
+      inText(/commercial|office|restaurant|pub\b|hospitality|church|school|retail/i, 0.5),
+      whenSpecs('2kW or more', facts => facts.power !== null && facts.power >= 2000, 0.2)
+    ],
+    negative: []
+  }
+];
+
+/**
+ * Strip tags from HTML text
+ * @param {string|null} html - HTML or plain text
+ * @returns {string} Plain text
+ */
+function plainText(html) {
+  return String(html || '').replace(/<[^>]+>/g, ' ').replace(/&nbsp;/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Collect the facts the rules read from a product record, leaving out generated values
+ * @param {Object} product - Product record
+ * @returns {Object} `{ name, text, mounting, ipRating, power }`
+ */
+function productFacts(product) {
+  const provenance = product.provenance || {};
+  const trusted = field => provenance[field] !== PROVENANCE.GENERATED;
+  const basic = product.specifications?.basic || {};
+  const technical = product.specifications?.technical || {};
+
+  const text = [
+    product.name,
+    trusted('description') ? plainText(product.information?.description) : '',
+    trusted('features') ? plainText(product.information?.features) : '',
+    ...Object.values(technical).filter(value => typeof value === 'string')
+  ].join(' ');
+
+  return {
+    name: product.name || '',
+    text,
+    mounting: basic.mounting || null,
+    ipRating: product.specifications?.measurements?.ipRating?.value || basic.ip_rating || null,
+    power: trusted('wattage') ? product.specifications?.measurements?.power?.value ?? basic.wattage ?? null : null
+  };
+}
+
+/**
+ * Score one rule against a product
+ * @param {Object} rule - Category or topic rule
+ * @param {Object} facts - Product facts from productFacts
+ * @returns {Object} `{ confidence, reasons }` where reasons name the signals that matched
+ */
+function scoreRule(rule, facts) {
+  const reasons = [];
+  const matches = signal => {
+    if (signal.test) return signal.test(facts) ? signal.label : null;
+    const match = facts[signal.field].match(signal.pattern);
+    return match ? `${signal.field === 'name' ? 'name' : 'text'} mentions "${match[0].toLowerCase()}"` : null;
+  };
+
+  let missing = 1;
+  for (const signal of rule.signals) {
+    const reason = matches(signal);
+    if (reason) {
+      missing *= 1 - signal.weight;
+      reasons.push(reason);
+    }
+  }
+  let confidence = 1 - missing;
+  for (const signal of rule.negative) {
+    const reason = matches(signal);
+    if (reason && confidence > 0) {
+      confidence *= 1 - signal.weight;
+      reasons.push(`not: ${reason}`);
+    }
+  }
+
+  return { confidence: Math.round(confidence * 100) / 100, reasons };
+}
+
+/**
+ * Category Classifier Class
+ */
+class CategoryClassifier {
+  /**
+   * @param {Object} [options] - `threshold` (confidence needed to assign), `categories` and `topics` rules
+   */
+  constructor({ threshold = DEFAULT_THRESHOLD, categories = CATEGORY_RULES, topics = TOPIC_RULES } = {}) {
+    this.threshold = threshold;
+    this.categories = categories;
+    this.topics = topics;
+  }
+
+  /**
+   * Classify a product from its own text and specs
+   * @param {Object} product - Product record
+   * @returns {Object} `{ categories, topics, best }`: assigned categories and topics, most
+   *   confident first, as `{ name, path, confidence, reasons }`, and the best category even
+   *   when it is below the threshold (null when nothing matched)
+   */
+  classify(product) {
+    const facts = productFacts(product);
+    const score = (rules, pathKey) => rules
+      .map(rule => ({ name: rule.name, path: rule[pathKey], ...scoreRule(rule, facts) }))
+      .filter(result => result.confidence > 0)
+      .sort((a, b) => b.confidence - a.confidence);
+
+    const categories = score(this.categories, 'crystallizePath');
+    return {
+      categories: categories.filter(result => result.confidence >= this.threshold),
+      topics: score(this.topics, 'path').filter(result => result.confidence >= this.threshold),
+      best: categories[0] || null
+    };
+  }
+
+  /**
+   * Classify a product and compare the result with the categories it was listed in
+   * @param {Object} product - Product record (merged duplicates list several categories)
+   * @returns {Object} classify's result plus `sourceCategories` (Crystallize paths) and
+   *   `disagrees`: true when the classifier is confident and none of its categories is a source category
+   */
+  review(product) {
+    const result = this.classify(product);
+    const sourceCategories = (product.categories || [{ crystallizePath: product.crystallizePath }])
+      .map(category => category.crystallizePath);
+    const disagrees = result.categories.length > 0
+      && !result.categories.some(category => sourceCategories.includes(category.path));
+    return { ...result, sourceCategories, disagrees };
+  }
+}
+
+module.exports = {
+  CategoryClassifier,
+  CATEGORY_RULES,
+  TOPIC_RULES,
+  productFacts,
+  scoreRule
+};
@@ -0,0 +1,187 @@
+/**
+ * Checkpoint Journal for Resumable Scraping Runs
+ *
+ * Persists the progress of a scraping run to disk after every product so that
+ * a crash or Ctrl-C does not lose the work done so far. A later run started
+ * with `--resume` restores the journal and continues from the last completed
+ * category/URL.
+ *
+ * Features:
+ * - Visited URLs, extracted products, errors and statistics per checkpoint
+ * - Per-category product URL lists so discovery is not repeated on resume
+ * - Atomic writes (temp file + rename) to avoid corrupt journals
+ *
+ * @author Norko Development Team
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const JOURNAL_VERSION = 1;
+
+/**
+ * Checkpoint Journal Class
+ */
+class CheckpointJournal {
+  /**
+   * @param {string} filePath - Location of the journal file
+   */
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+    this.state = this.createEmptyState();
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Create a fresh journal state
+   * @returns {Object} Empty journal state
+   */
+  createEmptyState() {
+    return {
+      version: JOURNAL_VERSION,
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      updatedAt: null,
+      categories: {},
+      completedUrls: [],
+      processedUrls: [],
+      products: [],
+      errors: [],
+      statistics: {}
+    };
+  }
+
+  /**
+   * Load an existing journal from disk
+   * @returns {Promise<Object|null>} Journal state or null if none is usable
+   */
+  async load() {
+    try {
+      const raw = await fs.readFile(this.filePath, 'utf8');
+      const state = JSON.parse(raw);
+
+      if (state.version !== JOURNAL_VERSION) {
+        console.warn(`⚠️  Ignoring checkpoint with unsupported version ${state.version}`);
+        return null;
+      }
+
+      this.state = state;
+      return state;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️  Could not read checkpoint ${this.filePath}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Check whether a category has been fully processed
+   * @param {string} categoryName - Category name
+   * @returns {boolean} True if the category is complete
+   */
+  isCategoryComplete(categoryName) {
+    return !!this.state.categories[categoryName]?.completed;
+  }
+
+  /**
+   * Get the product URLs discovered for a category in an earlier run
+   * @param {string} categoryName - Category name
+   * @returns {Array<string>|null} Product URLs or null if not yet discovered
+   */
+  getCategoryUrls(categoryName) {
+    return this.state.categories[categoryName]?.productUrls || null;
+  }
+
+  /**
+   * Check whether a product URL has already been handled
+   * @param {string} url - Product URL
+   * @returns {boolean} True if the URL was completed
+   */
+  isUrlComplete(url) {
+    return this.state.completedUrls.includes(url);
+  }
+
+  /**
+   * Record the product URLs discovered for a category
+   * @param {string} categoryName - Category name
+   * @param {Array<string>} productUrls - Discovered product URLs
+   * @param {Object} scraper - Scraper instance to snapshot
+   * @returns {Promise<void>}
+   */
+  async recordCategoryUrls(categoryName, productUrls, scraper) {
+    this.state.categories[categoryName] = {
+      productUrls,
+      completed: false
+    };
+    await this.save(scraper);
+  }
+
+  /**
+   * Record a handled product URL, whether extraction succeeded or not
+   * @param {string} url - Product URL
+   * @param {Object} scraper - Scraper instance to snapshot
+   * @returns {Promise<void>}
+   */
+  async recordProduct(url, scraper) {
+    if (!this.state.completedUrls.includes(url)) {
+      this.state.completedUrls.push(url);
+    }
+    await this.save(scraper);
+  }
+
+  /**
+   * Mark a category as fully processed
+   * @param {string} categoryName - Category name
+   * @param {Object} scraper - Scraper instance to snapshot
+   * @returns {Promise<void>}
+   */
+  async completeCategory(categoryName, scraper) {
+    this.state.categories[categoryName] = {
+      ...this.state.categories[categoryName],
+      completed: true
+    };
+    await this.save(scraper);
+  }
+
+  /**
+   * Write the journal to disk, snapshotting the scraper's current state.
+   * Writes are queued so concurrent workers never interleave on the temp file.
+   * @param {Object} scraper - Scraper instance with products, errors and statistics
+   * @returns {Promise<void>}
+   */
+  save(scraper) {
+    this.state.updatedAt = new Date().toISOString();
+    this.state.processedUrls = Array.from(scraper.processedUrls);
+    this.state.products = scraper.products;
+    this.state.errors = scraper.errors;
+    this.state.statistics = scraper.statistics;
+
+    const snapshot = JSON.stringify(this.state, null, 2);
+    const tempPath = `${this.filePath}.tmp`;
+    const write = this.writeQueue.then(async () => {
+      await fs.writeFile(tempPath, snapshot);
+      await fs.rename(tempPath, this.filePath);
+    });
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Remove the journal once a run has finished and its output is saved
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.writeQueue;
+    try {
+      await fs.unlink(this.filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    this.state = this.createEmptyState();
+  }
+}
+
+module.exports = { CheckpointJournal };
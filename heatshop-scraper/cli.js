@@ -0,0 +1,713 @@
+#!/usr/bin/env node
+/**
+ * Norko Scraper Command Line
+ *
+ * One entry point for the scraper tool chain:
+ *   node cli.js scrape    Scrape the supplier catalogue (--profile test|enhanced for the limited runs)
+ *   node cli.js export    Rebuild the Crystallize import and catalogue files (--format csv,ndjson,merchant)
+ *   node cli.js analyze   Summarise the scraped products and write the HTML data-quality dashboard
+ *   node cli.js import    Import into Crystallize (--spec-only writes a mass-operation spec)
+ *   node cli.js images    Check the image storage configuration and test uploads
+ *   node cli.js schedule  Run the jobs of schedule.json on their cron schedules until stopped
+ *
+ * Settings come from CONFIG, then the profile (scraper-profiles.js), then a
+ * JSON config file (`--config <file>`, or scraper.config.json when present),
+ * then the job's settings when `--job <name>` names a job of the schedule
+ * file, then flags.
+ * Exit codes: 0 success, 1 failure, 2 usage error, 3 another scrape holds the
+ * run lock, 130 interrupted.
+ *
+ * @author Norko Development Team
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// Load .env before the scraper modules read their settings from process.env
+try {
+  require('dotenv').config();
+} catch (error) {
+  console.log('💡 Install dotenv for .env file support: npm install dotenv');
+}
+
+const { CONFIG, runScraper, HeatShopScraper } = require('./scrape-heatshop');
+const { PROFILES, applyProfile } = require('./scraper-profiles');
+const { GENERATABLE_FIELDS } = require('./provenance');
+const { mergeDuplicates } = require('./duplicate-detection');
+const { EXPORT_FORMATS } = require('./catalogue-exporters');
+const { getAdapter, listAdapters } = require('./adapters');
+const { RunLock } = require('./run-lock');
+const { DEFAULT_SCHEDULE_FILE } = require('./scheduler');
+
+const EXIT_CODES = {
+  success: 0,
+  failure: 1,
+  usage: 2,
+  locked: 3,
+  interrupted: 130
+};
+
+const DEFAULT_CONFIG_FILE = 'scraper.config.json';
+
+// Files a run writes, named after the job for scheduled jobs so that jobs never share them
+const JOB_FILE_SETTINGS = [
+  'outputFile', 'importFile', 'checkpointFile', 'diffFile', 'diffReportFile',
+  'qualityReportFile', 'brandReviewFile', 'categoryReviewFile', 'dashboardFile'
+];
+
+/**
+ * Settings shared by flags and config files, and how each maps onto CONFIG
+ */
+const SETTINGS = {
+  maxProducts: { type: 'number', apply: value => { CONFIG.maxProducts = value; } },
+  categories: { type: 'list', apply: value => { CONFIG.categories = value; } },
+  delay: { type: 'number', apply: value => { CONFIG.delay = value; } },
+  outputFile: { type: 'string', apply: value => { CONFIG.outputFile = value; } },
+  exportFormats: {
+    type: 'list',
+    apply: value => {
+      const unknown = value.filter(format => !EXPORT_FORMATS.includes(format));
+      if (unknown.length > 0) {
+        throw usageError(`Unknown export formats: ${unknown.join(', ')}; supported formats: ${EXPORT_FORMATS.join(', ')}`);
+      }
+      CONFIG.exportFormats = value;
+    }
+  },
+  storefrontUrl: { type: 'string', apply: value => { CONFIG.storefrontUrl = value; } },
+  dashboardFile: { type: 'string', apply: value => { CONFIG.dashboardFile = value; } },
+  upload: { type: 'boolean', apply: value => { CONFIG.enableCloudUpload = value; } },
+  images: { type: 'boolean', apply: value => { CONFIG.enableImageDownload = value; } },
+  documents: { type: 'boolean', apply: value => { CONFIG.harvestDocuments = value; } },
+  mergeDuplicates: { type: 'boolean', apply: value => { CONFIG.mergeDuplicates = value; } },
+  classify: { type: 'boolean', apply: value => { CONFIG.classifyCategories = value; } },
+  cache: { type: 'boolean', apply: value => { CONFIG.cacheResponses = value; } },
+  offline: { type: 'boolean', apply: value => { CONFIG.offline = value; } },
+  cacheMaxAge: { type: 'number', apply: value => { CONFIG.cacheMaxAge = value; } },
+  strict: { type: 'boolean', apply: value => { CONFIG.failOnInvalidData = value; } },
+  sitemap: { type: 'boolean', apply: value => { CONFIG.discoveryMode = value ? 'sitemap' : 'categories'; } },
+  generate: {
+    type: 'list',
+    apply: value => {
+      const unknown = value.filter(field => field !== 'all' && !GENERATABLE_FIELDS.includes(field));
+      if (unknown.length > 0) {
+        throw usageError(`Cannot generate ${unknown.join(', ')}; supported fields: ${GENERATABLE_FIELDS.join(', ')}`);
+      }
+      CONFIG.generateFallbackFields = value.includes('all') ? [...GENERATABLE_FIELDS] : value;
+    }
+  }
+};
+
+/**
+ * Command line flags; `setting` flags feed SETTINGS, the rest are read by the command
+ */
+const OPTIONS = {
+  config: { type: 'string', value: '<file>', description: `JSON config file (default: ${DEFAULT_CONFIG_FILE} if present)` },
+  profile: { type: 'string', value: '<name>', description: `Settings profile: ${Object.keys(PROFILES).join(', ')}` },
+  'max-products': { type: 'number', setting: 'maxProducts', value: '<n>', description: 'Stop after this many products' },
+  categories: { type: 'list', setting: 'categories', value: '<names>', description: 'Comma-separated category names to scrape' },
+  delay: { type: 'number', setting: 'delay', value: '<ms>', description: 'Delay between requests to a host' },
+  output: { type: 'string', setting: 'outputFile', value: '<file>', description: 'Scraped products file' },
+  formats: { type: 'list', setting: 'exportFormats', value: '<formats>', description: `Catalogue files to write: ${EXPORT_FORMATS.join(', ')} (empty for none)` },
+  'storefront-url': { type: 'string', setting: 'storefrontUrl', value: '<url>', description: 'Base URL of product links in the Merchant feed' },
+  dashboard: { type: 'string', setting: 'dashboardFile', value: '<file>', description: `HTML data-quality dashboard (default: ${CONFIG.dashboardFile})` },
+  upload: { type: 'boolean', setting: 'upload', description: 'Upload images and documents to Crystallize/Supabase (--no-upload)' },
+  images: { type: 'boolean', setting: 'images', description: 'Keep local copies of product images in imageDirectory (--no-images)' },
+  documents: { type: 'boolean', setting: 'documents', description: 'Harvest datasheet and manual PDFs (--no-documents)' },
+  'merge-duplicates': { type: 'boolean', setting: 'mergeDuplicates', description: 'Merge the same product listed in several categories (--no-merge-duplicates)' },
+  classify: { type: 'boolean', setting: 'classify', description: 'Classify products into categories and topics from their text and specs (--no-classify)' },
+  cache: { type: 'boolean', setting: 'cache', description: 'Record fetched pages in the response cache' },
+  offline: { type: 'boolean', setting: 'offline', description: 'Replay pages from the response cache' },
+  'cache-max-age': { type: 'number', setting: 'cacheMaxAge', value: '<ms>', description: 'Do not replay pages cached longer ago than this' },
+  strict: { type: 'boolean', setting: 'strict', description: 'Exit 1 when a product violates the schema' },
+  sitemap: { type: 'boolean', setting: 'sitemap', description: 'Discover products from sitemap.xml' },
+  generate: { type: 'list', setting: 'generate', value: '<fields>', description: `Allow generated data for ${GENERATABLE_FIELDS.join(', ')} or all` },
+  resume: { type: 'boolean', description: 'Continue from the checkpoint journal' },
+  schedule: { type: 'string', value: '<file>', description: `Schedule file of cron jobs (default: ${DEFAULT_SCHEDULE_FILE})` },
+  job: { type: 'string', value: '<name>', description: 'Use the settings of this job in the schedule file' },
+  list: { type: 'boolean', description: 'Print each job with its next and last run, then exit' },
+  'allow-generated': { type: 'boolean', description: 'Import products with generated data' },
+  'spec-only': { type: 'boolean', description: 'Write modern-spec.json instead of importing' },
+  check: { type: 'boolean', description: 'Only check the environment variables' },
+  help: { type: 'boolean', description: 'Show help' }
+};
+
+const COMMANDS = {
+  scrape: {
+    description: 'Scrape the supplier catalogue and write the products and import files',
+    options: [
+      'profile', 'max-products', 'categories', 'delay', 'output', 'formats', 'storefront-url', 'dashboard', 'upload',
+      'images', 'documents', 'merge-duplicates', 'classify', 'cache', 'offline', 'cache-max-age', 'strict', 'sitemap', 'generate',
+      'resume', 'schedule', 'job'
+    ],
+    run: runScrapeCommand
+  },
+  export: {
+    description: `Rebuild ${CONFIG.importFile} and the CSV, NDJSON and Merchant feed files from the scraped products file`,
+    options: ['profile', 'output', 'formats', 'storefront-url', 'merge-duplicates', 'classify', 'schedule', 'job'],
+    run: runExportCommand
+  },
+  analyze: {
+    description: 'Summarise the scraped products, check them against the schema and write the HTML dashboard',
+    options: ['profile', 'output', 'dashboard', 'schedule', 'job'],
+    run: runAnalyzeCommand
+  },
+  import: {
+    description: 'Import the Crystallize import file into the tenant',
+    options: ['profile', 'allow-generated', 'spec-only', 'schedule', 'job'],
+    run: runImportCommand
+  },
+  images: {
+    description: 'Check the image storage configuration and test uploads',
+    options: ['check'],
+    run: runImagesCommand
+  },
+  schedule: {
+    description: 'Run scrapes on the cron schedules of a schedule file until stopped, recording each run',
+    options: ['schedule', 'list'],
+    run: runScheduleCommand
+  }
+};
+
+/**
+ * Create an error that is reported with the usage text and exit code 2
+ * @param {string} message - What was wrong with the command line or config file
+ * @returns {Error} Error with `code` EUSAGE
+ */
+function usageError(message) {
+  const error = new Error(message);
+  error.code = 'EUSAGE';
+  return error;
+}
+
+/**
+ * Convert a flag or config file value to a setting's type
+ * @param {string} type - `string`, `number`, `boolean` or `list`
+ * @param {*} value - Raw value
+ * @param {string} name - Flag or key name for error messages
+ * @returns {*} Converted value
+ */
+function coerce(type, value, name) {
+  if (type === 'number') {
+    const number = Number(value);
+    if (value === '' || value === null || !Number.isFinite(number) || number < 0) {
+      throw usageError(`${name} must be a non-negative number, got ${JSON.stringify(value)}`);
+    }
+    return number;
+  }
+  if (type === 'list') {
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    return items.map(item => String(item).trim()).filter(Boolean);
+  }
+  if (type === 'boolean') {
+    if (typeof value !== 'boolean') throw usageError(`${name} must be true or false`);
+    return value;
+  }
+  if (typeof value !== 'string' || value === '') throw usageError(`${name} needs a value`);
+  return value;
+}
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments after `node cli.js`
+ * @returns {Object} `{ command, options }`, options keyed by flag name
+ */
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const options = {};
+
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (!arg.startsWith('--')) throw usageError(`Unexpected argument: ${arg}`);
+
+    let [name, value] = arg.slice(2).split(/=(.*)/s);
+    let negated = false;
+    if (!OPTIONS[name] && name.startsWith('no-') && OPTIONS[name.slice(3)]?.type === 'boolean') {
+      name = name.slice(3);
+      negated = true;
+    }
+
+    const option = OPTIONS[name];
+    if (!option) throw usageError(`Unknown option: --${name}`);
+
+    if (option.type === 'boolean') {
+      if (value !== undefined) throw usageError(`--${name} does not take a value`);
+      options[name] = !negated;
+      continue;
+    }
+
+    if (value === undefined) {
+      value = rest[i + 1];
+      if (value === undefined || value.startsWith('--')) throw usageError(`--${name} needs a value`);
+      i++;
+    }
+    options[name] = coerce(option.type, value, `--${name}`);
+  }
+
+  return { command, options };
+}
+
+/**
+ * Read a JSON config file
+ * @param {string|undefined} filePath - Path given with --config
+ * @returns {Promise<Object>} Config file contents (empty when no file is used)
+ */
+async function loadConfigFile(filePath) {
+  const file = filePath || DEFAULT_CONFIG_FILE;
+  let raw;
+  try {
+    raw = await fs.readFile(file, 'utf8');
+  } catch (error) {
+    // Only a file asked for explicitly has to exist
+    if (error.code === 'ENOENT' && !filePath) return {};
+    throw usageError(`Cannot read config file ${file}: ${error.message}`);
+  }
+
+  try {
+    const config = JSON.parse(raw);
+    console.log(`⚙️  Loaded settings from ${file}`);
+    return config;
+  } catch (error) {
+    throw usageError(`Config file ${file} is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Apply a config file: shared settings plus a raw `scraper` section of CONFIG keys
+ * (its `profile` is applied separately, before everything else)
+ * @param {Object} fileConfig - Parsed config file
+ * @param {string} [source] - Where the settings came from, for error messages
+ * @returns {void}
+ */
+function applyConfigFile(fileConfig, source = 'config file') {
+  for (const [key, value] of Object.entries(fileConfig)) {
+    if (key === 'profile') continue;
+    if (key === 'scraper') {
+      for (const [name, setting] of Object.entries(value)) {
+        // Catch typos instead of silently adding keys the scraper never reads
+        if (!(name in CONFIG)) throw usageError(`Unknown scraper setting in ${source}: ${name}`);
+        CONFIG[name] = setting;
+      }
+    } else if (SETTINGS[key]) {
+      SETTINGS[key].apply(coerce(SETTINGS[key].type, value, key));
+    } else {
+      throw usageError(`Unknown setting in ${source}: ${key}`);
+    }
+  }
+}
+
+/**
+ * Read the schedule file
+ * @param {string|undefined} filePath - Path given with --schedule
+ * @returns {Promise<Object>} Schedule from loadSchedule
+ */
+async function readSchedule(filePath) {
+  const { loadSchedule } = require('./scheduler');
+  try {
+    return await loadSchedule(filePath || DEFAULT_SCHEDULE_FILE);
+  } catch (error) {
+    throw usageError(error.message);
+  }
+}
+
+/**
+ * Find a job in the schedule file
+ * @param {string|undefined} filePath - Path given with --schedule
+ * @param {string} name - Job name given with --job
+ * @returns {Promise<Object>} Job
+ */
+async function findJob(filePath, name) {
+  const schedule = await readSchedule(filePath);
+  const job = schedule.jobs.find(candidate => candidate.name === name);
+  if (!job) {
+    throw usageError(`No job named ${name} in ${schedule.file} (jobs: ${schedule.jobs.map(candidate => candidate.name).join(', ')})`);
+  }
+  return job;
+}
+
+/**
+ * Add a job name to a file name, e.g. `crystallize-products.json` to `crystallize-products.panels-nightly.json`
+ * @param {string} file - File name
+ * @param {string} jobName - Job name
+ * @returns {string} File name for the job
+ */
+function jobFileName(file, jobName) {
+  const { dir, name, ext } = path.parse(file);
+  return path.join(dir, `${name}.${jobName}${ext}`);
+}
+
+/**
+ * Apply a scheduled job's settings: its own output file names, then `settings` in config file
+ * format, then its categories and site adapter (its `profile` is applied separately, like a config file's)
+ * @param {Object} job - Job from the schedule file
+ * @returns {void}
+ */
+function applyJob(job) {
+  // Each job keeps its own products, import, exports and change report unless its settings name them
+  for (const key of JOB_FILE_SETTINGS) {
+    if (CONFIG[key]) CONFIG[key] = jobFileName(CONFIG[key], job.name);
+  }
+  CONFIG.exportFiles = Object.fromEntries(
+    Object.entries(CONFIG.exportFiles).map(([format, file]) => [format, jobFileName(file, job.name)])
+  );
+  applyConfigFile(job.settings || {}, `job ${job.name}`);
+  if (job.categories) SETTINGS.categories.apply(coerce('list', job.categories, 'categories'));
+  if (job.adapter) {
+    if (!listAdapters().includes(job.adapter)) {
+      throw usageError(`Job ${job.name} uses an unknown site adapter: ${job.adapter} (available: ${listAdapters().join(', ')})`);
+    }
+    CONFIG.siteAdapter = job.adapter;
+  }
+}
+
+/**
+ * Check that a job's profile, settings, adapter and categories are valid, leaving CONFIG unchanged,
+ * so a typo fails when the scheduler starts rather than at the job's first run
+ * @param {Object} job - Job from the schedule file
+ * @returns {Object} `{ outputFile, scope }`: the products file the job writes and what it scrapes
+ */
+function checkJob(job) {
+  if (job.profile && !PROFILES[job.profile]) {
+    throw usageError(`Job ${job.name} uses an unknown profile: ${job.profile} (available: ${Object.keys(PROFILES).join(', ')})`);
+  }
+
+  const saved = { ...CONFIG };
+  try {
+    if (job.profile) applyProfile(CONFIG, job.profile);
+    applyJob(job);
+    const known = getAdapter(CONFIG.siteAdapter).categories.map(category => category.name.toLowerCase());
+    const unknown = (CONFIG.categories || []).filter(name => !known.includes(name.toLowerCase()));
+    if (unknown.length > 0) throw usageError(`Job ${job.name} lists unknown categories: ${unknown.join(', ')}`);
+    return { outputFile: CONFIG.outputFile, scope: JSON.stringify([CONFIG.siteAdapter, CONFIG.categories || null]) };
+  } finally {
+    Object.assign(CONFIG, saved);
+  }
+}
+
+/**
+ * Apply the setting flags given on the command line (they win over the config file)
+ * @param {Object} options - Parsed options
+ * @returns {void}
+ */
+function applyOptions(options) {
+  for (const [name, value] of Object.entries(options)) {
+    const { setting } = OPTIONS[name];
+    if (setting) SETTINGS[setting].apply(value);
+  }
+}
+
+/**
+ * Build the help text
+ * @param {string} [command] - Command to describe (all commands when omitted)
+ * @returns {string} Usage text
+ */
+function usage(command) {
+  const describe = name => {
+    const option = OPTIONS[name];
+    const flag = `--${name}${option.value ? ` ${option.value}` : ''}`;
+    return `  ${flag.padEnd(24)} ${option.description}`;
+  };
+
+  if (COMMANDS[command]) {
+    return [
+      `Usage: node cli.js ${command} [options]`,
+      '',
+      COMMANDS[command].description,
+      '',
+      'Options:',
+      ...[...COMMANDS[command].options, 'config', 'help'].map(describe)
+    ].join('\n');
+  }
+
+  return [
+    'Usage: node cli.js <command> [options]',
+    '',
+    'Commands:',
+    ...Object.entries(COMMANDS).map(([name, { description }]) => `  ${name.padEnd(10)} ${description}`),
+    '',
+    'Run `node cli.js <command> --help` for the options of a command.'
+  ].join('\n');
+}
+
+/**
+ * Read the scraped products file
+ * @returns {Promise<Object>} `{ metadata, products }`
+ */
+async function readScrapedProducts() {
+  try {
+    return JSON.parse(await fs.readFile(CONFIG.outputFile, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read ${CONFIG.outputFile} (run \`node cli.js scrape\` first): ${error.message}`);
+  }
+}
+
+/**
+ * `scrape`: run the scraper with the selected profile
+ * @param {Object} options - Parsed options
+ * @returns {Promise<number>} Exit code
+ */
+async function runScrapeCommand(options) {
+  const lock = new RunLock(CONFIG.lockFile);
+  const holder = await lock.acquire({ command: 'scrape', job: options.job || null });
+  if (holder) {
+    console.error(`🔒 Another scrape is running (pid ${holder.pid} on ${holder.host}, started ${holder.startedAt}); if it is not, delete ${CONFIG.lockFile}`);
+    return EXIT_CODES.locked;
+  }
+
+  try {
+    return await runScraper({
+      resume: options.resume,
+      // A scheduled run reports its summary to the scheduler over the channel fork() opened
+      onFinish: process.send ? summary => process.send({ type: 'summary', summary }) : null
+    });
+  } finally {
+    await lock.release();
+  }
+}
+
+/**
+ * `export`: rebuild the Crystallize import and catalogue files without scraping again
+ * @returns {Promise<number>} Exit code
+ */
+async function runExportCommand() {
+  const data = await readScrapedProducts();
+  const scraper = new HeatShopScraper();
+  scraper.products = data.products || [];
+  if (CONFIG.mergeDuplicates) {
+    // Files saved before duplicate detection existed can still hold the same product twice
+    const { products, merged } = mergeDuplicates(scraper.products);
+    scraper.products = products;
+    if (merged > 0) console.log(`🔁 Merged ${merged} duplicate products`);
+  }
+  // Merging changes which URLs belong to which product
+  scraper.resolveRelatedProducts();
+  scraper.classifyProducts();
+  await scraper.generateCrystallizeImport();
+  await scraper.exportCatalogue();
+  console.log(`📦 Exported ${scraper.products.length} products from ${CONFIG.outputFile}`);
+  return EXIT_CODES.success;
+}
+
+/**
+ * `analyze`: print the analysis report and write the dashboard
+ * @returns {Promise<number>} Exit code (1 when products violate the schema)
+ */
+async function runAnalyzeCommand() {
+  const { analyzeResults } = require('./analyze-results');
+  const { writeDashboard } = require('./quality-dashboard');
+  const data = await readScrapedProducts();
+  const valid = analyzeResults(data);
+  if (CONFIG.dashboardFile) {
+    await writeDashboard(data, CONFIG.dashboardFile);
+    console.log(`📈 Saved data-quality dashboard to ${CONFIG.dashboardFile}`);
+  }
+  return valid ? EXIT_CODES.success : EXIT_CODES.failure;
+}
+
+/**
+ * `import`: import into Crystallize, or write the mass-operation spec file
+ * @param {Object} options - Parsed options
+ * @returns {Promise<number>} Exit code (1 when any item failed)
+ */
+async function runImportCommand(options) {
+  const { importToCrediting, createModernSpecFile } = require('./modern-crystallize-import');
+  const importOptions = { importFile: CONFIG.importFile, allowGenerated: Boolean(options['allow-generated']) };
+
+  if (options['spec-only']) {
+    await createModernSpecFile(importOptions);
+    return EXIT_CODES.success;
+  }
+
+  const results = await importToCrediting(importOptions);
+  return results.errors > 0 ? EXIT_CODES.failure : EXIT_CODES.success;
+}
+
+/**
+ * `images`: check the storage configuration and run the upload test
+ * @param {Object} options - Parsed options
+ * @returns {Promise<number>} Exit code (1 when configuration is missing or every upload failed)
+ */
+async function runImagesCommand(options) {
+  const { checkConfiguration, testImageUploadService } = require('./test-image-upload');
+  const configured = checkConfiguration();
+  if (options.check || !configured) {
+    return configured ? EXIT_CODES.success : EXIT_CODES.failure;
+  }
+
+  const results = await testImageUploadService();
+  return results && results.successful > 0 ? EXIT_CODES.success : EXIT_CODES.failure;
+}
+
+/**
+ * Run one step of a scheduled job as a child `node cli.js` process
+ * @param {Array<string>} args - Command line of the step, e.g. `['scrape', '--job', 'nightly']`
+ * @param {Function} onStart - Called with the child process, so signals can be forwarded to it
+ * @returns {Promise<Object>} `{ exitCode, signal, summary }`, summary as sent by runScrapeCommand
+ */
+function runJobStep(args, onStart) {
+  const { fork } = require('child_process');
+  return new Promise(resolve => {
+    let summary = null;
+    const child = fork(__filename, args);
+    onStart(child);
+    child.on('message', message => {
+      if (message?.type === 'summary') summary = message.summary;
+    });
+    child.on('error', error => resolve({ exitCode: null, signal: null, summary: { error: error.message } }));
+    child.on('exit', (exitCode, signal) => resolve({ exitCode, signal, summary }));
+  });
+}
+
+/**
+ * Turn the exit of a job step into a run status
+ * @param {Object} step - Result of runJobStep
+ * @returns {Object} `{ status, reason }` (reason only when the step did not succeed)
+ */
+function stepStatus(step) {
+  const { RUN_STATUS } = require('./scheduler');
+  if (step.exitCode === EXIT_CODES.success) return { status: RUN_STATUS.SUCCEEDED };
+  if (step.exitCode === EXIT_CODES.locked) return { status: RUN_STATUS.SKIPPED, reason: 'another scrape holds the run lock' };
+  if (step.exitCode === EXIT_CODES.interrupted || step.signal) {
+    return { status: RUN_STATUS.INTERRUPTED, reason: step.signal ? `stopped by ${step.signal}` : 'interrupted' };
+  }
+  return { status: RUN_STATUS.FAILED, reason: step.summary?.error || `exit code ${step.exitCode}` };
+}
+
+/**
+ * `schedule`: run the jobs of the schedule file on their cron schedules until SIGINT or SIGTERM
+ * @param {Object} options - Parsed options
+ * @returns {Promise<number>} Exit code (130 once stopped by a signal)
+ */
+async function runScheduleCommand(options) {
+  const { Scheduler, RunHistory, nextRunTime, RUN_STATUS } = require('./scheduler');
+  const schedule = await readSchedule(options.schedule);
+
+  // Jobs scraping different things into one products file would overwrite each other's products
+  // and diff against each other's snapshots
+  const outputs = new Map();
+  for (const job of schedule.jobs) {
+    const { outputFile, scope } = checkJob(job);
+    const other = outputs.get(outputFile);
+    if (other && other.scope !== scope) {
+      throw usageError(`Jobs ${other.name} and ${job.name} scrape different categories into ${outputFile}; remove the outputFile setting of one of them, or give each its own`);
+    }
+    outputs.set(outputFile, { name: job.name, scope });
+  }
+
+  const history = new RunHistory(schedule.historyFile, { limit: schedule.historyLimit });
+  await history.load();
+
+  if (options.list) {
+    for (const job of schedule.jobs) {
+      const last = history.latest(job.name);
+      const lastRun = last ? `${last.status} ${new Date(last.finishedAt || last.scheduledFor).toLocaleString()}` : 'never';
+      console.log(`  ${job.name.padEnd(20)} ${job.schedule.expression.padEnd(16)} next ${nextRunTime(job.schedule).toLocaleString()}, last ${lastRun}`);
+    }
+    return EXIT_CODES.success;
+  }
+
+  // Each run resolves the same schedule and config file as this process
+  const shared = ['--schedule', schedule.file, ...(options.config ? ['--config', options.config] : [])];
+  let child = null;
+  const track = started => { child = started; };
+
+  const scheduler = new Scheduler({
+    jobs: schedule.jobs,
+    history,
+    runJob: async job => {
+      const scrape = await runJobStep(['scrape', '--job', job.name, ...shared], track);
+      const result = { exitCode: scrape.exitCode, ...stepStatus(scrape), summary: scrape.summary };
+
+      if (job.import && result.status === RUN_STATUS.SUCCEEDED) {
+        const imported = stepStatus(await runJobStep(['import', '--job', job.name, ...shared], track));
+        result.import = imported;
+        if (imported.status !== RUN_STATUS.SUCCEEDED) {
+          Object.assign(result, { status: RUN_STATUS.FAILED, reason: `Crystallize import ${imported.status}: ${imported.reason}` });
+        }
+      }
+      child = null;
+      return result;
+    }
+  });
+
+  let stoppedBy = null;
+  const stop = signal => {
+    stoppedBy = signal;
+    console.log(`\n🛑 ${signal} received, stopping the scheduler`);
+    // The run in progress exits with its checkpoint journal saved and its run lock released
+    if (child && child.exitCode === null) child.kill(signal);
+    scheduler.stop();
+  };
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+
+  try {
+    await scheduler.start();
+  } finally {
+    process.removeListener('SIGINT', stop);
+    process.removeListener('SIGTERM', stop);
+  }
+  console.log(`📜 Run history: ${history.filePath}`);
+  return stoppedBy ? EXIT_CODES.interrupted : EXIT_CODES.success;
+}
+
+/**
+ * Run a command line
+ * @param {Array<string>} argv - Arguments after `node cli.js`, e.g. `['scrape', '--max-products', '5']`
+ * @returns {Promise<number>} Exit code
+ */
+async function runCli(argv) {
+  try {
+    const { command, options } = parseArgs(argv);
+
+    if (!command || command === 'help' || command === '--help') {
+      console.log(usage());
+      return command ? EXIT_CODES.success : EXIT_CODES.usage;
+    }
+    if (!COMMANDS[command]) throw usageError(`Unknown command: ${command}`);
+    if (options.help) {
+      console.log(usage(command));
+      return EXIT_CODES.success;
+    }
+
+    const allowed = [...COMMANDS[command].options, 'config', 'help'];
+    const misplaced = Object.keys(options).filter(name => !allowed.includes(name));
+    if (misplaced.length > 0) {
+      throw usageError(`${misplaced.map(name => `--${name}`).join(', ')} cannot be used with ${command}`);
+    }
+
+    if (options.schedule && !options.job && command !== 'schedule') {
+      throw usageError('--schedule only picks the file --job reads; add --job <name>');
+    }
+
+    const fileConfig = await loadConfigFile(options.config);
+    const job = options.job ? await findJob(options.schedule, options.job) : null;
+    const profile = options.profile || job?.profile || fileConfig.profile || CONFIG.profile;
+    if (!PROFILES[profile]) {
+      throw usageError(`Unknown profile: ${profile} (available: ${Object.keys(PROFILES).join(', ')})`);
+    }
+    applyProfile(CONFIG, profile);
+    applyConfigFile(fileConfig);
+    if (job) applyJob(job);
+    applyOptions(options);
+
+    return await COMMANDS[command].run(options);
+  } catch (error) {
+    if (error.code === 'EUSAGE') {
+      console.error(`❌ ${error.message}\n`);
+      console.error(usage(argv[0]));
+      return EXIT_CODES.usage;
+    }
+    console.error(`💥 ${error.message}`);
+    return EXIT_CODES.failure;
+  }
+}
+
+module.exports = { runCli, parseArgs, applyConfigFile, EXIT_CODES };
+
+if (require.main === module) {
+  runCli(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
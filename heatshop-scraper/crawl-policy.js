@@ -0,0 +1,219 @@
+/**
+ * Crawl Policy: robots.txt Compliance for the Scrapers
+ *
+ * Fetches and caches robots.txt once per origin and answers whether a URL may
+ * be fetched by our user agent, following RFC 9309:
+ * - The `User-agent` groups naming our product token are used, falling back
+ *   to `*`. Names are compared whole and case-insensitively, so a `Bot`
+ *   group does not apply to `Educational-Portfolio-Bot`
+ * - The longest matching `Allow`/`Disallow` rule wins; ties favour `Allow`
+ * - `*` wildcards and `$` end anchors are supported in rule paths
+ * - A missing robots.txt (4xx) allows everything; an unreachable one (5xx,
+ *   network error) disallows everything until the next run
+ *
+ * `Crawl-delay` is not part of the RFC but is honoured when present.
+ * `Sitemap` lines are collected for sitemap-based product discovery.
+ *
+ * @author Norko Development Team
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+const axios = require('axios');
+
+/**
+ * Parse robots.txt content into user-agent groups
+ * @param {string} content - Raw robots.txt
+ * @returns {Array<Object>} Groups of `{ agents, rules, crawlDelay }`
+ */
+function parseRobotsTxt(content) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const field = line.substring(0, separator).trim().toLowerCase();
+    const value = line.substring(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow means "allow everything" and adds no rule
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay') {
+      const seconds = parseFloat(value);
+      if (Number.isFinite(seconds) && seconds >= 0) current.crawlDelay = seconds;
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * Collect the `Sitemap` URLs listed in robots.txt (they apply to every user agent)
+ * @param {string} content - Raw robots.txt
+ * @returns {Array<string>} Sitemap URLs
+ */
+function parseSitemapDirectives(content) {
+  return content.split(/\r?\n/)
+    .map(line => line.replace(/#.*$/, '').trim())
+    .filter(line => /^sitemap\s*:/i.test(line))
+    .map(line => line.substring(line.indexOf(':') + 1).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Convert a robots.txt rule path into a regular expression
+ * @param {string} rulePath - Rule path with optional `*` and `$`
+ * @returns {RegExp} Anchored pattern
+ */
+function rulePathToRegExp(rulePath) {
+  const anchored = rulePath.endsWith('$');
+  const body = (anchored ? rulePath.slice(0, -1) : rulePath)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Select the rules that apply to a user agent
+ * @param {Array<Object>} groups - Parsed robots.txt groups
+ * @param {string} userAgent - Full User-Agent header value
+ * @returns {Object} Merged `{ rules, crawlDelay }` for the agent
+ */
+function selectGroup(groups, userAgent) {
+  // The product token is the name before the version, e.g. `educational-portfolio-bot`
+  const productToken = userAgent.trim().split(/[/\s]/)[0].toLowerCase();
+  const matches = agent => agent !== '' && agent !== '*' && agent === productToken;
+
+  let selected = groups.filter(group => group.agents.some(matches));
+  if (selected.length === 0) {
+    selected = groups.filter(group => group.agents.includes('*'));
+  }
+
+  return {
+    rules: selected.flatMap(group => group.rules),
+    crawlDelay: selected.reduce((delay, group) => group.crawlDelay ?? delay, null)
+  };
+}
+
+/**
+ * Crawl Policy Class
+ */
+class CrawlPolicy {
+  /**
+   * @param {Object} options - Policy options
+   * @param {string} options.userAgent - User agent the rules are evaluated for
+   * @param {number} [options.timeout] - robots.txt fetch timeout in milliseconds
+   */
+  constructor({ userAgent, timeout = 10000 }) {
+    this.userAgent = userAgent;
+    this.timeout = timeout;
+    this.cache = new Map();
+  }
+
+  /**
+   * Fetch and parse robots.txt for an origin (cached per origin)
+   * @param {string} origin - URL origin, e.g. `https://www.example.com`
+   * @returns {Promise<Object>} `{ rules, crawlDelay, sitemaps, status }` for our agent
+   */
+  getRules(origin) {
+    if (!this.cache.has(origin)) {
+      this.cache.set(origin, this.fetchRules(origin));
+    }
+    return this.cache.get(origin);
+  }
+
+  /**
+   * Download robots.txt for an origin
+   * @param {string} origin - URL origin
+   * @returns {Promise<Object>} Rules for our agent
+   */
+  async fetchRules(origin) {
+    const robotsUrl = `${origin}/robots.txt`;
+
+    try {
+      const response = await axios.get(robotsUrl, {
+        headers: { 'User-Agent': this.userAgent },
+        timeout: this.timeout,
+        responseType: 'text',
+        validateStatus: () => true
+      });
+
+      if (response.status >= 400 && response.status < 500) {
+        console.log(`🤖 No robots.txt at ${origin} (${response.status}), all paths allowed`);
+        return { rules: [], crawlDelay: null, sitemaps: [], status: 'missing' };
+      }
+
+      if (response.status >= 500) {
+        console.warn(`⚠️  robots.txt at ${origin} unavailable (${response.status}), treating site as disallowed`);
+        return { rules: [{ allow: false, path: '/' }], crawlDelay: null, sitemaps: [], status: 'unreachable' };
+      }
+
+      const content = String(response.data);
+      const group = selectGroup(parseRobotsTxt(content), this.userAgent);
+      console.log(`🤖 Loaded robots.txt for ${origin}: ${group.rules.length} rules${group.crawlDelay !== null ? `, crawl-delay ${group.crawlDelay}s` : ''}`);
+      return { ...group, sitemaps: parseSitemapDirectives(content), status: 'loaded' };
+
+    } catch (error) {
+      console.warn(`⚠️  Could not fetch ${robotsUrl}: ${error.message}, treating site as disallowed`);
+      return { rules: [{ allow: false, path: '/' }], crawlDelay: null, sitemaps: [], status: 'unreachable' };
+    }
+  }
+
+  /**
+   * Sitemap URLs advertised in an origin's robots.txt
+   * @param {string} origin - URL origin
+   * @returns {Promise<Array<string>>} Sitemap URLs
+   */
+  async getSitemaps(origin) {
+    return (await this.getRules(origin)).sitemaps;
+  }
+
+  /**
+   * Check whether a URL may be fetched
+   * @param {string} url - URL to check
+   * @returns {Promise<Object>} `{ allowed, rule, crawlDelayMs }`
+   */
+  async check(url) {
+    const { origin, pathname, search } = new URL(url);
+    const { rules, crawlDelay } = await this.getRules(origin);
+    const target = pathname + search;
+
+    // Longest matching rule wins; on equal length Allow beats Disallow
+    let matched = null;
+    for (const rule of rules) {
+      if (!rulePathToRegExp(rule.path).test(target)) continue;
+      if (!matched
+        || rule.path.length > matched.path.length
+        || (rule.path.length === matched.path.length && rule.allow)) {
+        matched = rule;
+      }
+    }
+
+    return {
+      allowed: target === '/robots.txt' || !matched || matched.allow,
+      rule: matched ? `${matched.allow ? 'Allow' : 'Disallow'}: ${matched.path}` : null,
+      crawlDelayMs: crawlDelay !== null ? crawlDelay * 1000 : null
+    };
+  }
+}
+
+module.exports = { CrawlPolicy, parseRobotsTxt, parseSitemapDirectives, selectGroup };
@@ -7,6 +7,8 @@ require('dotenv').config();
 const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const { selectImportable } = require('./provenance');
+const { pruneRelations } = require('./related-products');
 
 /**
  * Import products to Crystallize using the modern CLI approach
@@ -23,7 +25,20 @@ async function importToCrediting() {
       process.exit(1);
     }
     
-    const importData = JSON.parse(fs.readFileSync(importFilePath, 'utf8'));
+    const allItems = JSON.parse(fs.readFileSync(importFilePath, 'utf8'));
+    
+    // Refuse products whose price or wattage was generated rather than scraped
+    const { accepted: importData, refused } = selectImportable(allItems, {
+      allowGenerated: process.argv.includes('--allow-generated')
+    });
+    for (const item of refused) {
+      console.warn(`🚫 Refusing ${item.catalogueItem.name}: ${item.reasons.join(', ')}`);
+    }
+    if (refused.length > 0) {
+      console.warn(`⚠️  ${refused.length} items refused; pass --allow-generated to import them anyway`);
+      const removed = pruneRelations(importData);
+      if (removed > 0) console.warn(`⚠️  Dropped ${removed} related-item links to refused items`);
+    }
     console.log(`📦 Ready to import ${importData.length} items`);
     
     // Check if CLI is available
@@ -0,0 +1,257 @@
+/**
+ * Datasheet and Manual Harvesting
+ *
+ * Downloads the PDF documents linked from a product page (datasheets,
+ * manuals, installation guides), stores them locally and optionally in
+ * Supabase storage, extracts their text and parses "Key: Value" spec lines
+ * so the scraper can fill gaps in `specifications.technical`.
+ *
+ * Files already on disk are reused, so re-runs and offline runs do not
+ * download them again.
+ *
+ * @author Norko Development Team
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+
+// Checked in order: an "installation guide for the spec sheet" is a manual
+const DOCUMENT_TYPES = [
+  { type: 'manual', pattern: /manual|instruction|guide|install|user/i },
+  { type: 'datasheet', pattern: /data-?sheet|spec|technical|product-?sheet|brochure/i }
+];
+
+const DOWNLOAD_GROUPS = [
+  { type: 'datasheet', title: 'Datasheets' },
+  { type: 'manual', title: 'Manuals' },
+  { type: 'document', title: 'Documents' }
+];
+
+const SPEC_LINE = /^([A-Za-z][A-Za-z0-9 ()/&.%-]{1,48}?)\s*(?::|\t|\s{2,})\s*(\S.{0,198})$/;
+
+/**
+ * Classify a document from its URL and link text
+ * @param {string} url - Document URL
+ * @param {string} title - Link text
+ * @returns {string} `manual`, `datasheet` or `document`
+ */
+function classifyDocument(url, title) {
+  const text = `${decodeURIComponent(new URL(url).pathname)} ${title}`;
+  return DOCUMENT_TYPES.find(({ pattern }) => pattern.test(text))?.type || 'document';
+}
+
+/**
+ * Find links to PDF documents on a product page
+ * @param {Object} $ - Cheerio object
+ * @param {Function} resolveUrl - Turns a relative href into an absolute URL
+ * @returns {Array<Object>} `{ url, title, type }` per distinct document
+ */
+function findDocumentLinks($, resolveUrl) {
+  const documents = new Map();
+
+  $('a[href]').each((i, element) => {
+    const href = $(element).attr('href');
+    if (!/\.pdf(?:$|[?#])/i.test(href)) return;
+
+    let url;
+    try {
+      url = resolveUrl(href);
+      new URL(url);
+    } catch (error) {
+      return;
+    }
+
+    if (documents.has(url)) return;
+    const linkText = $(element).text().replace(/\s+/g, ' ').trim() || $(element).attr('title') || '';
+    const title = linkText || decodeURIComponent(path.basename(new URL(url).pathname, '.pdf')).replace(/[-_]+/g, ' ');
+    documents.set(url, { url, title, type: classifyDocument(url, title) });
+  });
+
+  return Array.from(documents.values());
+}
+
+/**
+ * Extract the text of a PDF
+ * @param {Buffer} buffer - PDF file contents
+ * @returns {Promise<Object>} `{ text, pages }`
+ */
+async function extractPdfText(buffer) {
+  // The pdf.js build bundled with pdf-parse fails to read Node Buffers, so pass a plain Uint8Array
+  const result = await pdfParse(new Uint8Array(buffer));
+  return { text: result.text || '', pages: result.numpages || 0 };
+}
+
+/**
+ * Parse "Key: Value" (or tab/column separated) specification lines from document text
+ * @param {string} text - Document text
+ * @returns {Object} Specifications keyed like `extractTechnicalSpecifications` (lowercase, underscores)
+ */
+function parseSpecText(text) {
+  const specs = {};
+
+  for (const line of String(text).split(/\r?\n/)) {
+    const match = line.trim().match(SPEC_LINE);
+    if (!match) continue;
+
+    const key = match[1].trim().toLowerCase().replace(/[^a-z0-9]/g, '_');
+    const value = match[2].trim();
+    // Spec values carry a number or a short label; long prose is not a spec row
+    if (!/\d/.test(value) && value.split(/\s+/).length > 4) continue;
+    if (!(key in specs)) specs[key] = value;
+  }
+
+  return specs;
+}
+
+/**
+ * Build a stable local file name for a document URL
+ * @param {string} url - Document URL
+ * @returns {string} e.g. `herschel-manual-3f2a9c1b.pdf`
+ */
+function documentFileName(url) {
+  const base = path.basename(new URL(url).pathname, '.pdf')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .substring(0, 60) || 'document';
+  const hash = crypto.createHash('sha1').update(url).digest('hex').substring(0, 8);
+  return `${base}-${hash}.pdf`;
+}
+
+/**
+ * Group harvested documents into the storefront's FileDownload shape
+ * @param {Array<Object>} documents - Harvested documents
+ * @returns {Array<Object>} `[{ title, description, files: [{ title, url }] }]`, one group per document type
+ */
+function toDownloads(documents) {
+  return DOWNLOAD_GROUPS
+    .map(({ type, title }) => ({
+      title,
+      description: null,
+      // Links that failed to download or were not PDFs are not offered to customers
+      files: documents
+        .filter(document => document.type === type && !document.error)
+        .map(document => ({ title: document.title, url: document.url }))
+    }))
+    .filter(group => group.files.length > 0);
+}
+
+class DocumentHarvester {
+  /**
+   * @param {Object} options - Harvester options
+   * @param {string} options.directory - Local directory for documents
+   * @param {Function} options.fetchDocument - `(url) => Promise<Buffer|null>` download function
+   * @param {Object} [options.uploader] - Object with `uploadDocument(buffer, metadata)` (e.g. ImageUploadService)
+   * @param {number} [options.maxDocuments] - Documents per product
+   * @param {boolean} [options.offline] - Only use documents already on disk
+   */
+  constructor({ directory, fetchDocument, uploader = null, maxDocuments = 5, offline = false }) {
+    this.directory = directory;
+    this.fetchDocument = fetchDocument;
+    this.uploader = uploader;
+    this.maxDocuments = maxDocuments;
+    this.offline = offline;
+  }
+
+  /**
+   * Download, store and read the documents linked from a product page
+   * @param {Array<Object>} links - Links from findDocumentLinks
+   * @param {string} productId - Product identifier (sub-directory name)
+   * @returns {Promise<Array<Object>>} One record per document; failed documents carry `error`
+   */
+  async harvest(links, productId) {
+    const documents = [];
+    for (const link of links.slice(0, this.maxDocuments)) {
+      documents.push(await this.harvestDocument(link, productId));
+    }
+    return documents;
+  }
+
+  /**
+   * Harvest a single document
+   * @param {Object} link - `{ url, title, type }`
+   * @param {string} productId - Product identifier
+   * @returns {Promise<Object>} Document record
+   */
+  async harvestDocument(link, productId) {
+    const fileName = documentFileName(link.url);
+    const localPath = path.join(this.directory, productId, fileName);
+    const record = {
+      title: link.title,
+      type: link.type,
+      url: link.url,
+      originalUrl: link.url,
+      localPath: null,
+      storage: null,
+      size: null,
+      pages: null,
+      textPath: null,
+      specifications: {}
+    };
+
+    try {
+      let buffer = await this.readLocal(localPath);
+      if (!buffer) {
+        if (this.offline) throw new Error('not downloaded yet (offline)');
+        buffer = await this.fetchDocument(link.url);
+        if (!buffer) throw new Error('download failed');
+        if (buffer.subarray(0, 5).toString('latin1') !== '%PDF-') throw new Error('not a PDF file');
+
+        await fs.mkdir(path.dirname(localPath), { recursive: true });
+        await fs.writeFile(localPath, buffer);
+      }
+
+      record.localPath = localPath;
+      record.storage = 'local';
+      record.size = buffer.length;
+
+      const { text, pages } = await extractPdfText(buffer);
+      record.pages = pages;
+      record.specifications = parseSpecText(text);
+      if (text.trim()) {
+        record.textPath = localPath.replace(/\.pdf$/, '.txt');
+        await fs.writeFile(record.textPath, text);
+      }
+
+      if (this.uploader) {
+        const upload = await this.uploader.uploadDocument(buffer, { productId, fileName, title: link.title });
+        if (upload.success) {
+          record.url = upload.url;
+          record.storage = 'supabase';
+        }
+      }
+    } catch (error) {
+      console.warn(`⚠️  Could not harvest ${link.type} ${link.url}: ${error.message}`);
+      record.error = error.message;
+    }
+
+    return record;
+  }
+
+  /**
+   * Read a previously harvested document
+   * @param {string} localPath - File path
+   * @returns {Promise<Buffer|null>} File contents or null if not on disk
+   */
+  async readLocal(localPath) {
+    try {
+      return await fs.readFile(localPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  DocumentHarvester,
+  findDocumentLinks,
+  classifyDocument,
+  extractPdfText,
+  parseSpecText,
+  toDownloads
+};
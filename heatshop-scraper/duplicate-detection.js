@@ -0,0 +1,288 @@
+/**
+ * Duplicate Product Detection
+ *
+ * The same heater is often listed in several categories (e.g. Panel and Far
+ * Infrared) under different URLs and slightly different names, so exact URL
+ * and slug checks miss it. Products are compared on:
+ * - GTIN and normalised model number
+ * - Manufacturer (different brands are never duplicates)
+ * - Fuzzy name similarity, ignoring category words such as "panel" or "heater"
+ * - Measured specs (power, dimensions, weight), which must not conflict
+ *
+ * A duplicate is merged into the product found first, which then carries the
+ * topics, categories and related product links of both.
+ *
+ * @author Norko Development Team
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+const { PROVENANCE } = require('./provenance');
+const { urlKey } = require('./related-products');
+
+const THRESHOLDS = {
+  nameWithModel: 0.6, // Name similarity needed when the model numbers match
+  nameWithSpecs: 0.8, // ... when at least one spec matches and none conflict
+  nameOnly: 0.92, // ... when there is nothing else to compare
+  specTolerance: 0.03 // Relative difference still counted as the same measurement
+};
+
+// Words that describe the category or product type rather than the model
+const GENERIC_WORDS = new Set([
+  'infrared', 'infra', 'red', 'ir', 'far', 'heater', 'heaters', 'heating', 'panel', 'panels',
+  'ceiling', 'wall', 'mounted', 'mount', 'patio', 'outdoor', 'indoor', 'industrial', 'electric',
+  'radiant', 'the', 'and', 'with', 'for', 'in', 'of'
+]);
+
+/**
+ * Normalise a model number or GTIN for comparison
+ * @param {string|null} value - e.g. `HS-600 XL`
+ * @returns {string|null} e.g. `HS600XL`, or null when empty
+ */
+function normaliseCode(value) {
+  const code = String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return code || null;
+}
+
+/**
+ * Reduce a product name to the words that identify the model
+ * @param {string} name - Product name
+ * @param {string|null} manufacturer - Brand name, removed from the name
+ * @returns {string} Normalised name, e.g. `herschel select xl 700w`
+ */
+function normaliseName(name, manufacturer) {
+  const brandWords = new Set(String(manufacturer || '').toLowerCase().split(/\s+/));
+  return String(name).toLowerCase()
+    .replace(/(\d)\s+(w|kw|mm|cm)\b/g, '$1$2')
+    .split(/[^a-z0-9]+/)
+    .filter(word => word && !GENERIC_WORDS.has(word) && !brandWords.has(word))
+    .join(' ');
+}
+
+/**
+ * Dice coefficient of the character bigrams of two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Similarity from 0 (nothing shared) to 1 (identical)
+ */
+function stringSimilarity(a, b) {
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+
+  const bigrams = text => {
+    const counts = new Map();
+    for (let i = 0; i < text.length - 1; i++) {
+      const bigram = text.substring(i, i + 2);
+      counts.set(bigram, (counts.get(bigram) || 0) + 1);
+    }
+    return counts;
+  };
+
+  const first = bigrams(a);
+  let shared = 0;
+  for (const [bigram, count] of bigrams(b)) {
+    shared += Math.min(count, first.get(bigram) || 0);
+  }
+  return (2 * shared) / (a.length + b.length - 2);
+}
+
+/**
+ * Check two measurements for equality within THRESHOLDS.specTolerance
+ * @param {number} a - First value
+ * @param {number} b - Second value
+ * @returns {boolean} True if they are the same measurement
+ */
+function sameMeasurement(a, b) {
+  return Math.abs(a - b) <= THRESHOLDS.specTolerance * Math.max(a, b);
+}
+
+/**
+ * Compare the measured specs of two products
+ * @param {Object} a - First product
+ * @param {Object} b - Second product
+ * @returns {Object} `{ matches, conflicts }`, the names of specs that agree and disagree
+ */
+function compareSpecs(a, b) {
+  const first = a.specifications?.measurements || {};
+  const second = b.specifications?.measurements || {};
+  const result = { matches: [], conflicts: [] };
+  const record = (spec, same) => result[same ? 'matches' : 'conflicts'].push(spec);
+
+  for (const spec of ['power', 'weight']) {
+    if (first[spec] && second[spec] && !first[spec].estimated && !second[spec].estimated) {
+      record(spec, sameMeasurement(first[spec].value, second[spec].value));
+    }
+  }
+
+  if (first.dimensions && second.dimensions) {
+    // Listings disagree on which side is the length, so compare the sorted sides
+    const sides = dimensions => [dimensions.length, dimensions.width].sort((x, y) => x - y);
+    const [a1, a2] = sides(first.dimensions);
+    const [b1, b2] = sides(second.dimensions);
+    record('dimensions', sameMeasurement(a1, b1) && sameMeasurement(a2, b2));
+  }
+
+  return result;
+}
+
+/**
+ * Get a product field unless it was generated placeholder data
+ * @param {Object} product - Product record
+ * @param {string} field - Information field (`manufacturer`, `model`, `gtin`)
+ * @returns {string|null} Value usable for matching
+ */
+function trustedInformation(product, field) {
+  const origin = product.provenance?.[field];
+  // Generated values are made up and derived models are just the name again
+  if (origin === PROVENANCE.GENERATED || (field === 'model' && origin === PROVENANCE.DERIVED)) return null;
+  return product.information?.[field] || null;
+}
+
+/**
+ * Decide whether two products are the same item
+ * @param {Object} a - First product
+ * @param {Object} b - Second product
+ * @returns {Object|null} `{ score, matchedOn }` when they are duplicates, otherwise null
+ */
+function compareProducts(a, b) {
+  if (a.sourceUrl && a.sourceUrl === b.sourceUrl) return { score: 1, matchedOn: ['url'] };
+
+  const specs = compareSpecs(a, b);
+  if (specs.conflicts.length > 0) return null;
+
+  const gtinA = normaliseCode(trustedInformation(a, 'gtin'));
+  const gtinB = normaliseCode(trustedInformation(b, 'gtin'));
+  if (gtinA && gtinB) {
+    return gtinA === gtinB ? { score: 1, matchedOn: ['gtin', ...specs.matches] } : null;
+  }
+
+  const brandA = normaliseCode(trustedInformation(a, 'manufacturer'));
+  const brandB = normaliseCode(trustedInformation(b, 'manufacturer'));
+  if (brandA && brandB && brandA !== brandB) return null;
+
+  const nameA = normaliseName(a.name, trustedInformation(a, 'manufacturer'));
+  const nameB = normaliseName(b.name, trustedInformation(b, 'manufacturer'));
+  // "Select 500W" and "Select 700W" are near-identical strings but different products
+  const numbers = name => (name.match(/\d+[a-z]*/g) || []).sort().join(' ');
+  if (numbers(nameA) && numbers(nameB) && numbers(nameA) !== numbers(nameB)) return null;
+
+  const nameScore = stringSimilarity(nameA, nameB);
+  const score = Math.round(nameScore * 100) / 100;
+
+  const modelA = normaliseCode(trustedInformation(a, 'model'));
+  const modelB = normaliseCode(trustedInformation(b, 'model'));
+  if (modelA && modelB && modelA === modelB && nameScore >= THRESHOLDS.nameWithModel) {
+    return { score, matchedOn: ['model', 'name', ...specs.matches] };
+  }
+
+  if (specs.matches.length > 0 && nameScore >= THRESHOLDS.nameWithSpecs) {
+    return { score, matchedOn: ['name', ...specs.matches] };
+  }
+
+  if (nameScore >= THRESHOLDS.nameOnly) {
+    return { score, matchedOn: ['name'] };
+  }
+
+  return null;
+}
+
+/**
+ * Find the product a new product duplicates
+ * @param {Object} product - Newly extracted product
+ * @param {Array<Object>} products - Products kept so far
+ * @returns {Object|null} `{ product, score, matchedOn }` for the best match, or null
+ */
+function findDuplicate(product, products) {
+  let best = null;
+  for (const candidate of products) {
+    if (candidate === product) continue;
+    const match = compareProducts(candidate, product);
+    if (match && (!best || match.score > best.score)) {
+      best = { product: candidate, ...match };
+    }
+  }
+  return best;
+}
+
+/**
+ * Merge a duplicate into the product it duplicates
+ * @param {Object} primary - Product kept (updated in place)
+ * @param {Object} duplicate - Product folded into it
+ * @param {Object} match - `{ score, matchedOn }` from compareProducts
+ * @returns {Object} The primary product
+ */
+function mergeDuplicate(primary, duplicate, match) {
+  primary.topics = [...new Set([...(primary.topics || []), ...(duplicate.topics || [])])];
+
+  // A duplicate may itself carry listings merged earlier (e.g. when re-merging a saved file)
+  const categoriesOf = product => product.categories || [{ name: product.category, crystallizePath: product.crystallizePath }];
+  primary.categories = categoriesOf(primary);
+  for (const category of categoriesOf(duplicate)) {
+    if (!primary.categories.some(existing => existing.crystallizePath === category.crystallizePath)) {
+      primary.categories.push(category);
+    }
+  }
+
+  // Each listing may link different accessories; keep the primary's link when both have one
+  if (primary.related || duplicate.related) {
+    const linked = new Set((primary.related || []).map(link => urlKey(link.url) || link.url));
+    primary.related = [...(primary.related || [])];
+    for (const link of duplicate.related || []) {
+      const key = urlKey(link.url) || link.url;
+      if (!linked.has(key)) {
+        linked.add(key);
+        primary.related.push(link);
+      }
+    }
+  }
+
+  primary.duplicates = [
+    ...(primary.duplicates || []),
+    {
+      name: duplicate.name,
+      sourceUrl: duplicate.sourceUrl,
+      category: duplicate.category,
+      score: match.score,
+      matchedOn: match.matchedOn
+    },
+    ...(duplicate.duplicates || [])
+  ];
+
+  // Fill media the first listing lacked
+  if (primary.media && duplicate.media) {
+    if (primary.media.images.length === 0 && duplicate.media.images.length > 0) {
+      primary.media.images = duplicate.media.images;
+      if (primary.components?.productImages) primary.components.productImages.images = duplicate.media.images;
+    }
+  }
+
+  return primary;
+}
+
+/**
+ * Merge every duplicate in a list of products
+ * @param {Array<Object>} products - Product records
+ * @returns {Object} `{ products, merged }`: the de-duplicated list and the number of products merged away
+ */
+function mergeDuplicates(products) {
+  const kept = [];
+  for (const product of products) {
+    const match = findDuplicate(product, kept);
+    if (match) {
+      mergeDuplicate(match.product, product, match);
+    } else {
+      kept.push(product);
+    }
+  }
+  return { products: kept, merged: products.length - kept.length };
+}
+
+module.exports = {
+  findDuplicate,
+  mergeDuplicate,
+  mergeDuplicates,
+  compareProducts,
+  normaliseName,
+  stringSimilarity,
+  THRESHOLDS
+};
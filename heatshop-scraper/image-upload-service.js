@@ -73,7 +73,23 @@ const IMAGE_CONFIG = {
  * Image Upload Service Class
  */
 class ImageUploadService {
-  constructor() {
+  /**
+   * @param {Object} [options] - Service options
+   * @param {boolean} [options.upload] - Upload to Crystallize and Supabase (false only validates and keeps local copies)
+   * @param {string|null} [options.localDirectory] - Directory for local copies of each image, or null for none
+   * @param {number} [options.minFileSize] - Smallest image accepted, in bytes
+   * @param {number} [options.maxFileSize] - Largest image accepted, in bytes
+   */
+  constructor({
+    upload = true,
+    localDirectory = null,
+    minFileSize = IMAGE_CONFIG.processing.minFileSize,
+    maxFileSize = IMAGE_CONFIG.processing.maxFileSize
+  } = {}) {
+    this.upload = upload;
+    this.localDirectory = localDirectory;
+    this.minFileSize = minFileSize;
+    this.maxFileSize = maxFileSize;
     this.crystallizeToken = null;
     this.supabaseClient = null;
     this.initializeServices();
@@ -165,21 +181,27 @@ class ImageUploadService {
       // Step 3: Generate file metadata
       const imageMetadata = this.generateImageMetadata(productId, productName, imageIndex, imageData);
 
-      // Step 4: Upload to primary host (Crystallize)
+      // Step 4: Keep a local copy
+      const localPath = this.localDirectory
+        ? await this.saveLocalCopy(imageData.buffer, productId, imageIndex, imageData.contentType)
+        : null;
+
+      // Step 5: Upload to primary host (Crystallize)
       let primaryUpload = null;
-      if (IMAGE_CONFIG.crystallize.enabled) {
+      if (this.upload && IMAGE_CONFIG.crystallize.enabled) {
         primaryUpload = await this.uploadToCrystallize(imageData.buffer, imageMetadata);
       }
 
-      // Step 5: Upload to backup host (Supabase)
+      // Step 6: Upload to backup host (Supabase)
       let backupUpload = null;
-      if (IMAGE_CONFIG.supabase.enabled) {
+      if (this.upload && IMAGE_CONFIG.supabase.enabled) {
         backupUpload = await this.uploadToSupabase(imageData.buffer, imageMetadata);
       }
 
-      // Step 6: Return upload results
+      // Step 7: Return upload results
       return {
         success: true,
+        localPath,
         primaryUrl: primaryUpload?.url || null,
         backupUrl: backupUpload?.url || null,
         crystallizeId: primaryUpload?.id || null,
@@ -240,12 +262,12 @@ class ImageUploadService {
   async validateImage(imageBuffer, productName) {
     try {
       // Check file size
-      if (imageBuffer.length < IMAGE_CONFIG.processing.minFileSize) {
-        return { valid: false, reason: 'Image too small' };
+      if (imageBuffer.length < this.minFileSize) {
+        return { valid: false, reason: `Image too small (${imageBuffer.length} bytes, minimum ${this.minFileSize})` };
       }
       
-      if (imageBuffer.length > IMAGE_CONFIG.processing.maxFileSize) {
-        return { valid: false, reason: 'Image too large' };
+      if (imageBuffer.length > this.maxFileSize) {
+        return { valid: false, reason: `Image too large (${imageBuffer.length} bytes, maximum ${this.maxFileSize})` };
       }
 
       // Basic image format validation (check magic bytes)
@@ -262,6 +284,22 @@ class ImageUploadService {
     }
   }
 
+  /**
+   * Write a local copy of an image, named after its product and position so a
+   * later run overwrites it instead of adding another copy
+   * @param {Buffer} imageBuffer - Image data
+   * @param {string} productId - Product identifier
+   * @param {number} imageIndex - Image index
+   * @param {string} contentType - MIME content type
+   * @returns {Promise<string>} Path of the local copy
+   */
+  async saveLocalCopy(imageBuffer, productId, imageIndex, contentType) {
+    const localPath = path.join(this.localDirectory, productId, `image-${imageIndex + 1}.${this.getFileExtension(contentType)}`);
+    await fs.mkdir(path.dirname(localPath), { recursive: true });
+    await fs.writeFile(localPath, imageBuffer);
+    return localPath;
+  }
+
   /**
    * Check image format by magic bytes
    * @param {Buffer} magicBytes - First 8 bytes of file
@@ -435,6 +473,48 @@ class ImageUploadService {
     }
   }
 
+  /**
+   * Upload a product document (datasheet, manual) to Supabase Storage
+   * @param {Buffer} fileBuffer - PDF data
+   * @param {Object} metadata - `productId`, `fileName` and `title`
+   * @returns {Promise<Object>} Upload result with public URL
+   */
+  async uploadDocument(fileBuffer, metadata) {
+    if (!IMAGE_CONFIG.supabase.enabled || !this.supabaseClient) {
+      return { success: false, error: 'Supabase storage not configured' };
+    }
+
+    try {
+      const filePath = `documents/${metadata.productId}/${metadata.fileName}`;
+
+      const { error: uploadError } = await this.supabaseClient.storage
+        .from(IMAGE_CONFIG.supabase.bucket)
+        .upload(filePath, fileBuffer, {
+          contentType: 'application/pdf',
+          upsert: true,
+          metadata: {
+            productId: metadata.productId,
+            title: metadata.title,
+          },
+        });
+
+      if (uploadError) {
+        throw new Error(`Storage upload failed: ${uploadError.message}`);
+      }
+
+      const { data: urlData } = this.supabaseClient.storage
+        .from(IMAGE_CONFIG.supabase.bucket)
+        .getPublicUrl(filePath);
+
+      console.log(`✅ Document uploaded: ${urlData.publicUrl}`);
+      return { success: true, url: urlData.publicUrl, path: filePath };
+
+    } catch (error) {
+      console.warn(`⚠️  Document upload failed: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Create image metadata using GraphQL mutation
    * @param {Object} imageData - Image metadata object
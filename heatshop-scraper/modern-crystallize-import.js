@@ -7,24 +7,53 @@
 require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
+const { selectImportable } = require('./provenance');
+const { pruneRelations } = require('./related-products');
+
+const DEFAULT_IMPORT_FILE = path.join(__dirname, 'crystallize-import.json');
+
+/**
+ * Read the import file, refusing products whose price or wattage was generated rather than scraped
+ * @param {string} importFilePath - Path to crystallize-import.json
+ * @param {boolean} [allowGenerated] - Import generated data too (--allow-generated)
+ * @returns {Array<Object>} Items safe to import (all items with --allow-generated)
+ */
+function loadImportItems(importFilePath, allowGenerated = process.argv.includes('--allow-generated')) {
+  const allItems = JSON.parse(fs.readFileSync(importFilePath, 'utf8'));
+  const { accepted, refused } = selectImportable(allItems, { allowGenerated });
+  
+  for (const item of refused) {
+    console.warn(`🚫 Refusing ${item.catalogueItem.name}: ${item.reasons.join(', ')}`);
+  }
+  if (refused.length > 0) {
+    console.warn(`⚠️  ${refused.length} items refused; pass --allow-generated to import them anyway`);
+    const removed = pruneRelations(accepted);
+    if (removed > 0) console.warn(`⚠️  Dropped ${removed} related-item links to refused items`);
+  }
+  
+  return accepted;
+}
 
 /**
  * Import products to Crystallize using individual mutations
  * This is the most reliable method for our use case
+ * @param {Object} [options] - Import options
+ * @param {string} [options.importFile] - Path to the import file
+ * @param {boolean} [options.allowGenerated] - Import generated data too
+ * @returns {Promise<Object>} `{ success, errors }` counts
+ * @throws {Error} If the import file or credentials are missing
  */
-async function importToCrediting() {
+async function importToCrediting({ importFile = DEFAULT_IMPORT_FILE, allowGenerated } = {}) {
   try {
     console.log('🚀 Starting Modern Crystallize Import Process...');
     console.log('📚 Using Crystallize PIM API for reliable imports');
     
     // Check if we have the import file
-    const importFilePath = path.join(__dirname, 'crystallize-import.json');
-    if (!fs.existsSync(importFilePath)) {
-      console.error('❌ crystallize-import.json not found. Run the scraper first.');
-      process.exit(1);
+    if (!fs.existsSync(importFile)) {
+      throw new Error(`${importFile} not found. Run the scraper first.`);
     }
     
-    const importData = JSON.parse(fs.readFileSync(importFilePath, 'utf8'));
+    const importData = loadImportItems(importFile, allowGenerated);
     console.log(`📦 Ready to import ${importData.length} items`);
     
     // Validate environment variables
@@ -36,8 +65,7 @@ async function importToCrediting() {
     
     for (const envVar of requiredEnvVars) {
       if (!process.env[envVar]) {
-        console.error(`❌ Missing required environment variable: ${envVar}`);
-        process.exit(1);
+        throw new Error(`Missing required environment variable: ${envVar}`);
       }
     }
     
@@ -48,10 +76,11 @@ async function importToCrediting() {
     
     console.log('✅ Import completed successfully!');
     console.log(`📊 Results: ${results.success} successful, ${results.errors} errors`);
+    return results;
     
   } catch (error) {
     console.error('❌ Import failed:', error.message);
-    process.exit(1);
+    throw error;
   }
 }
 
@@ -140,11 +169,13 @@ async function importWithGraphQL(importData) {
 
 /**
  * Alternative: Create a spec file compatible with the new CLI
+ * @param {Object} [options] - Same as importToCrediting
+ * @returns {Promise<number>} Number of items written to modern-spec.json
  */
-async function createModernSpecFile() {
+async function createModernSpecFile({ importFile = 'crystallize-import.json', allowGenerated } = {}) {
   console.log('📝 Creating modern spec file for new CLI...');
   
-  const importData = JSON.parse(fs.readFileSync('crystallize-import.json', 'utf8'));
+  const importData = loadImportItems(importFile, allowGenerated);
   
   const specFile = {
     meta: {
@@ -167,17 +198,13 @@ async function createModernSpecFile() {
   console.log('\n📋 To use with new CLI:');
   console.log('1. Install new CLI: curl -LSs https://crystallizeapi.github.io/cli/install.bash | bash');
   console.log('2. Run import: ~/crystallize mass-operation run norko modern-spec.json');
+  return specFile.items.length;
 }
 
-// Run the import
+// Running this file directly is the same as `node cli.js import`
 if (require.main === module) {
-  const args = process.argv.slice(2);
-  
-  if (args.includes('--spec-only')) {
-    createModernSpecFile();
-  } else {
-    importToCrediting();
-  }
+  const { runCli } = require('./cli');
+  runCli(['import', ...process.argv.slice(2)]).then(code => { process.exitCode = code; });
 }
 
 module.exports = { importToCrediting, createModernSpecFile };
@@ -0,0 +1,226 @@
+/**
+ * Currency and VAT-Aware Price Parsing
+ *
+ * Reads the prices shown in a product's price block rather than the first
+ * number on the page:
+ * - Currency from symbols (£, €, $, CHF, zł...) or ISO codes next to the amount
+ * - Thousands and decimal separators in either convention (1,299.00 / 1.299,00 / 1 299,00)
+ * - "inc VAT" / "ex VAT" labels, so both net and gross prices are known
+ * - Was/RRP and struck-through prices as the compare-at price of a sale
+ *
+ * The storefront shows the `default` price variant as the regular price and
+ * `sales` as the discounted price; `buildPriceVariants` maps onto those.
+ *
+ * @author Norko Development Team
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+const { parsePriceValue } = require('./structured-data');
+
+// Longest symbols first so "US$" is not read as "$"
+const CURRENCY_SYMBOLS = [
+  ['US$', 'USD'], ['CA$', 'CAD'], ['AU$', 'AUD'], ['NZ$', 'NZD'], ['C$', 'CAD'], ['A$', 'AUD'],
+  ['£', 'GBP'], ['€', 'EUR'], ['$', 'USD'], ['¥', 'JPY'], ['zł', 'PLN'], ['Fr.', 'CHF']
+];
+
+const CURRENCY_CODES = ['GBP', 'EUR', 'USD', 'CAD', 'AUD', 'NZD', 'CHF', 'SEK', 'NOK', 'DKK', 'PLN', 'CZK', 'JPY'];
+
+const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const CURRENCY = `(${[...CURRENCY_SYMBOLS.map(([symbol]) => escape(symbol)), ...CURRENCY_CODES.map(code => `\\b${code}\\b`)].join('|')})`;
+// Non-breaking spaces group thousands (1 299,00); ordinary spaces separate numbers
+const AMOUNT = '(\\d{1,3}(?:[,.\'’\\u00a0\\u202f]\\d{3})+(?:[.,]\\d{1,2})?|\\d+(?:[.,]\\d{1,2})?)';
+const PRICE_TOKEN = new RegExp(`${CURRENCY}\\s*${AMOUNT}|${AMOUNT}\\s*${CURRENCY}`, 'gi');
+
+const LABELS = {
+  was: /\b(was|rrp|list price|regular price|original(?:ly)?|before|previously|old price)\b|⟦was⟧/i,
+  // A saving label sits right against its amount: "Save £50", "You save: £50", "£50 off"
+  savingBefore: /\b(?:save|saving|you save|discount)\s*:?\s*(?:up to\s*)?$/i,
+  savingAfter: /^\s*off\b/i,
+  ex: /(?:\b(?:ex\.?|excl?\.?|excluding|plus)|\+)\s*(?:vat|tax)\b|\bnet\b/i,
+  inc: /\b(?:inc\.?|incl?\.?|including)\s*(?:vat|tax)\b|\bgross\b/i
+};
+
+// Struck-through and "old price" elements are labelled before reading the text
+const WAS_PRICE_SELECTORS = 'del, s, strike, .old-price, .was-price, .price-was, .rrp, [class*="regular-price"], [data-price-type="oldPrice"]';
+
+/**
+ * Map a currency symbol or code to its ISO code
+ * @param {string} marker - e.g. `£`, `US$` or `eur`
+ * @returns {string|null} ISO 4217 code
+ */
+function currencyFromMarker(marker) {
+  if (!marker) return null;
+  const code = marker.toUpperCase();
+  if (CURRENCY_CODES.includes(code)) return code;
+  return CURRENCY_SYMBOLS.find(([symbol]) => symbol.toLowerCase() === marker.toLowerCase())?.[1] || null;
+}
+
+/**
+ * Find every price in a piece of text with its currency and labels
+ * @param {string} text - e.g. `Was £399.00 Now £299.00 inc VAT (£249.17 ex VAT)`
+ * @returns {Array<Object>} `{ amount, currency, role: 'current'|'was'|'saving', vat: 'inc'|'ex'|null, text }`
+ */
+function findPriceTokens(text) {
+  const source = String(text).replace(/[ \t\r\n]+/g, ' ');
+  const matches = [...source.matchAll(PRICE_TOKEN)];
+
+  return matches.map((match, index) => {
+    const start = match.index;
+    const end = start + match[0].length;
+    // Labels belong to the text between this price and its neighbours
+    const before = source.slice(index > 0 ? matches[index - 1].index + matches[index - 1][0].length : 0, start).slice(-30);
+    const after = source.slice(end, index < matches.length - 1 ? matches[index + 1].index : source.length).slice(0, 25);
+
+    let role = 'current';
+    // A label on a percentage badge ("20% discount £199") belongs to the percentage, not the price
+    const savingLabel = LABELS.savingBefore.exec(before);
+    const percentLabel = savingLabel && /\d\s*%\s*$/.test(before.slice(0, savingLabel.index));
+    if ((savingLabel && !percentLabel) || LABELS.savingAfter.test(after)) {
+      role = 'saving';
+    } else if (LABELS.was.test(before)) {
+      role = 'was';
+    }
+
+    let vat = null;
+    if (LABELS.inc.test(after)) vat = 'inc';
+    else if (LABELS.ex.test(after)) vat = 'ex';
+    else if (LABELS.inc.test(before)) vat = 'inc';
+    else if (LABELS.ex.test(before)) vat = 'ex';
+
+    return {
+      amount: parsePriceValue((match[2] || match[3]).replace(/\s/g, '')),
+      currency: currencyFromMarker(match[1] || match[4]),
+      role,
+      vat,
+      text: match[0].trim()
+    };
+  }).filter(token => token.amount !== null);
+}
+
+/**
+ * Calculate net and gross from a price and whether it includes VAT
+ * @param {number} amount - Price
+ * @param {boolean} includesVat - True if `amount` is the gross price
+ * @param {number|null} vatRate - e.g. 0.2 for 20% (null when unknown)
+ * @returns {Object} `{ net, gross }` (the side that cannot be calculated is null)
+ */
+function splitVat(amount, includesVat, vatRate) {
+  const round = value => Math.round(value * 100) / 100;
+  if (includesVat) {
+    return { net: vatRate === null ? null : round(amount / (1 + vatRate)), gross: amount };
+  }
+  return { net: amount, gross: vatRate === null ? null : round(amount * (1 + vatRate)) };
+}
+
+/**
+ * Work out the current price, its VAT basis and the compare-at price from price tokens
+ * @param {Array<Object>} tokens - Tokens from findPriceTokens
+ * @param {Object} options - `currency` (default), `vatRate`, `pricesIncludeVat` (basis of unlabelled prices)
+ * @returns {Object|null} `{ price, currency, includesVat, net, gross, compareAtPrice, vatLabelled }` or null
+ */
+function interpretPrices(tokens, { currency = null, vatRate = null, pricesIncludeVat = true } = {}) {
+  const current = tokens.filter(token => token.role === 'current');
+  if (current.length === 0) return null;
+
+  const inc = current.find(token => token.vat === 'inc');
+  const ex = current.find(token => token.vat === 'ex');
+  const primary = inc || ex || current[0];
+  const includesVat = primary.vat ? primary.vat === 'inc' : pricesIncludeVat;
+
+  let { net, gross } = splitVat(primary.amount, includesVat, vatRate);
+  // Prices shown both ways are read, not calculated
+  if (inc) gross = inc.amount;
+  if (ex) net = ex.amount;
+
+  const was = tokens.find(token => token.role === 'was');
+  let compareAtPrice = null;
+  if (was) {
+    const wasIncludesVat = was.vat ? was.vat === 'inc' : includesVat;
+    const wasSplit = splitVat(was.amount, wasIncludesVat, vatRate);
+    const wasPrice = includesVat ? wasSplit.gross : wasSplit.net;
+    if (wasPrice !== null && wasPrice > primary.amount) compareAtPrice = wasPrice;
+  }
+
+  return {
+    price: primary.amount,
+    currency: primary.currency || tokens.find(token => token.currency)?.currency || currency,
+    includesVat,
+    net,
+    gross,
+    compareAtPrice,
+    vatLabelled: Boolean(inc || ex)
+  };
+}
+
+/**
+ * Read the price block of a product page
+ * @param {Object} $ - Cheerio object
+ * @param {Object} options - `selectors` (price elements), `containerSelectors` (price blocks),
+ *   plus the defaults for interpretPrices
+ * @returns {Object|null} Interpreted prices (see interpretPrices) or null if no price was found
+ */
+function extractPagePricing($, { selectors = [], containerSelectors = [], ...options } = {}) {
+  // A price element is read with its parent, where VAT labels and was-prices sit beside it
+  const blocks = [];
+  for (const selector of containerSelectors) {
+    $(selector).each((i, element) => { blocks.push({ block: element, priceElement: null }); });
+  }
+  for (const selector of selectors) {
+    const element = $(selector).first();
+    if (element.length) blocks.push({ block: element.parent().get(0) || element.get(0), priceElement: element.get(0) });
+  }
+
+  for (const { block, priceElement } of blocks) {
+    // Label struck-through prices in a copy so the page itself is left untouched
+    const copy = $(block).clone();
+    copy.find(WAS_PRICE_SELECTORS).each((i, element) => {
+      $(element).prepend(' ⟦was⟧ ');
+    });
+    copy.find('script, style').remove();
+
+    const text = copy.text();
+    let tokens = findPriceTokens(text);
+    // A bare number is only trusted when the block carries no currency at all, and
+    // is read from the price element itself: its parent may hold "2kW" in a title
+    if (tokens.length === 0) {
+      const bare = (priceElement ? $(priceElement).text() : text).match(/\d+(?:[.,]\d{1,2})?/);
+      if (!bare) continue;
+      const vat = LABELS.inc.test(text) ? 'inc' : LABELS.ex.test(text) ? 'ex' : null;
+      tokens = [{ amount: parsePriceValue(bare[0]), currency: null, role: 'current', vat, text: bare[0] }];
+    }
+
+    const pricing = interpretPrices(tokens, options);
+    if (pricing) return pricing;
+  }
+
+  return null;
+}
+
+/**
+ * Build the price variants the storefront reads: `default` is the regular price,
+ * `sales` the discounted price when the product is on sale
+ * @param {number} price - Current selling price
+ * @param {number|null} compareAtPrice - Regular price before the sale
+ * @param {string} currency - ISO currency code
+ * @returns {Array<Object>} `[{ identifier, price, currency }]`
+ */
+function buildPriceVariants(price, compareAtPrice, currency) {
+  if (compareAtPrice && compareAtPrice > price) {
+    return [
+      { identifier: 'default', price: compareAtPrice, currency },
+      { identifier: 'sales', price, currency }
+    ];
+  }
+  return [{ identifier: 'default', price, currency }];
+}
+
+module.exports = {
+  findPriceTokens,
+  interpretPrices,
+  extractPagePricing,
+  splitVat,
+  buildPriceVariants,
+  currencyFromMarker,
+  CURRENCY_CODES
+};
@@ -0,0 +1,710 @@
+/**
+ * Product Record Schema and Data-Quality Report
+ *
+ * Formal schema for the product records emitted by
+ * `HeatShopScraper.extractProductDetails`, written in a JSON Schema subset
+ * (type, required, properties, additionalProperties, items, enum, pattern,
+ * format, min/max) and
+ * checked by a small built-in validator so no extra dependency is needed.
+ *
+ * Every record is validated when the scraper saves its output; the quality
+ * report lists each violation per product so CI can fail a malformed run:
+ *
+ *   node product-schema.js crystallize-products.json [data-quality-report.json]
+ *
+ * exits with status 1 when any product violates the schema.
+ *
+ * @author Norko Development Team
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+const fs = require('fs').promises;
+const { PROVENANCE } = require('./provenance');
+const { RELATIONS } = require('./related-products');
+
+const SCHEMA_VERSION = 1;
+
+const nullable = schema => ({ ...schema, type: [schema.type, 'null'] });
+
+const quantity = unit => nullable({
+  type: 'object',
+  required: ['value', 'unit'],
+  properties: {
+    value: { type: 'number', minimum: 0 },
+    unit: { type: 'string', enum: [unit] },
+    text: { type: ['string', 'null'] },
+    estimated: { type: 'boolean' }
+  }
+});
+
+const dimensions = nullable({
+  type: 'object',
+  required: ['length', 'width', 'unit'],
+  properties: {
+    length: { type: 'number', exclusiveMinimum: 0 },
+    width: { type: 'number', exclusiveMinimum: 0 },
+    depth: { type: ['number', 'null'], exclusiveMinimum: 0 },
+    unit: { type: 'string', enum: ['mm'] },
+    text: { type: 'string' }
+  }
+});
+
+const richText = {
+  type: 'object',
+  required: ['type', 'content'],
+  properties: {
+    type: { type: 'string', enum: ['richText'] },
+    content: {
+      type: 'object',
+      required: ['html', 'plainText'],
+      properties: {
+        html: { type: 'string' },
+        plainText: { type: 'string' }
+      }
+    }
+  }
+};
+
+const image = {
+  type: 'object',
+  required: ['url', 'altText'],
+  properties: {
+    url: { type: 'string', format: 'uri' },
+    altText: { type: 'string', minLength: 1 },
+    originalUrl: { type: 'string', format: 'uri' },
+    isCloudHosted: { type: 'boolean' }
+  }
+};
+
+const download = {
+  type: 'object',
+  required: ['title', 'files'],
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    files: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['title', 'url'],
+        properties: {
+          title: { type: 'string' },
+          url: { type: 'string', format: 'uri' }
+        }
+      }
+    }
+  }
+};
+
+const review = {
+  type: 'object',
+  required: ['author', 'date', 'rating', 'title', 'text'],
+  properties: {
+    author: { type: ['string', 'null'] },
+    date: { type: ['string', 'null'], pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+    rating: { type: ['number', 'null'], minimum: 0 },
+    title: { type: ['string', 'null'] },
+    text: { type: ['string', 'null'] }
+  }
+};
+
+const classified = {
+  type: 'object',
+  required: ['name', 'path', 'confidence', 'reasons'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    path: { type: 'string', pattern: '^/' },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    reasons: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+const price = { type: 'number', exclusiveMinimum: 0, maximum: 100000 };
+
+const currency = { type: 'string', pattern: '^[A-Z]{3}$' };
+
+/**
+ * Schema for one product record
+ */
+const PRODUCT_SCHEMA = {
+  type: 'object',
+  required: [
+    'id', 'name', 'path', 'shape', 'category', 'crystallizePath', 'source', 'sourceUrl', 'extractedAt',
+    'pricing', 'specifications', 'information', 'provenance', 'media', 'components', 'variants', 'topics', 'seo'
+  ],
+  properties: {
+    id: { type: 'string', pattern: '^[a-z0-9]+(-[a-z0-9]+)*$', maxLength: 50 },
+    name: { type: 'string', minLength: 3, maxLength: 200 },
+    path: { type: 'string', pattern: '^/' },
+    shape: { type: 'string', minLength: 1 },
+    category: { type: 'string', minLength: 1 },
+    categoryDescription: { type: 'string' },
+    crystallizePath: { type: 'string', pattern: '^/' },
+    source: { type: 'string', minLength: 1 },
+    sourceUrl: { type: 'string', format: 'uri' },
+    extractedAt: { type: 'string', format: 'date-time' },
+
+    pricing: {
+      type: 'object',
+      required: ['basePrice', 'currency', 'net', 'gross', 'vatRate', 'vatIncluded', 'compareAtPrice', 'onSale', 'priceRange'],
+      properties: {
+        basePrice: price,
+        currency,
+        net: { ...price, type: ['number', 'null'] },
+        gross: { ...price, type: ['number', 'null'] },
+        vatRate: { type: ['number', 'null'], minimum: 0, maximum: 1 },
+        compareAtPrice: { ...price, type: ['number', 'null'] },
+        onSale: { type: 'boolean' },
+        displayed: {
+          type: 'object',
+          required: ['price', 'includesVat'],
+          properties: {
+            price,
+            includesVat: { type: 'boolean' }
+          }
+        },
+        priceRange: {
+          type: 'object',
+          required: ['min', 'max', 'base'],
+          properties: {
+            min: { type: 'number', minimum: 0 },
+            max: { type: 'number', minimum: 0 },
+            base: { type: 'number', minimum: 0 }
+          }
+        },
+        vatIncluded: { type: 'boolean' }
+      }
+    },
+
+    specifications: {
+      type: 'object',
+      required: ['basic', 'measurements', 'technical', 'powerCategory', 'efficiency', 'coverage'],
+      properties: {
+        basic: {
+          type: 'object',
+          required: ['wattage', 'dimensions', 'weight', 'coverage'],
+          properties: {
+            wattage: { type: ['number', 'null'], exclusiveMinimum: 0, maximum: 20000 },
+            dimensions: { type: ['string', 'null'] },
+            weight: { type: ['number', 'null'], exclusiveMinimum: 0, maximum: 500 },
+            coverage: { type: ['string', 'null'] },
+            mounting: { type: ['string', 'null'] },
+            voltage: { type: ['string', 'null'] },
+            ip_rating: { type: ['string', 'null'], pattern: '^IP[0-6X][0-9X]$' }
+          }
+        },
+        measurements: {
+          type: 'object',
+          required: ['power', 'dimensions', 'weight', 'coverage', 'ipRating'],
+          properties: {
+            power: quantity('W'),
+            dimensions,
+            weight: quantity('kg'),
+            coverage: quantity('m²'),
+            ipRating: nullable({
+              type: 'object',
+              required: ['value'],
+              properties: { value: { type: 'string', pattern: '^IP[0-6X][0-9X]$' } }
+            })
+          }
+        },
+        technical: { type: 'object' },
+        powerCategory: { type: 'string' },
+        efficiency: { type: 'string' },
+        coverage: { type: ['string', 'null'] }
+      }
+    },
+
+    information: {
+      type: 'object',
+      required: ['description', 'features', 'warranty', 'availability', 'manufacturer', 'model'],
+      properties: {
+        description: { type: ['string', 'null'], minLength: 1 },
+        features: { type: ['string', 'null'] },
+        warranty: { type: ['string', 'null'] },
+        availability: { type: ['string', 'null'], minLength: 1 },
+        manufacturer: { type: ['string', 'null'] },
+        model: { type: ['string', 'null'] },
+        gtin: { type: ['string', 'null'], pattern: '^\\d{8,14}$' },
+        sku: { type: ['string', 'null'] }
+      }
+    },
+
+    fieldSources: { type: 'object' },
+
+    provenance: {
+      type: 'object',
+      required: ['name', 'price', 'wattage', 'variants'],
+      additionalProperties: { type: 'string', enum: Object.values(PROVENANCE) }
+    },
+
+    media: {
+      type: 'object',
+      required: ['images', 'hasDatasheet', 'hasManual'],
+      properties: {
+        images: { type: 'array', items: image },
+        hasDatasheet: { type: 'boolean' },
+        hasManual: { type: 'boolean' },
+        documents: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['title', 'type', 'url', 'originalUrl'],
+            properties: {
+              title: { type: 'string' },
+              type: { type: 'string', enum: ['datasheet', 'manual', 'document'] },
+              url: { type: 'string', format: 'uri' },
+              originalUrl: { type: 'string', format: 'uri' },
+              localPath: { type: ['string', 'null'] },
+              storage: { type: ['string', 'null'], enum: ['local', 'supabase', null] },
+              pages: { type: ['integer', 'null'], minimum: 0 },
+              specifications: { type: 'object', additionalProperties: { type: 'string' } }
+            }
+          }
+        }
+      }
+    },
+
+    downloads: { type: 'array', items: download },
+
+    rating: nullable({
+      type: 'object',
+      required: ['average', 'count', 'reviewCount', 'best'],
+      properties: {
+        average: { type: 'number', minimum: 0 },
+        count: { type: ['integer', 'null'], minimum: 0 },
+        reviewCount: { type: 'integer', minimum: 0 },
+        best: { type: 'number', exclusiveMinimum: 0 },
+        derived: { type: 'boolean' }
+      }
+    }),
+
+    reviews: { type: 'array', items: review },
+
+    related: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['url', 'relation', 'id', 'path'],
+        properties: {
+          url: { type: 'string', format: 'uri' },
+          relation: { type: 'string', enum: RELATIONS },
+          title: { type: ['string', 'null'] },
+          id: { type: ['string', 'null'] },
+          path: { type: ['string', 'null'], pattern: '^/' }
+        }
+      }
+    },
+
+    classification: {
+      type: 'object',
+      required: ['categories', 'topics', 'best', 'sourceCategories', 'disagrees'],
+      properties: {
+        categories: { type: 'array', items: classified },
+        topics: { type: 'array', items: classified },
+        best: nullable(classified),
+        sourceCategories: { type: 'array', items: { type: 'string', pattern: '^/' } },
+        disagrees: { type: 'boolean' }
+      }
+    },
+
+    components: {
+      type: 'object',
+      required: ['description', 'specifications', 'features', 'technicalSpecs', 'productImages', 'warranty'],
+      properties: {
+        description: richText,
+        specifications: {
+          type: 'object',
+          required: ['type', 'chunks'],
+          properties: {
+            type: { type: 'string', enum: ['contentChunk'] },
+            chunks: { type: 'array', minItems: 1, items: { type: 'object' } }
+          }
+        },
+        features: richText,
+        technicalSpecs: {
+          type: 'object',
+          required: ['type', 'chunks'],
+          properties: {
+            type: { type: 'string', enum: ['contentChunk'] },
+            chunks: { type: 'array', items: { type: 'object' } }
+          }
+        },
+        productImages: {
+          type: 'object',
+          required: ['type', 'images'],
+          properties: {
+            type: { type: 'string', enum: ['images'] },
+            images: { type: 'array', items: image }
+          }
+        },
+        warranty: {
+          type: 'object',
+          required: ['type', 'text'],
+          properties: {
+            type: { type: 'string', enum: ['singleLine'] },
+            text: { type: ['string', 'null'] }
+          }
+        },
+        downloads: {
+          type: 'object',
+          required: ['type', 'chunks'],
+          properties: {
+            type: { type: 'string', enum: ['contentChunk'] },
+            chunks: { type: 'array', items: download }
+          }
+        },
+        rating: {
+          type: 'object',
+          required: ['type', 'chunks'],
+          properties: {
+            type: { type: 'string', enum: ['contentChunk'] },
+            chunks: { type: 'array', maxItems: 1, items: { type: 'object' } }
+          }
+        },
+        reviews: {
+          type: 'object',
+          required: ['type', 'chunks'],
+          properties: {
+            type: { type: 'string', enum: ['contentChunk'] },
+            chunks: { type: 'array', items: review }
+          }
+        },
+        'related-items': {
+          type: 'object',
+          required: ['type', 'items'],
+          properties: {
+            type: { type: 'string', enum: ['itemRelations'] },
+            items: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['path'],
+                properties: { path: { type: 'string', pattern: '^/' } }
+              }
+            }
+          }
+        }
+      }
+    },
+
+    variants: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['name', 'sku', 'price', 'priceVariants', 'attributes', 'stock', 'isDefault'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          sku: { type: 'string', minLength: 1 },
+          supplierSku: { type: ['string', 'null'] },
+          price,
+          priceVariants: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'object',
+              required: ['identifier', 'price', 'currency'],
+              properties: {
+                // The storefront reads `default` as the regular price and `sales` as the discounted one
+                identifier: { type: 'string', enum: ['default', 'sales'] },
+                price,
+                currency
+              }
+            }
+          },
+          attributes: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['attribute', 'value'],
+              properties: {
+                attribute: { type: 'string', minLength: 1 },
+                value: { type: 'string' }
+              }
+            }
+          },
+          measurements: { type: 'object' },
+          images: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['url'],
+              properties: { url: { type: ['string', 'null'] } }
+            }
+          },
+          stock: { type: ['integer', 'null'], minimum: 0 },
+          isDefault: { type: 'boolean' },
+          provenance: {
+            type: 'object',
+            additionalProperties: { type: 'string', enum: Object.values(PROVENANCE) }
+          },
+          variantSource: { type: 'string', enum: ['json-ld', 'woocommerce', 'shopify', 'magento', 'options'] }
+        }
+      }
+    },
+
+    topics: { type: 'array', items: { type: 'string', pattern: '^/' } },
+
+    // Every category the product is listed in, when duplicates were merged into it
+    categories: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['name', 'crystallizePath'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          crystallizePath: { type: 'string', pattern: '^/' }
+        }
+      }
+    },
+
+    duplicates: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['sourceUrl', 'category', 'score', 'matchedOn'],
+        properties: {
+          name: { type: 'string' },
+          sourceUrl: { type: 'string', format: 'uri' },
+          category: { type: 'string', minLength: 1 },
+          score: { type: 'number', minimum: 0, maximum: 1 },
+          matchedOn: {
+            type: 'array',
+            minItems: 1,
+            items: { type: 'string', enum: ['url', 'gtin', 'model', 'name', 'power', 'weight', 'dimensions'] }
+          }
+        }
+      }
+    },
+
+    seo: {
+      type: 'object',
+      required: ['title', 'description', 'keywords'],
+      properties: {
+        title: { type: 'string', minLength: 1 },
+        description: { type: 'string', minLength: 1 },
+        keywords: { type: 'array', minItems: 1, items: { type: 'string' } }
+      }
+    }
+  }
+};
+
+/**
+ * Get the JSON type name of a value
+ * @param {*} value - Any value
+ * @returns {string} `null`, `array`, `integer`, `number`, `string`, `boolean` or `object`
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Check a string against a format keyword
+ * @param {string} value - String value
+ * @param {string} format - `uri` or `date-time`
+ * @returns {boolean} True if the value matches
+ */
+function matchesFormat(value, format) {
+  if (format === 'uri') return /^https?:\/\/[^\s/$.?#][^\s]*$/i.test(value);
+  if (format === 'date-time') return /^\d{4}-\d{2}-\d{2}T/.test(value) && !Number.isNaN(Date.parse(value));
+  return true;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema (JSON Schema subset)
+ * @param {string} [path] - Path of the value, for messages
+ * @returns {Array<Object>} Violations as `{ path, rule, message }`
+ */
+function validate(value, schema, path = '') {
+  const violations = [];
+  const fail = (rule, message) => violations.push({ path: path || '(root)', rule, message });
+
+  const allowed = [].concat(schema.type || []);
+  const actual = typeOf(value);
+  if (value === undefined) {
+    fail('type', 'is missing');
+    return violations;
+  }
+  if (allowed.length > 0 && !allowed.includes(actual) && !(actual === 'integer' && allowed.includes('number'))) {
+    fail('type', `expected ${allowed.join(' or ')}, got ${actual}`);
+    return violations;
+  }
+  if (value === null) return violations;
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail('enum', `must be one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail('minLength', `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail('maxLength', `must be at most ${schema.maxLength} characters, got ${value.length}`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail('pattern', `must match ${schema.pattern}, got ${JSON.stringify(value)}`);
+    }
+    if (schema.format && !matchesFormat(value, schema.format)) {
+      fail('format', `must be a valid ${schema.format}, got ${JSON.stringify(value)}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) fail('type', 'must be a finite number');
+    if (schema.minimum !== undefined && value < schema.minimum) fail('minimum', `must be >= ${schema.minimum}, got ${value}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail('exclusiveMinimum', `must be > ${schema.exclusiveMinimum}, got ${value}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail('maximum', `must be <= ${schema.maximum}, got ${value}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail('minItems', `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail('maxItems', `must have at most ${schema.maxItems} item${schema.maxItems === 1 ? '' : 's'}, got ${value.length}`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => violations.push(...validate(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+
+  if (actual === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        violations.push({ path: path ? `${path}.${key}` : key, rule: 'required', message: 'is required' });
+      }
+    }
+    for (const [key, propertyValue] of Object.entries(value)) {
+      const propertySchema = schema.properties?.[key] || schema.additionalProperties;
+      if (propertySchema && propertyValue !== undefined) {
+        violations.push(...validate(propertyValue, propertySchema, path ? `${path}.${key}` : key));
+      }
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Validate one product record
+ * @param {Object} product - Product record
+ * @returns {Array<Object>} Violations (empty when valid)
+ */
+function validateProduct(product) {
+  const violations = validate(product, PRODUCT_SCHEMA);
+
+  // Cross-field rules the schema subset cannot express
+  if (product?.pricing?.priceRange && product.pricing.priceRange.min > product.pricing.priceRange.max) {
+    violations.push({ path: 'pricing.priceRange', rule: 'range', message: 'min must not exceed max' });
+  }
+  const pricing = product?.pricing;
+  if (pricing && pricing.compareAtPrice !== null && pricing.compareAtPrice !== undefined
+    && pricing.compareAtPrice <= pricing.basePrice) {
+    violations.push({ path: 'pricing.compareAtPrice', rule: 'compareAt', message: 'compare-at price must exceed the base price' });
+  }
+  if (pricing && typeof pricing.net === 'number' && typeof pricing.gross === 'number' && pricing.net > pricing.gross) {
+    violations.push({ path: 'pricing.net', rule: 'vat', message: 'net price must not exceed gross price' });
+  }
+  if (Array.isArray(product?.variants) && product.variants.length > 0
+    && product.variants.filter(variant => variant.isDefault).length !== 1) {
+    violations.push({ path: 'variants', rule: 'defaultVariant', message: 'exactly one variant must be the default' });
+  }
+
+  return violations;
+}
+
+/**
+ * Build a machine-readable data-quality report for a set of products
+ * @param {Array<Object>} products - Product records
+ * @returns {Object} Report with totals, violation counts per path and per-product results
+ */
+function buildQualityReport(products) {
+  const results = products.map((product, index) => {
+    const violations = validateProduct(product);
+    return {
+      index,
+      id: product?.id ?? null,
+      name: product?.name ?? null,
+      sourceUrl: product?.sourceUrl ?? null,
+      valid: violations.length === 0,
+      violations
+    };
+  });
+
+  const violationsByPath = {};
+  for (const result of results) {
+    for (const violation of result.violations) {
+      // Count array items together: variants[2].price -> variants[].price
+      const key = `${violation.path.replace(/\[\d+\]/g, '[]')} (${violation.rule})`;
+      violationsByPath[key] = (violationsByPath[key] || 0) + 1;
+    }
+  }
+
+  const invalid = results.filter(result => !result.valid);
+  return {
+    generatedAt: new Date().toISOString(),
+    schemaVersion: SCHEMA_VERSION,
+    summary: {
+      totalProducts: results.length,
+      validProducts: results.length - invalid.length,
+      invalidProducts: invalid.length,
+      totalViolations: results.reduce((sum, result) => sum + result.violations.length, 0)
+    },
+    violationsByPath,
+    products: invalid
+  };
+}
+
+/**
+ * Validate a saved product file and write the quality report
+ * @param {string} inputFile - Scraper output (`{ products }`) or a bare array of products
+ * @param {string} [reportFile] - Where to write the report
+ * @returns {Promise<Object>} The report
+ */
+async function writeQualityReport(inputFile, reportFile) {
+  const data = JSON.parse(await fs.readFile(inputFile, 'utf8'));
+  const products = Array.isArray(data) ? data : data.products || [];
+  const report = buildQualityReport(products);
+
+  if (reportFile) {
+    await fs.writeFile(reportFile, JSON.stringify(report, null, 2));
+  }
+  return report;
+}
+
+// Validate a saved output file from the command line
+if (require.main === module) {
+  const [inputFile = 'crystallize-products.json', reportFile = 'data-quality-report.json'] = process.argv.slice(2);
+
+  (async () => {
+    const report = await writeQualityReport(inputFile, reportFile);
+    const { summary } = report;
+    console.log(`🧪 Schema validation of ${inputFile}: ${summary.validProducts}/${summary.totalProducts} products valid, ${summary.totalViolations} violations`);
+    for (const [key, count] of Object.entries(report.violationsByPath).sort((a, b) => b[1] - a[1])) {
+      console.log(`   ❌ ${key}: ${count}`);
+    }
+    console.log(`📋 Saved quality report to ${reportFile}`);
+    process.exit(summary.invalidProducts > 0 ? 1 : 0);
+  })().catch(error => {
+    console.error(`❌ Could not validate ${inputFile}: ${error.message}`);
+    process.exit(2);
+  });
+}
+
+module.exports = {
+  PRODUCT_SCHEMA,
+  SCHEMA_VERSION,
+  validate,
+  validateProduct,
+  buildQualityReport,
+  writeQualityReport
+};
@@ -0,0 +1,129 @@
+/**
+ * Field Provenance for Scraped Products
+ *
+ * Records where every product field value came from, so that generated
+ * placeholder data can never pass for real supplier data:
+ * - scraped:   read from the product page (structured data or heuristics)
+ * - derived:   calculated from scraped values or assumed (e.g. coverage from wattage, GBP)
+ * - generated: invented by a fallback generator (only when enabled for that field)
+ * - manual:    set by hand in the overrides file
+ * - missing:   not available and not generated
+ *
+ * The import scripts use `selectImportable` to refuse products whose
+ * critical fields (price, wattage, variants) were generated or are of unknown origin.
+ *
+ * @author Norko Development Team
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+const fs = require('fs').promises;
+
+const PROVENANCE = {
+  SCRAPED: 'scraped',
+  DERIVED: 'derived',
+  GENERATED: 'generated',
+  MANUAL: 'manual',
+  MISSING: 'missing'
+};
+
+/**
+ * Fields that may be filled by a fallback generator when enabled in CONFIG.generateFallbackFields
+ */
+const GENERATABLE_FIELDS = [
+  'price', 'wattage', 'dimensions', 'weight', 'stock',
+  'description', 'features', 'warranty', 'availability', 'manufacturer', 'variants'
+];
+
+/**
+ * Fields the import refuses to publish unless they are scraped, derived or manual
+ */
+const CRITICAL_FIELDS = ['price', 'wattage', 'variants'];
+
+/**
+ * Map an extractor source label (see `fieldSources`) to a provenance value
+ * @param {string} source - `json-ld`, `microdata`, `opengraph`, `heuristic` or `default`
+ * @returns {string} Provenance value
+ */
+function provenanceFromSource(source) {
+  return source === 'default' ? PROVENANCE.DERIVED : PROVENANCE.SCRAPED;
+}
+
+/**
+ * List the critical fields of a product that cannot be trusted
+ * @param {Object} provenance - Product provenance map
+ * @param {Array<string>} [fields] - Fields to check
+ * @returns {Array<Object>} `{ field, provenance }` for each generated or unknown field
+ */
+function findUntrustedFields(provenance, fields = CRITICAL_FIELDS) {
+  return fields
+    .map(field => ({ field, provenance: provenance?.[field] || 'unknown' }))
+    .filter(({ provenance: origin }) => origin === PROVENANCE.GENERATED || origin === 'unknown');
+}
+
+/**
+ * Split import items into those safe to publish and those refused for fabricated data
+ * @param {Array<Object>} items - Import items with `catalogueItem` and `provenance`
+ * @param {Object} [options] - `allowGenerated` to import everything, `fields` to check
+ * @returns {Object} `{ accepted, refused }` where refused items carry `reasons`
+ */
+function selectImportable(items, { allowGenerated = false, fields = CRITICAL_FIELDS } = {}) {
+  if (allowGenerated) return { accepted: items, refused: [] };
+
+  const accepted = [];
+  const refused = [];
+  for (const item of items) {
+    const untrusted = findUntrustedFields(item.provenance, fields);
+    if (untrusted.length === 0) {
+      accepted.push(item);
+    } else {
+      refused.push({
+        ...item,
+        reasons: untrusted.map(({ field, provenance }) => `${field} is ${provenance}`)
+      });
+    }
+  }
+  return { accepted, refused };
+}
+
+/**
+ * Count provenance values per field across products
+ * @param {Array<Object>} products - Product records
+ * @returns {Object} e.g. `{ price: { scraped: 90, manual: 2 }, wattage: { scraped: 70, missing: 22 } }`
+ */
+function summariseProvenance(products) {
+  const summary = {};
+  for (const product of products) {
+    for (const [field, origin] of Object.entries(product.provenance || {})) {
+      summary[field] = summary[field] || {};
+      summary[field][origin] = (summary[field][origin] || 0) + 1;
+    }
+  }
+  return summary;
+}
+
+/**
+ * Load manual field overrides, keyed by product id or source URL:
+ * `{ "herschel-select-xl-700w": { "price": 499, "wattage": 700 } }`
+ * @param {string} filePath - Overrides file
+ * @returns {Promise<Object>} Overrides (empty if the file does not exist)
+ */
+async function loadOverrides(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw new Error(`Could not read overrides file ${filePath}: ${error.message}`);
+  }
+}
+
+module.exports = {
+  PROVENANCE,
+  GENERATABLE_FIELDS,
+  CRITICAL_FIELDS,
+  provenanceFromSource,
+  findUntrustedFields,
+  selectImportable,
+  summariseProvenance,
+  loadOverrides
+};
@@ -0,0 +1,400 @@
+/**
+ * Data Quality Dashboard
+ *
+ * Builds a static HTML report from a scrape output file (`{ metadata, products }`),
+ * written after every run and by `node cli.js analyze`:
+ * - Extraction rates per category (URLs found, extracted, merged, failed)
+ * - Fill rates per field, split by provenance
+ * - Price and wattage distributions
+ * - Products missing images or specs, with links to their source pages
+ * - Errors from `metadata.scraper.errors` and schema violations
+ *
+ * The page has no scripts or external assets, so it can be opened straight
+ * from disk or attached to a CI run.
+ *
+ * @author Norko Development Team
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { buildQualityReport } = require('./product-schema');
+const { summariseProvenance, PROVENANCE } = require('./provenance');
+
+// Fields shown in the fill-rate table, in display order
+const DASHBOARD_FIELDS = [
+  'name', 'price', 'currency', 'wattage', 'dimensions', 'weight', 'coverage', 'description',
+  'features', 'warranty', 'availability', 'manufacturer', 'model', 'gtin', 'sku', 'stock', 'images', 'variants', 'rating'
+];
+
+// Specs a product page is expected to state
+const SPEC_FIELDS = ['wattage', 'dimensions', 'weight'];
+
+const PRICE_BANDS = [100, 200, 300, 500, 750, 1000];
+const WATTAGE_BANDS = [300, 500, 800, 1200, 2000];
+
+const ORIGINS = [PROVENANCE.SCRAPED, PROVENANCE.MANUAL, PROVENANCE.DERIVED, PROVENANCE.GENERATED, PROVENANCE.MISSING];
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format a share as a percentage
+ * @param {number} count - Part
+ * @param {number} total - Whole
+ * @returns {string} e.g. `87%`, or `–` when the whole is 0
+ */
+function percent(count, total) {
+  return total > 0 ? `${Math.round((count / total) * 100)}%` : '–';
+}
+
+/**
+ * Count values into bands
+ * @param {Array<number>} values - Values to count
+ * @param {Array<number>} bounds - Upper bounds of every band but the last
+ * @param {string} [unit] - Unit for the labels
+ * @returns {Array<Object>} `{ label, count }` per band
+ */
+function histogram(values, bounds, unit = '') {
+  const bands = [...bounds, Infinity].map((upper, index) => {
+    const lower = index === 0 ? 0 : bounds[index - 1];
+    const label = upper === Infinity ? `${lower}${unit}+` : `${lower}–${upper}${unit}`;
+    return { label, count: 0 };
+  });
+  for (const value of values) {
+    const index = bounds.findIndex(upper => value < upper);
+    bands[index === -1 ? bands.length - 1 : index].count++;
+  }
+  return bands;
+}
+
+/**
+ * Describe a list of numbers
+ * @param {Array<number>} values - Values
+ * @returns {Object|null} `{ min, median, average, max }`, or null when empty
+ */
+function describe(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return {
+    min: sorted[0],
+    median: sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2,
+    average: Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+    max: sorted[sorted.length - 1]
+  };
+}
+
+/**
+ * Extraction counts per category. Runs that recorded `statistics.categories`
+ * give URLs found and failures; older files only have products per category.
+ * @param {Object} data - Scrape output
+ * @returns {Array<Object>} `{ name, productUrls, extracted, merged, failed }` per category (null when unknown)
+ */
+function categoryRates(data) {
+  const recorded = data.metadata?.scraper?.statistics?.categories || {};
+  return (data.metadata?.categories || []).map(category => {
+    const stats = recorded[category.name];
+    return {
+      name: category.name,
+      productUrls: stats ? stats.productUrls : null,
+      extracted: stats ? stats.extracted : category.productsExtracted,
+      merged: stats ? stats.merged : null,
+      failed: stats ? stats.failed : null
+    };
+  });
+}
+
+/**
+ * Overall share of product pages that became products (or were merged into one)
+ * @param {Object} data - Scrape output
+ * @returns {Object} `{ attempted, succeeded, rate }`; rate is null when no URL counts were recorded
+ */
+function extractionSummary(data) {
+  const categories = categoryRates(data).filter(category => category.productUrls !== null);
+  const attempted = categories.reduce((sum, category) => sum + category.extracted + category.merged + category.failed, 0);
+  const succeeded = categories.reduce((sum, category) => sum + category.extracted + category.merged, 0);
+  return { attempted, succeeded, rate: attempted > 0 ? succeeded / attempted : null };
+}
+
+/**
+ * Work out everything the dashboard shows
+ * @param {Object} data - Scrape output (`{ metadata, products }`)
+ * @returns {Object} Dashboard data
+ */
+function buildDashboard(data) {
+  const products = data.products || [];
+  const metadata = data.metadata || {};
+  const provenance = summariseProvenance(products);
+
+  const fields = DASHBOARD_FIELDS
+    .filter(field => provenance[field])
+    .map(field => {
+      const counts = provenance[field];
+      const recorded = ORIGINS.reduce((sum, origin) => sum + (counts[origin] || 0), 0);
+      return {
+        field,
+        counts: { ...counts, [PROVENANCE.MISSING]: (counts[PROVENANCE.MISSING] || 0) + products.length - recorded },
+        // Generated values are placeholders, not data
+        filled: (counts[PROVENANCE.SCRAPED] || 0) + (counts[PROVENANCE.MANUAL] || 0) + (counts[PROVENANCE.DERIVED] || 0)
+      };
+    });
+
+  const isReal = (product, field) => [PROVENANCE.SCRAPED, PROVENANCE.MANUAL].includes(product.provenance?.[field]);
+  const prices = products.filter(product => isReal(product, 'price')).map(product => product.pricing.basePrice);
+  const wattages = products.filter(product => isReal(product, 'wattage')).map(product => product.specifications.basic.wattage);
+
+  const incomplete = products
+    .map(product => ({
+      name: product.name,
+      category: product.category,
+      sourceUrl: product.sourceUrl,
+      missing: [
+        ...(product.media?.images?.length ? [] : ['images']),
+        ...SPEC_FIELDS.filter(field => !isReal(product, field))
+      ]
+    }))
+    .filter(product => product.missing.length > 0);
+
+  const quality = buildQualityReport(products);
+  const currencies = [...new Set(products.map(product => product.pricing?.currency).filter(Boolean))];
+
+  return {
+    generatedAt: new Date().toISOString(),
+    source: metadata.source || null,
+    scrapedAt: metadata.scrapedAt || null,
+    profile: metadata.scraper?.configuration?.profile || null,
+    processingTime: metadata.scraper?.processingTime ?? null,
+    totalProducts: products.length,
+    statistics: metadata.scraper?.statistics || {},
+    extraction: extractionSummary(data),
+    categories: categoryRates(data),
+    fields,
+    prices: {
+      currency: currencies.length === 1 ? currencies[0] : null,
+      summary: describe(prices),
+      bands: histogram(prices, PRICE_BANDS),
+      excluded: products.length - prices.length
+    },
+    wattages: {
+      summary: describe(wattages),
+      bands: histogram(wattages, WATTAGE_BANDS, 'W'),
+      excluded: products.length - wattages.length
+    },
+    incomplete,
+    errors: metadata.scraper?.errors || [],
+    quality
+  };
+}
+
+/**
+ * Render a table
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array<string>>} rows - Cells, already HTML
+ * @param {string} [empty] - Text shown when there are no rows
+ * @returns {string} HTML table
+ */
+function renderTable(headers, rows, empty = 'None') {
+  if (rows.length === 0) return `<p class="empty">${escapeHtml(empty)}</p>`;
+  return [
+    '<table>',
+    `<thead><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>`,
+    '<tbody>',
+    ...rows.map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`),
+    '</tbody>',
+    '</table>'
+  ].join('\n');
+}
+
+/**
+ * Render a horizontal bar chart of counts
+ * @param {Array<Object>} bands - `{ label, count }`
+ * @returns {string} HTML
+ */
+function renderBars(bands) {
+  const max = Math.max(1, ...bands.map(band => band.count));
+  return bands.map(band => [
+    '<div class="bar-row">',
+    `<span class="bar-label">${escapeHtml(band.label)}</span>`,
+    `<span class="bar"><span style="width:${Math.round((band.count / max) * 100)}%"></span></span>`,
+    `<span class="bar-count">${band.count}</span>`,
+    '</div>'
+  ].join('')).join('\n');
+}
+
+/**
+ * Render a link to a source page
+ * @param {string|null} url - Source URL
+ * @param {string} [text] - Link text (defaults to the URL)
+ * @returns {string} HTML
+ */
+function renderLink(url, text = url) {
+  if (!url) return escapeHtml(text || '–');
+  return `<a href="${escapeHtml(url)}" target="_blank" rel="noopener">${escapeHtml(text)}</a>`;
+}
+
+/**
+ * Render the dashboard page
+ * @param {Object} dashboard - Result of buildDashboard
+ * @returns {string} Complete HTML document
+ */
+function renderDashboard(dashboard) {
+  const { statistics, extraction, prices, wattages, quality } = dashboard;
+  const money = value => (prices.currency ? `${prices.currency} ${value}` : String(value));
+
+  const cards = [
+    ['Products', dashboard.totalProducts],
+    ['Extraction rate', extraction.rate === null ? '–' : percent(extraction.succeeded, extraction.attempted)],
+    ['Schema valid', `${quality.summary.validProducts}/${quality.summary.totalProducts}`],
+    ['Duplicates merged', statistics.duplicatesMerged ?? '–'],
+    ['Failed requests', statistics.failedRequests ?? '–'],
+    ['Errors', dashboard.errors.length]
+  ];
+
+  const categoryRows = dashboard.categories.map(category => [
+    escapeHtml(category.name),
+    category.productUrls ?? '–',
+    category.extracted,
+    category.merged ?? '–',
+    category.failed ?? '–',
+    category.productUrls === null ? '–' : percent(category.extracted + category.merged, category.extracted + category.merged + category.failed)
+  ]);
+
+  const fieldRows = dashboard.fields.map(({ field, counts, filled }) => [
+    escapeHtml(field),
+    `<span class="stack">${ORIGINS.map(origin => `<span class="${origin}" style="width:${percent(counts[origin] || 0, dashboard.totalProducts)}" title="${origin}: ${counts[origin] || 0}"></span>`).join('')}</span>`,
+    percent(filled, dashboard.totalProducts),
+    ...ORIGINS.map(origin => String(counts[origin] || 0))
+  ]);
+
+  const distribution = (title, { summary, bands, excluded }, format) => [
+    `<div class="panel"><h3>${escapeHtml(title)}</h3>`,
+    summary
+      ? `<p>Min ${escapeHtml(format(summary.min))} · Median ${escapeHtml(format(summary.median))} · Average ${escapeHtml(format(summary.average))} · Max ${escapeHtml(format(summary.max))}</p>`
+      : '<p class="empty">No values</p>',
+    renderBars(bands),
+    excluded > 0 ? `<p class="note">${excluded} products without a scraped or manual value are left out</p>` : '',
+    '</div>'
+  ].join('\n');
+
+  const incompleteRows = dashboard.incomplete.map(product => [
+    renderLink(product.sourceUrl, product.name),
+    escapeHtml(product.category),
+    escapeHtml(product.missing.join(', '))
+  ]);
+
+  const errorRows = dashboard.errors.map(error => [
+    escapeHtml(error.step || '–'),
+    escapeHtml(error.category || '–'),
+    escapeHtml(error.error),
+    renderLink(error.url || null),
+    escapeHtml(error.timestamp || '')
+  ]);
+
+  const violationRows = Object.entries(quality.violationsByPath)
+    .sort((a, b) => b[1] - a[1])
+    .map(([key, count]) => [escapeHtml(key), count]);
+
+  const subtitle = [
+    dashboard.source,
+    dashboard.scrapedAt && `scraped ${dashboard.scrapedAt}`,
+    dashboard.profile && `profile ${dashboard.profile}`,
+    dashboard.processingTime !== null && `${Math.round(dashboard.processingTime / 1000)}s`
+  ].filter(Boolean).join(' · ');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Scrape Data Quality – ${escapeHtml(dashboard.source || 'Norko')}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem; color: #1f2933; background: #f7f8fa; }
+  h1 { margin-bottom: 0.2rem; }
+  h2 { margin-top: 2.5rem; border-bottom: 1px solid #d9dee5; padding-bottom: 0.3rem; }
+  .subtitle, .note, .empty { color: #616e7c; }
+  .cards { display: flex; flex-wrap: wrap; gap: 1rem; }
+  .card { background: #fff; border: 1px solid #d9dee5; border-radius: 6px; padding: 0.8rem 1.2rem; min-width: 9rem; }
+  .card strong { display: block; font-size: 1.6rem; }
+  .panels { display: flex; flex-wrap: wrap; gap: 2rem; }
+  .panel { background: #fff; border: 1px solid #d9dee5; border-radius: 6px; padding: 0 1.2rem 1rem; flex: 1 1 22rem; }
+  table { border-collapse: collapse; background: #fff; width: 100%; }
+  th, td { border: 1px solid #d9dee5; padding: 0.35rem 0.6rem; text-align: left; vertical-align: top; }
+  th { background: #eef1f5; }
+  .bar-row { display: flex; align-items: center; gap: 0.6rem; margin: 0.25rem 0; }
+  .bar-label { width: 7rem; }
+  .bar { flex: 1; background: #eef1f5; height: 0.9rem; }
+  .bar span { display: block; height: 100%; background: #3e7bfa; }
+  .bar-count { width: 3rem; text-align: right; }
+  .stack { display: flex; width: 14rem; height: 0.9rem; background: #eef1f5; }
+  .stack .scraped { background: #2f9e44; }
+  .stack .manual { background: #1c7ed6; }
+  .stack .derived { background: #74c0fc; }
+  .stack .generated { background: #f59f00; }
+  .stack .missing { background: #e03131; }
+</style>
+</head>
+<body>
+<h1>Scrape Data Quality</h1>
+<p class="subtitle">${escapeHtml(subtitle)} · report generated ${escapeHtml(dashboard.generatedAt)}</p>
+
+<div class="cards">
+${cards.map(([label, value]) => `<div class="card"><strong>${escapeHtml(value)}</strong>${escapeHtml(label)}</div>`).join('\n')}
+</div>
+
+<h2>Extraction by Category</h2>
+${renderTable(['Category', 'Product URLs', 'Extracted', 'Merged duplicates', 'Failed', 'Extraction rate'], categoryRows, 'No categories recorded')}
+
+<h2>Field Fill Rates</h2>
+<p class="note">Filled counts scraped, manual and derived values. Generated values are placeholders and count as not filled.</p>
+${renderTable(['Field', 'Provenance', 'Filled', ...ORIGINS], fieldRows, 'No provenance recorded')}
+
+<h2>Distributions</h2>
+<div class="panels">
+${distribution('Price', prices, money)}
+${distribution('Wattage', wattages, value => `${value}W`)}
+</div>
+
+<h2>Products Missing Images or Specs (${dashboard.incomplete.length})</h2>
+${renderTable(['Product', 'Category', 'Missing'], incompleteRows)}
+
+<h2>Errors (${dashboard.errors.length})</h2>
+${renderTable(['Step', 'Category', 'Error', 'Source URL', 'Time'], errorRows)}
+
+<h2>Schema Violations (${quality.summary.totalViolations})</h2>
+${renderTable(['Path (rule)', 'Count'], violationRows)}
+</body>
+</html>
+`;
+}
+
+/**
+ * Build and write the dashboard for a scrape output
+ * @param {Object} data - Scrape output (`{ metadata, products }`)
+ * @param {string} file - HTML file to write
+ * @returns {Promise<Object>} The dashboard data
+ */
+async function writeDashboard(data, file) {
+  const dashboard = buildDashboard(data);
+  const directory = path.dirname(file);
+  if (directory !== '.') await fs.mkdir(directory, { recursive: true });
+  await fs.writeFile(file, renderDashboard(dashboard));
+  return dashboard;
+}
+
+module.exports = {
+  buildDashboard,
+  renderDashboard,
+  writeDashboard,
+  extractionSummary
+};
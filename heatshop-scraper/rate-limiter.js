@@ -0,0 +1,226 @@
+/**
+ * Per-Host Rate Limiter for Respectful Scraping
+ *
+ * Spaces requests to each host with a token bucket so that concurrent
+ * workers never exceed the configured request rate. The rate adapts to the
+ * server: throttling responses (429/503) halve it and pause the host for the
+ * `Retry-After` period, while sustained success raises it again up to the
+ * configured ceiling.
+ *
+ * @author Norko Development Team
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+/**
+ * Token Bucket Class
+ *
+ * Acquisitions are queued so that waiting callers are served in FIFO order.
+ */
+class TokenBucket {
+  /**
+   * @param {Object} options - Bucket options
+   * @param {number} options.ratePerSecond - Tokens added per second (Infinity for no limit, e.g. a delay of 0)
+   * @param {number} [options.capacity] - Maximum burst size
+   */
+  constructor({ ratePerSecond, capacity = 1 }) {
+    this.ratePerSecond = ratePerSecond;
+    this.capacity = capacity;
+    this.tokens = capacity;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Add the tokens accrued since the last refill
+   */
+  refill() {
+    const now = Date.now();
+    if (!Number.isFinite(this.ratePerSecond)) {
+      // No limit: 0 elapsed seconds times Infinity would make the token count NaN
+      this.tokens = this.capacity;
+    } else {
+      const elapsedSeconds = Math.max(0, now - this.lastRefill) / 1000;
+      this.tokens = Math.min(this.capacity, this.tokens + elapsedSeconds * this.ratePerSecond);
+    }
+    this.lastRefill = Math.max(this.lastRefill, now);
+  }
+
+  /**
+   * Wait until a token is available and take it
+   * @returns {Promise<void>}
+   */
+  acquire() {
+    const turn = this.queue.then(() => this.take());
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  /**
+   * Take a token, sleeping until one is available and any pause has ended
+   * @returns {Promise<void>}
+   */
+  async take() {
+    for (;;) {
+      this.refill();
+      const now = Date.now();
+
+      if (now < this.pausedUntil) {
+        await sleep(this.pausedUntil - now);
+        continue;
+      }
+
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+
+      await sleep(Math.ceil(((1 - this.tokens) / this.ratePerSecond) * 1000));
+    }
+  }
+
+  /**
+   * Stop handing out tokens for a while and drain the current burst
+   * @param {number} ms - Pause duration in milliseconds
+   */
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+    this.tokens = 0;
+    this.lastRefill = this.pausedUntil;
+  }
+}
+
+/**
+ * Host Rate Limiter Class
+ *
+ * Keeps one adaptive token bucket per host.
+ */
+class HostRateLimiter {
+  /**
+   * @param {Object} options - Limiter options
+   * @param {number} options.requestsPerSecond - Starting rate per host
+   * @param {number} [options.maxRequestsPerSecond] - Ceiling the rate may climb to
+   * @param {number} [options.minRequestsPerSecond] - Floor the rate may drop to
+   * @param {number} [options.burst] - Requests allowed back-to-back
+   * @param {number} [options.increaseAfter] - Consecutive successes before raising the rate
+   */
+  constructor({
+    requestsPerSecond,
+    maxRequestsPerSecond = requestsPerSecond,
+    minRequestsPerSecond = requestsPerSecond / 8,
+    burst = 1,
+    increaseAfter = 10
+  }) {
+    this.options = { requestsPerSecond, maxRequestsPerSecond, minRequestsPerSecond, burst, increaseAfter };
+    this.hosts = new Map();
+  }
+
+  /**
+   * Get (or create) the state for a URL's host
+   * @param {string} url - Request URL
+   * @returns {Object} Host state with bucket and success streak
+   */
+  getHost(url) {
+    const host = new URL(url).host;
+    if (!this.hosts.has(host)) {
+      this.hosts.set(host, {
+        bucket: new TokenBucket({
+          ratePerSecond: this.options.requestsPerSecond,
+          capacity: this.options.burst
+        }),
+        successStreak: 0
+      });
+    }
+    return this.hosts.get(host);
+  }
+
+  /**
+   * Wait for permission to send a request to the URL's host
+   * @param {string} url - Request URL
+   * @returns {Promise<void>}
+   */
+  acquire(url) {
+    return this.getHost(url).bucket.acquire();
+  }
+
+  /**
+   * Cap a host's rate with a minimum interval between requests, e.g. robots.txt `Crawl-delay`
+   * @param {string} url - Any URL on the host
+   * @param {number} ms - Minimum interval in milliseconds
+   */
+  setMinInterval(url, ms) {
+    const state = this.getHost(url);
+    state.maxRatePerSecond = Math.min(this.options.maxRequestsPerSecond, 1000 / ms);
+    state.bucket.ratePerSecond = Math.min(state.bucket.ratePerSecond, state.maxRatePerSecond);
+  }
+
+  /**
+   * Record a successful response, raising the rate after a streak of successes
+   * @param {string} url - Request URL
+   */
+  recordSuccess(url) {
+    const state = this.getHost(url);
+    const ceiling = state.maxRatePerSecond ?? this.options.maxRequestsPerSecond;
+    state.successStreak++;
+
+    if (state.successStreak >= this.options.increaseAfter && state.bucket.ratePerSecond < ceiling) {
+      state.bucket.ratePerSecond = Math.min(ceiling, state.bucket.ratePerSecond * 1.25);
+      state.successStreak = 0;
+    }
+  }
+
+  /**
+   * Record a throttling response: halve the rate and pause the host
+   * @param {string} url - Request URL
+   * @param {number|null} retryAfterMs - Server-requested wait, if any
+   * @returns {number} Pause applied in milliseconds
+   */
+  recordThrottle(url, retryAfterMs) {
+    const state = this.getHost(url);
+    state.successStreak = 0;
+    const floor = Math.min(this.options.minRequestsPerSecond, state.maxRatePerSecond ?? Infinity);
+    state.bucket.ratePerSecond = Math.max(floor, state.bucket.ratePerSecond / 2);
+
+    const pauseMs = retryAfterMs ?? Math.ceil(1000 / state.bucket.ratePerSecond);
+    state.bucket.pause(pauseMs);
+    return pauseMs;
+  }
+
+  /**
+   * Current request rate for a host
+   * @param {string} url - Any URL on the host
+   * @returns {number} Requests per second
+   */
+  getRate(url) {
+    return this.getHost(url).bucket.ratePerSecond;
+  }
+}
+
+/**
+ * Parse a `Retry-After` header value (seconds or HTTP date)
+ * @param {string|undefined} value - Header value
+ * @returns {number|null} Wait in milliseconds, or null if absent/invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Sleep for the given number of milliseconds
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = { TokenBucket, HostRateLimiter, parseRetryAfter };
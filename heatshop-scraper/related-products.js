@@ -0,0 +1,108 @@
+/**
+ * Related and Accessory Product Relations
+ *
+ * Product pages link to other products: thermostats and brackets sold with
+ * a heater, related models and "customers also bought" items. The adapter
+ * collects those links while each page is scraped (`product.related`); once
+ * the run is complete this module resolves them to the products scraped in
+ * the same run and builds the `related-items` item relations component the
+ * storefront reads into `Product.relatedItems`.
+ *
+ * Links to pages that were not scraped (other categories, discontinued
+ * items) stay in `product.related` with a null `id` and are left out of the
+ * import.
+ *
+ * @author Norko Development Team
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+// Order of relations in the storefront list: add-ons first, then alternatives
+const RELATIONS = ['accessory', 'related', 'alsoBought'];
+
+const RELATED_COMPONENT = 'related-items';
+
+/**
+ * Normalise a product URL for matching: no scheme, `www.`, query, hash or trailing slash
+ * @param {string} url - Product URL
+ * @returns {string|null} e.g. `heatershop.co.uk/herschel-select-xl-700`, or null if not a URL
+ */
+function urlKey(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.hostname.replace(/^www\./, '')}${parsed.pathname.replace(/\/+$/, '')}`.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Resolve the related links of every product to the products scraped in the same run
+ * @param {Array<Object>} products - Product records (updated in place)
+ * @returns {Object} `{ links, resolved, unresolved }` counts across all products
+ */
+function resolveRelations(products) {
+  // Merged duplicates answer to every URL they were listed under
+  const byUrl = new Map();
+  for (const product of products) {
+    for (const url of [product.sourceUrl, ...(product.duplicates || []).map(duplicate => duplicate.sourceUrl)]) {
+      const key = urlKey(url);
+      if (key && !byUrl.has(key)) byUrl.set(key, product);
+    }
+  }
+
+  const counts = { links: 0, resolved: 0, unresolved: 0 };
+  for (const product of products) {
+    const related = product.related || [];
+    for (const link of related) {
+      const target = byUrl.get(urlKey(link.url));
+      // A duplicate listing can link back to the product it was merged into
+      const found = target && target !== product;
+      link.id = found ? target.id : null;
+      link.path = found ? target.path : null;
+      counts.links++;
+      counts[found ? 'resolved' : 'unresolved']++;
+    }
+
+    const targets = [];
+    for (const relation of RELATIONS) {
+      for (const link of related) {
+        if (link.relation === relation && link.path && !targets.includes(link.path)) targets.push(link.path);
+      }
+    }
+    if (product.components) {
+      product.components[RELATED_COMPONENT] = {
+        type: 'itemRelations',
+        items: targets.map(path => ({ path }))
+      };
+    }
+  }
+
+  return counts;
+}
+
+/**
+ * Drop relations to items that will not be imported, e.g. refused for generated data
+ * @param {Array<Object>} items - Crystallize import items being imported (updated in place)
+ * @returns {number} Relations removed
+ */
+function pruneRelations(items) {
+  const paths = new Set(items.map(item => item.catalogueItem.path));
+  let removed = 0;
+  for (const item of items) {
+    const component = (item.catalogueItem.components || []).find(candidate => candidate.componentId === RELATED_COMPONENT);
+    if (!component) continue;
+    const kept = component.items.filter(target => paths.has(target.path));
+    removed += component.items.length - kept.length;
+    component.items = kept;
+  }
+  return removed;
+}
+
+module.exports = {
+  resolveRelations,
+  pruneRelations,
+  urlKey,
+  RELATIONS,
+  RELATED_COMPONENT
+};
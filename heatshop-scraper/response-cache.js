@@ -0,0 +1,109 @@
+/**
+ * On-Disk HTTP Response Cache for Offline Replay
+ *
+ * Stores every fetched page keyed by URL and fetch time so that extraction
+ * can be re-run against saved HTML without touching the live site. Each URL
+ * gets its own directory (named by a hash of the URL) holding one JSON entry
+ * per fetch; the newest entry is used for replay.
+ *
+ * Layout:
+ *   <cacheDirectory>/<sha1(url)>/<fetchedAt>.json  ->  { url, fetchedAt, status, contentType, body }
+ *
+ * With a `maxAge`, fetches older than that are not replayed, so a stale page
+ * is a cache miss rather than silently outdated data.
+ *
+ * @author Norko Development Team
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Response Cache Class
+ */
+class ResponseCache {
+  /**
+   * @param {string} directory - Cache root directory
+   * @param {Object} [options] - Cache options
+   * @param {number|null} [options.maxAge] - Milliseconds a fetch stays usable (null = never expires)
+   */
+  constructor(directory, { maxAge = null } = {}) {
+    this.directory = path.resolve(directory);
+    this.maxAge = maxAge;
+  }
+
+  /**
+   * Directory holding all cached fetches of a URL
+   * @param {string} url - Request URL
+   * @returns {string} Directory path
+   */
+  getUrlDirectory(url) {
+    const hash = crypto.createHash('sha1').update(url).digest('hex');
+    return path.join(this.directory, hash);
+  }
+
+  /**
+   * Store a fetched response
+   * @param {string} url - Request URL
+   * @param {string} body - Response body
+   * @param {Object} [meta] - Response metadata (`status`, `contentType`)
+   * @returns {Promise<Object>} The stored entry
+   */
+  async store(url, body, meta = {}) {
+    const fetchedAt = new Date().toISOString();
+    const entry = {
+      url,
+      fetchedAt,
+      status: meta.status ?? 200,
+      contentType: meta.contentType || null,
+      body: typeof body === 'string' ? body : JSON.stringify(body)
+    };
+
+    const urlDirectory = this.getUrlDirectory(url);
+    await fs.mkdir(urlDirectory, { recursive: true });
+    await fs.writeFile(
+      path.join(urlDirectory, `${fetchedAt.replace(/[:.]/g, '-')}.json`),
+      JSON.stringify(entry, null, 2)
+    );
+
+    return entry;
+  }
+
+  /**
+   * List the cached fetches of a URL, oldest first
+   * @param {string} url - Request URL
+   * @returns {Promise<Array<string>>} Entry file paths
+   */
+  async listEntries(url) {
+    const urlDirectory = this.getUrlDirectory(url);
+    try {
+      const files = await fs.readdir(urlDirectory);
+      return files
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(file => path.join(urlDirectory, file));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  /**
+   * Get the most recent cached response for a URL
+   * @param {string} url - Request URL
+   * @returns {Promise<Object|null>} Cached entry or null if never fetched or older than maxAge
+   */
+  async getLatest(url) {
+    const entries = await this.listEntries(url);
+    if (entries.length === 0) return null;
+
+    const entry = JSON.parse(await fs.readFile(entries[entries.length - 1], 'utf8'));
+    if (this.maxAge !== null && Date.now() - Date.parse(entry.fetchedAt) > this.maxAge) return null;
+    return entry;
+  }
+}
+
+module.exports = { ResponseCache };
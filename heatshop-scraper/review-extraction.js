@@ -0,0 +1,381 @@
+/**
+ * Product Review and Rating Extraction
+ *
+ * Reads customer ratings and reviews from the product page. Sources, in
+ * order of preference:
+ * 1. JSON-LD: `aggregateRating` and `review` on the Product node, plus
+ *    standalone Review nodes whose `itemReviewed` is the product
+ * 2. schema.org microdata: `aggregateRating` and `review` scopes of the product
+ * 3. Review markup of the common shop platforms: WooCommerce
+ *    (`.woocommerce-product-rating`, `#reviews .commentlist`) and Magento
+ *    (`.product-reviews-summary`, `.review-items`)
+ *
+ * Every rating is converted to a 5-star scale, whatever the page states
+ * (`bestRating` 10, Magento percentages), so the storefront can draw the
+ * same stars for every supplier. When a page lists reviews but no
+ * aggregate, the average is derived from the listed reviews. Reviews are
+ * never generated.
+ *
+ * @author Norko Development Team
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+const { flattenJsonLd, hasType } = require('./structured-data');
+
+const BEST_RATING = 5;
+
+const MAX_REVIEW_LENGTH = 5000;
+
+/**
+ * Review markup of shop platforms, used when the page has no structured reviews
+ */
+const REVIEW_TEMPLATES = [
+  {
+    // WooCommerce
+    summary: '.woocommerce-product-rating',
+    summaryRating: '.star-rating',
+    summaryCount: '.count, .woocommerce-review-link',
+    review: '#reviews .commentlist li.review, #reviews .commentlist li.comment',
+    rating: '.star-rating',
+    author: '.woocommerce-review__author, [itemprop="author"]',
+    date: 'time[datetime], .woocommerce-review__published-date',
+    title: null,
+    text: '.description'
+  },
+  {
+    // Magento
+    summary: '.product-reviews-summary',
+    summaryRating: '.rating-result',
+    summaryCount: '.reviews-actions .action.view, .reviews-actions a',
+    review: '.review-items .review-item',
+    rating: '.rating-result',
+    author: '.review-author .review-details-value',
+    date: '.review-date time, .review-date .review-details-value',
+    title: '.review-title',
+    text: '.review-content'
+  }
+];
+
+/**
+ * Parse a number from a value that may be text, e.g. `4.5` or "Rated 4.50 out of 5"
+ * @param {*} value - Raw value
+ * @returns {number|null} First number or null
+ */
+function parseNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (value === null || value === undefined) return null;
+  const match = String(value).replace(/,(\d{3})/g, '$1').match(/\d+(?:[.,]\d+)?/);
+  return match ? parseFloat(match[0].replace(',', '.')) : null;
+}
+
+/**
+ * Parse a count such as `12`, "12 reviews" or "(1,204)"
+ * @param {*} value - Raw value
+ * @returns {number|null} Whole count or null
+ */
+function parseCount(value) {
+  const number = parseNumber(value);
+  return number !== null && Number.isInteger(number) ? number : null;
+}
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Build a `YYYY-MM-DD` date from its parts, checking that the day exists
+ * @param {number} year - Year (two digits are read as 20xx)
+ * @param {number} month - Month, 1-12
+ * @param {number} day - Day of the month
+ * @returns {string|null} Date or null if there is no such day
+ */
+function formatDate(year, month, day) {
+  const fullYear = year < 100 ? 2000 + year : year;
+  const check = new Date(Date.UTC(fullYear, month - 1, day));
+  if (check.getUTCFullYear() !== fullYear || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) return null;
+  return `${fullYear}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Normalise a review date to `YYYY-MM-DD`
+ *
+ * Written dates are parsed field by field rather than with `new Date`, which
+ * reads "08/03/2026" month-first and shifts the day when converting to UTC.
+ * Numeric dates are read day-first, as UK shops write them.
+ *
+ * @param {*} value - ISO date, datetime or a written date such as "3rd March 2025" or "03/03/2025"
+ * @returns {string|null} Date or null if unparseable
+ */
+function normaliseDate(value) {
+  if (!value) return null;
+  const text = String(value).trim();
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/) || text.match(/^(\d{4})[/.](\d{1,2})[/.](\d{1,2})\b/);
+  if (iso) return formatDate(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+
+  const numeric = text.match(/\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})\b/);
+  if (numeric) return formatDate(Number(numeric[3]), Number(numeric[2]), Number(numeric[1]));
+
+  const words = text.replace(/(\d+)(?:st|nd|rd|th)\b/gi, '$1').replace(/,/g, ' ');
+  const monthOf = name => MONTHS.indexOf(name.slice(0, 3).toLowerCase()) + 1;
+  const dayFirst = words.match(/\b(\d{1,2})\s+([a-z]{3,})\.?\s+(\d{4})\b/i);
+  if (dayFirst && monthOf(dayFirst[2])) return formatDate(Number(dayFirst[3]), monthOf(dayFirst[2]), Number(dayFirst[1]));
+  const monthFirst = words.match(/\b([a-z]{3,})\.?\s+(\d{1,2})\s+(\d{4})\b/i);
+  if (monthFirst && monthOf(monthFirst[1])) return formatDate(Number(monthFirst[3]), monthOf(monthFirst[1]), Number(monthFirst[2]));
+  return null;
+}
+
+/**
+ * Collapse whitespace in review text and cap its length
+ * @param {*} value - Text
+ * @returns {string|null} Clean text or null if empty
+ */
+function cleanText(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).replace(/\s+/g, ' ').trim();
+  return text ? text.substring(0, MAX_REVIEW_LENGTH) : null;
+}
+
+/**
+ * Convert a rating to the 5-star scale
+ * @param {number|null} value - Rating as stated
+ * @param {number|null} best - Best rating of the scale the value is on (5 when not stated)
+ * @returns {number|null} Rating rounded to two decimals, or null if out of range
+ */
+function toStars(value, best) {
+  const scale = best || BEST_RATING;
+  if (value === null || value < 0 || value > scale) return null;
+  return Math.round((value / scale) * BEST_RATING * 100) / 100;
+}
+
+/**
+ * Get the name of an author value that may be a string or a Person
+ * @param {*} value - JSON-LD author
+ * @returns {string|null} Name
+ */
+function authorName(value) {
+  if (!value) return null;
+  if (Array.isArray(value)) return authorName(value[0]);
+  if (typeof value === 'object') return cleanText(value.name);
+  return cleanText(value);
+}
+
+/**
+ * Normalise a JSON-LD Review node
+ * @param {Object} node - Review node
+ * @returns {Object} Normalised review
+ */
+function reviewFromJsonLd(node) {
+  const reviewRating = [].concat(node.reviewRating || [])[0] || {};
+  return {
+    author: authorName(node.author),
+    date: normaliseDate(node.datePublished || node.dateCreated),
+    rating: toStars(parseNumber(reviewRating.ratingValue), parseNumber(reviewRating.bestRating)),
+    title: cleanText(node.name || node.headline),
+    text: cleanText(node.reviewBody || node.description)
+  };
+}
+
+/**
+ * Extract ratings and reviews from JSON-LD blocks
+ * @param {Object} $ - Cheerio object
+ * @returns {Object|null} `{ aggregate, reviews }` or null if the page declares none
+ */
+function extractJsonLdReviews($) {
+  const nodes = [];
+  $('script[type="application/ld+json"]').each((i, element) => {
+    try {
+      nodes.push(...flattenJsonLd(JSON.parse($(element).contents().text())));
+    } catch (error) {
+      // Malformed blocks are common; ignore them and keep looking
+    }
+  });
+
+  const product = nodes.find(node => hasType(node, 'Product')) || nodes.find(node => hasType(node, 'ProductGroup')) || {};
+  // Ratings of the shop itself (Organization, LocalBusiness) are not product ratings
+  const isProductReview = node => hasType(node, 'Review') && node.itemReviewed && typeof node.itemReviewed === 'object'
+    && (hasType(node.itemReviewed, 'Product') || hasType(node.itemReviewed, 'ProductGroup'));
+  const rating = [].concat(product.aggregateRating || [])[0];
+  const reviewNodes = [
+    ...[].concat(product.review || product.reviews || []),
+    ...nodes.filter(isProductReview)
+  ].filter(node => node && typeof node === 'object');
+
+  if (!rating && reviewNodes.length === 0) return null;
+
+  const aggregate = rating ? {
+    rating: toStars(parseNumber(rating.ratingValue), parseNumber(rating.bestRating)),
+    ratingCount: parseCount(rating.ratingCount),
+    reviewCount: parseCount(rating.reviewCount)
+  } : null;
+
+  return { aggregate, reviews: reviewNodes.map(reviewFromJsonLd) };
+}
+
+/**
+ * Extract ratings and reviews from schema.org microdata
+ * @param {Object} $ - Cheerio object
+ * @returns {Object|null} `{ aggregate, reviews }` or null if the page declares none
+ */
+function extractMicrodataReviews($) {
+  const valueOf = element => {
+    const el = $(element);
+    if (!el.length) return null;
+    return (el.attr('content') || el.attr('datetime') || el.text() || '').trim() || null;
+  };
+  // Properties owned directly by a scope, not by an item nested in it
+  const prop = (scope, name) => scope.find(`[itemprop~="${name}"]`)
+    .filter((i, element) => $(element).parent().closest('[itemscope]').is(scope))
+    .first();
+
+  // Only ratings and reviews of the product, not of the shop in the page footer
+  const ofProduct = (i, element) => /schema\.org\/Product/.test($(element).parent().closest('[itemscope]').attr('itemtype') || '');
+  const ratingScope = $('[itemprop~="aggregateRating"][itemscope]').filter(ofProduct).first();
+  const reviewScopes = $('[itemprop~="review"][itemscope]').filter(ofProduct).toArray();
+
+  if (!ratingScope.length && reviewScopes.length === 0) return null;
+
+  const aggregate = ratingScope.length ? {
+    rating: toStars(parseNumber(valueOf(prop(ratingScope, 'ratingValue'))), parseNumber(valueOf(prop(ratingScope, 'bestRating')))),
+    ratingCount: parseCount(valueOf(prop(ratingScope, 'ratingCount'))),
+    reviewCount: parseCount(valueOf(prop(ratingScope, 'reviewCount')))
+  } : null;
+
+  const reviews = reviewScopes.map(element => {
+    const scope = $(element);
+    const ratingElement = prop(scope, 'reviewRating');
+    const authorElement = prop(scope, 'author');
+    const author = authorElement.is('[itemscope]') ? valueOf(prop(authorElement, 'name')) : valueOf(authorElement);
+    return {
+      author: cleanText(author),
+      date: normaliseDate(valueOf(prop(scope, 'datePublished'))),
+      rating: toStars(parseNumber(valueOf(prop(ratingElement, 'ratingValue'))), parseNumber(valueOf(prop(ratingElement, 'bestRating')))),
+      title: cleanText(valueOf(prop(scope, 'name'))),
+      text: cleanText(valueOf(prop(scope, 'reviewBody')) || valueOf(prop(scope, 'description')))
+    };
+  });
+
+  return { aggregate, reviews };
+}
+
+/**
+ * Read a star rating widget: "Rated 4.50 out of 5", a percentage title or a CSS width
+ * @param {Object} element - Cheerio element of the widget
+ * @returns {number|null} Rating out of 5
+ */
+function readStarRating(element) {
+  if (!element || !element.length) return null;
+  const label = [element.attr('title'), element.attr('aria-label'), element.text()].filter(Boolean).join(' ');
+
+  const outOf = label.match(/(\d+(?:\.\d+)?)\s*(?:out of|\/)\s*(\d+)/i);
+  if (outOf) return toStars(parseFloat(outOf[1]), parseFloat(outOf[2]));
+
+  // Magento and many themes draw the stars as a filled width: "80%" is 4 of 5
+  const width = (element.find('[style*="width"]').first().attr('style') || element.attr('style') || '').match(/width:\s*(\d+(?:\.\d+)?)%/);
+  const percent = label.match(/(\d+(?:\.\d+)?)\s*%/) || width;
+  return percent ? toStars(parseFloat(percent[1]), 100) : null;
+}
+
+/**
+ * Extract ratings and reviews from the review markup of known shop platforms
+ * @param {Object} $ - Cheerio object
+ * @returns {Object|null} `{ aggregate, reviews }` or null if no template matches
+ */
+function extractTemplateReviews($) {
+  for (const template of REVIEW_TEMPLATES) {
+    const summary = $(template.summary).first();
+    const reviewElements = $(template.review);
+    if (!summary.length && reviewElements.length === 0) continue;
+
+    const countText = summary.find(template.summaryCount).first().text();
+    const aggregate = summary.length ? {
+      rating: readStarRating(summary.find(template.summaryRating).first()),
+      // "based on 3 customer ratings" is in the star widget; "(3 customer reviews)" in the link
+      ratingCount: parseCount((summary.find(template.summaryRating).first().text().match(/based on\s+([\d,]+)/i) || [])[1]),
+      reviewCount: parseCount(countText)
+    } : null;
+
+    const reviews = reviewElements.toArray().map(element => {
+      const review = $(element);
+      const dateElement = review.find(template.date).first();
+      return {
+        author: cleanText(review.find(template.author).first().text()),
+        date: normaliseDate(dateElement.attr('datetime') || dateElement.text()),
+        rating: readStarRating(review.find(template.rating).first()),
+        title: template.title ? cleanText(review.find(template.title).first().text()) : null,
+        text: cleanText(review.find(template.text).first().text())
+      };
+    });
+
+    return { aggregate, reviews };
+  }
+  return null;
+}
+
+/**
+ * Extract the aggregate rating and individual reviews of a product page
+ * @param {Object} $ - Cheerio object
+ * @param {Object} [options] - `maxReviews` (reviews kept, newest first)
+ * @returns {Object} `{ rating, reviews, source }` where rating is
+ *   `{ average, count, reviewCount, best, derived }` (out of 5) or null, and source
+ *   is `json-ld`, `microdata`, `heuristic` or null
+ */
+function extractReviews($, { maxReviews = 20 } = {}) {
+  const bySource = [
+    ['json-ld', extractJsonLdReviews],
+    ['microdata', extractMicrodataReviews],
+    ['heuristic', extractTemplateReviews]
+  ];
+
+  for (const [source, extract] of bySource) {
+    const found = extract($);
+    if (!found) continue;
+
+    // Reviews without a rating or any text are empty widgets, not reviews
+    const reviews = found.reviews
+      .filter(review => review.rating !== null || review.text)
+      .sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+
+    const { aggregate } = found;
+    const rated = reviews.filter(review => review.rating !== null);
+    let rating = null;
+    // Without a stated count, the reviews on the page are what the average was taken from;
+    // the storefront drops a rating it cannot count
+    const count = aggregate
+      ? aggregate.ratingCount ?? aggregate.reviewCount ?? (rated.length || reviews.length || null)
+      : null;
+    // A stated rating from 0 ratings is an empty widget
+    if (aggregate && aggregate.rating !== null && count) {
+      rating = {
+        average: aggregate.rating,
+        count,
+        reviewCount: aggregate.reviewCount ?? reviews.length,
+        best: BEST_RATING,
+        derived: false
+      };
+    }
+
+    if (!rating && rated.length > 0) {
+      rating = {
+        average: Math.round((rated.reduce((sum, review) => sum + review.rating, 0) / rated.length) * 100) / 100,
+        count: rated.length,
+        reviewCount: reviews.length,
+        best: BEST_RATING,
+        derived: true
+      };
+    }
+
+    if (rating || reviews.length > 0) {
+      return { rating, reviews: reviews.slice(0, maxReviews), source };
+    }
+  }
+
+  return { rating: null, reviews: [], source: null };
+}
+
+module.exports = {
+  extractReviews,
+  extractJsonLdReviews,
+  extractMicrodataReviews,
+  extractTemplateReviews,
+  readStarRating,
+  normaliseDate
+};
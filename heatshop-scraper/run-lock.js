@@ -0,0 +1,127 @@
+/**
+ * Run Lock for Scraping Runs
+ *
+ * Two scrapes writing the same output, journal and export files at once
+ * corrupt each other's results. Every `scrape` takes this lock file first
+ * (the scheduler's runs as well as manual ones) and removes it when the
+ * process exits. A lock left behind by a process that no longer runs, such
+ * as one killed with SIGKILL or lost in a power cut, is stale and taken over.
+ *
+ * @author Norko Development Team
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Check whether a process is still running on this machine
+ * @param {number} pid - Process id
+ * @returns {boolean} True unless the process is known to be gone
+ */
+function isProcessRunning(pid) {
+  try {
+    // Signal 0 checks that the process exists without signalling it
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: it exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Run Lock Class
+ */
+class RunLock {
+  /**
+   * @param {string} filePath - Location of the lock file
+   */
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+    this.held = false;
+    this.releaseOnExit = () => this.releaseSync();
+  }
+
+  /**
+   * Read the current lock holder
+   * @returns {Promise<Object|null>} `{ pid, host, startedAt, ... }`, or null when the lock is free
+   */
+  async read() {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      // Half-written or hand-edited: nobody can be shown to hold it
+      return { pid: null, host: null, startedAt: null };
+    }
+  }
+
+  /**
+   * Check whether a lock holder is stale (its process is gone)
+   * @param {Object} holder - Lock file contents
+   * @returns {boolean} True when the lock can be taken over
+   */
+  isStale(holder) {
+    if (!holder.pid) return true;
+    // A process on another machine sharing the directory cannot be checked
+    if (holder.host && holder.host !== os.hostname()) return false;
+    return !isProcessRunning(holder.pid);
+  }
+
+  /**
+   * Take the lock, taking over a stale one
+   * @param {Object} [details] - Extra fields recorded in the lock file, e.g. `{ job }`
+   * @returns {Promise<Object|null>} null when the lock was taken, otherwise the live holder
+   */
+  async acquire(details = {}) {
+    const holder = { pid: process.pid, host: os.hostname(), startedAt: new Date().toISOString(), ...details };
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        // 'wx' fails if the file exists, so two processes cannot both succeed
+        await fs.writeFile(this.filePath, JSON.stringify(holder, null, 2), { flag: 'wx' });
+        this.held = true;
+        // process.exit (e.g. after Ctrl-C) skips async cleanup, so release synchronously
+        process.once('exit', this.releaseOnExit);
+        return null;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      const current = await this.read();
+      if (!current) continue;
+      if (!this.isStale(current)) return current;
+      console.warn(`🔓 Removing stale lock ${this.filePath} (pid ${current.pid} is not running)`);
+      await fs.rm(this.filePath, { force: true });
+    }
+
+    return (await this.read()) || { pid: null, host: null, startedAt: null };
+  }
+
+  /**
+   * Release the lock if this process holds it
+   * @returns {Promise<void>}
+   */
+  async release() {
+    if (!this.held) return;
+    this.held = false;
+    process.removeListener('exit', this.releaseOnExit);
+    await fs.rm(this.filePath, { force: true });
+  }
+
+  /**
+   * Release the lock synchronously, for the process exit handler
+   * @returns {void}
+   */
+  releaseSync() {
+    if (!this.held) return;
+    this.held = false;
+    fsSync.rmSync(this.filePath, { force: true });
+  }
+}
+
+module.exports = { RunLock, isProcessRunning };
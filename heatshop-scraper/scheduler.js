@@ -0,0 +1,487 @@
+/**
+ * Scheduled Scraping Runs
+ *
+ * Keeps the catalogue in sync with the supplier without anyone starting a
+ * scrape: `node cli.js schedule` reads a schedule file of jobs, each with a
+ * cron expression and the settings of its run (categories, site adapter,
+ * profile, any config file setting), and runs every job when it is due.
+ *
+ * Features:
+ * - Standard five-field cron expressions (minute hour day month weekday, local
+ *   time) with ranges, lists, steps, month and weekday names and the @daily
+ *   style shortcuts
+ * - One run at a time: a job that comes due while another runs waits its
+ *   turn, and a job that is still running or waiting is not queued twice
+ * - Run history with the outcome and summary of every run, capped in length
+ * - Runs missed while the machine was asleep start once it wakes
+ *
+ * The runs themselves are started by the caller (cli.js starts each one as a
+ * `scrape --job` child process, which takes the run lock of ./run-lock).
+ *
+ * @author Norko Development Team
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_SCHEDULE_FILE = 'schedule.json';
+
+const DEFAULT_HISTORY_FILE = 'schedule-history.json';
+
+// Runs kept in the history file, oldest dropped first
+const DEFAULT_HISTORY_LIMIT = 200;
+
+// Timers are re-armed at least this often, so clock changes and sleep are noticed
+const MAX_TIMER_MS = 60 * 60 * 1000;
+
+// How far ahead nextRunTime looks before deciding an expression never matches
+const MAX_LOOKAHEAD_YEARS = 5;
+
+const RUN_STATUS = {
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  SKIPPED: 'skipped',
+  INTERRUPTED: 'interrupted'
+};
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  // 7 is Sunday as well as 0
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const CRON_SHORTCUTS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+/**
+ * Parse one value of a cron field (a number or a month/weekday name)
+ * @param {string} text - Value text
+ * @param {Object} field - Entry of CRON_FIELDS
+ * @returns {number} Value
+ * @throws {Error} If the value is not a number or name in the field's range
+ */
+function parseCronValue(text, field) {
+  const nameIndex = field.names ? field.names.indexOf(text.toLowerCase()) : -1;
+  // Month names count from 1, weekday names from 0 (Sunday)
+  const value = nameIndex >= 0 ? nameIndex + field.min : /^\d+$/.test(text) ? Number(text) : NaN;
+  if (!(value >= field.min && value <= field.max)) {
+    throw new Error(`${field.name} must be between ${field.min} and ${field.max}, got "${text}"`);
+  }
+  return value;
+}
+
+/**
+ * Parse one cron field into the set of values it matches
+ * @param {string} text - Field text, e.g. `*`, `1-5`, `0,30` or `*\/15`
+ * @param {Object} field - Entry of CRON_FIELDS
+ * @returns {Set<number>} Matching values
+ * @throws {Error} If any part of the field is invalid
+ */
+function parseCronField(text, field) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText, extra] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (extra !== undefined || !Number.isInteger(step) || step < 1) {
+      throw new Error(`${field.name} has an invalid step in "${part}"`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      [start, end] = [field.min, field.max];
+    } else {
+      const [from, to, rest] = range.split('-');
+      if (rest !== undefined) throw new Error(`${field.name} has an invalid range "${range}"`);
+      start = parseCronValue(from, field);
+      // `5/15` runs from 5 to the end of the field, like `5-59/15`
+      end = to !== undefined ? parseCronValue(to, field) : stepText !== undefined ? field.max : start;
+      if (end < start) throw new Error(`${field.name} range "${range}" runs backwards`);
+    }
+
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five fields (minute hour day month weekday) or a shortcut like `@daily`
+ * @returns {Object} `{ expression, minutes, hours, days, months, weekdays, anyDay, anyWeekday }`
+ * @throws {Error} If the expression is invalid
+ */
+function parseCron(expression) {
+  const text = String(expression || '').trim();
+  const fields = (CRON_SHORTCUTS[text.toLowerCase()] || text).split(/\s+/);
+  if (fields.length !== CRON_FIELDS.length) {
+    throw new Error(`Cron expression "${text}" needs ${CRON_FIELDS.length} fields (minute hour day month weekday)`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((field, index) => parseCronField(field, CRON_FIELDS[index]));
+  if (weekdays.delete(7)) weekdays.add(0);
+
+  return {
+    expression: text,
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // Cron matches either day field when both are restricted, so keep which ones are `*`
+    anyDay: fields[2].startsWith('*'),
+    anyWeekday: fields[4].startsWith('*')
+  };
+}
+
+/**
+ * Check whether a cron expression matches a calendar day
+ * @param {Object} cron - Parsed expression from parseCron
+ * @param {Date} date - Day to check (local time)
+ * @returns {boolean} True if the expression runs on that day
+ */
+function matchesDay(cron, date) {
+  const day = cron.days.has(date.getDate());
+  const weekday = cron.weekdays.has(date.getDay());
+  if (cron.anyDay || cron.anyWeekday) return day && weekday;
+  return day || weekday;
+}
+
+/**
+ * Find the next time a cron expression matches
+ * @param {Object|string} cron - Parsed expression or expression text
+ * @param {Date} [after] - Start after this time (default now)
+ * @returns {Date|null} Next matching minute after `after`, or null if there is none (e.g. 30 February)
+ */
+function nextRunTime(cron, after = new Date()) {
+  const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+  const time = new Date(after.getTime());
+  time.setSeconds(0, 0);
+  time.setMinutes(time.getMinutes() + 1);
+  const limit = new Date(time.getTime());
+  limit.setFullYear(limit.getFullYear() + MAX_LOOKAHEAD_YEARS);
+
+  // Skip whole months, days and hours that cannot match before stepping through minutes
+  while (time < limit) {
+    if (!parsed.months.has(time.getMonth() + 1)) {
+      time.setMonth(time.getMonth() + 1, 1);
+      time.setHours(0, 0, 0, 0);
+    } else if (!matchesDay(parsed, time)) {
+      time.setDate(time.getDate() + 1);
+      time.setHours(0, 0, 0, 0);
+    } else if (!parsed.hours.has(time.getHours())) {
+      time.setHours(time.getHours() + 1, 0, 0, 0);
+    } else if (!parsed.minutes.has(time.getMinutes())) {
+      time.setMinutes(time.getMinutes() + 1, 0, 0);
+    } else {
+      return time;
+    }
+  }
+  return null;
+}
+
+/**
+ * Read and check a schedule file
+ * @param {string} [filePath] - Schedule file (default schedule.json)
+ * @returns {Promise<Object>} `{ file, jobs, historyFile, historyLimit }`, each job with its parsed `schedule`
+ * @throws {Error} If the file cannot be read or a job is invalid
+ */
+async function loadSchedule(filePath = DEFAULT_SCHEDULE_FILE) {
+  let config;
+  try {
+    config = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read schedule file ${filePath}: ${error.message}`);
+  }
+
+  if (!Array.isArray(config.jobs) || config.jobs.length === 0) {
+    throw new Error(`Schedule file ${filePath} has no jobs`);
+  }
+
+  const names = new Set();
+  const jobs = config.jobs.map((job, index) => {
+    const label = `Job ${job.name || index + 1} in ${filePath}`;
+    if (typeof job.name !== 'string' || !/^[\w.-]+$/.test(job.name)) {
+      throw new Error(`${label} needs a name of letters, digits, dots, dashes or underscores`);
+    }
+    if (names.has(job.name)) throw new Error(`${label} has the same name as another job`);
+    names.add(job.name);
+
+    let schedule;
+    try {
+      schedule = parseCron(job.cron);
+    } catch (error) {
+      throw new Error(`${label}: ${error.message}`);
+    }
+    if (!nextRunTime(schedule)) throw new Error(`${label}: cron expression "${job.cron}" never matches`);
+
+    if (job.categories !== undefined && (!Array.isArray(job.categories) || job.categories.some(name => typeof name !== 'string'))) {
+      throw new Error(`${label}: categories must be a list of category names`);
+    }
+    for (const key of ['adapter', 'profile']) {
+      if (job[key] !== undefined && typeof job[key] !== 'string') throw new Error(`${label}: ${key} must be a string`);
+    }
+    if (job.settings !== undefined && (typeof job.settings !== 'object' || Array.isArray(job.settings))) {
+      throw new Error(`${label}: settings must be an object of config file settings`);
+    }
+    if (job.import !== undefined && typeof job.import !== 'boolean') throw new Error(`${label}: import must be true or false`);
+
+    return { ...job, schedule };
+  });
+
+  return {
+    file: filePath,
+    jobs,
+    historyFile: config.historyFile || DEFAULT_HISTORY_FILE,
+    historyLimit: config.historyLimit || DEFAULT_HISTORY_LIMIT
+  };
+}
+
+/**
+ * Run History Class
+ *
+ * The history file holds `{ runs }`, oldest first, and is rewritten after every run.
+ */
+class RunHistory {
+  /**
+   * @param {string} filePath - Location of the history file
+   * @param {Object} [options] - `limit`: runs to keep
+   */
+  constructor(filePath, { limit = DEFAULT_HISTORY_LIMIT } = {}) {
+    this.filePath = path.resolve(filePath);
+    this.limit = limit;
+    this.runs = [];
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Load the history file
+   * @returns {Promise<Array<Object>>} Recorded runs, oldest first (empty when there is no file)
+   */
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      this.runs = Array.isArray(data.runs) ? data.runs : [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.warn(`⚠️  Ignoring unreadable run history ${this.filePath}: ${error.message}`);
+      this.runs = [];
+    }
+    return this.runs;
+  }
+
+  /**
+   * Append a run and save the history.
+   * Writes are queued, since a skipped run can be recorded while a finished one is being written.
+   * @param {Object} run - Run record
+   * @returns {Promise<void>}
+   */
+  record(run) {
+    this.runs.push(run);
+    this.runs = this.runs.slice(-this.limit);
+
+    const snapshot = JSON.stringify({ updatedAt: new Date().toISOString(), runs: this.runs }, null, 2);
+    // Temp file + rename so a crash never leaves half a history
+    const tempFile = `${this.filePath}.tmp`;
+    const write = this.writeQueue.then(async () => {
+      await fs.writeFile(tempFile, snapshot);
+      await fs.rename(tempFile, this.filePath);
+    });
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Latest recorded run of a job
+   * @param {string} jobName - Job name
+   * @returns {Object|null} Run record or null if the job has not run
+   */
+  latest(jobName) {
+    for (let i = this.runs.length - 1; i >= 0; i--) {
+      if (this.runs[i].job === jobName) return this.runs[i];
+    }
+    return null;
+  }
+}
+
+/**
+ * Scheduler Class
+ */
+class Scheduler {
+  /**
+   * @param {Object} options - Scheduler options
+   * @param {Array<Object>} options.jobs - Jobs from loadSchedule
+   * @param {Function} options.runJob - `async (job) => ({ status, exitCode, reason, summary })` starting one run
+   * @param {RunHistory} options.history - Where finished and skipped runs are recorded
+   */
+  constructor({ jobs, runJob, history }) {
+    this.jobs = jobs;
+    this.runJob = runJob;
+    this.history = history;
+    this.nextRuns = new Map();
+    this.queue = [];
+    this.current = null;
+    this.timer = null;
+    this.stopped = false;
+    this.resolveStopped = null;
+  }
+
+  /**
+   * Start scheduling
+   * @returns {Promise<void>} Resolves after stop() once the run in progress has finished
+   */
+  start() {
+    const now = new Date();
+    for (const job of this.jobs) {
+      this.nextRuns.set(job.name, nextRunTime(job.schedule, now));
+    }
+    console.log(`⏰ Scheduler started with ${this.jobs.length} jobs`);
+    this.logNextRuns();
+
+    return new Promise(resolve => {
+      this.resolveStopped = resolve;
+      this.arm();
+    });
+  }
+
+  /**
+   * Stop scheduling: queued runs are dropped, the run in progress finishes
+   * @returns {void}
+   */
+  stop() {
+    if (this.stopped) return;
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.queue = [];
+    if (!this.current) this.resolveStopped?.();
+  }
+
+  /**
+   * Print when each job runs next
+   * @returns {void}
+   */
+  logNextRuns() {
+    for (const job of this.jobs) {
+      console.log(`   ${job.name} (${job.schedule.expression}): next run ${this.nextRuns.get(job.name).toLocaleString()}`);
+    }
+  }
+
+  /**
+   * Set the timer for the earliest next run
+   * @returns {void}
+   */
+  arm() {
+    if (this.stopped) return;
+    const earliest = Math.min(...this.nextRuns.values());
+    const wait = Math.max(0, Math.min(earliest - Date.now(), MAX_TIMER_MS));
+    this.timer = setTimeout(() => this.tick(), wait);
+  }
+
+  /**
+   * Queue every job that is due, then re-arm the timer
+   * @returns {void}
+   */
+  tick() {
+    const now = new Date();
+    for (const job of this.jobs) {
+      const due = this.nextRuns.get(job.name);
+      if (due > now) continue;
+      // Runs missed while asleep collapse into this one
+      this.nextRuns.set(job.name, nextRunTime(job.schedule, now));
+      this.enqueue(job, due);
+    }
+    this.arm();
+    this.drain();
+  }
+
+  /**
+   * Queue a due run, unless the same job is already running or waiting
+   * @param {Object} job - Job from loadSchedule
+   * @param {Date} scheduledFor - Time the run was due
+   * @returns {void}
+   */
+  enqueue(job, scheduledFor) {
+    const busy = this.current?.job === job || this.queue.some(entry => entry.job === job);
+    if (busy) {
+      console.warn(`⏭️  Skipping ${job.name} due ${scheduledFor.toLocaleString()}: its previous run has not finished`);
+      this.record({
+        job: job.name,
+        scheduledFor: scheduledFor.toISOString(),
+        status: RUN_STATUS.SKIPPED,
+        reason: 'previous run of this job has not finished'
+      });
+      return;
+    }
+    this.queue.push({ job, scheduledFor });
+  }
+
+  /**
+   * Run queued jobs one after another
+   * @returns {Promise<void>}
+   */
+  async drain() {
+    if (this.current) return;
+
+    while (this.queue.length > 0 && !this.stopped) {
+      this.current = this.queue.shift();
+      const { job, scheduledFor } = this.current;
+      const startedAt = new Date();
+      console.log(`\n🚀 Starting scheduled run of ${job.name} (due ${scheduledFor.toLocaleString()})`);
+
+      let result;
+      try {
+        result = await this.runJob(job);
+      } catch (error) {
+        result = { status: RUN_STATUS.FAILED, exitCode: null, reason: error.message };
+      }
+
+      const finishedAt = new Date();
+      await this.record({
+        job: job.name,
+        scheduledFor: scheduledFor.toISOString(),
+        startedAt: startedAt.toISOString(),
+        finishedAt: finishedAt.toISOString(),
+        durationMs: finishedAt - startedAt,
+        ...result
+      });
+      console.log(`🏁 ${job.name} ${result.status}${result.reason ? `: ${result.reason}` : ''} (${Math.round((finishedAt - startedAt) / 1000)}s)`);
+      this.current = null;
+      if (!this.stopped) this.logNextRuns();
+    }
+
+    if (this.stopped) this.resolveStopped?.();
+  }
+
+  /**
+   * Record a run in the history, logging instead of failing when the file cannot be written
+   * @param {Object} run - Run record
+   * @returns {Promise<void>}
+   */
+  async record(run) {
+    try {
+      await this.history.record(run);
+    } catch (error) {
+      console.error(`⚠️  Could not update run history ${this.history.filePath}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = {
+  Scheduler,
+  RunHistory,
+  loadSchedule,
+  parseCron,
+  nextRunTime,
+  RUN_STATUS,
+  DEFAULT_SCHEDULE_FILE
+};
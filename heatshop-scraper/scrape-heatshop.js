@@ -28,18 +28,64 @@ const path = require('path');
 const https = require('https');
 const { URL } = require('url');
 const { ImageUploadService } = require('./image-upload-service');
+const { CheckpointJournal } = require('./checkpoint-journal');
+const { loadSnapshot, writeDiffReports } = require('./catalogue-diff');
+const { getAdapter } = require('./adapters');
+const { HostRateLimiter, parseRetryAfter } = require('./rate-limiter');
+const { runWorkerPool } = require('./worker-pool');
+const { CrawlPolicy } = require('./crawl-policy');
+const { ResponseCache } = require('./response-cache');
+const { extractStructuredData } = require('./structured-data');
+const { extractVariants } = require('./variant-extraction');
+const { extractReviews } = require('./review-extraction');
+const { findDuplicate, mergeDuplicate } = require('./duplicate-detection');
+const { resolveRelations } = require('./related-products');
+const { CategoryClassifier } = require('./category-classifier');
+const { BrandDictionary, BRANDS } = require('./brand-dictionary');
+const { writeDashboard } = require('./quality-dashboard');
+const { exportCatalogue } = require('./catalogue-exporters');
+const { DocumentHarvester, findDocumentLinks, toDownloads } = require('./document-harvester');
+const { extractPagePricing, interpretPrices, splitVat, buildPriceVariants } = require('./pricing');
+const { parseSitemap } = require('./sitemap');
+const { buildQualityReport } = require('./product-schema');
+const { PROVENANCE, provenanceFromSource, summariseProvenance, loadOverrides } = require('./provenance');
+const {
+  parsePower, parseDimensions, parseWeight, parseArea, parseIpRating,
+  findQuantity, formatPower, formatDimensions, formatArea
+} = require('./units');
 
 // Enhanced configuration with new extraction capabilities
 const CONFIG = {
-  baseUrl: 'https://www.heatershop.co.uk',
-  delay: 2000, // 2 seconds between requests (respectful scraping)
+  profile: 'standard', // Named overrides from ./scraper-profiles ('standard', 'test', 'enhanced'), applied by cli.js
+  siteAdapter: 'heatershop', // Supplier adapter from ./adapters (URLs, selectors, categories)
+  delay: 2000, // 2 seconds between requests to a host (respectful scraping)
+  concurrency: 3, // Product pages processed in parallel (request rate is still limited per host)
+  maxRequestsPerSecond: null, // Per-host rate the limiter may climb to while the server keeps up (null = 1000 / delay)
   maxProducts: 100,
+  categories: null, // Category names to scrape (null = every category of the site adapter)
+  discoveryMode: 'categories', // 'categories' = walk category listings, 'sitemap' = read sitemap.xml (--sitemap)
+  followPagination: true, // Follow rel=next, page query params and "load more" endpoints on category listings
+  maxSitemaps: 50, // Upper bound on sitemap documents read (sitemap indexes can nest)
   outputFile: 'crystallize-products.json',
+  importFile: 'crystallize-import.json', // Crystallize import format, written after saving (or by `cli.js export`)
+  exportFormats: ['csv', 'ndjson', 'merchant'], // Extra catalogue files written after saving (see ./catalogue-exporters)
+  exportFiles: {
+    csv: 'exports/catalogue.csv',
+    ndjson: 'exports/catalogue.ndjson',
+    merchant: 'exports/google-merchant-feed.xml'
+  },
+  storefrontUrl: process.env.STOREFRONT_URL || null, // Base URL of product links in the Merchant feed (supplier URLs when unset)
   userAgent: 'Educational-Portfolio-Bot/1.0',
+  respectRobotsTxt: true, // Skip URLs disallowed by robots.txt (false = only log them)
+  cacheResponses: false, // Store every fetched page in cacheDirectory (--cache)
+  offline: false, // Replay pages from cacheDirectory without network access (--offline)
+  cacheDirectory: './http-cache', // On-disk response cache, keyed by URL and fetch time
+  cacheMaxAge: null, // Offline replay skips pages cached longer ago than this, in ms (null = any age)
   // Enhanced image handling options
   enableImageDownload: true, // Download product images locally
   enableCloudUpload: true, // Upload to Crystallize CMS and Supabase
   imageDirectory: './images', // Local directory for downloaded images (backup)
+  maxImagesPerProduct: 5, // Images uploaded per product
   imageFormats: ['jpg', 'jpeg', 'png', 'webp'], // Supported formats
   minImageSize: 10000, // Minimum file size in bytes (filter out tiny images)
   maxImageSize: 5000000, // Maximum file size in bytes (5MB)
@@ -47,72 +93,38 @@ const CONFIG = {
   generateThumbnails: true, // Generate thumbnail versions
   preferCloudUrls: true, // Use Crystallize CDN URLs in output
   fallbackToOriginal: true, // Use original URLs if upload fails
+  // Datasheet and manual PDFs
+  harvestDocuments: true, // Download linked PDFs, read their text and list them as downloads (--no-documents skips)
+  documentDirectory: './downloads', // Local copies of harvested PDFs and their extracted text
+  maxDocumentsPerProduct: 5,
+  maxDocumentSize: 20000000, // Maximum PDF size in bytes (20MB)
+  maxReviewsPerProduct: 20, // Newest customer reviews kept per product (the aggregate rating covers all of them)
   validateData: true, // Validate extracted data before saving
+  qualityReportFile: 'data-quality-report.json', // Schema violations per product, written on save
+  brandReviewFile: 'brand-review.json', // Stated brands missing from the brand dictionary, written on save
+  classifyCategories: true, // Classify products from their text and specs (see ./category-classifier)
+  classifierThreshold: 0.5, // Confidence needed to assign a classified category or topic
+  addClassifiedTopics: true, // Add the classified categories and topics to the product topics
+  categoryReviewFile: 'category-review.json', // Products whose source category the classifier disagrees with, written on save
+  dashboardFile: 'scrape-report.html', // HTML data-quality dashboard, written on save (see ./quality-dashboard)
+  failOnInvalidData: false, // Exit non-zero when any saved product violates the schema (--strict)
   retryFailedRequests: true, // Retry failed requests
   maxRetries: 3,
-  generateFallbackData: true, // Generate dummy data when real data missing
+  generateFallbackFields: [], // Fields that may be filled with generated placeholder data when missing (--generate=price,wattage or all)
+  overridesFile: 'product-overrides.json', // Manual field values keyed by product id or source URL
+  mergeDuplicates: true, // Merge the same heater listed in several categories into one product with all its topics
   extractTechnicalSpecs: true, // Enhanced technical specification extraction
   categorizeByPower: true, // Automatically categorize by power rating
+  enableCheckpoints: true, // Write a resumable journal after every product
+  checkpointFile: 'scrape-checkpoint.json', // Journal location for --resume
+  lockFile: 'scrape.lock', // Held while a scrape runs so scheduled and manual runs never overlap (see ./run-lock)
+  generateDiffReport: true, // Compare each run against the previous snapshot
+  diffFile: 'catalogue-diff.json', // Machine-readable change report
+  diffReportFile: 'catalogue-diff.md', // Human-readable change report
 };
 
-// Enhanced categories with more detailed targeting
-const CATEGORIES = [
-  {
-    name: 'Panel Heaters',
-    path: '/infrared-heaters/infrared-panel-heaters',
-    crystallizePath: '/infrared-heaters/panel-heaters',
-    description: 'Wall-mounted infrared panel heaters perfect for residential and office spaces',
-    powerRange: '250W - 1200W',
-    targetSelectors: {
-      products: '.product-item, .product-card, [class*="product"]',
-      productLinks: 'a[href*="panel"], a[href*="infrared"]'
-    }
-  },
-  {
-    name: 'Ceiling Heaters', 
-    path: '/infrared-heaters/ceiling-infrared-heaters-1',
-    crystallizePath: '/infrared-heaters/ceiling-heaters',
-    description: 'Ceiling-mounted infrared heaters ideal for commercial environments',
-    powerRange: '1000W - 3000W',
-    targetSelectors: {
-      products: '.product-item, .product-card, [class*="product"]',
-      productLinks: 'a[href*="ceiling"], a[href*="cassette"]'
-    }
-  },
-  {
-    name: 'Industrial Heaters',
-    path: '/infrared-heaters/industrial-warehouse', 
-    crystallizePath: '/infrared-heaters/industrial-heaters',
-    description: 'Heavy-duty infrared heaters for workshops and industrial spaces',
-    powerRange: '2000W - 6000W',
-    targetSelectors: {
-      products: '.product-item, .product-card, [class*="product"]',
-      productLinks: 'a[href*="industrial"], a[href*="warehouse"]'
-    }
-  },
-  {
-    name: 'Far Infrared Heaters',
-    path: '/infrared-heaters/far-infrared-heaters',
-    crystallizePath: '/infrared-heaters/far-infrared-heaters',
-    description: 'Health-focused far infrared heating technology',
-    powerRange: '300W - 800W',
-    targetSelectors: {
-      products: '.product-item, .product-card, [class*="product"]',
-      productLinks: 'a[href*="far"], a[href*="health"]'
-    }
-  },
-  {
-    name: 'Patio Heaters',
-    path: '/infrared-heaters/outdoor-patio-heaters',
-    crystallizePath: '/infrared-heaters/patio-heaters',
-    description: 'Outdoor infrared heaters for patios and hospitality',
-    powerRange: '1500W - 3000W',
-    targetSelectors: {
-      products: '.product-item, .product-card, [class*="product"]',
-      productLinks: 'a[href*="patio"], a[href*="outdoor"]'
-    }
-  }
-];
+// Categories of the default supplier, kept for scripts that import them
+const CATEGORIES = getAdapter(CONFIG.siteAdapter).categories;
 
 class HeatShopScraper {
   constructor() {
@@ -123,6 +135,11 @@ class HeatShopScraper {
     this.errors = [];
     this.retryCount = 0;
     this.startTime = Date.now();
+    this.qualityReport = null;
+    // Added/removed/changed counts of the last catalogue diff, set on save
+    this.changeSummary = null;
+    // Manual field overrides, loaded when scraping starts
+    this.overrides = {};
     this.statistics = {
       totalRequests: 0,
       successfulRequests: 0,
@@ -130,10 +147,83 @@ class HeatShopScraper {
       productsExtracted: 0,
       categoriesProcessed: 0,
       imagesUploaded: 0,
-      imageUploadsFailed: 0
+      imagesSaved: 0,
+      imageUploadsFailed: 0,
+      crystallizeUploads: 0,
+      supabaseUploads: 0,
+      throttledResponses: 0,
+      robotsDisallowed: 0,
+      responsesCached: 0,
+      cacheMisses: 0,
+      documentsHarvested: 0,
+      documentsFailed: 0,
+      duplicatesMerged: 0,
+      relatedLinksResolved: 0,
+      relatedLinksUnresolved: 0,
+      sitemapUrlsUnmatched: 0,
+      categoryDisagreements: 0,
+      // Per category: { productUrls, extracted, merged, failed }
+      categories: {}
     };
-    // Initialize image upload service
-    this.imageService = new ImageUploadService();
+    // Response cache for recording pages and replaying them offline
+    this.responseCache = CONFIG.cacheResponses || CONFIG.offline ? new ResponseCache(CONFIG.cacheDirectory, { maxAge: CONFIG.cacheMaxAge }) : null;
+    // robots.txt rules and Crawl-delay for every host we visit
+    this.crawlPolicy = new CrawlPolicy({ userAgent: CONFIG.userAgent });
+    // Per-host token bucket shared by all workers (a delay of 0 means no limit)
+    const requestsPerSecond = CONFIG.delay > 0 ? 1000 / CONFIG.delay : Infinity;
+    this.rateLimiter = new HostRateLimiter({
+      requestsPerSecond,
+      maxRequestsPerSecond: CONFIG.maxRequestsPerSecond || requestsPerSecond
+    });
+    // Site adapter for the supplier being scraped
+    this.adapter = getAdapter(CONFIG.siteAdapter);
+    // Canonical brand names and model formats, plus any brands only this supplier sells
+    this.brands = new BrandDictionary([...BRANDS, ...this.adapter.brands]);
+    // Product URLs read from the sitemaps (discoveryMode 'sitemap'), loaded on first use
+    this.sitemapProductUrls = null;
+    // Initialize image upload service; it also keeps the local copies in imageDirectory
+    this.imageService = new ImageUploadService({
+      upload: CONFIG.enableCloudUpload,
+      localDirectory: CONFIG.enableImageDownload ? CONFIG.imageDirectory : null,
+      minFileSize: CONFIG.minImageSize,
+      maxFileSize: CONFIG.maxImageSize
+    });
+    // Datasheet/manual PDFs, stored locally and in Supabase storage when cloud upload is enabled
+    this.documentHarvester = new DocumentHarvester({
+      directory: CONFIG.documentDirectory,
+      fetchDocument: url => this.fetchDocument(url),
+      uploader: CONFIG.enableCloudUpload ? this.imageService : null,
+      maxDocuments: CONFIG.maxDocumentsPerProduct,
+      offline: CONFIG.offline
+    });
+    // Checkpoint journal for resumable runs
+    this.journal = CONFIG.enableCheckpoints ? new CheckpointJournal(CONFIG.checkpointFile) : null;
+  }
+
+  /**
+   * Restore products, visited URLs, errors and statistics from the checkpoint journal
+   * @returns {Promise<boolean>} True if a checkpoint was restored
+   */
+  async resumeFromCheckpoint() {
+    if (!this.journal) return false;
+
+    const state = await this.journal.load();
+    if (!state) {
+      console.log('📭 No checkpoint found, starting a fresh run');
+      return false;
+    }
+
+    this.products = state.products;
+    this.processedUrls = new Set(state.processedUrls);
+    this.errors = state.errors;
+    this.statistics = { ...this.statistics, ...state.statistics };
+
+    const completedCategories = Object.values(state.categories).filter(c => c.completed).length;
+    console.log(`♻️  Resuming from checkpoint saved at ${state.updatedAt}`);
+    console.log(`   Products restored: ${this.products.length}`);
+    console.log(`   URLs completed: ${state.completedUrls.length}`);
+    console.log(`   Categories completed: ${completedCategories}/${this.adapter.categories.length}`);
+    return true;
   }
 
   /**
@@ -146,12 +236,23 @@ class HeatShopScraper {
   }
 
   /**
-   * Make HTTP request with enhanced error handling and retries
+   * Make HTTP request with per-host rate limiting, error handling and retries.
+   * 429/503 responses slow the host down and wait for `Retry-After` before retrying.
    * @param {string} url - URL to fetch
    * @param {number} retryCount - Current retry attempt
    * @returns {Promise<string|null>} HTML content or null if failed
    */
   async makeRequest(url, retryCount = 0) {
+    if (CONFIG.offline) {
+      return this.readFromCache(url);
+    }
+    
+    if (retryCount === 0 && !(await this.checkCrawlPolicy(url))) {
+      return null;
+    }
+    
+    await this.rateLimiter.acquire(url);
+    
     try {
       this.requestCount++;
       this.statistics.totalRequests++;
@@ -171,17 +272,38 @@ class HeatShopScraper {
       });
       
       this.statistics.successfulRequests++;
-      await this.delay();
+      this.rateLimiter.recordSuccess(url);
+      
+      if (CONFIG.cacheResponses) {
+        await this.responseCache.store(url, response.data, {
+          status: response.status,
+          contentType: response.headers?.['content-type']
+        });
+        this.statistics.responsesCached++;
+      }
+      
       return response.data;
       
     } catch (error) {
       this.statistics.failedRequests++;
       console.error(`Error fetching ${url}:`, error.message);
       
+      // Server asked us to slow down: back off for the whole host
+      const status = error.response?.status;
+      let throttled = false;
+      if (status === 429 || status === 503) {
+        throttled = true;
+        this.statistics.throttledResponses++;
+        const pauseMs = this.rateLimiter.recordThrottle(url, parseRetryAfter(error.response.headers?.['retry-after']));
+        console.warn(`🐢 ${status} from ${new URL(url).host}, pausing ${Math.round(pauseMs / 1000)}s (now ${this.rateLimiter.getRate(url).toFixed(2)} req/s)`);
+      }
+      
       // Retry logic
       if (CONFIG.retryFailedRequests && retryCount < CONFIG.maxRetries) {
         console.log(`Retrying request ${retryCount + 1}/${CONFIG.maxRetries}...`);
-        await this.delay(CONFIG.delay * 2); // Longer delay for retries
+        if (!throttled) {
+          await this.delay(CONFIG.delay * 2 ** (retryCount + 1)); // Exponential backoff for retries
+        }
         return this.makeRequest(url, retryCount + 1);
       }
       
@@ -197,63 +319,208 @@ class HeatShopScraper {
   }
 
   /**
-   * Enhanced product URL extraction with multiple strategies
+   * Replay the most recent cached response for a URL (offline mode)
+   * @param {string} url - URL to look up
+   * @returns {Promise<string|null>} Cached HTML or null if the URL was never cached or its page has expired
+   */
+  async readFromCache(url) {
+    this.requestCount++;
+    this.statistics.totalRequests++;
+    
+    const entry = await this.responseCache.getLatest(url);
+    if (!entry) {
+      this.statistics.failedRequests++;
+      this.statistics.cacheMisses++;
+      console.warn(`📭 Not in cache, skipping: ${url}`);
+      this.errors.push({
+        url,
+        error: 'Not found in response cache',
+        timestamp: new Date().toISOString(),
+        step: 'offline_replay'
+      });
+      return null;
+    }
+    
+    this.statistics.successfulRequests++;
+    console.log(`Replay ${this.requestCount}: ${url} (fetched ${entry.fetchedAt})`);
+    return entry.body;
+  }
+
+  /**
+   * Check robots.txt for a URL, applying its Crawl-delay and recording disallowed URLs
+   * @param {string} url - URL about to be fetched
+   * @returns {Promise<boolean>} True if the request should go ahead
+   */
+  async checkCrawlPolicy(url) {
+    const policy = await this.crawlPolicy.check(url);
+    
+    if (policy.crawlDelayMs) {
+      this.rateLimiter.setMinInterval(url, policy.crawlDelayMs);
+    }
+    
+    if (policy.allowed) return true;
+    
+    this.statistics.robotsDisallowed++;
+    this.errors.push({
+      url,
+      error: `Disallowed by robots.txt (${policy.rule})`,
+      timestamp: new Date().toISOString(),
+      step: 'robots_txt'
+    });
+    
+    if (CONFIG.respectRobotsTxt) {
+      console.warn(`🚫 Skipping ${url}: disallowed by robots.txt (${policy.rule})`);
+      return false;
+    }
+    
+    console.warn(`⚠️  robots.txt disallows ${url} (${policy.rule}), fetching anyway because respectRobotsTxt is off`);
+    return true;
+  }
+
+  /**
+   * Enhanced product URL extraction with multiple strategies, following the
+   * category's pagination until enough products are found or the listing ends
    * @param {string} categoryUrl - Category page URL
    * @param {Object} category - Category configuration object
    * @returns {Promise<Array<string>>} Array of product URLs
    */
   async extractProductUrls(categoryUrl, category) {
-    const html = await this.makeRequest(categoryUrl);
-    if (!html) return [];
+    const { perCategoryLimit, maxPages } = this.adapter.discovery;
+    const newUrls = new Set();
+    const visitedPages = new Set();
+    let pageUrl = categoryUrl;
+    let pageNumber = 1;
+    
+    while (pageUrl && !visitedPages.has(pageUrl) && pageNumber <= maxPages) {
+      visitedPages.add(pageUrl);
+      const listing = await this.fetchListingPage(pageUrl);
+      if (!listing) break;
+      
+      // Filter out already processed URLs
+      const countBefore = newUrls.size;
+      this.adapter.discoverProductUrls(listing.$, category)
+        .filter(url => !this.processedUrls.has(url))
+        .forEach(url => newUrls.add(url));
+      
+      if (pageNumber > 1) {
+        console.log(`   📄 Page ${pageNumber}: ${newUrls.size - countBefore} more product URLs`);
+      }
+      
+      // Stop on a page that adds nothing, so ignored page parameters cannot loop forever
+      if (!CONFIG.followPagination || newUrls.size === countBefore || newUrls.size >= perCategoryLimit) break;
+      
+      pageUrl = listing.nextUrl || this.adapter.findNextPageUrl(listing.$, pageUrl, pageNumber);
+      pageNumber++;
+    }
+    
+    // Mark URLs as processed
+    const productUrls = Array.from(newUrls).slice(0, perCategoryLimit); // Limit per category
+    productUrls.forEach(url => this.processedUrls.add(url));
+    
+    console.log(`Found ${newUrls.size} new product URLs in category ${category.name} (${visitedPages.size} page${visitedPages.size === 1 ? '' : 's'})`);
+    return productUrls;
+  }
 
-    const $ = cheerio.load(html);
-    const productUrls = new Set(); // Use Set to avoid duplicates
-
-    // Strategy 1: Use category-specific selectors
-    if (category.targetSelectors) {
-      $(category.targetSelectors.products).each((i, element) => {
-        const link = $(element).find('a').first().attr('href');
-        if (link) {
-          const fullUrl = link.startsWith('http') ? link : CONFIG.baseUrl + link;
-          productUrls.add(fullUrl);
-        }
-      });
+  /**
+   * Fetch one page of a category listing. "Load more" endpoints often answer
+   * with JSON wrapping an HTML fragment and the next endpoint, so both are unwrapped.
+   * @param {string} url - Listing page or load-more endpoint URL
+   * @returns {Promise<Object|null>} `{ $, nextUrl }` or null if the request failed
+   */
+  async fetchListingPage(url) {
+    let body = await this.makeRequest(url);
+    if (!body) return null;
+    
+    if (typeof body === 'string' && body.trim().startsWith('{')) {
+      try {
+        body = JSON.parse(body);
+      } catch (error) {
+        // Not JSON after all; treat it as HTML
+      }
+    }
+    
+    if (typeof body === 'object') {
+      const html = [body.html, body.content, body.products].find(value => typeof value === 'string') || '';
+      const nextUrl = body.nextUrl || body.next_url || body.next_page_url || body.next || null;
+      return {
+        $: cheerio.load(html),
+        nextUrl: typeof nextUrl === 'string' ? this.adapter.resolveUrl(nextUrl) : null
+      };
+    }
+    
+    return { $: cheerio.load(body), nextUrl: null };
+  }
 
-      $(category.targetSelectors.productLinks).each((i, element) => {
-        const href = $(element).attr('href');
-        if (href) {
-          const fullUrl = href.startsWith('http') ? href : CONFIG.baseUrl + href;
-          productUrls.add(fullUrl);
+  /**
+   * Product URLs for a category taken from the site's sitemaps.
+   * The sitemaps are read once per run and each URL is assigned to a category
+   * with the adapter's `matchCategory`. URLs that match no category are
+   * skipped and counted rather than filed under a guessed one.
+   * @param {Object} category - Category configuration object
+   * @returns {Promise<Array<string>>} Array of product URLs
+   */
+  async extractSitemapProductUrls(category) {
+    if (!this.sitemapProductUrls) {
+      this.sitemapProductUrls = this.discoverFromSitemap().then(urls => {
+        const unmatched = urls.filter(url => !this.adapter.matchCategory(url));
+        this.statistics.sitemapUrlsUnmatched = unmatched.length;
+        if (unmatched.length > 0) {
+          console.warn(`🗺️  Skipping ${unmatched.length} sitemap URLs that match no category path or urlKeywords (e.g. ${unmatched[0]}); add urlKeywords to the adapter's categories or use category discovery`);
         }
+        return urls;
       });
     }
+    
+    const productUrls = (await this.sitemapProductUrls)
+      .filter(url => !this.processedUrls.has(url) && this.adapter.matchCategory(url) === category);
+    productUrls.forEach(url => this.processedUrls.add(url));
+    
+    console.log(`Found ${productUrls.length} new product URLs for category ${category.name} in sitemap`);
+    return productUrls;
+  }
 
-    // Strategy 2: Look for common product patterns
-    $('a[href*="/"]').each((i, element) => {
-      const href = $(element).attr('href');
-      if (href && this.isProductUrl(href, category)) {
-        const fullUrl = href.startsWith('http') ? href : CONFIG.baseUrl + href;
-        productUrls.add(fullUrl);
+  /**
+   * Read the site's sitemaps (from robots.txt and the adapter's `sitemapPaths`)
+   * and keep the URLs that look like product pages
+   * @returns {Promise<Array<string>>} Product URLs in sitemap order
+   */
+  async discoverFromSitemap() {
+    const { origin, host } = new URL(this.adapter.baseUrl);
+    const advertised = CONFIG.offline ? [] : await this.crawlPolicy.getSitemaps(origin);
+    const queue = [...advertised, ...this.adapter.discovery.sitemapPaths.map(sitemapPath => this.adapter.resolveUrl(sitemapPath))];
+    const visited = new Set();
+    const categoryUrls = new Set(this.adapter.categories.map(category => this.adapter.getCategoryUrl(category)));
+    const productUrls = new Set();
+    
+    console.log(`🗺️  Discovering products from sitemaps of ${origin}`);
+    
+    while (queue.length > 0 && visited.size < CONFIG.maxSitemaps) {
+      const sitemapUrl = queue.shift();
+      if (visited.has(sitemapUrl)) continue;
+      visited.add(sitemapUrl);
+      
+      if (sitemapUrl.endsWith('.gz')) {
+        console.warn(`⚠️  Skipping compressed sitemap ${sitemapUrl}`);
+        continue;
       }
-    });
-
-    // Strategy 3: Look for product cards/containers
-    $('.product-item, .product-card, .product-tile, .item, [class*="product"]').each((i, element) => {
-      const link = $(element).find('a').first().attr('href');
-      if (link && this.isProductUrl(link, category)) {
-        const fullUrl = link.startsWith('http') ? link : CONFIG.baseUrl + link;
-        productUrls.add(fullUrl);
+      
+      const xml = await this.makeRequest(sitemapUrl);
+      if (!xml) continue;
+      
+      const sitemap = parseSitemap(xml);
+      if (sitemap.type === 'index') {
+        queue.push(...sitemap.urls);
+        continue;
       }
-    });
-
-    // Filter out already processed URLs
-    const newUrls = Array.from(productUrls).filter(url => !this.processedUrls.has(url));
+      
+      for (const url of sitemap.urls.map(loc => this.adapter.resolveUrl(loc))) {
+        if (new URL(url).host !== host || categoryUrls.has(url)) continue;
+        if (this.isProductUrl(url, null)) productUrls.add(url);
+      }
+    }
     
-    // Mark URLs as processed
-    newUrls.forEach(url => this.processedUrls.add(url));
-
-    console.log(`Found ${newUrls.length} new product URLs in category ${category.name}`);
-    return newUrls.slice(0, 25); // Limit per category
+    console.log(`🗺️  ${productUrls.size} product URLs found in ${visited.size} sitemap${visited.size === 1 ? '' : 's'}`);
+    return Array.from(productUrls);
   }
 
   /**
@@ -263,27 +530,7 @@ class HeatShopScraper {
    * @returns {boolean} True if likely a product URL
    */
   isProductUrl(url, category) {
-    const productIndicators = [
-      'heater', 'infrared', 'panel', 'ceiling', 'industrial', 
-      'patio', 'outdoor', 'herschel', 'product'
-    ];
-    
-    const excludePatterns = [
-      'category', 'categories', '?', '#', 'javascript:', 'mailto:',
-      '/search', '/cart', '/checkout', '/account', '/login'
-    ];
-
-    // Must contain product indicators
-    const hasProductKeyword = productIndicators.some(keyword => 
-      url.toLowerCase().includes(keyword)
-    );
-
-    // Must not contain exclude patterns
-    const hasExcludePattern = excludePatterns.some(pattern => 
-      url.toLowerCase().includes(pattern)
-    );
-
-    return hasProductKeyword && !hasExcludePattern && url.length > 10;
+    return this.adapter.isProductUrl(url, category);
   }
 
   /**
@@ -299,54 +546,116 @@ class HeatShopScraper {
     const $ = cheerio.load(html);
 
     try {
-      // Extract comprehensive product information
-      const name = this.extractProductName($);
-      const price = this.extractPrice($);
-      const description = this.extractDescription($);
-      const specifications = this.extractEnhancedSpecifications($);
-      const features = this.extractFeatures($);
-      const technicalSpecs = this.extractTechnicalSpecifications($);
-      const warranty = this.extractWarrantyInfo($);
-      const availability = this.extractAvailability($);
+      // Structured data (JSON-LD, microdata, OpenGraph) first, heuristic extractors as fallback
+      const structured = extractStructuredData($);
+      const fieldSources = {};
+      const prefer = (field, fallback, options) => this.preferStructured(structured, field, fallback, fieldSources, options);
 
-      // Generate product ID for image processing
+      // Extract comprehensive product information
+      const name = prefer('name', () => this.extractProductName($));
+      
+      // Generate product ID for image processing and override lookup
       const productId = this.generateId(name);
+      const categoryMapping = this.adapter.mapCategory(category);
+      
+      // Record where every value came from; missing fields are only generated when enabled
+      const override = this.overrides[productId] || this.overrides[productUrl] || null;
+      const provenance = {};
+      const resolve = (field, value) => this.resolveField(field, value, override, provenance);
+      
+      // Price block for currency, VAT and sale prices; structured data still wins for the amount
+      const pagePricing = this.extractPrice($);
+      const price = resolve('price', prefer('price', () => pagePricing?.price ?? null));
+      if (price === null) {
+        console.warn(`💷 No price found for ${name}, skipping (add "price" to generateFallbackFields or an override to keep it)`);
+        this.errors.push({
+          url: productUrl,
+          error: 'No price found on product page',
+          category: category.name,
+          timestamp: new Date().toISOString(),
+          step: 'missing_price'
+        });
+        return null;
+      }
+      
+      const currency = prefer('currency', () => pagePricing?.currency || this.adapter.pricing.currency, {
+        fallbackSource: pagePricing?.currency ? 'heuristic' : 'default'
+      });
+      const pricing = this.buildPricing(price, currency, pagePricing, provenance);
+      const description = resolve('description', this.extractDescription($));
+      const measurements = this.extractMeasurements($);
+      const specifications = this.extractEnhancedSpecifications($, measurements);
+      this.resolveSpecifications(specifications, measurements, override, provenance);
+      const features = resolve('features', this.extractFeatures($));
+      const technicalSpecs = this.extractTechnicalSpecifications($);
+      const documents = await this.harvestDocuments($, productId, name);
+      this.fillTechnicalGaps(technicalSpecs, documents, fieldSources);
+      const warranty = resolve('warranty', this.extractWarrantyInfo($));
+      const availability = resolve('availability', prefer('availability', () => this.extractAvailability($)));
+      const statedManufacturer = this.brands.normaliseManufacturer(prefer('brand', () => this.extractManufacturer($, name), { as: 'manufacturer' }));
+      const manufacturer = resolve('manufacturer', statedManufacturer ? statedManufacturer.name : null);
+      const gtin = prefer('gtin', () => null, { fallbackSource: null });
+      const sku = prefer('sku', () => null, { fallbackSource: null });
+      const stock = resolve('stock', null);
+      
+      let model = this.brands.normaliseModel(prefer('mpn', () => this.extractModel($, name, manufacturer), { as: 'model' }), manufacturer);
+      if (model === null) {
+        model = this.deriveModel(name);
+        provenance.model = PROVENANCE.DERIVED;
+      }
+      
+      for (const field of ['name', 'currency', 'model', 'gtin', 'sku']) {
+        provenance[field] = provenance[field] || (fieldSources[field] ? provenanceFromSource(fieldSources[field]) : PROVENANCE.MISSING);
+      }
       
       // Extract and process images with cloud upload
       console.log(`📸 Processing images for ${name}...`);
-      const images = await this.extractAndUploadImages($, productId, name);
+      const images = await this.extractAndUploadImages($, productId, name, structured.images);
+      fieldSources.images = structured.images.length > 0 ? structured.sources.images : 'heuristic';
+      provenance.images = images.length > 0 ? PROVENANCE.SCRAPED : PROVENANCE.MISSING;
+
+      // Real options from the page; invented variants only when enabled
+      const variants = this.buildVariants($, { name, pricing, currency, sku, specifications, measurements, stock, images }, provenance);
 
-      // Validate extracted data
+      const downloads = toDownloads(documents);
+
+      // Customer ratings are only ever scraped: a generated rating would mislead buyers
+      const { rating, reviews, source: reviewSource } = extractReviews($, { maxReviews: CONFIG.maxReviewsPerProduct });
+      if (reviewSource) fieldSources.rating = reviewSource;
+      provenance.rating = rating ? (rating.derived ? PROVENANCE.DERIVED : PROVENANCE.SCRAPED) : PROVENANCE.MISSING;
+      provenance.reviews = reviews.length > 0 ? PROVENANCE.SCRAPED : PROVENANCE.MISSING;
+
+      // Accessories and related products, resolved to product ids once the run is complete
+      const related = this.adapter.findRelatedLinks($, productUrl).map(link => ({ ...link, id: null, path: null }));
+
+      // Validate extracted data (the schema report on save lists the details)
       if (CONFIG.validateData && !this.validateProductData(name, price, specifications)) {
         console.warn(`Validation failed for product: ${name}`);
-        if (!CONFIG.generateFallbackData) {
-          return null;
-        }
       }
 
       // Generate enhanced product data structure
       const product = {
         id: this.generateId(name),
         name: name,
-        path: this.generatePath(name, category),
+        path: this.generatePath(name, categoryMapping),
         shape: 'Heater Product',
-        category: category.name,
+        category: categoryMapping.name,
         categoryDescription: category.description,
-        crystallizePath: category.crystallizePath,
+        crystallizePath: categoryMapping.crystallizePath,
+        source: this.adapter.id,
         sourceUrl: productUrl,
         extractedAt: new Date().toISOString(),
         
         // Enhanced product data
         pricing: {
-          basePrice: price,
-          currency: 'GBP',
-          priceRange: this.calculatePriceRange(price, specifications),
-          vatIncluded: true
+          ...pricing,
+          priceRange: this.calculatePriceRange(pricing.basePrice, variants)
         },
         
         // Comprehensive specifications
         specifications: {
           basic: specifications,
+          measurements: measurements,
           technical: technicalSpecs,
           powerCategory: this.categorizePower(specifications.wattage),
           efficiency: this.calculateEfficiency(specifications),
@@ -359,32 +668,51 @@ class HeatShopScraper {
           features: features,
           warranty: warranty,
           availability: availability,
-          manufacturer: this.extractManufacturer($, name),
-          model: this.extractModel($, name)
+          manufacturer: manufacturer,
+          model: model,
+          gtin: gtin,
+          sku: sku
         },
         
+        // Which extractor produced each field (json-ld, microdata, opengraph, heuristic, default)
+        fieldSources: fieldSources,
+        
+        // Whether each field is scraped, derived, generated, manual or missing
+        provenance: provenance,
+        
         // Media assets
         media: {
           images: images,
-          hasDatasheet: this.hasDatasheet($),
-          hasManual: this.hasManual($)
+          hasDatasheet: documents.some(document => document.type === 'datasheet') || this.hasDatasheet($),
+          hasManual: documents.some(document => document.type === 'manual') || this.hasManual($),
+          documents: documents
         },
         
+        // Harvested PDFs grouped for the storefront's file list
+        downloads: downloads,
+        
+        // Aggregate customer rating (null when the page has none) and the newest reviews
+        rating: rating,
+        reviews: reviews,
+        
+        // Linked accessories, related products and "customers also bought" items
+        related: related,
+        
         // Crystallize component structure
         components: {
           description: {
             type: 'richText',
             content: {
-              html: description,
-              plainText: this.stripHtml(description)
+              html: description || '',
+              plainText: this.stripHtml(description || '')
             }
           },
           specifications: {
             type: 'contentChunk',
             chunks: [{
-              wattage: specifications.wattage || this.generateDummyWattage(),
-              dimensions: specifications.dimensions || this.generateDummyDimensions(),
-              weight: specifications.weight || this.generateDummyWeight(),
+              wattage: specifications.wattage,
+              dimensions: specifications.dimensions,
+              weight: specifications.weight,
               coverage: specifications.coverage || this.calculateCoverage(specifications),
               mounting: specifications.mounting || 'Wall mounted',
               efficiency: specifications.efficiency || 'A+ Energy Rating'
@@ -393,8 +721,8 @@ class HeatShopScraper {
           features: {
             type: 'richText',
             content: {
-              html: features,
-              plainText: this.stripHtml(features)
+              html: features || '',
+              plainText: this.stripHtml(features || '')
             }
           },
           technicalSpecs: {
@@ -408,17 +736,42 @@ class HeatShopScraper {
           warranty: {
             type: 'singleLine',
             text: warranty
+          },
+          downloads: {
+            type: 'contentChunk',
+            chunks: downloads
+          },
+          rating: {
+            type: 'contentChunk',
+            chunks: rating ? [{
+              average: rating.average,
+              count: rating.count,
+              reviewCount: rating.reviewCount,
+              best: rating.best
+            }] : []
+          },
+          reviews: {
+            type: 'contentChunk',
+            chunks: reviews
+          },
+          // Filled by resolveRelatedProducts after the run
+          'related-items': {
+            type: 'itemRelations',
+            items: []
           }
         },
         
-        variants: this.generateEnhancedVariants(name, price, specifications),
-        topics: [category.crystallizePath],
+        variants: variants,
+        topics: categoryMapping.topics,
         
         // SEO and marketing data
         seo: {
-          title: `${name} - ${category.name} | Norko Infrared Heaters`,
-          description: `${name}. ${this.stripHtml(description).substring(0, 160)}...`,
-          keywords: this.generateKeywords(name, category, specifications)
+          title: `${name} - ${categoryMapping.name} | Norko Infrared Heaters`,
+          description: `${name}. ${this.stripHtml(description || '').substring(0, 160)}...`,
+          keywords: this.generateKeywords(name, categoryMapping, specifications, {
+            manufacturer: provenance.manufacturer === PROVENANCE.GENERATED ? null : manufacturer,
+            model
+          })
         }
       };
 
@@ -428,6 +781,7 @@ class HeatShopScraper {
       console.error(`Error extracting product from ${productUrl}:`, error.message);
       this.errors.push({
         url: productUrl,
+        category: category.name,
         error: error.message,
         timestamp: new Date().toISOString(),
         step: 'product_extraction'
@@ -436,20 +790,139 @@ class HeatShopScraper {
     }
   }
 
+  /**
+   * Use a structured-data value when the page provides one, otherwise the fallback extractor
+   * @param {Object} structured - Result of extractStructuredData
+   * @param {string} field - Structured data field name
+   * @param {Function} fallback - Heuristic extractor to run when the field is missing
+   * @param {Object} fieldSources - Map recording the source of each product field
+   * @param {Object} [options] - `as` (product field name), `fallbackSource` (source label for the fallback)
+   * @returns {*} Field value
+   */
+  preferStructured(structured, field, fallback, fieldSources, { as = field, fallbackSource = 'heuristic' } = {}) {
+    const value = structured[field];
+    if (value !== null && value !== undefined) {
+      fieldSources[as] = structured.sources[field];
+      return value;
+    }
+
+    const fallbackValue = fallback();
+    if (fallbackSource && fallbackValue !== null && fallbackValue !== undefined) {
+      fieldSources[as] = fallbackSource;
+    }
+    return fallbackValue;
+  }
+
+  /**
+   * Settle a field value and record its provenance: a manual override wins,
+   * then the extracted value, then a generated value if enabled for the field
+   * @param {string} field - Field name (see GENERATABLE_FIELDS)
+   * @param {*} value - Extracted value, or null if the page did not provide one
+   * @param {Object|null} override - Manual overrides for this product
+   * @param {Object} provenance - Provenance map to record into
+   * @returns {*} Field value, or null if missing
+   */
+  resolveField(field, value, override, provenance) {
+    if (override && override[field] !== undefined) {
+      provenance[field] = PROVENANCE.MANUAL;
+      return override[field];
+    }
+    
+    if (value !== null && value !== undefined) {
+      provenance[field] = PROVENANCE.SCRAPED;
+      return value;
+    }
+    
+    if (CONFIG.generateFallbackFields.includes(field)) {
+      provenance[field] = PROVENANCE.GENERATED;
+      return this.generateFallbackValue(field);
+    }
+    
+    provenance[field] = PROVENANCE.MISSING;
+    return null;
+  }
+
+  /**
+   * Resolve wattage, dimensions and weight and record provenance for the measured fields.
+   * Manual values are real data, so they also replace the typed measurements.
+   * @param {Object} specifications - Specifications from extractEnhancedSpecifications (updated in place)
+   * @param {Object} measurements - Typed measurements (updated in place)
+   * @param {Object|null} override - Manual overrides for this product
+   * @param {Object} provenance - Provenance map to record into
+   */
+  resolveSpecifications(specifications, measurements, override, provenance) {
+    specifications.wattage = this.resolveField('wattage', specifications.wattage, override, provenance);
+    specifications.dimensions = this.resolveField('dimensions', specifications.dimensions, override, provenance);
+    specifications.weight = this.resolveField('weight', specifications.weight, override, provenance);
+    
+    if (provenance.wattage === PROVENANCE.MANUAL) {
+      measurements.power = { value: specifications.wattage, unit: 'W', text: null };
+      if (!measurements.coverage || measurements.coverage.estimated) {
+        measurements.coverage = { value: this.estimateCoverageArea(specifications.wattage), unit: 'm²', text: null, estimated: true };
+      }
+    }
+    if (provenance.dimensions === PROVENANCE.MANUAL) {
+      measurements.dimensions = parseDimensions(String(specifications.dimensions));
+      if (measurements.dimensions) specifications.dimensions = formatDimensions(measurements.dimensions);
+    }
+    if (provenance.weight === PROVENANCE.MANUAL) {
+      measurements.weight = { value: specifications.weight, unit: 'kg', text: null };
+    }
+    
+    // Coverage estimated from a generated wattage is as fabricated as the wattage
+    if (measurements.coverage && !measurements.coverage.estimated) {
+      provenance.coverage = PROVENANCE.SCRAPED;
+    } else if (!specifications.wattage) {
+      provenance.coverage = PROVENANCE.MISSING;
+    } else {
+      provenance.coverage = provenance.wattage === PROVENANCE.GENERATED ? PROVENANCE.GENERATED : PROVENANCE.DERIVED;
+    }
+    provenance.ipRating = measurements.ipRating ? PROVENANCE.SCRAPED : PROVENANCE.MISSING;
+  }
+
+  /**
+   * Generate a placeholder value for a field (only called when enabled in generateFallbackFields)
+   * @param {string} field - Field name
+   * @returns {*} Generated value
+   */
+  generateFallbackValue(field) {
+    switch (field) {
+      case 'price': return this.generateDummyPrice();
+      case 'wattage': return this.generateDummyWattage();
+      case 'dimensions': return this.generateDummyDimensions();
+      case 'weight': return this.generateDummyWeight();
+      case 'stock': return this.generateDummyStock();
+      case 'description': return '<p>High-quality infrared heater providing efficient and comfortable heating.</p>';
+      case 'features': return '<ul><li>Energy efficient infrared heating</li><li>Easy wall mounting</li><li>Silent operation</li><li>Maintenance free</li></ul>';
+      case 'warranty': return '2 year manufacturer warranty';
+      case 'availability': return 'Available';
+      case 'manufacturer': return 'Premium Brand';
+      default: throw new Error(`No fallback generator for field "${field}"`);
+    }
+  }
+
+  /**
+   * Load manual field overrides from CONFIG.overridesFile
+   * @returns {Promise<void>}
+   */
+  async loadOverrides() {
+    this.overrides = await loadOverrides(CONFIG.overridesFile);
+    const count = Object.keys(this.overrides).length;
+    if (count > 0) {
+      console.log(`✍️  Loaded manual overrides for ${count} products from ${CONFIG.overridesFile}`);
+    }
+  }
+
   /**
    * Extract product name with multiple fallback strategies
    * @param {Object} $ - Cheerio object
    * @returns {string} Product name
    */
   extractProductName($) {
-    const selectors = [
-      'h1',
-      '.product-title',
-      '.product-name', 
-      'title',
-      '.page-title',
-      '[class*="title"]'
-    ];
+    const custom = this.adapter.extract('name', $);
+    if (custom !== undefined) return custom;
+
+    const selectors = this.adapter.getSelectors('name');
 
     for (const selector of selectors) {
       const element = $(selector).first();
@@ -462,47 +935,88 @@ class HeatShopScraper {
   }
 
   /**
-   * Extract price with enhanced pattern matching
+   * Read the price block: current price, currency, VAT basis and any was-price
    * @param {Object} $ - Cheerio object
-   * @returns {number} Product price
+   * @returns {Object|null} Page pricing from pricing.interpretPrices, or null if no price was found
    */
   extractPrice($) {
-    const selectors = [
-      '.price',
-      '.product-price',
-      '[class*="price"]',
-      '.cost',
-      '.amount'
-    ];
+    const options = {
+      currency: this.adapter.pricing.currency,
+      vatRate: this.adapter.pricing.vatRate,
+      pricesIncludeVat: this.adapter.pricing.pricesIncludeVat
+    };
 
-    for (const selector of selectors) {
-      const element = $(selector).first();
-      if (element.length) {
-        const priceText = element.text();
-        const priceMatch = priceText.match(/£?(\d+(?:\.\d{2})?)/);
-        if (priceMatch) {
-          return parseFloat(priceMatch[1]);
-        }
-      }
+    const custom = this.adapter.extract('price', $);
+    if (custom !== undefined) {
+      if (custom === null) return null;
+      return interpretPrices([{ amount: custom, currency: null, role: 'current', vat: null }], options);
     }
 
-    return this.generateDummyPrice();
+    return extractPagePricing($, {
+      selectors: this.adapter.getSelectors('price'),
+      containerSelectors: this.adapter.getSelectors('priceContainer'),
+      ...options
+    });
+  }
+
+  /**
+   * Build the product's pricing: net and gross, and the compare-at price of a sale.
+   * The price may come from structured data or an override, so its VAT basis is
+   * taken from the matching price in the page's price block, or else the
+   * supplier's convention (adapter `pricing`).
+   * @param {number} price - Resolved product price
+   * @param {string} currency - ISO currency code
+   * @param {Object|null} pagePricing - Result of extractPrice
+   * @param {Object} provenance - Provenance map to record into
+   * @returns {Object} Pricing without `priceRange` (added once variants are known)
+   */
+  buildPricing(price, currency, pagePricing, provenance) {
+    const { vatRate, pricesIncludeVat } = this.adapter.pricing;
+    
+    let includesVat = pricesIncludeVat;
+    let { net, gross } = splitVat(price, includesVat, vatRate);
+    if (pagePricing && [pagePricing.price, pagePricing.net, pagePricing.gross].includes(price)) {
+      includesVat = price === pagePricing.gross || (price === pagePricing.price && pagePricing.includesVat);
+      net = pagePricing.net;
+      gross = pagePricing.gross;
+    }
+    
+    // The compare-at price is on the basis the page shows; convert it to the base price's
+    let compareAtPrice = pagePricing?.compareAtPrice ?? null;
+    if (compareAtPrice !== null && pagePricing.includesVat !== (gross !== null)) {
+      const converted = splitVat(compareAtPrice, pagePricing.includesVat, vatRate);
+      compareAtPrice = gross !== null ? converted.gross : converted.net;
+    }
+    
+    const basePrice = gross ?? price;
+    if (compareAtPrice !== null && compareAtPrice <= basePrice) compareAtPrice = null;
+    
+    provenance.compareAtPrice = compareAtPrice !== null ? PROVENANCE.SCRAPED : PROVENANCE.MISSING;
+    provenance.netPrice = pagePricing?.vatLabelled && net === pagePricing.net && !includesVat ? PROVENANCE.SCRAPED : PROVENANCE.DERIVED;
+    
+    return {
+      basePrice: basePrice,
+      currency: currency,
+      net: net,
+      gross: gross,
+      vatRate: vatRate,
+      vatIncluded: gross !== null,
+      compareAtPrice: compareAtPrice,
+      onSale: compareAtPrice !== null,
+      displayed: { price: price, includesVat: includesVat }
+    };
   }
 
   /**
    * Extract product description
    * @param {Object} $ - Cheerio object
-   * @returns {string} Product description
+   * @returns {string|null} Product description HTML, or null if not found
    */
   extractDescription($) {
-    const selectors = [
-      '.product-description',
-      '.description', 
-      '.product-details',
-      '.product-info p',
-      '.content p',
-      '.summary'
-    ];
+    const custom = this.adapter.extract('description', $);
+    if (custom !== undefined) return custom;
+
+    const selectors = this.adapter.getSelectors('description');
 
     for (const selector of selectors) {
       const element = $(selector).first();
@@ -511,13 +1025,13 @@ class HeatShopScraper {
       }
     }
 
-    return '<p>High-quality infrared heater providing efficient and comfortable heating.</p>';
+    return null;
   }
 
   /**
    * Extract product features
    * @param {Object} $ - Cheerio object
-   * @returns {string} Features HTML
+   * @returns {string|null} Features HTML, or null if not found
    */
   extractFeatures($) {
     const features = [];
@@ -534,7 +1048,7 @@ class HeatShopScraper {
       return '<ul>' + features.slice(0, 5).map(f => `<li>${f}</li>`).join('') + '</ul>';
     }
 
-    return '<ul><li>Energy efficient infrared heating</li><li>Easy wall mounting</li><li>Silent operation</li><li>Maintenance free</li></ul>';
+    return null;
   }
 
   /**
@@ -569,7 +1083,7 @@ class HeatShopScraper {
       
       sources.forEach(source => {
         if (source && source.trim()) {
-          const fullUrl = source.startsWith('http') ? source : CONFIG.baseUrl + source;
+          const fullUrl = this.adapter.resolveUrl(source);
           if (!imageUrls.includes(fullUrl)) {
             imageUrls.push(fullUrl);
           }
@@ -592,7 +1106,7 @@ class HeatShopScraper {
       $(selector).each((i, element) => {
         const src = $(element).attr('src') || $(element).attr('data-src');
         if (src) {
-          const fullUrl = src.startsWith('http') ? src : CONFIG.baseUrl + src;
+          const fullUrl = this.adapter.resolveUrl(src);
           if (!imageUrls.includes(fullUrl)) {
             imageUrls.unshift(fullUrl); // Prioritize these images
           }
@@ -610,17 +1124,22 @@ class HeatShopScraper {
    * Extract model number from product name or page
    * @param {Object} $ - Cheerio object
    * @param {string} productName - Product name
-   * @returns {string} Model number
+   * @param {string|null} [manufacturer] - Canonical manufacturer, for the brand's model format
+   * @returns {string|null} Model number, or null if none is stated
    */
-  extractModel($, productName) {
+  extractModel($, productName, manufacturer = null) {
+    const fullText = $.text() + ' ' + productName;
+
+    // The brand's own model format, in the name first
+    const known = this.brands.matchModel(productName, manufacturer) || this.brands.matchModel(fullText, manufacturer);
+    if (known) return known;
+
     // Look for model patterns in the name
     const modelPatterns = [
       /model[:\s]+([a-z0-9-]+)/i,
       /([a-z]{2,}\s*\d{3,})/i,
       /([a-z]+\d+[a-z]*)/i
     ];
-
-    const fullText = $.text() + ' ' + productName;
     
     for (const pattern of modelPatterns) {
       const match = fullText.match(pattern);
@@ -629,17 +1148,54 @@ class HeatShopScraper {
       }
     }
 
-    // Generate model from name
+    return null;
+  }
+
+  /**
+   * Derive a model code from the product name when the page states none
+   * @param {string} productName - Product name
+   * @returns {string} Model code, e.g. `HERSCHEL-SELECT`
+   */
+  deriveModel(productName) {
     const nameWords = productName.split(' ').filter(word => word.length > 2);
     return nameWords.slice(0, 2).join('-').toUpperCase();
   }
 
+  /**
+   * Extract typed measurements in canonical units (W, mm, kg, m², IP rating).
+   * Labelled values such as "Power: 600W" win over the first match elsewhere on the page.
+   * @param {Object} $ - Cheerio object
+   * @returns {Object} `{ power, dimensions, weight, coverage, ipRating }`, each with its source `text` or null
+   */
+  extractMeasurements($) {
+    // Join text nodes with spaces so adjacent table cells do not run together ("2.5 cmWeight")
+    const text = $('*').contents()
+      .filter((i, node) => node.type === 'text' && !['script', 'style'].includes(node.parent?.name))
+      .map((i, node) => $(node).text())
+      .get()
+      .join(' ')
+      .replace(/\s+/g, ' ');
+    const power = findQuantity(text, parsePower, ['power', 'wattage', 'output']);
+    const coverage = findQuantity(text, parseArea, ['coverage', 'heating area', 'room size']);
+
+    return {
+      power,
+      dimensions: findQuantity(text, parseDimensions, ['dimensions', 'size']),
+      weight: findQuantity(text, parseWeight, ['weight']),
+      coverage: coverage || (power
+        ? { value: this.estimateCoverageArea(power.value), unit: 'm²', text: null, estimated: true }
+        : null),
+      ipRating: findQuantity(text, parseIpRating, ['ip rating', 'protection'])
+    };
+  }
+
   /**
    * Enhanced specification extraction with technical details
    * @param {Object} $ - Cheerio object
+   * @param {Object} [measurements] - Typed measurements from extractMeasurements
    * @returns {Object} Comprehensive specifications object
    */
-  extractEnhancedSpecifications($) {
+  extractEnhancedSpecifications($, measurements = this.extractMeasurements($)) {
     const specs = {
       wattage: null,
       dimensions: null,
@@ -655,63 +1211,12 @@ class HeatShopScraper {
 
     const fullText = $.html().toLowerCase();
 
-    // Enhanced wattage extraction
-    const wattagePatterns = [
-      /(\d+)\s*w(?:att)?s?/i,
-      /power:\s*(\d+)w/i,
-      /(\d+)w\s*heater/i
-    ];
-    for (const pattern of wattagePatterns) {
-      const match = fullText.match(pattern);
-      if (match) {
-        specs.wattage = parseInt(match[1]);
-        break;
-      }
-    }
-
-    // Enhanced dimensions extraction
-    const dimensionPatterns = [
-      /(\d+)\s*(?:mm|cm)?\s*x\s*(\d+)\s*(?:mm|cm)?(?:\s*x\s*(\d+)\s*(?:mm|cm)?)?/i,
-      /dimensions?:\s*(\d+(?:\.\d+)?)\s*x\s*(\d+(?:\.\d+)?)\s*(?:x\s*(\d+(?:\.\d+)?))?\s*(?:mm|cm)/i,
-      /size:\s*(\d+)\s*x\s*(\d+)(?:\s*x\s*(\d+))?\s*(?:mm|cm)/i
-    ];
-    for (const pattern of dimensionPatterns) {
-      const match = fullText.match(pattern);
-      if (match) {
-        const width = match[1];
-        const height = match[2];
-        const depth = match[3] || '8'; // Default depth for panels
-        specs.dimensions = `${width}mm x ${height}mm x ${depth}mm`;
-        break;
-      }
-    }
-
-    // Weight extraction
-    const weightPatterns = [
-      /(\d+(?:\.\d+)?)\s*kg/i,
-      /weight:\s*(\d+(?:\.\d+)?)\s*kg/i
-    ];
-    for (const pattern of weightPatterns) {
-      const match = fullText.match(pattern);
-      if (match) {
-        specs.weight = parseFloat(match[1]);
-        break;
-      }
-    }
-
-    // Coverage area extraction
-    const coveragePatterns = [
-      /(\d+)\s*m[²2]/i,
-      /coverage:\s*(\d+)\s*m/i,
-      /heating\s*area:\s*(\d+)\s*m/i
-    ];
-    for (const pattern of coveragePatterns) {
-      const match = fullText.match(pattern);
-      if (match) {
-        specs.coverage = `${match[1]}m²`;
-        break;
-      }
-    }
+    // Display values derived from the typed measurements
+    specs.wattage = measurements.power?.value ?? null;
+    specs.dimensions = measurements.dimensions ? formatDimensions(measurements.dimensions) : null;
+    specs.weight = measurements.weight?.value ?? null;
+    specs.coverage = measurements.coverage && !measurements.coverage.estimated ? formatArea(measurements.coverage) : null;
+    specs.ip_rating = measurements.ipRating?.value ?? null;
 
     // Voltage extraction
     const voltageMatch = fullText.match(/(\d+)v/i);
@@ -719,12 +1224,6 @@ class HeatShopScraper {
       specs.voltage = `${voltageMatch[1]}V`;
     }
 
-    // IP Rating extraction
-    const ipMatch = fullText.match(/ip\s*(\d+)/i);
-    if (ipMatch) {
-      specs.ip_rating = `IP${ipMatch[1]}`;
-    }
-
     // Mounting type
     if (fullText.includes('wall') || fullText.includes('mount')) {
       specs.mounting = 'Wall mounted';
@@ -785,7 +1284,7 @@ class HeatShopScraper {
   /**
    * Extract warranty information
    * @param {Object} $ - Cheerio object
-   * @returns {string} Warranty information
+   * @returns {string|null} Warranty information, or null if not stated
    */
   extractWarrantyInfo($) {
     const warrantyPatterns = [
@@ -802,21 +1301,19 @@ class HeatShopScraper {
       }
     }
 
-    return '2 year manufacturer warranty'; // Default
+    return null;
   }
 
   /**
    * Extract availability/stock information
    * @param {Object} $ - Cheerio object
-   * @returns {string} Availability status
+   * @returns {string|null} Availability status, or null if not shown
    */
   extractAvailability($) {
-    const availabilitySelectors = [
-      '.stock-status',
-      '.availability',
-      '[class*="stock"]',
-      '[class*="available"]'
-    ];
+    const custom = this.adapter.extract('availability', $);
+    if (custom !== undefined) return custom;
+
+    const availabilitySelectors = this.adapter.getSelectors('availability');
 
     for (const selector of availabilitySelectors) {
       const element = $(selector).first();
@@ -830,22 +1327,21 @@ class HeatShopScraper {
       }
     }
 
-    return 'Available'; // Default
+    return null;
   }
 
   /**
    * Extract manufacturer information
    * @param {Object} $ - Cheerio object
    * @param {string} productName - Product name for inference
-   * @returns {string} Manufacturer name
+   * @returns {string|null} Manufacturer name, or null if unknown
    */
   extractManufacturer($, productName) {
+    const custom = this.adapter.extract('manufacturer', $, { productName });
+    if (custom !== undefined) return custom;
+
     // Look for explicit manufacturer mentions
-    const manufacturerSelectors = [
-      '.manufacturer',
-      '.brand',
-      '[class*="brand"]'
-    ];
+    const manufacturerSelectors = this.adapter.getSelectors('manufacturer');
 
     for (const selector of manufacturerSelectors) {
       const element = $(selector).first();
@@ -855,16 +1351,8 @@ class HeatShopScraper {
     }
 
     // Infer from product name
-    const commonBrands = ['herschel', 'ecostrad', 'infrared4homes', 'aurora', 'solus'];
-    const nameLower = productName.toLowerCase();
-    
-    for (const brand of commonBrands) {
-      if (nameLower.includes(brand)) {
-        return brand.charAt(0).toUpperCase() + brand.slice(1);
-      }
-    }
-
-    return 'Premium Brand'; // Default
+    const brand = this.brands.findInText(productName);
+    return brand ? brand.name : null;
   }
 
   /**
@@ -899,33 +1387,40 @@ class HeatShopScraper {
   /**
    * Calculate coverage area based on power
    * @param {Object} specifications - Product specifications
-   * @returns {string} Estimated coverage area
+   * @returns {string|null} Estimated coverage area, or null without a wattage
    */
   calculateCoverage(specifications) {
     if (specifications.coverage) return specifications.coverage;
     
     if (specifications.wattage) {
-      // Rule of thumb: ~10-15W per m² for infrared heaters
-      const coverage = Math.round(specifications.wattage / 12);
-      return `${coverage}m²`;
+      return formatArea(this.estimateCoverageArea(specifications.wattage));
     }
     
-    return '15m²'; // Default
+    return null;
+  }
+
+  /**
+   * Estimate the area a heater can warm from its power
+   * @param {number} wattage - Power in watts
+   * @returns {number} Coverage in square metres
+   */
+  estimateCoverageArea(wattage) {
+    // Rule of thumb: ~10-15W per m² for infrared heaters
+    return Math.round(wattage / 12);
   }
 
   /**
    * Calculate price range for variants
    * @param {number} basePrice - Base product price
-   * @param {Object} specifications - Product specifications
+   * @param {Array<Object>} variants - Product variants
    * @returns {Object} Price range object
    */
-  calculatePriceRange(basePrice, specifications) {
-    const minPrice = Math.round(basePrice * 0.8 * 100) / 100;
-    const maxPrice = Math.round(basePrice * 1.5 * 100) / 100;
+  calculatePriceRange(basePrice, variants) {
+    const prices = variants.map(variant => variant.price).filter(price => typeof price === 'number');
     
     return {
-      min: minPrice,
-      max: maxPrice,
+      min: prices.length > 0 ? Math.min(...prices) : basePrice,
+      max: prices.length > 0 ? Math.max(...prices) : basePrice,
       base: basePrice
     };
   }
@@ -946,6 +1441,86 @@ class HeatShopScraper {
     return 'B+ Energy Rating';
   }
 
+  /**
+   * Download, store and read the PDF documents linked from a product page
+   * @param {Object} $ - Cheerio object
+   * @param {string} productId - Product identifier
+   * @param {string} name - Product name for logging
+   * @returns {Promise<Array<Object>>} Harvested documents (empty when disabled)
+   */
+  async harvestDocuments($, productId, name) {
+    if (!CONFIG.harvestDocuments) return [];
+    
+    const links = findDocumentLinks($, href => this.adapter.resolveUrl(href));
+    if (links.length === 0) return [];
+    
+    console.log(`📄 Harvesting ${Math.min(links.length, CONFIG.maxDocumentsPerProduct)} document(s) for ${name}...`);
+    const documents = await this.documentHarvester.harvest(links, productId);
+    for (const document of documents) {
+      if (document.error) {
+        this.statistics.documentsFailed++;
+      } else {
+        this.statistics.documentsHarvested++;
+      }
+    }
+    return documents;
+  }
+
+  /**
+   * Download a document as binary, honouring robots.txt and the per-host rate limit
+   * @param {string} url - Document URL
+   * @returns {Promise<Buffer|null>} File contents or null if failed
+   */
+  async fetchDocument(url) {
+    if (!(await this.checkCrawlPolicy(url))) return null;
+    
+    await this.rateLimiter.acquire(url);
+    
+    try {
+      this.requestCount++;
+      this.statistics.totalRequests++;
+      console.log(`Request ${this.requestCount}: ${url}`);
+      
+      const response = await axios.get(url, {
+        headers: { 'User-Agent': CONFIG.userAgent, 'Accept': 'application/pdf,*/*;q=0.8' },
+        responseType: 'arraybuffer',
+        maxContentLength: CONFIG.maxDocumentSize,
+        timeout: 30000
+      });
+      
+      this.statistics.successfulRequests++;
+      this.rateLimiter.recordSuccess(url);
+      return Buffer.from(response.data);
+      
+    } catch (error) {
+      this.statistics.failedRequests++;
+      this.errors.push({
+        url,
+        error: error.message,
+        timestamp: new Date().toISOString(),
+        step: 'document_download'
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Fill specifications missing from the product page with values parsed from its documents
+   * @param {Object} technicalSpecs - Technical specifications (updated in place)
+   * @param {Array<Object>} documents - Harvested documents, datasheets first
+   * @param {Object} fieldSources - Map recording the source of each product field
+   */
+  fillTechnicalGaps(technicalSpecs, documents, fieldSources) {
+    const ordered = [...documents].sort((a, b) => (a.type === 'datasheet' ? 0 : 1) - (b.type === 'datasheet' ? 0 : 1));
+    for (const document of ordered) {
+      for (const [key, value] of Object.entries(document.specifications || {})) {
+        if (technicalSpecs[key] !== undefined) continue;
+        technicalSpecs[key] = value;
+        fieldSources[`technical.${key}`] = document.type;
+      }
+    }
+  }
+
   /**
    * Check if product has datasheet
    * @param {Object} $ - Cheerio object
@@ -971,9 +1546,10 @@ class HeatShopScraper {
    * @param {string} name - Product name
    * @param {Object} category - Category information
    * @param {Object} specifications - Product specifications
+   * @param {Object} [brand] - `manufacturer` (null when generated) and `model`
    * @returns {Array<string>} SEO keywords
    */
-  generateKeywords(name, category, specifications) {
+  generateKeywords(name, category, specifications, { manufacturer = null, model = null } = {}) {
     const keywords = [
       'infrared heater',
       'electric heater',
@@ -992,6 +1568,15 @@ class HeatShopScraper {
       keywords.push(specifications.mounting.toLowerCase());
     }
 
+    // Add brand keywords, with the model only when it is in the brand's own format
+    if (manufacturer) {
+      const brand = manufacturer.toLowerCase();
+      keywords.push(brand, `${brand} heater`, `${brand} ${category.name.toLowerCase()}`);
+      if (model && this.brands.matchModel(model, manufacturer) === model) {
+        keywords.push(`${brand} ${model.toLowerCase()}`);
+      }
+    }
+
     // Add name-based keywords
     const nameWords = name.toLowerCase().split(' ').filter(word => word.length > 3);
     keywords.push(...nameWords);
@@ -1000,76 +1585,189 @@ class HeatShopScraper {
   }
 
   /**
-   * Generate enhanced product variants
+   * Build the product's variants. The real options on the page are used when present;
+   * invented wattage variants only when "variants" is in generateFallbackFields;
+   * otherwise the product is sold as a single variant.
+   * @param {Object} $ - Cheerio object
+   * @param {Object} product - `name`, `pricing`, `currency`, `sku`, `specifications`, `measurements`, `stock`, `images`
+   * @param {Object} provenance - Provenance map to record into
+   * @returns {Array<Object>} Product variants
+   */
+  buildVariants($, product, provenance) {
+    // Option prices are shown on the same basis as the product price
+    const pageVariants = extractVariants($, { basePrice: product.pricing.displayed.price });
+    if (pageVariants.length > 0) {
+      provenance.variants = PROVENANCE.SCRAPED;
+      return pageVariants.map((variant, index) => this.createPageVariant(variant, index, product));
+    }
+    
+    if (CONFIG.generateFallbackFields.includes('variants')) {
+      const generated = this.generateEnhancedVariants(product.name, product.pricing.basePrice, product.specifications, product.measurements, product);
+      if (generated.length > 0) {
+        provenance.variants = PROVENANCE.GENERATED;
+        return generated;
+      }
+    }
+    
+    provenance.variants = PROVENANCE.DERIVED;
+    return [this.createBaseVariant(product)];
+  }
+
+  /**
+   * Convert a variant read from the page into the catalogue variant structure
+   * @param {Object} variant - Normalised variant from extractVariants
+   * @param {number} index - Position on the page (the first option is the default)
+   * @param {Object} product - Product context, see buildVariants
+   * @returns {Object} Product variant
+   */
+  createPageVariant(variant, index, product) {
+    const { name, pricing, currency, measurements, stock, images } = product;
+    const optionText = Object.values(variant.options).join(' ');
+    const optionPower = parsePower(optionText) || (variant.name && parsePower(variant.name));
+    const power = optionPower || measurements.power || null;
+    const dimensions = parseDimensions(optionText) || measurements.dimensions || null;
+    const variantPrice = variant.price !== null ? this.toBasePrice(variant.price, pricing) : pricing.basePrice;
+    // The product's sale applies to the option sold at the product price
+    let compareAtPrice = variant.compareAtPrice ? this.toBasePrice(variant.compareAtPrice, pricing) : null;
+    if (compareAtPrice === null && variantPrice === pricing.basePrice) compareAtPrice = pricing.compareAtPrice;
+    const baseSku = product.sku || this.generateSku(name, null);
+    
+    const attributes = Object.entries(variant.options).map(([option, value]) => ({
+      attribute: option.toLowerCase().replace(/\s+/g, '_'),
+      value
+    }));
+    const hasAttribute = attribute => attributes.some(entry => entry.attribute === attribute);
+    if (power && !hasAttribute('wattage')) attributes.push({ attribute: 'wattage', value: formatPower(power) });
+    if (dimensions && !hasAttribute('dimensions')) attributes.push({ attribute: 'dimensions', value: formatDimensions(dimensions) });
+    if (power) attributes.push({ attribute: 'coverage', value: this.calculateCoverage({ wattage: power.value }) });
+    
+    // Reuse the uploaded copy when the variant image is one of the product images
+    const imageUrl = variant.image ? this.adapter.resolveUrl(variant.image) : null;
+    const variantImages = imageUrl
+      ? [images.find(image => image.originalUrl === imageUrl) || { url: imageUrl, altText: `${name} - ${variant.name}`, originalUrl: imageUrl, isCloudHosted: false }]
+      : [];
+    
+    return {
+      name: variant.name || `Option ${index + 1}`,
+      // Pages without per-option SKUs get one derived from the product SKU and the option
+      sku: variant.sku || `${baseSku}-${this.generateId(variant.name || String(index + 1)).toUpperCase()}`,
+      supplierSku: variant.sku || null,
+      price: variantPrice,
+      priceVariants: buildPriceVariants(variantPrice, compareAtPrice, currency),
+      attributes: attributes,
+      measurements: {
+        power: power,
+        coverage: optionPower && optionPower.value !== measurements.power?.value
+          ? { value: this.estimateCoverageArea(optionPower.value), unit: 'm²', estimated: true }
+          : measurements.coverage || null,
+        dimensions: dimensions
+      },
+      images: variantImages,
+      stock: variant.available === false ? 0 : stock,
+      isDefault: index === 0,
+      provenance: {
+        sku: variant.sku ? PROVENANCE.SCRAPED : PROVENANCE.DERIVED,
+        price: variant.price !== null ? PROVENANCE.SCRAPED : PROVENANCE.DERIVED
+      },
+      variantSource: variant.source
+    };
+  }
+
+  /**
+   * Convert a price shown on the page to the basis of the product's base price (gross when VAT is known)
+   * @param {number} amount - Price as shown
+   * @param {Object} pricing - Product pricing from buildPricing
+   * @returns {number} Price on the base price's basis
+   */
+  toBasePrice(amount, pricing) {
+    if (pricing.displayed.includesVat === pricing.vatIncluded) return amount;
+    const { net, gross } = splitVat(amount, pricing.displayed.includesVat, pricing.vatRate);
+    return pricing.vatIncluded ? gross : net;
+  }
+
+  /**
+   * Create the single variant of a product that has no options on the page
+   * @param {Object} product - Product context, see buildVariants
+   * @returns {Object} Product variant
+   */
+  createBaseVariant({ name, pricing, currency, sku, specifications, measurements, stock }) {
+    const wattage = measurements.power?.value ?? specifications.wattage;
+    const attributes = [];
+    if (wattage) attributes.push({ attribute: 'wattage', value: formatPower(wattage) });
+    if (specifications.dimensions) attributes.push({ attribute: 'dimensions', value: specifications.dimensions });
+    if (wattage) attributes.push({ attribute: 'coverage', value: this.calculateCoverage({ wattage }) });
+    
+    return {
+      name: wattage ? formatPower(wattage) : 'Standard',
+      sku: sku || this.generateSku(name, wattage),
+      supplierSku: sku || null,
+      price: pricing.basePrice,
+      priceVariants: buildPriceVariants(pricing.basePrice, pricing.compareAtPrice, currency),
+      attributes: attributes,
+      measurements: {
+        power: measurements.power || null,
+        coverage: measurements.coverage || null,
+        dimensions: measurements.dimensions || null
+      },
+      images: [],
+      stock: stock,
+      isDefault: true
+    };
+  }
+
+  /**
+   * Generate invented wattage variants around the product's wattage (base ±200W,
+   * price scaled linearly). These SKUs do not exist at the supplier, so this is
+   * only used when "variants" is enabled in generateFallbackFields.
    * @param {string} name - Product name
    * @param {number} basePrice - Base price
    * @param {Object} specifications - Product specifications
-   * @returns {Array<Object>} Product variants
+   * @param {Object} [measurements] - Typed measurements from extractMeasurements
+   * @param {Object} [options] - `stock`: resolved stock level (null when unknown), `currency`
+   * @returns {Array<Object>} Product variants (empty when the wattage is unknown)
    */
-  generateEnhancedVariants(name, basePrice, specifications) {
+  generateEnhancedVariants(name, basePrice, specifications, measurements = {}, { stock = null, currency = 'GBP' } = {}) {
     const variants = [];
+    const baseWattage = measurements.power?.value ?? specifications.wattage;
+    if (!baseWattage) return variants;
     
-    // If we have a specific wattage, create variants around it
-    if (specifications.wattage) {
-      const baseWattage = specifications.wattage;
-      const wattageOptions = [baseWattage];
-      
-      // Add logical wattage variants
-      if (baseWattage >= 300 && baseWattage < 600) {
-        wattageOptions.push(baseWattage + 200, baseWattage + 400);
-      } else if (baseWattage >= 600 && baseWattage < 1000) {
-        wattageOptions.push(baseWattage - 200, baseWattage + 300);
-      }
+    const variantMeasurements = wattage => ({
+      power: { value: wattage, unit: 'W' },
+      coverage: { value: this.estimateCoverageArea(wattage), unit: 'm²', estimated: true },
+      dimensions: measurements.dimensions || null
+    });
+    
+    const wattageOptions = [baseWattage];
+    
+    // Add logical wattage variants
+    if (baseWattage >= 300 && baseWattage < 600) {
+      wattageOptions.push(baseWattage + 200, baseWattage + 400);
+    } else if (baseWattage >= 600 && baseWattage < 1000) {
+      wattageOptions.push(baseWattage - 200, baseWattage + 300);
+    }
+    
+    wattageOptions.forEach((wattage, index) => {
+      const priceMultiplier = wattage / baseWattage;
+      const variantPrice = Math.round(basePrice * priceMultiplier * 100) / 100;
       
-      wattageOptions.forEach((wattage, index) => {
-        const priceMultiplier = wattage / baseWattage;
-        const variantPrice = Math.round(basePrice * priceMultiplier * 100) / 100;
-        
-        variants.push({
-          name: `${wattage}W`,
-          sku: this.generateSku(name, wattage),
-          price: variantPrice,
-          priceVariants: [{
-            identifier: 'default',
-            price: variantPrice,
-            currency: 'GBP'
-          }],
-          attributes: [
-            { attribute: 'wattage', value: `${wattage}W` },
-            { attribute: 'dimensions', value: specifications.dimensions || this.generateDummyDimensions() },
-            { attribute: 'coverage', value: this.calculateCoverage({ wattage }) },
-            { attribute: 'efficiency', value: this.calculateEfficiency(specifications) }
-          ],
-          stock: this.generateDummyStock(),
-          isDefault: index === 0
-        });
-      });
-    } else {
-      // Generate standard variants
-      const standardWattages = [350, 550, 900];
-      standardWattages.forEach((wattage, index) => {
-        const priceMultiplier = wattage / 350;
-        const variantPrice = Math.round(basePrice * priceMultiplier * 100) / 100;
-        
-        variants.push({
-          name: `${wattage}W`,
-          sku: this.generateSku(name, wattage),
-          price: variantPrice,
-          priceVariants: [{
-            identifier: 'default',
-            price: variantPrice,
-            currency: 'GBP'
-          }],
-          attributes: [
-            { attribute: 'wattage', value: `${wattage}W` },
-            { attribute: 'dimensions', value: this.generateDummyDimensions() },
-            { attribute: 'coverage', value: this.calculateCoverage({ wattage }) }
-          ],
-          stock: this.generateDummyStock(),
-          isDefault: index === 0
-        });
+      variants.push({
+        name: `${wattage}W`,
+        sku: this.generateSku(name, wattage),
+        supplierSku: null,
+        price: variantPrice,
+        priceVariants: buildPriceVariants(variantPrice, null, currency),
+        attributes: [
+          { attribute: 'wattage', value: formatPower(wattage) },
+          ...(specifications.dimensions ? [{ attribute: 'dimensions', value: specifications.dimensions }] : []),
+          { attribute: 'coverage', value: this.calculateCoverage({ wattage }) },
+          { attribute: 'efficiency', value: this.calculateEfficiency(specifications) }
+        ],
+        measurements: variantMeasurements(wattage),
+        images: [],
+        stock: stock,
+        isDefault: index === 0
       });
-    }
+    });
 
     return variants;
   }
@@ -1090,7 +1788,7 @@ class HeatShopScraper {
 
   generateSku(name, wattage) {
     const nameCode = name.substring(0, 3).toUpperCase();
-    return `${nameCode}-${wattage}W`;
+    return wattage ? `${nameCode}-${wattage}W` : `${nameCode}-STD`;
   }
 
   stripHtml(html) {
@@ -1126,6 +1824,24 @@ class HeatShopScraper {
     return Math.floor(Math.random() * 50) + 5; // 5-55 units
   }
 
+  /**
+   * Get the adapter categories selected by CONFIG.categories
+   * @returns {Array<Object>} Categories to scrape, in adapter order
+   * @throws {Error} If a configured category does not exist in the adapter
+   */
+  selectCategories() {
+    if (!CONFIG.categories || CONFIG.categories.length === 0) return this.adapter.categories;
+
+    const wanted = CONFIG.categories.map(name => name.toLowerCase());
+    const known = this.adapter.categories.map(category => category.name.toLowerCase());
+    const unknown = CONFIG.categories.filter((name, index) => !known.includes(wanted[index]));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown categories: ${unknown.join(', ')} (available: ${this.adapter.categories.map(c => c.name).join(', ')})`);
+    }
+
+    return this.adapter.categories.filter(category => wanted.includes(category.name.toLowerCase()));
+  }
+
   /**
    * Enhanced main scraping process with progress tracking and comprehensive logging
    * @returns {Promise<Array<Object>>} Array of extracted products
@@ -1133,67 +1849,123 @@ class HeatShopScraper {
   async scrapeProducts() {
     console.log('🚀 Starting Enhanced HeatShop Product Scraping...');
     console.log(`📋 Configuration:`);
+    console.log(`   Profile: ${CONFIG.profile}`);
     console.log(`   Target: ${CONFIG.maxProducts} products`);
-    console.log(`   Delay: ${CONFIG.delay}ms between requests`);
+    console.log(`   Delay: ${CONFIG.delay}ms between requests per host`);
+    console.log(`   Concurrency: ${CONFIG.concurrency} workers`);
     console.log(`   Retries: ${CONFIG.maxRetries} max per request`);
     console.log(`   Validation: ${CONFIG.validateData ? 'Enabled' : 'Disabled'}`);
-    console.log(`   Categories: ${CATEGORIES.length}`);
+    console.log(`   Discovery: ${CONFIG.discoveryMode === 'sitemap' ? 'Sitemap' : `Category pages${CONFIG.followPagination ? ' (with pagination)' : ''}`}`);
+    if (CONFIG.offline) {
+      console.log(`   Mode: Offline replay from ${CONFIG.cacheDirectory}`);
+    } else if (CONFIG.cacheResponses) {
+      console.log(`   Mode: Live, caching responses to ${CONFIG.cacheDirectory}`);
+    }
+    const categories = this.selectCategories();
+    console.log(`   Site: ${this.adapter.name} (${this.adapter.baseUrl})`);
+    console.log(`   Categories: ${categories.length}${CONFIG.categories ? ` (${categories.map(c => c.name).join(', ')})` : ''}`);
+    
+    console.log(`   Documents: ${CONFIG.harvestDocuments ? `PDFs saved to ${CONFIG.documentDirectory}` : 'Disabled'}`);
+    console.log(`   Generated fallback data: ${CONFIG.generateFallbackFields.length > 0 ? CONFIG.generateFallbackFields.join(', ') : 'None'}`);
+    
+    await this.loadOverrides();
     
     const totalStartTime = Date.now();
     
-    for (const [categoryIndex, category] of CATEGORIES.entries()) {
+    for (const [categoryIndex, category] of categories.entries()) {
       if (this.products.length >= CONFIG.maxProducts) break;
       
-      console.log(`\n📂 Processing Category ${categoryIndex + 1}/${CATEGORIES.length}: ${category.name}`);
+      if (this.journal?.isCategoryComplete(category.name)) {
+        console.log(`\n⏭️  Skipping completed category ${categoryIndex + 1}/${categories.length}: ${category.name}`);
+        continue;
+      }
+      
+      console.log(`\n📂 Processing Category ${categoryIndex + 1}/${categories.length}: ${category.name}`);
       console.log(`   Description: ${category.description}`);
       console.log(`   Power Range: ${category.powerRange}`);
-      console.log(`   URL: ${CONFIG.baseUrl}${category.path}`);
+      console.log(`   URL: ${this.adapter.getCategoryUrl(category)}`);
       
       const categoryStartTime = Date.now();
-      this.statistics.categoriesProcessed++;
       
       try {
-        // Get product URLs from category page
-        const productUrls = await this.extractProductUrls(CONFIG.baseUrl + category.path, category);
+        // Get product URLs from the checkpoint, or from the category page
+        let productUrls = this.journal?.getCategoryUrls(category.name);
+        if (!productUrls) {
+          this.statistics.categoriesProcessed++;
+          productUrls = CONFIG.discoveryMode === 'sitemap'
+            ? await this.extractSitemapProductUrls(category)
+            : await this.extractProductUrls(this.adapter.getCategoryUrl(category), category);
+          await this.journal?.recordCategoryUrls(category.name, productUrls, this);
+        }
         
         if (productUrls.length === 0) {
           console.warn(`   ⚠️  No products found in category ${category.name}`);
+          await this.journal?.completeCategory(category.name, this);
           continue;
         }
         
         console.log(`   🔍 Found ${productUrls.length} product URLs to process`);
         
-        // Process individual products
+        // Kept in the statistics so a resumed run continues the counts
+        const categoryStats = this.statistics.categories[category.name] || { productUrls: 0, extracted: 0, merged: 0, failed: 0 };
+        categoryStats.productUrls = productUrls.length;
+        // Set once every URL has been tried; only then can the change report call a missing product removed
+        categoryStats.complete = false;
+        this.statistics.categories[category.name] = categoryStats;
+        
+        // Process individual products with a bounded worker pool
         let categoryProductCount = 0;
-        for (const [urlIndex, productUrl] of productUrls.entries()) {
-          if (this.products.length >= CONFIG.maxProducts) break;
-          
-          const productProgress = `${this.products.length + 1}/${CONFIG.maxProducts}`;
-          const categoryProgress = `${urlIndex + 1}/${productUrls.length}`;
-          
-          console.log(`\n   📦 Product ${productProgress} (Category: ${categoryProgress})`);
-          console.log(`       URL: ${productUrl}`);
+        let inFlight = 0;
+        let attempted = 0;
+        const pendingUrls = productUrls.filter(url => {
+          if (!this.journal?.isUrlComplete(url)) return true;
+          console.log(`   ⏭️  Already completed in previous run: ${url}`);
+          return false;
+        });
+        
+        await runWorkerPool(pendingUrls, CONFIG.concurrency, async (productUrl, urlIndex) => {
+          inFlight++;
+          const categoryProgress = `${urlIndex + 1}/${pendingUrls.length}`;
+          console.log(`\n   📦 Starting product (Category: ${categoryProgress}): ${productUrl}`);
           
           const productStartTime = Date.now();
           const product = await this.extractProductDetails(productUrl, category);
           const extractionTime = Date.now() - productStartTime;
+          inFlight--;
           
-          if (product) {
+          const duplicate = product && CONFIG.mergeDuplicates ? findDuplicate(product, this.products) : null;
+          if (duplicate) {
+            mergeDuplicate(duplicate.product, product, duplicate);
+            this.statistics.duplicatesMerged++;
+            categoryStats.merged++;
+            console.log(`\n   🔁 Duplicate of ${duplicate.product.name} (matched on ${duplicate.matchedOn.join(', ')}), merged: ${productUrl}`);
+          } else if (product) {
             this.products.push(product);
             this.statistics.productsExtracted++;
+            categoryStats.extracted++;
             categoryProductCount++;
             
-            console.log(`       ✅ Success: ${product.name}`);
-            console.log(`       💰 Price: £${product.pricing.basePrice}`);
+            console.log(`\n   ✅ Product ${this.products.length}/${CONFIG.maxProducts}: ${product.name}`);
+            console.log(`       URL: ${productUrl}`);
+            console.log(`       💰 Price: ${product.pricing.currency} ${product.pricing.basePrice}${product.pricing.onSale ? ` (was ${product.pricing.compareAtPrice})` : ''}`);
             console.log(`       ⚡ Power: ${product.specifications.basic.wattage || 'Unknown'}W`);
             console.log(`       ⏱️  Extraction time: ${extractionTime}ms`);
           } else {
-            console.log(`       ❌ Failed to extract product data`);
+            categoryStats.failed++;
+            console.log(`\n   ❌ Failed to extract product data: ${productUrl}`);
           }
           
+          attempted++;
+          await this.journal?.recordProduct(productUrl, this);
+          
           // Progress indicator
           const overall = Math.round((this.products.length / CONFIG.maxProducts) * 100);
           console.log(`       📊 Overall Progress: ${overall}% (${this.products.length}/${CONFIG.maxProducts})`);
+        }, () => this.products.length + inFlight < CONFIG.maxProducts);
+        
+        categoryStats.complete = attempted === pendingUrls.length;
+        if (productUrls.every(url => this.journal?.isUrlComplete(url))) {
+          await this.journal?.completeCategory(category.name, this);
         }
         
         const categoryTime = Date.now() - categoryStartTime;
@@ -1213,6 +1985,9 @@ class HeatShopScraper {
       }
     }
     
+    this.resolveRelatedProducts();
+    this.classifyProducts();
+    
     const totalTime = Date.now() - totalStartTime;
     
     console.log(`\n🎉 Scraping Complete!`);
@@ -1221,24 +1996,80 @@ class HeatShopScraper {
     console.log(`   Total time: ${Math.round(totalTime / 1000)}s`);
     console.log(`   Average time per product: ${Math.round(totalTime / this.products.length)}ms`);
     console.log(`   Success rate: ${Math.round((this.statistics.productsExtracted / this.statistics.totalRequests) * 100)}%`);
-    console.log(`   Categories processed: ${this.statistics.categoriesProcessed}/${CATEGORIES.length}`);
+    console.log(`   Categories processed: ${this.statistics.categoriesProcessed}/${categories.length}`);
     console.log(`   Total requests made: ${this.statistics.totalRequests}`);
     console.log(`   Failed requests: ${this.statistics.failedRequests}`);
+    console.log(`   Throttled responses: ${this.statistics.throttledResponses}`);
+    console.log(`   Disallowed by robots.txt: ${this.statistics.robotsDisallowed}`);
+    console.log(`   Images uploaded: ${this.statistics.imagesUploaded} (${this.statistics.crystallizeUploads} Crystallize, ${this.statistics.supabaseUploads} Supabase, ${this.statistics.imageUploadsFailed} failed)`);
+    console.log(`   Images saved locally: ${this.statistics.imagesSaved}`);
+    console.log(`   Documents harvested: ${this.statistics.documentsHarvested} (${this.statistics.documentsFailed} failed)`);
+    console.log(`   Duplicates merged: ${this.statistics.duplicatesMerged}`);
+    console.log(`   Related product links: ${this.statistics.relatedLinksResolved} resolved, ${this.statistics.relatedLinksUnresolved} to products not scraped`);
+    console.log(`   Category disagreements: ${this.statistics.categoryDisagreements}`);
+    if (CONFIG.discoveryMode === 'sitemap') {
+      console.log(`   Sitemap URLs matching no category: ${this.statistics.sitemapUrlsUnmatched}`);
+    }
     console.log(`   Errors encountered: ${this.errors.length}`);
     
     return this.products;
   }
 
+  /**
+   * Resolve the related and accessory links of every product to the products
+   * scraped in this run, and fill their `related-items` relations
+   * @returns {Object} `{ links, resolved, unresolved }` counts
+   */
+  resolveRelatedProducts() {
+    const counts = resolveRelations(this.products);
+    this.statistics.relatedLinksResolved = counts.resolved;
+    this.statistics.relatedLinksUnresolved = counts.unresolved;
+    if (counts.links > 0) {
+      console.log(`🔗 Resolved ${counts.resolved} of ${counts.links} related product links`);
+    }
+    return counts;
+  }
+
+  /**
+   * Classify every product from its text and specs, and flag those whose
+   * source category the classifier disagrees with
+   * @returns {Array<Object>} Products whose source category disagrees with the classifier
+   */
+  classifyProducts() {
+    if (!CONFIG.classifyCategories) return [];
+
+    const classifier = new CategoryClassifier({ threshold: CONFIG.classifierThreshold });
+    const disagreements = [];
+    for (const product of this.products) {
+      product.classification = classifier.review(product);
+      if (CONFIG.addClassifiedTopics) {
+        // Rebuilt from the source categories, so reclassifying a saved file replaces the old topics
+        const { sourceCategories, categories, topics } = product.classification;
+        product.topics = [...new Set([...sourceCategories, ...categories.map(category => category.path), ...topics.map(topic => topic.path)])];
+      }
+      if (product.classification.disagrees) disagreements.push(product);
+    }
+
+    this.statistics.categoryDisagreements = disagreements.length;
+    if (disagreements.length > 0) {
+      console.warn(`🗂️  ${disagreements.length} products look misfiled: the classifier disagrees with their source category`);
+    }
+    return disagreements;
+  }
+
   /**
    * Enhanced save method with comprehensive metadata
    * @returns {Promise<void>}
    */
   async saveProducts() {
+    // Validate every record against the product schema before it is written
+    const qualityReport = buildQualityReport(this.products);
+    
     const output = {
       metadata: {
         scrapedAt: new Date().toISOString(),
         totalProducts: this.products.length,
-        source: 'heatershop.co.uk',
+        source: this.adapter.source,
         scraper: {
           version: '2.0.0',
           configuration: CONFIG,
@@ -1246,11 +2077,11 @@ class HeatShopScraper {
           errors: this.errors,
           processingTime: Date.now() - this.startTime
         },
-        categories: CATEGORIES.map(c => ({
+        categories: this.adapter.categories.map(c => ({
           name: c.name,
           description: c.description,
           powerRange: c.powerRange,
-          productsExtracted: this.products.filter(p => p.category === c.name).length
+          productsExtracted: this.products.filter(p => (p.categories || [{ name: p.category }]).some(listed => listed.name === c.name)).length
         })),
         dataQuality: {
           productsWithPricing: this.products.filter(p => p.pricing.basePrice > 0).length,
@@ -1260,12 +2091,17 @@ class HeatShopScraper {
           powerRange: {
             min: Math.min(...this.products.map(p => p.specifications.basic.wattage || 0).filter(w => w > 0)),
             max: Math.max(...this.products.map(p => p.specifications.basic.wattage || 0))
-          }
+          },
+          schemaValidation: qualityReport.summary,
+          provenance: summariseProvenance(this.products)
         }
       },
       products: this.products
     };
 
+    // Keep the last saved snapshot in memory so this run can be diffed against it
+    const previousSnapshot = CONFIG.generateDiffReport ? await loadSnapshot(CONFIG.outputFile) : null;
+
     await fs.writeFile(CONFIG.outputFile, JSON.stringify(output, null, 2));
     console.log(`💾 Saved comprehensive data to ${CONFIG.outputFile}`);
     
@@ -1273,6 +2109,73 @@ class HeatShopScraper {
     const summaryFile = 'scraping-summary.json';
     await fs.writeFile(summaryFile, JSON.stringify(output.metadata, null, 2));
     console.log(`📋 Saved scraping summary to ${summaryFile}`);
+    
+    await fs.writeFile(CONFIG.qualityReportFile, JSON.stringify(qualityReport, null, 2));
+    const { validProducts, totalProducts, totalViolations } = qualityReport.summary;
+    console.log(`🧪 Schema validation: ${validProducts}/${totalProducts} products valid, ${totalViolations} violations (${CONFIG.qualityReportFile})`);
+    this.qualityReport = qualityReport;
+
+    // Stated brands the dictionary does not know, to be checked and added to brand-dictionary.js
+    const unknownBrands = this.brands.findUnknownBrands(this.products);
+    await fs.writeFile(CONFIG.brandReviewFile, JSON.stringify({ generatedAt: new Date().toISOString(), unknownBrands }, null, 2));
+    if (unknownBrands.length > 0) {
+      console.warn(`🏷️  ${unknownBrands.length} brands not in the brand dictionary: ${unknownBrands.map(brand => brand.name).join(', ')} (${CONFIG.brandReviewFile})`);
+    }
+
+    // Products filed under a category their own text and specs do not support
+    if (CONFIG.classifyCategories) {
+      const disagreements = this.products
+        .filter(product => product.classification?.disagrees)
+        .map(product => ({
+          id: product.id,
+          name: product.name,
+          sourceUrl: product.sourceUrl,
+          sourceCategories: product.classification.sourceCategories,
+          classifiedAs: product.classification.categories
+        }));
+      await fs.writeFile(CONFIG.categoryReviewFile, JSON.stringify({ generatedAt: new Date().toISOString(), disagreements }, null, 2));
+    }
+
+    if (CONFIG.dashboardFile) {
+      await writeDashboard(output, CONFIG.dashboardFile);
+      console.log(`📈 Saved data-quality dashboard to ${CONFIG.dashboardFile}`);
+    }
+
+    if (CONFIG.generateDiffReport) {
+      if (!previousSnapshot) {
+        console.log('📭 No previous snapshot found, every product will be reported as added');
+      }
+      // Products of categories this run skipped or stopped early in are not reported as removed
+      const crawledCategories = Object.entries(this.statistics.categories)
+        .filter(([, stats]) => stats.complete)
+        .map(([name]) => name);
+      const diff = await writeDiffReports(previousSnapshot, output, {
+        json: CONFIG.diffFile,
+        markdown: CONFIG.diffReportFile
+      }, { crawledCategories });
+      const { summary } = diff;
+      this.changeSummary = summary;
+      console.log(`🔀 Catalogue changes: ${summary.added} added, ${summary.removed} removed, ${summary.changed} changed${summary.notCrawled > 0 ? ` (${summary.notCrawled} in categories not crawled completely)` : ''}`);
+      console.log(`📋 Saved change report to ${CONFIG.diffFile} and ${CONFIG.diffReportFile}`);
+    }
+  }
+
+  /**
+   * Summarise a finished run for the scheduler's run history
+   * @param {Array<Object>} [catalogueFiles] - Files written by exportCatalogue
+   * @returns {Object} Product and error counts, key statistics, schema validation, catalogue changes and files written
+   */
+  getRunSummary(catalogueFiles = []) {
+    const { totalRequests, failedRequests, duplicatesMerged, categoryDisagreements } = this.statistics;
+    return {
+      products: this.products.length,
+      errors: this.errors.length,
+      processingTime: Date.now() - this.startTime,
+      statistics: { totalRequests, failedRequests, duplicatesMerged, categoryDisagreements },
+      validation: this.qualityReport?.summary || null,
+      changes: this.changeSummary,
+      files: [CONFIG.outputFile, CONFIG.importFile, ...catalogueFiles.map(({ file }) => file)]
+    };
   }
 
   // Generate sample Crystallize import format
@@ -1289,38 +2192,70 @@ class HeatShopScraper {
           ...component
         })),
         variants: product.variants
-      }
+      },
+      // Lets the import refuse items whose price or wattage was generated
+      provenance: product.provenance
     }));
 
-    const importFile = 'crystallize-import.json';
+    const importFile = CONFIG.importFile;
     await fs.writeFile(importFile, JSON.stringify(crystallizeFormat, null, 2));
     console.log(`📤 Generated Crystallize import file: ${importFile}`);
   }
 
+  /**
+   * Write the CSV, NDJSON and Google Merchant exports of the scraped products
+   * @param {Array<string>} [formats] - Formats to write (defaults to CONFIG.exportFormats)
+   * @returns {Promise<Array<Object>>} Files written, see exportCatalogue
+   */
+  async exportCatalogue(formats = CONFIG.exportFormats) {
+    const written = await exportCatalogue(this.products, {
+      formats,
+      files: CONFIG.exportFiles,
+      storefrontUrl: CONFIG.storefrontUrl
+    });
+
+    for (const { format, file, count, skipped } of written) {
+      console.log(`📤 Exported ${count} ${format === 'merchant' ? 'feed items' : 'products'} to ${file}`);
+      for (const { id, reason } of skipped) {
+        console.warn(`   ⚠️  Left out of the Merchant feed: ${id} (${reason})`);
+      }
+    }
+    if (written.some(({ format }) => format === 'merchant') && !CONFIG.storefrontUrl) {
+      console.warn('   ⚠️  STOREFRONT_URL is not set, so the Merchant feed links to the supplier pages');
+    }
+
+    return written;
+  }
+
   /**
    * Extract and upload product images with cloud storage integration
    * @param {Object} $ - Cheerio object
    * @param {string} productId - Product identifier
    * @param {string} productName - Product name
+   * @param {Array<string>} [structuredImageUrls] - Images declared in structured data, used first
    * @returns {Promise<Array>} Array of processed image objects with cloud URLs
    */
-  async extractAndUploadImages($, productId, productName) {
+  async extractAndUploadImages($, productId, productName, structuredImageUrls = []) {
     // First extract image URLs using existing logic
     const imageUrls = this.extractImageUrls($, productName);
+    const preferredUrls = structuredImageUrls.map(url => this.adapter.resolveUrl(url));
     
-    if (imageUrls.length === 0) {
+    if (imageUrls.length === 0 && preferredUrls.length === 0) {
       console.log(`⚠️  No images found for ${productName}`);
       return [];
     }
     
-    console.log(`🔍 Found ${imageUrls.length} potential images for ${productName}`);
+    console.log(`🔍 Found ${imageUrls.length + preferredUrls.length} potential images for ${productName}`);
     
-    // Filter valid product images
-    const validImageUrls = imageUrls.filter(url => this.isValidProductImage(url, productName));
+    // Structured data images are trusted; page images must pass the product image filter
+    const validImageUrls = [...new Set([
+      ...preferredUrls,
+      ...imageUrls.filter(url => this.isValidProductImage(url, productName))
+    ])];
     console.log(`✅ ${validImageUrls.length} valid product images identified`);
     
-    if (!CONFIG.enableCloudUpload) {
-      // Return original URLs if cloud upload disabled
+    if ((!CONFIG.enableCloudUpload && !CONFIG.enableImageDownload) || CONFIG.offline) {
+      // Return original URLs if images are neither uploaded nor saved (or replaying without network)
       return validImageUrls.map((url, index) => ({
         url: url,
         altText: `${productName} - Image ${index + 1}`,
@@ -1329,10 +2264,10 @@ class HeatShopScraper {
       }));
     }
     
-    // Upload images to Crystallize and Supabase
+    // Upload images to Crystallize and Supabase, and keep local copies
     try {
       const uploadResults = await this.imageService.uploadProductImages(
-        validImageUrls.slice(0, 5), // Limit to 5 images per product
+        validImageUrls.slice(0, CONFIG.maxImagesPerProduct),
         productId,
         productName
       );
@@ -1340,7 +2275,10 @@ class HeatShopScraper {
       // Process upload results for Crystallize format
       const crystallizeImages = uploadResults.map((result, index) => {
         if (result.success) {
-          this.statistics.imagesUploaded++;
+          if (result.primaryUrl || result.backupUrl) this.statistics.imagesUploaded++;
+          if (result.localPath) this.statistics.imagesSaved++;
+          if (result.primaryUrl) this.statistics.crystallizeUploads++;
+          if (result.backupUrl) this.statistics.supabaseUploads++;
           
           // Prefer Crystallize CDN URL, fallback to Supabase, then original
           const imageUrl = result.primaryUrl || result.backupUrl || result.originalUrl;
@@ -1353,6 +2291,7 @@ class HeatShopScraper {
             originalUrl: result.originalUrl,
             crystallizeId: result.crystallizeId,
             supabasePath: result.supabasePath,
+            localPath: result.localPath,
             uploadedAt: new Date().toISOString(),
             isCloudHosted: !!(result.primaryUrl || result.backupUrl)
           };
@@ -1419,7 +2358,7 @@ class HeatShopScraper {
       
       sources.forEach(source => {
         if (source && source.trim()) {
-          const fullUrl = source.startsWith('http') ? source : CONFIG.baseUrl + source;
+          const fullUrl = this.adapter.resolveUrl(source);
           if (!imageUrls.includes(fullUrl)) {
             imageUrls.push(fullUrl);
           }
@@ -1442,7 +2381,7 @@ class HeatShopScraper {
       $(selector).each((i, element) => {
         const src = $(element).attr('src') || $(element).attr('data-src');
         if (src) {
-          const fullUrl = src.startsWith('http') ? src : CONFIG.baseUrl + src;
+          const fullUrl = this.adapter.resolveUrl(src);
           if (!imageUrls.includes(fullUrl)) {
             imageUrls.unshift(fullUrl); // Prioritize these images
           }
@@ -1497,32 +2436,77 @@ class HeatShopScraper {
   }
 }
 
-// Run the scraper
-async function main() {
+/**
+ * Scrape, save and export the catalogue with the current CONFIG
+ * @param {Object} [options] - Run options
+ * @param {boolean} [options.resume] - Continue from the checkpoint journal
+ * @param {Function} [options.onFinish] - Called with the run summary (getRunSummary), or `{ error }` when the run failed
+ * @returns {Promise<number>} Process exit code
+ */
+async function runScraper({ resume = false, onFinish = null } = {}) {
   try {
     const scraper = new HeatShopScraper();
     
+    // Progress is already journalled after every product, so Ctrl-C only loses the one in flight.
+    // SIGTERM (the scheduler stopping, systemd, docker stop) is handled the same way, so that
+    // process.exit runs the 'exit' handlers that remove the run lock
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+      process.once(signal, () => {
+        console.log(`\n🛑 Interrupted (${signal}). Progress is saved; continue with: node cli.js scrape --resume`);
+        process.exit(130);
+      });
+    }
+    
+    if (resume) {
+      await scraper.resumeFromCheckpoint();
+    } else {
+      await scraper.journal?.clear();
+    }
+    
     // Scrape products
     await scraper.scrapeProducts();
     
     // Save results
     await scraper.saveProducts();
     await scraper.generateCrystallizeImport();
+    const catalogueFiles = await scraper.exportCatalogue();
+    await scraper.journal?.clear();
     
     console.log('\n✨ Scraping completed successfully!');
     console.log(`📊 Total products: ${scraper.products.length}`);
     console.log(`📁 Output files:`);
     console.log(`  - ${CONFIG.outputFile} (detailed data)`);
-    console.log(`  - crystallize-import.json (import format)`);
+    console.log(`  - ${CONFIG.importFile} (import format)`);
+    console.log(`  - ${CONFIG.qualityReportFile} (schema violations)`);
+    console.log(`  - ${CONFIG.brandReviewFile} (brands to add to the dictionary)`);
+    if (CONFIG.classifyCategories) console.log(`  - ${CONFIG.categoryReviewFile} (products the classifier would file elsewhere)`);
+    if (CONFIG.dashboardFile) console.log(`  - ${CONFIG.dashboardFile} (data-quality dashboard, open in a browser)`);
+    for (const { format, file } of catalogueFiles) {
+      console.log(`  - ${file} (${format})`);
+    }
+    onFinish?.(scraper.getRunSummary(catalogueFiles));
+    
+    if (CONFIG.failOnInvalidData && scraper.qualityReport.summary.invalidProducts > 0) {
+      console.error(`❌ ${scraper.qualityReport.summary.invalidProducts} products violate the schema (--strict)`);
+      return 1;
+    }
     
+    return 0;
   } catch (error) {
     console.error('💥 Scraping failed:', error);
-    process.exit(1);
+    onFinish?.({ error: error.message });
+    return 1;
   }
 }
 
+// Running this file directly is the same as `node cli.js scrape`
+async function main() {
+  const { runCli } = require('./cli');
+  process.exitCode = await runCli(['scrape', ...process.argv.slice(2)]);
+}
+
 // Export for use as module
-module.exports = { HeatShopScraper, CONFIG, CATEGORIES };
+module.exports = { HeatShopScraper, CONFIG, CATEGORIES, runScraper };
 
 // Run if called directly
 if (require.main === module) {
@@ -0,0 +1,68 @@
+/**
+ * Scraper Profiles
+ *
+ * A profile is a named set of CONFIG overrides for the single scraping engine
+ * in scrape-heatshop.js. The old standalone enhanced scraper's "test mode" and
+ * cloud image behaviour are now the `test` and `enhanced` profiles, so every
+ * run produces the same product record format.
+ *
+ * Settings are applied in order: CONFIG defaults, profile, config file, flags.
+ *
+ * @author Norko Development Team
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+const PROFILES = {
+  standard: {
+    description: 'Every category of the site adapter, up to CONFIG.maxProducts',
+    settings: {}
+  },
+  test: {
+    description: 'Quick check: 10 panel heaters, no cloud uploads or local image copies, separate output files',
+    settings: {
+      maxProducts: 10,
+      categories: ['Panel Heaters'],
+      enableCloudUpload: false,
+      enableImageDownload: false,
+      outputFile: 'crystallize-products-test.json',
+      importFile: 'crystallize-import-test.json'
+    }
+  },
+  enhanced: {
+    description: 'Cloud image run: 10 panel heaters, images uploaded to Crystallize and Supabase only',
+    settings: {
+      maxProducts: 10,
+      categories: ['Panel Heaters'],
+      enableCloudUpload: true,
+      enableImageDownload: false, // Cloud copies only, no local backup
+      maxImagesPerProduct: 5,
+      minImageSize: 50000, // Smaller images are not uploaded (50KB)
+      outputFile: 'crystallize-products-enhanced.json',
+      importFile: 'crystallize-import-enhanced.json'
+    }
+  }
+};
+
+/**
+ * Apply a profile's settings to a scraper configuration
+ * @param {Object} config - Configuration to update (normally CONFIG)
+ * @param {string} name - Profile name
+ * @returns {Object} The updated configuration
+ * @throws {Error} If the profile does not exist or sets a key the configuration does not have
+ */
+function applyProfile(config, name) {
+  const profile = PROFILES[name];
+  if (!profile) {
+    throw new Error(`Unknown profile: ${name} (available: ${Object.keys(PROFILES).join(', ')})`);
+  }
+
+  const unknown = Object.keys(profile.settings).filter(key => !(key in config));
+  if (unknown.length > 0) {
+    throw new Error(`Profile ${name} sets unknown settings: ${unknown.join(', ')}`);
+  }
+
+  return Object.assign(config, profile.settings, { profile: name });
+}
+
+module.exports = { PROFILES, applyProfile };
@@ -0,0 +1,39 @@
+/**
+ * Sitemap Parsing for Product Discovery
+ *
+ * Reads sitemaps.org XML documents so the scraper can discover every product
+ * a site publishes instead of only what fits on the first page of each
+ * category. Both `<urlset>` documents and `<sitemapindex>` documents (which
+ * point at further sitemaps) are supported.
+ *
+ * @author Norko Development Team
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+const cheerio = require('cheerio');
+
+/**
+ * Parse a sitemap or sitemap index
+ * @param {string} xml - Sitemap XML
+ * @returns {Object} `{ type, urls }` where type is `index`, `urlset` or `unknown`
+ */
+function parseSitemap(xml) {
+  const $ = cheerio.load(String(xml), { xmlMode: true });
+  const locs = selector => $(selector)
+    .map((i, element) => $(element).text().trim())
+    .get()
+    .filter(Boolean);
+
+  if ($('sitemapindex').length) {
+    return { type: 'index', urls: locs('sitemapindex > sitemap > loc') };
+  }
+
+  if ($('urlset').length) {
+    return { type: 'urlset', urls: locs('urlset > url > loc') };
+  }
+
+  return { type: 'unknown', urls: [] };
+}
+
+module.exports = { parseSitemap };
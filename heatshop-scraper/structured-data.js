@@ -0,0 +1,279 @@
+/**
+ * Structured Data Extraction (JSON-LD, Microdata, OpenGraph)
+ *
+ * Most shop pages describe their products in machine-readable form:
+ * `application/ld+json` Product/Offer blocks, schema.org microdata and
+ * OpenGraph `og:`/`product:` meta tags. These are far more reliable than
+ * CSS selector guesses, so the scraper reads them first and only falls back
+ * to its heuristic extractors for fields they do not provide.
+ *
+ * Sources are merged per field in priority order: JSON-LD, microdata,
+ * OpenGraph. The result records which source produced each field.
+ *
+ * @author Norko Development Team
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+const FIELDS = ['name', 'price', 'currency', 'availability', 'gtin', 'brand', 'sku', 'mpn', 'images'];
+
+const GTIN_KEYS = ['gtin13', 'gtin', 'gtin12', 'gtin14', 'gtin8', 'isbn'];
+
+/**
+ * Map of schema.org ItemAvailability values (and common shorthands) to display values
+ */
+const AVAILABILITY_MAP = {
+  instock: 'In Stock',
+  onlineonly: 'In Stock',
+  limitedavailability: 'Limited Stock',
+  instoreonly: 'In Store Only',
+  preorder: 'Pre-order',
+  presale: 'Pre-order',
+  backorder: 'Backorder',
+  outofstock: 'Out of Stock',
+  oos: 'Out of Stock',
+  soldout: 'Out of Stock',
+  discontinued: 'Discontinued'
+};
+
+/**
+ * Normalise a schema.org availability URL or label
+ * @param {string} value - e.g. `https://schema.org/InStock` or `in stock`
+ * @returns {string|null} Display availability or null if unrecognised
+ */
+function normaliseAvailability(value) {
+  if (!value) return null;
+  const key = String(value).split('/').pop().toLowerCase().replace(/[^a-z]/g, '');
+  return AVAILABILITY_MAP[key] || null;
+}
+
+/**
+ * Parse a price that may contain currency symbols and thousands separators
+ * @param {string|number} value - Raw price
+ * @returns {number|null} Price or null if not numeric
+ */
+function parsePriceValue(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (!value) return null;
+
+  let text = String(value).replace(/[^\d.,]/g, '');
+  const lastComma = text.lastIndexOf(',');
+  const lastDot = text.lastIndexOf('.');
+
+  if (lastComma > lastDot) {
+    // "1.299,00" or "299,00" use a decimal comma; "1,299" is a thousands separator
+    text = /,\d{1,2}$/.test(text) ? text.replace(/\./g, '').replace(',', '.') : text.replace(/,/g, '');
+  } else {
+    text = text.replace(/,/g, '');
+  }
+
+  const price = parseFloat(text);
+  return Number.isFinite(price) ? price : null;
+}
+
+/**
+ * Get the text of a brand/organisation value that may be a string or object
+ * @param {*} value - JSON-LD value
+ * @returns {string|null} Name
+ */
+function nameOf(value) {
+  if (!value) return null;
+  if (Array.isArray(value)) return nameOf(value[0]);
+  if (typeof value === 'object') return value.name || null;
+  return String(value);
+}
+
+/**
+ * Collect image URLs from a JSON-LD image value
+ * @param {*} value - String, ImageObject or array of either
+ * @returns {Array<string>} Image URLs
+ */
+function imageUrlsOf(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value.flatMap(imageUrlsOf);
+  if (typeof value === 'object') return imageUrlsOf(value.url || value.contentUrl);
+  return [String(value)];
+}
+
+/**
+ * Check whether a JSON-LD node has a given @type
+ * @param {Object} node - JSON-LD node
+ * @param {string} type - Type name
+ * @returns {boolean} True if the node is of that type
+ */
+function hasType(node, type) {
+  const types = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+  return types.some(t => typeof t === 'string' && t.split('/').pop() === type);
+}
+
+/**
+ * Flatten JSON-LD documents, including `@graph` containers, into nodes
+ * @param {*} data - Parsed JSON-LD
+ * @returns {Array<Object>} Nodes
+ */
+function flattenJsonLd(data) {
+  if (!data || typeof data !== 'object') return [];
+  if (Array.isArray(data)) return data.flatMap(flattenJsonLd);
+  return [data, ...flattenJsonLd(data['@graph'])];
+}
+
+/**
+ * Extract product fields from JSON-LD blocks
+ * @param {Object} $ - Cheerio object
+ * @returns {Object} Product fields found
+ */
+function extractJsonLd($) {
+  const nodes = [];
+  $('script[type="application/ld+json"]').each((i, element) => {
+    try {
+      nodes.push(...flattenJsonLd(JSON.parse($(element).contents().text())));
+    } catch (error) {
+      // Malformed blocks are common; ignore them and keep looking
+    }
+  });
+
+  const product = nodes.find(node => hasType(node, 'Product')) || nodes.find(node => hasType(node, 'ProductGroup'));
+  if (!product) return {};
+
+  const offers = [].concat(product.offers || []);
+  const offer = offers.find(o => o.price !== undefined || o.lowPrice !== undefined) || offers[0] || {};
+  const priceSpec = [].concat(offer.priceSpecification || [])[0] || {};
+
+  return {
+    name: product.name || null,
+    price: parsePriceValue(offer.price ?? offer.lowPrice ?? priceSpec.price),
+    currency: offer.priceCurrency || priceSpec.priceCurrency || null,
+    availability: normaliseAvailability(offer.availability),
+    gtin: GTIN_KEYS.map(key => product[key] || offer[key]).find(Boolean) || null,
+    brand: nameOf(product.brand) || nameOf(product.manufacturer),
+    sku: product.sku || offer.sku || null,
+    mpn: product.mpn || null,
+    images: imageUrlsOf(product.image)
+  };
+}
+
+/**
+ * Extract product fields from schema.org microdata
+ * @param {Object} $ - Cheerio object
+ * @returns {Object} Product fields found
+ */
+function extractMicrodata($) {
+  const scope = $('[itemscope][itemtype*="schema.org/Product"]').first();
+  if (!scope.length) return {};
+
+  const valueOf = element => {
+    const el = $(element);
+    return (el.attr('content') || el.attr('href') || el.attr('src') || el.text() || '').trim() || null;
+  };
+
+  // Only properties owned directly by the product scope, not by nested items
+  const ownProp = prop => scope.find(`[itemprop~="${prop}"]`)
+    .filter((i, element) => $(element).parent().closest('[itemscope]').is(scope))
+    .first();
+
+  // Properties that usually live on a nested Offer
+  const anyProp = prop => scope.find(`[itemprop~="${prop}"]`).first();
+
+  const brandElement = ownProp('brand');
+  let brand = null;
+  if (brandElement.length) {
+    brand = brandElement.is('[itemscope]')
+      ? valueOf(brandElement.find('[itemprop~="name"]').first())
+      : valueOf(brandElement);
+  }
+
+  const images = [];
+  scope.find('[itemprop~="image"]').each((i, element) => {
+    const url = valueOf(element);
+    if (url) images.push(url);
+  });
+
+  const gtinElement = GTIN_KEYS.map(key => anyProp(key)).find(el => el.length);
+  const nameElement = ownProp('name');
+  const priceElement = anyProp('price');
+  const currencyElement = anyProp('priceCurrency');
+  const availabilityElement = anyProp('availability');
+  const skuElement = anyProp('sku');
+  const mpnElement = anyProp('mpn');
+
+  return {
+    name: nameElement.length ? valueOf(nameElement) : null,
+    price: priceElement.length ? parsePriceValue(valueOf(priceElement)) : null,
+    currency: currencyElement.length ? valueOf(currencyElement) : null,
+    availability: availabilityElement.length ? normaliseAvailability(valueOf(availabilityElement)) : null,
+    gtin: gtinElement ? valueOf(gtinElement) : null,
+    brand,
+    sku: skuElement.length ? valueOf(skuElement) : null,
+    mpn: mpnElement.length ? valueOf(mpnElement) : null,
+    images
+  };
+}
+
+/**
+ * Extract product fields from OpenGraph and `product:` meta tags
+ * @param {Object} $ - Cheerio object
+ * @returns {Object} Product fields found
+ */
+function extractOpenGraph($) {
+  const meta = property => $(`meta[property="${property}"], meta[name="${property}"]`).first().attr('content') || null;
+
+  const images = [];
+  $('meta[property="og:image"], meta[property="og:image:secure_url"]').each((i, element) => {
+    const url = $(element).attr('content');
+    if (url && !images.includes(url)) images.push(url);
+  });
+
+  return {
+    name: meta('og:title'),
+    price: parsePriceValue(meta('product:price:amount') || meta('og:price:amount')),
+    currency: meta('product:price:currency') || meta('og:price:currency'),
+    availability: normaliseAvailability(meta('product:availability') || meta('og:availability')),
+    gtin: meta('product:ean') || meta('product:upc') || meta('product:gtin'),
+    brand: meta('product:brand') || meta('og:brand'),
+    sku: meta('product:retailer_item_id'),
+    mpn: meta('product:mfr_part_no'),
+    images
+  };
+}
+
+/**
+ * Extract product fields from all structured data on a page
+ * @param {Object} $ - Cheerio object
+ * @returns {Object} Merged fields plus `sources`, mapping each field to `json-ld`, `microdata` or `opengraph`
+ */
+function extractStructuredData($) {
+  const bySource = [
+    ['json-ld', extractJsonLd($)],
+    ['microdata', extractMicrodata($)],
+    ['opengraph', extractOpenGraph($)]
+  ];
+
+  const result = { sources: {} };
+  for (const field of FIELDS) {
+    for (const [source, values] of bySource) {
+      const value = values[field];
+      const isPresent = Array.isArray(value) ? value.length > 0 : value !== null && value !== undefined && value !== '';
+      if (isPresent) {
+        result[field] = typeof value === 'string' ? value.trim() : value;
+        result.sources[field] = source;
+        break;
+      }
+    }
+    if (!(field in result)) {
+      result[field] = field === 'images' ? [] : null;
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  extractStructuredData,
+  extractJsonLd,
+  extractMicrodata,
+  extractOpenGraph,
+  normaliseAvailability,
+  parsePriceValue,
+  flattenJsonLd,
+  hasType
+};
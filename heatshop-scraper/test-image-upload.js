@@ -31,6 +31,7 @@ const TEST_PRODUCT = {
 
 /**
  * Main test function
+ * @returns {Promise<Object|null>} `{ successful, failed }` upload counts, or null if the test crashed
  */
 async function testImageUploadService() {
   console.log('🧪 Starting Image Upload Service Tests');
@@ -120,16 +121,19 @@ async function testImageUploadService() {
       console.log('⚠️  Supabase integration needs configuration');
     }
     
+    console.log('\n🏁 Image Upload Service Tests Complete');
+    return { successful, failed };
+    
   } catch (error) {
     console.error('💥 Test failed with error:', error.message);
     console.error('Stack trace:', error.stack);
+    return null;
   }
-  
-  console.log('\n🏁 Image Upload Service Tests Complete');
 }
 
 /**
  * Quick configuration check
+ * @returns {boolean} True if every required variable is set
  */
 function checkConfiguration() {
   console.log('⚙️  Configuration Check');
@@ -163,6 +167,7 @@ function checkConfiguration() {
   
   console.log('\n📝 Note: Copy .env.example to .env and configure your keys');
   console.log('');
+  return requiredVars.every(varName => process.env[varName]);
 }
 
 // Run tests if this file is executed directly
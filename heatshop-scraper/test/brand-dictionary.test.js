@@ -0,0 +1,109 @@
+/**
+ * Brand Dictionary Tests
+ *
+ * Checks that brand-dictionary.js maps brand spellings onto their canonical
+ * name, writes model numbers in each brand's format and lists the scraped
+ * brands the dictionary does not know.
+ *
+ * @author Norko Development Team
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { BrandDictionary } = require('../brand-dictionary');
+
+const SITE = 'https://www.heatershop.co.uk';
+
+const dictionary = new BrandDictionary();
+
+/**
+ * Build a product record with a stated manufacturer
+ * @param {string} slug - Product slug, used for the name and source URL
+ * @param {string|null} manufacturer - Manufacturer as stated
+ * @param {string} [provenance] - Provenance of the manufacturer
+ * @returns {Object} Product record
+ */
+function product(slug, manufacturer, provenance = 'scraped') {
+  return {
+    name: slug,
+    sourceUrl: `${SITE}/${slug}`,
+    information: { manufacturer },
+    provenance: { manufacturer: provenance }
+  };
+}
+
+describe('brand lookup', () => {
+  test('aliases, casing and punctuation map to the canonical name', () => {
+    for (const spelling of ['herschel', 'HERSCHEL', 'Herschel Infrared', 'herschel-infrared-ltd']) {
+      assert.equal(dictionary.lookup(spelling)?.name, 'Herschel', spelling);
+    }
+    assert.equal(dictionary.lookup('Infrared 4 Homes').name, 'Infrared4Homes');
+    assert.equal(dictionary.lookup('Acme Heat'), null);
+  });
+
+  test('a brand is found in a product name', () => {
+    assert.equal(dictionary.findInText('New Herschel Inspire 600W').name, 'Herschel');
+    assert.equal(dictionary.findInText('Slim panel heater 600W'), null);
+  });
+
+  test('a stated manufacturer is normalised, and an unknown one kept as stated', () => {
+    assert.deepEqual(dictionary.normaliseManufacturer('HERSCHEL Infrared Ltd'), { name: 'Herschel', known: true });
+    assert.deepEqual(dictionary.normaliseManufacturer('Tansun Heaters UK'), { name: 'Tansun', known: true });
+    assert.deepEqual(dictionary.normaliseManufacturer(' Acme   Heat '), { name: 'Acme Heat', known: false });
+    assert.equal(dictionary.normaliseManufacturer(''), null);
+  });
+});
+
+describe('normaliseModel', () => {
+  test('a model in the brand series format', () => {
+    assert.equal(dictionary.normaliseModel('HERSCHEL select-xl 700', 'Herschel'), 'Select XL 700W');
+    assert.equal(dictionary.normaliseModel('Sorrento 2 kW', 'Tansun'), 'Sorrento 2kW');
+    assert.equal(dictionary.normaliseModel('Tungsten Smart Heat 4000', 'Bromic'), 'Tungsten Smart-Heat 4000W');
+  });
+
+  test('any other model loses the leading brand name', () => {
+    assert.equal(dictionary.normaliseModel('Herschel XL700', 'Herschel'), 'XL700');
+    assert.equal(dictionary.normaliseModel('Herschel Infrared: XL700', 'Herschel'), 'XL700');
+  });
+
+  test('without a known manufacturer only the spacing is collapsed', () => {
+    assert.equal(dictionary.normaliseModel('select xl  700', null), 'select xl 700');
+    assert.equal(dictionary.normaliseModel('Herschel XL700', 'Acme Heat'), 'Herschel XL700');
+  });
+
+  test('nothing left is null', () => {
+    assert.equal(dictionary.normaliseModel('  ', 'Herschel'), null);
+    assert.equal(dictionary.normaliseModel(null, 'Herschel'), null);
+  });
+});
+
+describe('findUnknownBrands', () => {
+  test('scraped brands missing from the dictionary, most products first', () => {
+    const products = [
+      product('acme-600', 'Acme Heat'),
+      product('warmco-1', 'WarmCo'),
+      product('acme-900', 'Acme Heat'),
+      product('select-xl-700', 'Herschel Infrared'),
+      product('generated', 'Placeholder Brand', 'generated'),
+      product('checked', 'Checked Brand', 'manual'),
+      product('no-brand', null)
+    ];
+    assert.deepEqual(dictionary.findUnknownBrands(products), [
+      {
+        name: 'Acme Heat',
+        products: 2,
+        examples: [{ name: 'acme-600', sourceUrl: `${SITE}/acme-600` }, { name: 'acme-900', sourceUrl: `${SITE}/acme-900` }]
+      },
+      { name: 'WarmCo', products: 1, examples: [{ name: 'warmco-1', sourceUrl: `${SITE}/warmco-1` }] }
+    ]);
+  });
+
+  test('at most three examples per brand', () => {
+    const products = ['a', 'b', 'c', 'd'].map(slug => product(slug, 'Acme Heat'));
+    const [acme] = dictionary.findUnknownBrands(products);
+    assert.equal(acme.products, 4);
+    assert.deepEqual(acme.examples.map(example => example.name), ['a', 'b', 'c']);
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Catalogue Diff Tests
+ *
+ * Checks how catalogue-diff.js matches the products of two runs and reports
+ * the products added, removed and changed between them.
+ *
+ * @author Norko Development Team
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { diffCatalogues, diffProductFields, renderMarkdownReport } = require('../catalogue-diff');
+
+const SITE = 'https://www.heatershop.co.uk';
+
+/**
+ * Build a product record with the fields the diff reads
+ * @param {string} slug - Product slug, used for the id and source URL
+ * @param {Object} [fields] - Fields overriding the defaults
+ * @returns {Object} Product record
+ */
+function product(slug, fields = {}) {
+  return {
+    id: slug,
+    name: slug,
+    sourceUrl: `${SITE}/${slug}`,
+    category: 'Panel Heaters',
+    pricing: { basePrice: 299, compareAtPrice: null },
+    specifications: { basic: { wattage: 600, dimensions: '600mm x 1200mm' } },
+    information: { availability: 'In Stock' },
+    ...fields
+  };
+}
+
+describe('diffProductFields', () => {
+  test('price changes carry their difference and percentage', () => {
+    const before = product('select-xl-850');
+    const after = product('select-xl-850', { pricing: { basePrice: 269, compareAtPrice: 299 } });
+    assert.deepEqual(diffProductFields(before, after), [
+      { field: 'pricing.basePrice', label: 'Price', before: 299, after: 269, delta: -30, percentChange: -10 },
+      { field: 'pricing.compareAtPrice', label: 'Compare-at price', before: null, after: 299 }
+    ]);
+  });
+
+  test('each basic specification is compared on its own', () => {
+    const before = product('select-xl-850');
+    const after = product('select-xl-850', { specifications: { basic: { wattage: 700, dimensions: '600mm x 1200mm', weight: 9 } } });
+    assert.deepEqual(diffProductFields(before, after).map(change => [change.field, change.before, change.after]), [
+      ['specifications.basic.wattage', 600, 700],
+      ['specifications.basic.weight', null, 9]
+    ]);
+  });
+
+  test('availability changes', () => {
+    const after = product('select-xl-850', { information: { availability: 'Out of Stock' } });
+    assert.deepEqual(diffProductFields(product('select-xl-850'), after), [
+      { field: 'information.availability', label: 'Availability', before: 'In Stock', after: 'Out of Stock' }
+    ]);
+  });
+
+  test('missing and null values are the same', () => {
+    const before = product('select-xl-850', { pricing: { basePrice: 299 } });
+    assert.deepEqual(diffProductFields(before, product('select-xl-850')), []);
+  });
+});
+
+describe('diffCatalogues', () => {
+  test('added, removed, changed and unchanged products', () => {
+    const previous = [product('kept'), product('repriced'), product('discontinued')];
+    const current = [product('kept'), product('repriced', { pricing: { basePrice: 249 } }), product('new-model')];
+    const diff = diffCatalogues(previous, current);
+
+    assert.deepEqual(diff.summary, { previousTotal: 3, currentTotal: 3, added: 1, removed: 1, changed: 1, unchanged: 1, notCrawled: 0 });
+    assert.deepEqual(diff.added.map(p => p.id), ['new-model']);
+    assert.deepEqual(diff.removed, [{ id: 'discontinued', name: 'discontinued', sourceUrl: `${SITE}/discontinued`, category: 'Panel Heaters', price: 299 }]);
+    assert.equal(diff.changed[0].id, 'repriced');
+    assert.deepEqual(diff.changed[0].changes.map(change => change.field), ['pricing.basePrice']);
+  });
+
+  test('a product whose id changed is matched by its source URL', () => {
+    const previous = [product('select-xl-850')];
+    const current = [product('select-xl-850', { id: 'herschel-select-xl-850w', pricing: { basePrice: 279 } })];
+    const diff = diffCatalogues(previous, current);
+
+    assert.equal(diff.summary.added, 0);
+    assert.equal(diff.summary.removed, 0);
+    assert.equal(diff.changed[0].id, 'herschel-select-xl-850w');
+    assert.equal(diff.changed[0].previousId, 'select-xl-850');
+  });
+
+  test('products sharing an id are matched one to one', () => {
+    const previous = [product('heater', { sourceUrl: `${SITE}/a` }), product('heater', { sourceUrl: `${SITE}/b` })];
+    const current = [product('heater', { sourceUrl: `${SITE}/b` }), product('heater', { sourceUrl: `${SITE}/a` })];
+    assert.equal(diffCatalogues(previous, current).summary.unchanged, 2);
+  });
+
+  test('only categories crawled completely report removals', () => {
+    const previous = [
+      product('panel-gone'),
+      product('patio-not-crawled', { category: 'Patio Heaters' }),
+      product('merged-listing', { categories: [{ name: 'Panel Heaters' }, { name: 'Patio Heaters' }] })
+    ];
+    const diff = diffCatalogues(previous, [], { crawledCategories: ['Panel Heaters'] });
+
+    assert.deepEqual(diff.removed.map(p => p.id), ['panel-gone']);
+    assert.equal(diff.summary.notCrawled, 2);
+    assert.match(renderMarkdownReport(diff), /2 previous products are in categories this run did not crawl completely/);
+  });
+
+  test('with no previous snapshot every product is added', () => {
+    const diff = diffCatalogues([], [product('a'), product('b')]);
+    assert.equal(diff.summary.added, 2);
+    assert.match(renderMarkdownReport(diff), /## Added/);
+  });
+});
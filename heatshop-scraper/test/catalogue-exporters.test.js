@@ -0,0 +1,188 @@
+/**
+ * Catalogue Exporter Tests
+ *
+ * Checks the CSV cells written by catalogue-exporters.js, including the guard
+ * against spreadsheet formulas, and which products and variants the Google
+ * Merchant feed lists and how.
+ *
+ * @author Norko Development Team
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { csvCell, toCsv, toMerchantFeed } = require('../catalogue-exporters');
+
+const SITE = 'https://www.heatershop.co.uk';
+
+/**
+ * Build a product record with the fields the exporters read
+ * @param {Object} [fields] - Fields overriding the defaults
+ * @returns {Object} Product record
+ */
+function product(fields = {}) {
+  return {
+    id: 'herschel-select-xl-850w',
+    name: 'Herschel Select XL 850W',
+    path: '/heaters/herschel-select-xl-850w',
+    category: 'Panel Heaters',
+    sourceUrl: `${SITE}/herschel-select-xl-850w`,
+    pricing: { basePrice: 299, currency: 'GBP', compareAtPrice: null, onSale: false },
+    information: { description: 'Infrared panel heater', availability: 'In Stock', manufacturer: 'Herschel', model: 'Select XL 850W', gtin: null },
+    provenance: { name: 'scraped', price: 'scraped', manufacturer: 'scraped', model: 'scraped' },
+    media: { images: [{ url: `${SITE}/media/select-xl-850.jpg` }] },
+    variants: [{ sku: 'herschel-select-xl-850w', name: 'Default', price: 299, isDefault: true }],
+    ...fields
+  };
+}
+
+/**
+ * The tags of each item in a Merchant feed
+ * @param {string} xml - Feed XML
+ * @returns {Array<Object>} Tag values per item; repeated tags are collected in arrays
+ */
+function feedItems(xml) {
+  return [...xml.matchAll(/<item>([\s\S]*?)<\/item>/g)].map(([, body]) => {
+    const tags = {};
+    for (const [, tag, value] of body.matchAll(/<g:(\w+)>([^<]*)<\/g:\1>/g)) {
+      tags[tag] = tag in tags ? [].concat(tags[tag], value) : value;
+    }
+    return tags;
+  });
+}
+
+describe('csvCell', () => {
+  test('cells starting a formula are prefixed with a quote', () => {
+    for (const text of ['=1+1', '+44 1234', '-5', '@SUM(A1)', '\tTab']) {
+      assert.equal(csvCell(text), `'${text}`, text);
+    }
+    assert.equal(csvCell('=HYPERLINK("http://example.com")'), '"\'=HYPERLINK(""http://example.com"")"');
+  });
+
+  test('numbers are not prefixed', () => {
+    assert.equal(csvCell(-5), '-5');
+    assert.equal(csvCell(299.5), '299.5');
+  });
+
+  test('commas, quotes and line breaks are quoted', () => {
+    assert.equal(csvCell('600mm x 1200mm, white'), '"600mm x 1200mm, white"');
+    assert.equal(csvCell('24" panel'), '"24"" panel"');
+    assert.equal(csvCell('line one\nline two'), '"line one\nline two"');
+    assert.equal(csvCell('=A1,B1'), '"\'=A1,B1"');
+  });
+
+  test('empty values', () => {
+    assert.equal(csvCell(null), '');
+    assert.equal(csvCell(undefined), '');
+    assert.equal(csvCell(false), 'false');
+    assert.equal(csvCell(0), '0');
+  });
+});
+
+describe('toCsv', () => {
+  test('a header row and one row per product', () => {
+    const columns = [{ header: 'id', value: p => p.id }, { header: 'name', value: p => p.name }];
+    assert.equal(toCsv([product({ name: '=cmd|calc' })], columns), "id,name\r\nherschel-select-xl-850w,'=cmd|calc\r\n");
+  });
+});
+
+describe('toMerchantFeed', () => {
+  test('products Google would refuse are skipped with a reason', () => {
+    const feed = toMerchantFeed([
+      product({ id: 'generated-price', provenance: { price: 'generated' } }),
+      product({ id: 'no-provenance', provenance: undefined }),
+      product({ id: 'free', pricing: { basePrice: 0, currency: 'GBP' } }),
+      product({ id: 'no-image', media: { images: [] } }),
+      product()
+    ]);
+    assert.deepEqual(feed.skipped, [
+      { id: 'generated-price', reason: 'price is generated' },
+      { id: 'no-provenance', reason: 'price is unknown' },
+      { id: 'free', reason: 'no price' },
+      { id: 'no-image', reason: 'no image' }
+    ]);
+    assert.equal(feed.included, 1);
+  });
+
+  test('allowGenerated lists generated prices', () => {
+    const feed = toMerchantFeed([product({ provenance: { price: 'generated' } })], { allowGenerated: true });
+    assert.equal(feed.included, 1);
+    assert.deepEqual(feed.skipped, []);
+  });
+
+  test('a product with one variant is one item', () => {
+    const [item] = feedItems(toMerchantFeed([product()], { storefrontUrl: 'https://norko.example/' }).xml);
+    assert.equal(item.id, 'herschel-select-xl-850w');
+    assert.equal(item.item_group_id, undefined);
+    assert.equal(item.link, 'https://norko.example/heaters/herschel-select-xl-850w');
+    assert.equal(item.price, '299.00 GBP');
+    assert.equal(item.sale_price, undefined);
+    assert.equal(item.availability, 'in_stock');
+  });
+
+  test('each variant is an item in the product group', () => {
+    const variants = [
+      { sku: 'select-xl-600', name: '600W', price: 249, stock: 3, isDefault: true, priceVariants: [{ identifier: 'default', price: 249, currency: 'GBP' }] },
+      {
+        sku: 'select-xl-850',
+        name: '850W',
+        price: 279,
+        stock: 0,
+        supplierSku: 'HSXL850',
+        isDefault: false,
+        images: [{ url: `${SITE}/media/select-xl-850-side.jpg` }],
+        priceVariants: [{ identifier: 'default', price: 299, currency: 'GBP' }, { identifier: 'sales', price: 279, currency: 'GBP' }]
+      }
+    ];
+    const items = feedItems(toMerchantFeed([product({ variants })]).xml);
+
+    assert.deepEqual(items.map(item => [item.id, item.item_group_id, item.title]), [
+      ['select-xl-600', 'herschel-select-xl-850w', 'Herschel Select XL 850W - 600W'],
+      ['select-xl-850', 'herschel-select-xl-850w', 'Herschel Select XL 850W - 850W']
+    ]);
+    assert.deepEqual(items.map(item => [item.price, item.sale_price]), [['249.00 GBP', undefined], ['299.00 GBP', '279.00 GBP']]);
+    assert.deepEqual(items.map(item => item.availability), ['in_stock', 'out_of_stock']);
+    assert.deepEqual(items.map(item => item.mpn), ['Select XL 850W', 'HSXL850']);
+    assert.equal(items[1].image_link, `${SITE}/media/select-xl-850-side.jpg`);
+  });
+
+  test('a sale lists the regular price as price and the current price as sale_price', () => {
+    const pricing = { basePrice: 269, currency: 'GBP', compareAtPrice: 299, onSale: true };
+    const [item] = feedItems(toMerchantFeed([product({ pricing })]).xml);
+    assert.equal(item.price, '299.00 GBP');
+    assert.equal(item.sale_price, '269.00 GBP');
+  });
+
+  test('identifier_exists is "no" only without a GTIN or MPN', () => {
+    const information = gtin => ({ ...product().information, gtin });
+    const [withMpn, withGtin, without] = feedItems(toMerchantFeed([
+      product({ id: 'mpn' }),
+      product({ id: 'gtin', information: information('5060123456789'), provenance: { price: 'scraped', model: 'generated' } }),
+      product({ id: 'none', provenance: { price: 'scraped', model: 'derived' } })
+    ]).xml);
+
+    assert.equal(withMpn.identifier_exists, undefined);
+    assert.equal(withGtin.identifier_exists, undefined);
+    assert.equal(withGtin.gtin, '5060123456789');
+    assert.equal(withGtin.mpn, undefined);
+    assert.equal(without.identifier_exists, 'no');
+  });
+
+  test('a generated brand is left out', () => {
+    const [item] = feedItems(toMerchantFeed([product({ provenance: { price: 'scraped', model: 'scraped', manufacturer: 'generated' } })]).xml);
+    assert.equal(item.brand, undefined);
+  });
+
+  test('text is escaped for XML', () => {
+    const { xml } = toMerchantFeed([product({ name: 'Herschel <Select> XL "850W" & Thermostat\u0007' })], { title: 'Heaters & Panels' });
+    assert.match(xml, /<g:title>Herschel &lt;Select&gt; XL &quot;850W&quot; &amp; Thermostat<\/g:title>/);
+    assert.match(xml, /<title>Heaters &amp; Panels<\/title>/);
+  });
+
+  test('without a storefront the items and channel link to the supplier', () => {
+    const { xml } = toMerchantFeed([product()]);
+    assert.match(xml, new RegExp(`<link>${SITE}</link>`));
+    assert.equal(feedItems(xml)[0].link, `${SITE}/herschel-select-xl-850w`);
+  });
+});
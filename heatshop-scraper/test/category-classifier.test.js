@@ -0,0 +1,161 @@
+/**
+ * Category Classifier Tests
+ *
+ * Checks the rule scoring of category-classifier.js and the review of
+ * products filed under the wrong supplier category, using small product
+ * records shaped like the scraper's.
+ *
+ * @author Norko Development Team
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { CategoryClassifier, productFacts, scoreRule } = require('../category-classifier');
+const { PROVENANCE } = require('../provenance');
+
+const PATHS = {
+  panel: '/infrared-heaters/panel-heaters',
+  ceiling: '/infrared-heaters/ceiling-heaters',
+  industrial: '/infrared-heaters/industrial-heaters',
+  farInfrared: '/infrared-heaters/far-infrared-heaters',
+  patio: '/infrared-heaters/patio-heaters'
+};
+
+/**
+ * Build a product record with the fields the classifier reads
+ * @param {Object} fields - `name`, `description`, `features`, `wattage`, `mounting`, `ipRating`,
+ *   `crystallizePath`, `categories` and `provenance`
+ * @returns {Object} Product record
+ */
+function product({ name, description = '', features = '', wattage = null, mounting = null, ipRating = null, crystallizePath = PATHS.panel, categories, provenance = {} }) {
+  return {
+    name,
+    crystallizePath,
+    categories,
+    information: { description, features },
+    specifications: {
+      basic: { wattage, mounting },
+      measurements: ipRating ? { ipRating: { value: ipRating } } : {},
+      technical: {}
+    },
+    provenance
+  };
+}
+
+const classifier = new CategoryClassifier();
+
+describe('scoreRule', () => {
+  const rule = {
+    signals: [
+      { field: 'name', pattern: /\bpanel\b/i, weight: 0.6 },
+      { field: 'text', pattern: /\bslim\b/i, weight: 0.3 },
+      { label: 'wall mounted', test: facts => facts.mounting === 'Wall', weight: 0.5 }
+    ],
+    negative: [{ field: 'name', pattern: /\bpatio\b/i, weight: 0.5 }]
+  };
+
+  test('combines matching signals as independent evidence and names them', () => {
+    const facts = productFacts(product({ name: 'Slim Panel 600W' }));
+    // 1 - (1 - 0.6)(1 - 0.3)
+    assert.deepEqual(scoreRule(rule, facts), { confidence: 0.72, reasons: ['name mentions "panel"', 'text mentions "slim"'] });
+  });
+
+  test('negative signals scale the confidence down', () => {
+    const facts = productFacts(product({ name: 'Patio Panel', mounting: 'Wall' }));
+    // (1 - (1 - 0.6)(1 - 0.5)) * (1 - 0.5)
+    const { confidence, reasons } = scoreRule(rule, facts);
+    assert.equal(confidence, 0.4);
+    assert.deepEqual(reasons, ['name mentions "panel"', 'wall mounted', 'not: name mentions "patio"']);
+  });
+
+  test('no matching signal scores 0', () => {
+    assert.deepEqual(scoreRule(rule, productFacts(product({ name: 'Heater' }))), { confidence: 0, reasons: [] });
+  });
+});
+
+describe('CategoryClassifier', () => {
+  test('a patio heater filed under Industrial disagrees with its source category', () => {
+    const result = classifier.review(product({
+      name: 'Tansun Sorrento 2kW Patio Heater',
+      description: '<p>Weatherproof halogen heater for terraces and beer gardens.</p>',
+      wattage: 2000,
+      ipRating: 'IPX5',
+      crystallizePath: PATHS.industrial
+    }));
+
+    assert.equal(result.best.path, PATHS.patio);
+    assert.deepEqual(result.categories.map(category => category.path), [PATHS.patio]);
+    assert.ok(result.topics.some(topic => topic.path === '/features/outdoor'));
+    assert.deepEqual(result.sourceCategories, [PATHS.industrial]);
+    assert.equal(result.disagrees, true);
+  });
+
+  test('a mirror heater filed under Panel is a far infrared mirror heater', () => {
+    const result = classifier.review(product({
+      name: 'Far Infrared Mirror Heater 500W',
+      description: 'Long wave heat with no glow, doubles as a bathroom mirror.',
+      wattage: 500,
+      ipRating: 'IP44',
+      crystallizePath: PATHS.panel
+    }));
+
+    assert.equal(result.best.path, PATHS.farInfrared);
+    assert.deepEqual(result.topics.map(topic => topic.path).sort(), ['/features/bathroom-safe', '/features/mirror']);
+    assert.equal(result.disagrees, true);
+  });
+
+  test('"indoor use only" rules out the patio category and the outdoor topic', () => {
+    const result = classifier.review(product({
+      name: 'Garden Office Infrared Panel 700W',
+      description: 'Ideal for garden rooms and studios. Indoor use only.',
+      wattage: 700,
+      mounting: 'Wall',
+      crystallizePath: PATHS.panel
+    }));
+
+    assert.deepEqual(result.categories.map(category => category.path), [PATHS.panel]);
+    assert.ok(!result.topics.some(topic => topic.path === '/features/outdoor'));
+    assert.equal(result.disagrees, false);
+  });
+
+  test('a power over 2kW counts against panel heaters', () => {
+    const result = classifier.classify(product({ name: 'Industrial Panel 3kW', description: 'For warehouses.', wattage: 3000 }));
+    assert.equal(result.best.path, PATHS.industrial);
+    assert.ok(!result.categories.some(category => category.path === PATHS.panel));
+  });
+
+  test('generated descriptions and wattages are not read', () => {
+    const result = classifier.classify(product({
+      name: 'Herschel Summit Heater',
+      description: 'A patio heater for outdoor terraces.',
+      wattage: 3000,
+      provenance: { description: PROVENANCE.GENERATED, wattage: PROVENANCE.GENERATED }
+    }));
+    assert.deepEqual(result.categories, []);
+    assert.equal(productFacts(product({ name: 'x', wattage: 3000, provenance: { wattage: PROVENANCE.GENERATED } })).power, null);
+  });
+
+  test('a merged duplicate agrees when any of its listed categories matches', () => {
+    const result = classifier.review(product({
+      name: 'Herschel Summit 1000W Ceiling Heater',
+      description: 'Fits a suspended ceiling grid.',
+      wattage: 1000,
+      categories: [{ crystallizePath: PATHS.panel }, { crystallizePath: PATHS.ceiling }]
+    }));
+    assert.deepEqual(result.sourceCategories, [PATHS.panel, PATHS.ceiling]);
+    assert.equal(result.best.path, PATHS.ceiling);
+    assert.equal(result.disagrees, false);
+  });
+
+  test('a best guess below the threshold is reported but not a disagreement', () => {
+    const result = new CategoryClassifier({ threshold: 0.9 }).review(product({
+      name: 'Outdoor Parasol Heater',
+      crystallizePath: PATHS.panel
+    }));
+    assert.equal(result.best.path, PATHS.patio);
+    assert.deepEqual(result.categories, []);
+    assert.equal(result.disagrees, false);
+  });
+});
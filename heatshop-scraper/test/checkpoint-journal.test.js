@@ -0,0 +1,192 @@
+/**
+ * Checkpoint Journal Tests
+ *
+ * Checks that checkpoint-journal.js restores a run after a crash, including
+ * one that cut a write short, that a resumed run skips the URLs already
+ * completed, and that the journal is removed once a run has been saved.
+ *
+ * @author Norko Development Team
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+const { describe, test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CheckpointJournal } = require('../checkpoint-journal');
+const { HeatShopScraper, CONFIG } = require('../scrape-heatshop');
+
+const SITE = 'https://www.heatershop.co.uk';
+
+let directory;
+let journalFile;
+
+/**
+ * A stand-in for the scraper state the journal snapshots
+ * @param {Object} [fields] - Fields overriding the defaults
+ * @returns {Object} `{ processedUrls, products, errors, statistics }`
+ */
+function scraperState(fields = {}) {
+  return {
+    processedUrls: new Set(),
+    products: [],
+    errors: [],
+    statistics: { productsExtracted: 0 },
+    ...fields
+  };
+}
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'norko-checkpoint-'));
+  journalFile = path.join(directory, 'scrape-checkpoint.json');
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe('replaying the journal', () => {
+  test('category URLs, completed URLs and the scraper state survive a restart', async () => {
+    const urls = [`${SITE}/slim-panel-600w`, `${SITE}/slim-panel-900w`];
+    const scraper = scraperState({
+      processedUrls: new Set([urls[0]]),
+      products: [{ id: 'slim-panel-600w', name: 'Slim Panel 600W' }],
+      statistics: { productsExtracted: 1 }
+    });
+    const journal = new CheckpointJournal(journalFile);
+    await journal.recordCategoryUrls('Panel Heaters', urls, scraper);
+    await journal.recordProduct(urls[0], scraper);
+
+    const restored = new CheckpointJournal(journalFile);
+    const state = await restored.load();
+    assert.deepEqual(restored.getCategoryUrls('Panel Heaters'), urls);
+    assert.equal(restored.isUrlComplete(urls[0]), true);
+    assert.equal(restored.isUrlComplete(urls[1]), false);
+    assert.equal(restored.isCategoryComplete('Panel Heaters'), false);
+    assert.deepEqual(state.processedUrls, [urls[0]]);
+    assert.deepEqual(state.products.map(product => product.id), ['slim-panel-600w']);
+    assert.equal(state.statistics.productsExtracted, 1);
+  });
+
+  test('a write cut short leaves the last complete checkpoint in place', async () => {
+    const journal = new CheckpointJournal(journalFile);
+    await journal.recordProduct(`${SITE}/slim-panel-600w`, scraperState());
+    // A crash mid-write stops before the temp file is renamed over the journal
+    fs.writeFileSync(`${journalFile}.tmp`, '{\n  "version": 1,\n  "completedUrls": [\n    "https://www.heat');
+
+    const restored = new CheckpointJournal(journalFile);
+    assert.ok(await restored.load());
+    assert.equal(restored.isUrlComplete(`${SITE}/slim-panel-600w`), true);
+    assert.equal(console.warn.mock.callCount(), 0);
+  });
+
+  test('a truncated journal is reported and the run starts fresh', async () => {
+    const journal = new CheckpointJournal(journalFile);
+    await journal.recordProduct(`${SITE}/slim-panel-600w`, scraperState());
+    const raw = fs.readFileSync(journalFile, 'utf8');
+    fs.writeFileSync(journalFile, raw.slice(0, raw.lastIndexOf('\n')));
+
+    const restored = new CheckpointJournal(journalFile);
+    assert.equal(await restored.load(), null);
+    assert.match(console.warn.mock.calls[0].arguments[0], /Could not read checkpoint/);
+    assert.equal(restored.isUrlComplete(`${SITE}/slim-panel-600w`), false);
+
+    // The fresh run overwrites the unreadable journal
+    await restored.recordProduct(`${SITE}/slim-panel-900w`, scraperState());
+    assert.deepEqual(JSON.parse(fs.readFileSync(journalFile, 'utf8')).completedUrls, [`${SITE}/slim-panel-900w`]);
+  });
+
+  test('a journal from another version is ignored', async () => {
+    fs.writeFileSync(journalFile, JSON.stringify({ version: 0, categories: {}, completedUrls: [`${SITE}/slim-panel-600w`] }));
+    const journal = new CheckpointJournal(journalFile);
+    assert.equal(await journal.load(), null);
+    assert.match(console.warn.mock.calls[0].arguments[0], /unsupported version 0/);
+    assert.equal(journal.isUrlComplete(`${SITE}/slim-panel-600w`), false);
+  });
+
+  test('no journal is not an error', async () => {
+    assert.equal(await new CheckpointJournal(journalFile).load(), null);
+    assert.equal(console.warn.mock.callCount(), 0);
+  });
+
+  test('products recorded by concurrent workers are all written', async () => {
+    const journal = new CheckpointJournal(journalFile);
+    const urls = Array.from({ length: 5 }, (_, index) => `${SITE}/product-${index}`);
+    await Promise.all(urls.map(url => journal.recordProduct(url, scraperState())));
+
+    const restored = new CheckpointJournal(journalFile);
+    await restored.load();
+    assert.ok(urls.every(url => restored.isUrlComplete(url)));
+    assert.equal(fs.existsSync(`${journalFile}.tmp`), false);
+  });
+});
+
+describe('resuming a run', () => {
+  let savedConfig;
+
+  beforeEach(() => {
+    savedConfig = { ...CONFIG };
+    Object.assign(CONFIG, { checkpointFile: journalFile, categories: ['Panel Heaters'], concurrency: 1, delay: 0 });
+  });
+
+  afterEach(() => {
+    Object.assign(CONFIG, savedConfig);
+  });
+
+  test('completed URLs are skipped and the rest are scraped', async () => {
+    const urls = [`${SITE}/slim-panel-600w`, `${SITE}/slim-panel-900w`, `${SITE}/slim-panel-1200w`];
+    const journal = new CheckpointJournal(journalFile);
+    await journal.recordCategoryUrls('Panel Heaters', urls, scraperState());
+    await journal.recordProduct(urls[0], scraperState());
+
+    const scraper = new HeatShopScraper();
+    assert.equal(await scraper.resumeFromCheckpoint(), true);
+    scraper.extractProductUrls = async () => assert.fail('discovery is not repeated on resume');
+    const extracted = [];
+    scraper.extractProductDetails = async url => {
+      extracted.push(url);
+      return null;
+    };
+    await scraper.scrapeProducts();
+
+    assert.deepEqual(extracted, urls.slice(1));
+    assert.equal(scraper.journal.isCategoryComplete('Panel Heaters'), true);
+    assert.equal(scraper.statistics.categories['Panel Heaters'].complete, true);
+  });
+
+  test('a completed category is skipped entirely', async () => {
+    const journal = new CheckpointJournal(journalFile);
+    await journal.recordCategoryUrls('Panel Heaters', [`${SITE}/slim-panel-600w`], scraperState());
+    await journal.completeCategory('Panel Heaters', scraperState());
+
+    const scraper = new HeatShopScraper();
+    await scraper.resumeFromCheckpoint();
+    scraper.extractProductDetails = async () => assert.fail('a completed category is not scraped again');
+    await scraper.scrapeProducts();
+  });
+});
+
+describe('clearing the journal', () => {
+  test('the journal is removed and the state reset once the run is saved', async () => {
+    const journal = new CheckpointJournal(journalFile);
+    await journal.recordCategoryUrls('Panel Heaters', [`${SITE}/slim-panel-600w`], scraperState());
+    // Not awaited: clear waits for the queued write before removing the file
+    journal.recordProduct(`${SITE}/slim-panel-600w`, scraperState());
+    await journal.clear();
+
+    assert.equal(fs.existsSync(journalFile), false);
+    assert.equal(journal.getCategoryUrls('Panel Heaters'), null);
+    assert.equal(journal.isUrlComplete(`${SITE}/slim-panel-600w`), false);
+    assert.equal(await new CheckpointJournal(journalFile).load(), null);
+  });
+
+  test('clearing without a journal on disk is not an error', async () => {
+    await new CheckpointJournal(journalFile).clear();
+    assert.equal(fs.existsSync(journalFile), false);
+  });
+});
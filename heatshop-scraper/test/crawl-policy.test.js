@@ -0,0 +1,111 @@
+/**
+ * Crawl Policy Tests
+ *
+ * Checks which robots.txt group crawl-policy.js applies to the scraper's
+ * user agent, and how the rules of that group are matched against URLs.
+ *
+ * @author Norko Development Team
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { CrawlPolicy, parseRobotsTxt, selectGroup } = require('../crawl-policy');
+
+const USER_AGENT = 'Educational-Portfolio-Bot/1.0';
+
+/**
+ * Paths disallowed for a user agent by a robots.txt
+ * @param {string} content - Raw robots.txt
+ * @param {string} [userAgent] - User-Agent header value
+ * @returns {Array<string>} Disallowed paths of the selected groups
+ */
+function disallowed(content, userAgent = USER_AGENT) {
+  return selectGroup(parseRobotsTxt(content), userAgent).rules
+    .filter(rule => !rule.allow)
+    .map(rule => rule.path);
+}
+
+describe('selectGroup', () => {
+  test('a group naming the product token applies instead of `*`', () => {
+    const content = [
+      'User-agent: *',
+      'Disallow: /checkout',
+      '',
+      'User-agent: educational-portfolio-bot',
+      'Disallow: /search',
+      'Crawl-delay: 5'
+    ].join('\n');
+    assert.deepEqual(disallowed(content), ['/search']);
+    assert.equal(selectGroup(parseRobotsTxt(content), USER_AGENT).crawlDelay, 5);
+  });
+
+  test('names are compared case-insensitively', () => {
+    assert.deepEqual(disallowed('User-agent: EDUCATIONAL-Portfolio-BOT\nDisallow: /cart'), ['/cart']);
+  });
+
+  test('a name that is only part of the product token does not apply', () => {
+    const content = [
+      'User-agent: Bot',
+      'Disallow: /',
+      '',
+      'User-agent: Portfolio',
+      'Disallow: /account',
+      '',
+      'User-agent: *',
+      'Disallow: /checkout'
+    ].join('\n');
+    assert.deepEqual(disallowed(content), ['/checkout']);
+  });
+
+  test('a longer name containing the product token does not apply', () => {
+    assert.deepEqual(disallowed('User-agent: educational-portfolio-bot-v2\nDisallow: /\n\nUser-agent: *\nDisallow: /cart'), ['/cart']);
+  });
+
+  test('an empty User-agent line matches nothing', () => {
+    assert.deepEqual(disallowed('User-agent:\nDisallow: /\n\nUser-agent: *\nDisallow: /cart'), ['/cart']);
+  });
+
+  test('the product token ends at the version or the first space', () => {
+    const content = 'User-agent: norkobot\nDisallow: /search';
+    assert.deepEqual(disallowed(content, 'NorkoBot/2.1 (+https://example.com/bot)'), ['/search']);
+    assert.deepEqual(disallowed(content, 'NorkoBot (+https://example.com/bot)'), ['/search']);
+  });
+
+  test('groups naming the same agent are combined', () => {
+    const content = 'User-agent: educational-portfolio-bot\nDisallow: /a\n\nUser-agent: educational-portfolio-bot\nDisallow: /b';
+    assert.deepEqual(disallowed(content), ['/a', '/b']);
+  });
+
+  test('with no matching group and no `*` group everything is allowed', () => {
+    assert.deepEqual(disallowed('User-agent: otherbot\nDisallow: /'), []);
+  });
+});
+
+describe('CrawlPolicy.check', () => {
+  const content = [
+    'User-agent: *',
+    'Disallow: /catalogsearch',
+    'Disallow: /*?price=',
+    'Disallow: /*.pdf$',
+    'Allow: /catalogsearch/advanced',
+    '',
+    'User-agent: Bot',
+    'Disallow: /'
+  ].join('\n');
+  const policy = new CrawlPolicy({ userAgent: USER_AGENT });
+  const origin = 'https://www.heatershop.co.uk';
+  policy.cache.set(origin, Promise.resolve({ ...selectGroup(parseRobotsTxt(content), USER_AGENT), sitemaps: [], status: 'loaded' }));
+
+  test('the longest matching rule wins, and wildcards and end anchors apply', async () => {
+    const allowed = async path => (await policy.check(`${origin}${path}`)).allowed;
+    assert.equal(await allowed('/herschel-select-xl-850'), true);
+    assert.equal(await allowed('/catalogsearch/result?q=panel'), false);
+    assert.equal(await allowed('/catalogsearch/advanced'), true);
+    assert.equal(await allowed('/infrared-heaters?price=100-200'), false);
+    assert.equal(await allowed('/media/manual.pdf'), false);
+    assert.equal(await allowed('/media/manual.pdf?download=1'), true);
+    assert.equal((await policy.check(`${origin}/catalogsearch`)).rule, 'Disallow: /catalogsearch');
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Duplicate Detection Tests
+ *
+ * Checks how duplicate-detection.js merges a listing into the product it
+ * duplicates, and that the merged product still resolves its related links.
+ *
+ * @author Norko Development Team
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { mergeDuplicate, mergeDuplicates } = require('../duplicate-detection');
+const { resolveRelations } = require('../related-products');
+
+const SITE = 'https://www.heatershop.co.uk';
+
+/**
+ * Build a product record with the fields merging reads
+ * @param {Object} fields - Fields set on the record
+ * @returns {Object} Product record
+ */
+function product(fields) {
+  return {
+    name: 'Herschel Select XL 850W',
+    manufacturer: 'Herschel',
+    gtin: '5060123450001',
+    category: 'Panel Heaters',
+    crystallizePath: '/infrared-heaters/panel-heaters',
+    topics: [],
+    related: [],
+    ...fields
+  };
+}
+
+describe('mergeDuplicate', () => {
+  test('carries the related links of both listings, one per product URL', () => {
+    const primary = product({
+      sourceUrl: `${SITE}/herschel-select-xl-850`,
+      related: [{ url: `${SITE}/herschel-ir-thermostat`, relation: 'accessory', title: 'Thermostat', id: null, path: null }]
+    });
+    const duplicate = product({
+      sourceUrl: `${SITE}/far-infrared/herschel-select-xl-850w`,
+      category: 'Far Infrared Heaters',
+      crystallizePath: '/infrared-heaters/far-infrared-heaters',
+      related: [
+        { url: 'https://heatershop.co.uk/herschel-ir-thermostat/', relation: 'related', title: 'IR Thermostat', id: null, path: null },
+        { url: `${SITE}/herschel-wall-bracket`, relation: 'accessory', title: 'Wall Bracket', id: null, path: null }
+      ]
+    });
+
+    mergeDuplicate(primary, duplicate, { score: 1, matchedOn: ['gtin'] });
+
+    assert.deepEqual(primary.related.map(link => [link.url, link.relation]), [
+      [`${SITE}/herschel-ir-thermostat`, 'accessory'],
+      [`${SITE}/herschel-wall-bracket`, 'accessory']
+    ]);
+    assert.deepEqual(primary.categories.map(category => category.name), ['Panel Heaters', 'Far Infrared Heaters']);
+    assert.equal(primary.duplicates[0].sourceUrl, duplicate.sourceUrl);
+  });
+
+  test('a listing without related links keeps the other listing\'s', () => {
+    const primary = product({ sourceUrl: `${SITE}/a` });
+    delete primary.related;
+    const link = { url: `${SITE}/herschel-wall-bracket`, relation: 'accessory' };
+    mergeDuplicate(primary, product({ sourceUrl: `${SITE}/b`, related: [link] }), { score: 1, matchedOn: ['gtin'] });
+    assert.deepEqual(primary.related, [link]);
+  });
+});
+
+describe('mergeDuplicates', () => {
+  test('links found only on a merged listing resolve to scraped products', () => {
+    const bracket = product({ name: 'Herschel Wall Bracket', gtin: '5060123450099', id: 'bracket', sourceUrl: `${SITE}/herschel-wall-bracket` });
+    const { products, merged } = mergeDuplicates([
+      product({ id: 'heater', sourceUrl: `${SITE}/herschel-select-xl-850` }),
+      product({
+        sourceUrl: `${SITE}/far-infrared/herschel-select-xl-850w`,
+        related: [{ url: `${SITE}/herschel-wall-bracket`, relation: 'accessory', id: null, path: null }]
+      }),
+      bracket
+    ]);
+
+    assert.equal(merged, 1);
+    assert.deepEqual(resolveRelations(products), { links: 1, resolved: 1, unresolved: 0 });
+    assert.equal(products[0].related[0].id, 'bracket');
+  });
+});
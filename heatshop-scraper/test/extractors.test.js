@@ -0,0 +1,177 @@
+/**
+ * Offline Extractor Tests
+ *
+ * Runs the scraper's extractors against saved pages in test/fixtures and
+ * compares the results with the expected outputs stored next to them, so
+ * selector regressions show up without network access:
+ * - fixtures/products/<template>.html with <template>.expected.json, one key
+ *   per extractor
+ * - fixtures/categories/<category>.expected.json, naming the listing pages
+ *   (HTML or "load more" JSON) served for each URL and the product URLs
+ *   discovered from them
+ *
+ * Run with `npm test`. After an intended extractor change, rewrite the
+ * expected outputs with `UPDATE_FIXTURES=1 npm test` and review the diff.
+ *
+ * @author Norko Development Team
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+const { describe, test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const { HeatShopScraper, CONFIG } = require('../scrape-heatshop');
+const { extractReviews } = require('../review-extraction');
+const { extractVariants } = require('../variant-extraction');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const UPDATE = process.env.UPDATE_FIXTURES === '1';
+
+// Product fixtures are served as if from this page, for extractors that need its URL
+const PRODUCT_URL = 'https://www.heatershop.co.uk/herschel-select-xl-850';
+
+// No uploads, downloads or request delays in tests
+CONFIG.enableCloudUpload = false;
+CONFIG.enableImageDownload = false;
+CONFIG.harvestDocuments = false;
+CONFIG.delay = 0;
+
+/**
+ * Extractors under test, each called with a scraper and the loaded page
+ */
+const PRODUCT_EXTRACTORS = {
+  extractProductName: (scraper, $) => scraper.extractProductName($),
+  extractPrice: (scraper, $) => scraper.extractPrice($),
+  extractEnhancedSpecifications: (scraper, $) => scraper.extractEnhancedSpecifications($),
+  extractTechnicalSpecifications: (scraper, $) => scraper.extractTechnicalSpecifications($),
+  extractWarrantyInfo: (scraper, $) => scraper.extractWarrantyInfo($),
+  extractAvailability: (scraper, $) => scraper.extractAvailability($),
+  extractImageUrls: (scraper, $) => scraper.extractImageUrls($, scraper.extractProductName($)),
+  extractVariants: (scraper, $) => extractVariants($, { basePrice: scraper.extractPrice($)?.price ?? null }),
+  extractReviews: (scraper, $) => extractReviews($),
+  findRelatedLinks: (scraper, $) => scraper.adapter.findRelatedLinks($, PRODUCT_URL)
+};
+
+/**
+ * List the fixture files in a directory
+ * @param {string} directory - Directory under test/fixtures
+ * @param {string} extension - File extension, e.g. `.html`
+ * @returns {Array<string>} Absolute paths, sorted
+ */
+function listFixtures(directory, extension) {
+  const dir = path.join(FIXTURES_DIR, directory);
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith(extension))
+    .sort()
+    .map(file => path.join(dir, file));
+}
+
+/**
+ * Compare an extractor result with the stored expectation, or store it in update mode
+ * @param {*} actual - Extractor result
+ * @param {Object} expected - Expected outputs of the fixture (updated in place in update mode)
+ * @param {string} key - Extractor name
+ */
+function checkOutput(actual, expected, key) {
+  // Compare as stored: JSON has no undefined values
+  const normalised = actual === undefined ? null : JSON.parse(JSON.stringify(actual));
+  if (UPDATE) {
+    expected[key] = normalised;
+    return;
+  }
+  assert.ok(key in expected, `no expected output for ${key}; run with UPDATE_FIXTURES=1 to record it`);
+  assert.deepEqual(normalised, expected[key]);
+}
+
+/**
+ * Read an expected-output file
+ * @param {string} file - Path to the .expected.json file
+ * @returns {Object} Expected outputs (empty in update mode when the file is new)
+ */
+function readExpected(file) {
+  if (UPDATE && !fs.existsSync(file)) return {};
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Write an expected-output file in update mode
+ * @param {string} file - Path to the .expected.json file
+ * @param {Object} expected - Expected outputs
+ */
+function writeExpected(file, expected) {
+  if (UPDATE) fs.writeFileSync(file, JSON.stringify(expected, null, 2) + '\n');
+}
+
+describe('product page extractors', () => {
+  const scraper = new HeatShopScraper();
+
+  for (const htmlFile of listFixtures('products', '.html')) {
+    const template = path.basename(htmlFile, '.html');
+    const expectedFile = htmlFile.replace(/\.html$/, '.expected.json');
+
+    describe(template, () => {
+      const $ = cheerio.load(fs.readFileSync(htmlFile, 'utf8'));
+      const expected = readExpected(expectedFile);
+
+      for (const [name, extract] of Object.entries(PRODUCT_EXTRACTORS)) {
+        test(name, () => {
+          checkOutput(extract(scraper, $), expected, name);
+        });
+      }
+
+      test('expected outputs are saved', () => {
+        writeExpected(expectedFile, expected);
+      });
+    });
+  }
+});
+
+describe('category listing discovery', () => {
+  for (const expectedFile of listFixtures('categories', '.expected.json')) {
+    const expected = JSON.parse(fs.readFileSync(expectedFile, 'utf8'));
+
+    test(expected.category, async () => {
+      const scraper = new HeatShopScraper();
+      const category = scraper.adapter.categories.find(candidate => candidate.name === expected.category);
+      assert.ok(category, `the site adapter has no category named ${expected.category}`);
+
+      // Serve the saved pages instead of the network; unknown URLs fail like a dead link
+      const requested = [];
+      scraper.makeRequest = async url => {
+        requested.push(url);
+        const page = expected.pages[url];
+        return page ? fs.readFileSync(path.join(path.dirname(expectedFile), page), 'utf8') : null;
+      };
+
+      const productUrls = await scraper.extractProductUrls(scraper.adapter.getCategoryUrl(category), category);
+      checkOutput(productUrls, expected, 'productUrls');
+      // Every saved page should be reached, so a broken pagination selector fails here too
+      assert.deepEqual(Object.keys(expected.pages).filter(url => !requested.includes(url)), []);
+
+      writeExpected(expectedFile, expected);
+    });
+  }
+});
+
+describe('sitemap category assignment', () => {
+  test('URLs that name no category are skipped and counted, not filed under the first', async () => {
+    mock.method(console, 'warn', () => {});
+    const scraper = new HeatShopScraper();
+    const [panel, patio] = ['Panel Heaters', 'Patio Heaters']
+      .map(name => scraper.adapter.categories.find(category => category.name === name));
+    scraper.discoverFromSitemap = async () => [
+      `${scraper.adapter.getCategoryUrl(panel)}/slim-panel-600w`,
+      'https://www.heatershop.co.uk/tansun-patio-heater-2kw',
+      PRODUCT_URL
+    ];
+
+    assert.equal(scraper.adapter.matchCategory(PRODUCT_URL), null);
+    assert.deepEqual(await scraper.extractSitemapProductUrls(panel), [`${scraper.adapter.getCategoryUrl(panel)}/slim-panel-600w`]);
+    assert.deepEqual(await scraper.extractSitemapProductUrls(patio), ['https://www.heatershop.co.uk/tansun-patio-heater-2kw']);
+    assert.equal(scraper.statistics.sitemapUrlsUnmatched, 1);
+    mock.restoreAll();
+  });
+});
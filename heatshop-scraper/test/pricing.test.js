@@ -0,0 +1,87 @@
+/**
+ * Price Parsing Tests
+ *
+ * Checks how pricing.js labels the prices in a price block (current, was and
+ * saving) and reads the current price, VAT basis and compare-at price from it.
+ *
+ * @author Norko Development Team
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const cheerio = require('cheerio');
+const { findPriceTokens, interpretPrices, extractPagePricing } = require('../pricing');
+
+/**
+ * Amounts and roles of the prices in a piece of text
+ * @param {string} text - Price block text
+ * @returns {Array<Array>} `[amount, role]` pairs
+ */
+function roles(text) {
+  return findPriceTokens(text).map(token => [token.amount, token.role]);
+}
+
+describe('findPriceTokens', () => {
+  test('was, now and save prices', () => {
+    assert.deepEqual(roles('Was £399.00 Now £299.00 Save £100.00'), [[399, 'was'], [299, 'current'], [100, 'saving']]);
+    assert.deepEqual(roles('You save: £50 £199.00'), [[50, 'saving'], [199, 'current']]);
+    assert.deepEqual(roles('£50 off! Now £149.00'), [[50, 'saving'], [149, 'current']]);
+  });
+
+  test('a percentage badge does not make the price a saving', () => {
+    assert.deepEqual(roles('20% off £199.00'), [[199, 'current']]);
+    assert.deepEqual(roles('20% discount £199.00'), [[199, 'current']]);
+    assert.deepEqual(roles('Save 20% £199.00'), [[199, 'current']]);
+    assert.deepEqual(roles('£199.00 20% off'), [[199, 'current']]);
+  });
+
+  test('VAT labels on either side of the price', () => {
+    const tokens = findPriceTokens('£299.00 inc VAT (£249.17 ex VAT)');
+    assert.deepEqual(tokens.map(token => [token.amount, token.vat]), [[299, 'inc'], [249.17, 'ex']]);
+  });
+
+  test('currencies and separators', () => {
+    const read = text => findPriceTokens(text).map(token => [token.amount, token.currency]);
+    assert.deepEqual(read('€1.299,00'), [[1299, 'EUR']]);
+    // Non-breaking spaces group thousands
+    assert.deepEqual(read('1\u00a0299,00 zł'), [[1299, 'PLN']]);
+    assert.deepEqual(read('US$1,299.50'), [[1299.5, 'USD']]);
+  });
+});
+
+describe('interpretPrices', () => {
+  test('a sale has the was price as its compare-at price', () => {
+    const pricing = interpretPrices(findPriceTokens('Was £399.00 Now £299.00 Save £100.00'), { vatRate: 0.2 });
+    assert.deepEqual(pricing, {
+      price: 299,
+      currency: 'GBP',
+      includesVat: true,
+      net: 249.17,
+      gross: 299,
+      compareAtPrice: 399,
+      vatLabelled: false
+    });
+  });
+
+  test('no current price gives null', () => {
+    assert.equal(interpretPrices(findPriceTokens('Save £100.00')), null);
+  });
+});
+
+describe('extractPagePricing', () => {
+  test('a product with a percent-off badge keeps its price', () => {
+    const $ = cheerio.load('<div class="price-box"><span class="badge">20% off</span> <span class="price">£199.00</span></div>');
+    const pricing = extractPagePricing($, { selectors: ['.price'], vatRate: 0.2 });
+    assert.equal(pricing.price, 199);
+    assert.equal(pricing.compareAtPrice, null);
+  });
+
+  test('a struck-through price is the compare-at price', () => {
+    const $ = cheerio.load('<div class="price-box"><del>£399.00</del> <span class="price">£299.00</span> <span>Save £100.00</span></div>');
+    const pricing = extractPagePricing($, { selectors: ['.price'], vatRate: 0.2 });
+    assert.equal(pricing.price, 299);
+    assert.equal(pricing.compareAtPrice, 399);
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * Product Schema Tests
+ *
+ * Checks that product-schema.js accepts a complete product record, reports
+ * each kind of violation with its path and rule, and counts them in the
+ * data-quality report.
+ *
+ * @author Norko Development Team
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validate, validateProduct, buildQualityReport } = require('../product-schema');
+
+const SITE = 'https://www.heatershop.co.uk';
+
+/**
+ * Build a product record that satisfies the schema
+ * @param {Object} [fields] - Top-level fields overriding the defaults
+ * @returns {Object} Product record
+ */
+function validProduct(fields = {}) {
+  const richText = text => ({ type: 'richText', content: { html: `<p>${text}</p>`, plainText: text } });
+  const image = { url: `${SITE}/media/select-xl-850.jpg`, altText: 'Herschel Select XL 850W' };
+
+  return {
+    id: 'herschel-select-xl-850w',
+    name: 'Herschel Select XL 850W',
+    path: '/heaters/herschel-select-xl-850w',
+    shape: 'heater',
+    category: 'Panel Heaters',
+    crystallizePath: '/heaters/panel-heaters',
+    source: 'heatershop.co.uk',
+    sourceUrl: `${SITE}/herschel-select-xl-850w`,
+    extractedAt: '2026-10-19T08:30:00.000Z',
+    pricing: {
+      basePrice: 299,
+      currency: 'GBP',
+      net: 249.17,
+      gross: 299,
+      vatRate: 0.2,
+      vatIncluded: true,
+      compareAtPrice: null,
+      onSale: false,
+      priceRange: { min: 299, max: 299, base: 299 }
+    },
+    specifications: {
+      basic: { wattage: 850, dimensions: '600mm x 1200mm', weight: 9, coverage: '15m²' },
+      measurements: {
+        power: { value: 850, unit: 'W', text: '850W' },
+        dimensions: { length: 600, width: 1200, depth: null, unit: 'mm', text: '600mm x 1200mm' },
+        weight: { value: 9, unit: 'kg' },
+        coverage: { value: 15, unit: 'm²' },
+        ipRating: { value: 'IP24' }
+      },
+      technical: {},
+      powerCategory: 'Medium Power',
+      efficiency: 'High Efficiency',
+      coverage: '15m²'
+    },
+    information: {
+      description: 'Infrared panel heater for rooms up to 15m².',
+      features: null,
+      warranty: '5 years',
+      availability: 'In Stock',
+      manufacturer: 'Herschel',
+      model: 'Select XL 850W'
+    },
+    provenance: { name: 'scraped', price: 'scraped', wattage: 'scraped', variants: 'derived' },
+    media: { images: [image], hasDatasheet: false, hasManual: false },
+    components: {
+      description: richText('Infrared panel heater for rooms up to 15m².'),
+      specifications: { type: 'contentChunk', chunks: [{ wattage: 850 }] },
+      features: richText(''),
+      technicalSpecs: { type: 'contentChunk', chunks: [] },
+      productImages: { type: 'images', images: [image] },
+      warranty: { type: 'singleLine', text: '5 years' }
+    },
+    variants: [{
+      name: 'Herschel Select XL 850W',
+      sku: 'herschel-select-xl-850w',
+      price: 299,
+      priceVariants: [{ identifier: 'default', price: 299, currency: 'GBP' }],
+      attributes: [{ attribute: 'Power', value: '850W' }],
+      stock: null,
+      isDefault: true
+    }],
+    topics: ['/power/medium'],
+    seo: { title: 'Herschel Select XL 850W', description: 'Infrared panel heater', keywords: ['infrared'] },
+    ...fields
+  };
+}
+
+/**
+ * Paths and rules of a record's violations
+ * @param {Object} product - Product record
+ * @returns {Array<string>} `path (rule)` entries
+ */
+function violations(product) {
+  return validateProduct(product).map(violation => `${violation.path} (${violation.rule})`);
+}
+
+describe('validateProduct', () => {
+  test('a complete record has no violations', () => {
+    assert.deepEqual(validateProduct(validProduct()), []);
+  });
+
+  test('a missing required field', () => {
+    const product = validProduct();
+    delete product.seo;
+    delete product.pricing.currency;
+    assert.deepEqual(violations(product), ['seo (required)', 'pricing.currency (required)']);
+  });
+
+  test('a value of the wrong type', () => {
+    const product = validProduct();
+    product.pricing.basePrice = '299.00';
+    product.information.model = 850;
+    assert.deepEqual(violations(product), ['pricing.basePrice (type)', 'information.model (type)']);
+  });
+
+  test('a number that is not finite', () => {
+    const product = validProduct();
+    product.specifications.basic.weight = NaN;
+    assert.deepEqual(violations(product), ['specifications.basic.weight (type)']);
+  });
+
+  test('numbers out of range', () => {
+    const product = validProduct();
+    product.pricing.vatRate = 20;
+    product.pricing.priceRange.min = -1;
+    product.specifications.basic.wattage = 0;
+    assert.deepEqual(violations(product), [
+      'pricing.vatRate (maximum)',
+      'pricing.priceRange.min (minimum)',
+      'specifications.basic.wattage (exclusiveMinimum)'
+    ]);
+  });
+
+  test('strings too short, too long or not matching their pattern', () => {
+    const product = validProduct({ id: 'Herschel Select XL', name: 'XL' });
+    product.seo.title = '';
+    product.information.gtin = '123';
+    assert.deepEqual(violations(product), [
+      'id (pattern)',
+      'name (minLength)',
+      'information.gtin (pattern)',
+      'seo.title (minLength)'
+    ]);
+    assert.deepEqual(violations(validProduct({ id: 'a'.repeat(51) })), ['id (maxLength)']);
+  });
+
+  test('values outside their enum', () => {
+    const product = validProduct();
+    product.provenance.price = 'guessed';
+    product.variants[0].priceVariants[0].identifier = 'sale';
+    assert.deepEqual(violations(product), ['provenance.price (enum)', 'variants[0].priceVariants[0].identifier (enum)']);
+  });
+
+  test('URLs and dates in the wrong format', () => {
+    const product = validProduct({ sourceUrl: '/herschel-select-xl-850w', extractedAt: '19/10/2026' });
+    product.media.images[0] = { url: 'select-xl-850.jpg', altText: 'Herschel Select XL 850W' };
+    assert.deepEqual(violations(product), ['sourceUrl (format)', 'extractedAt (format)', 'media.images[0].url (format)']);
+  });
+
+  test('arrays with too few or too many items', () => {
+    const product = validProduct({ variants: [] });
+    product.components.rating = { type: 'contentChunk', chunks: [{}, {}] };
+    assert.deepEqual(violations(product), ['components.rating.chunks (maxItems)', 'variants (minItems)']);
+  });
+
+  test('cross-field pricing rules', () => {
+    const product = validProduct();
+    Object.assign(product.pricing, { compareAtPrice: 299, net: 320, priceRange: { min: 399, max: 299, base: 299 } });
+    assert.deepEqual(violations(product), ['pricing.priceRange (range)', 'pricing.compareAtPrice (compareAt)', 'pricing.net (vat)']);
+  });
+
+  test('exactly one default variant', () => {
+    const product = validProduct();
+    product.variants.push({ ...product.variants[0], sku: 'herschel-select-xl-850w-white' });
+    assert.deepEqual(violations(product), ['variants (defaultVariant)']);
+  });
+});
+
+describe('validate', () => {
+  test('a missing value and a null root are reported at the root', () => {
+    assert.deepEqual(validate(undefined, { type: 'object' }), [{ path: '(root)', rule: 'type', message: 'is missing' }]);
+    assert.deepEqual(validate(null, { type: 'object' }), [{ path: '(root)', rule: 'type', message: 'expected object, got null' }]);
+  });
+
+  test('integers are numbers, but numbers are not integers', () => {
+    assert.deepEqual(validate(3, { type: 'number' }), []);
+    assert.equal(validate(2.5, { type: 'integer' })[0].rule, 'type');
+  });
+});
+
+describe('buildQualityReport', () => {
+  test('summary counts and violations grouped by path', () => {
+    const noVariants = validProduct({ id: 'no-variants', variants: [] });
+    const twoBad = validProduct({ id: 'two-bad-images' });
+    twoBad.media.images = [{ url: 'a.jpg', altText: 'A' }, { url: 'b.jpg', altText: 'B' }];
+    const badPrice = validProduct({ id: 'bad-price' });
+    badPrice.pricing.basePrice = 0;
+
+    const report = buildQualityReport([validProduct(), noVariants, twoBad, badPrice]);
+    assert.deepEqual(report.summary, { totalProducts: 4, validProducts: 1, invalidProducts: 3, totalViolations: 4 });
+    assert.deepEqual(report.violationsByPath, {
+      'variants (minItems)': 1,
+      'media.images[].url (format)': 2,
+      'pricing.basePrice (exclusiveMinimum)': 1
+    });
+    assert.deepEqual(report.products.map(result => [result.index, result.id, result.valid]), [
+      [1, 'no-variants', false],
+      [2, 'two-bad-images', false],
+      [3, 'bad-price', false]
+    ]);
+    assert.equal(report.schemaVersion, 1);
+  });
+
+  test('an empty run is a valid run', () => {
+    const report = buildQualityReport([]);
+    assert.deepEqual(report.summary, { totalProducts: 0, validProducts: 0, invalidProducts: 0, totalViolations: 0 });
+    assert.deepEqual(report.products, []);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Provenance Tests
+ *
+ * Checks that provenance.js refuses import items whose critical fields were
+ * generated or have no recorded origin, and lets them through only when
+ * generated data is allowed.
+ *
+ * @author Norko Development Team
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  PROVENANCE,
+  CRITICAL_FIELDS,
+  findUntrustedFields,
+  selectImportable,
+  summariseProvenance,
+  provenanceFromSource
+} = require('../provenance');
+
+/**
+ * Build an import item with the given provenance
+ * @param {string} name - Item name
+ * @param {Object} [provenance] - Provenance map (defaults to every critical field scraped)
+ * @returns {Object} Import item
+ */
+function item(name, provenance = { price: 'scraped', wattage: 'scraped', variants: 'derived' }) {
+  return { catalogueItem: { name }, provenance };
+}
+
+describe('findUntrustedFields', () => {
+  test('the critical fields are price, wattage and variants', () => {
+    assert.deepEqual(CRITICAL_FIELDS, ['price', 'wattage', 'variants']);
+  });
+
+  test('scraped, derived and manual values are trusted', () => {
+    assert.deepEqual(findUntrustedFields({ price: 'manual', wattage: 'scraped', variants: 'derived' }), []);
+  });
+
+  test('generated and unknown values are not', () => {
+    assert.deepEqual(findUntrustedFields({ price: 'generated', wattage: 'scraped' }), [
+      { field: 'price', provenance: 'generated' },
+      { field: 'variants', provenance: 'unknown' }
+    ]);
+    assert.deepEqual(findUntrustedFields(undefined).map(({ field }) => field), CRITICAL_FIELDS);
+  });
+
+  test('a missing value is trusted as missing, not invented', () => {
+    assert.deepEqual(findUntrustedFields({ price: 'scraped', wattage: 'missing', variants: 'derived' }), []);
+  });
+
+  test('only the fields asked about are checked', () => {
+    assert.deepEqual(findUntrustedFields({ price: 'scraped', wattage: 'generated' }, ['price']), []);
+  });
+});
+
+describe('selectImportable', () => {
+  const items = [
+    item('Select XL 850W'),
+    item('Generated Price', { price: 'generated', wattage: 'scraped', variants: 'derived' }),
+    item('Generated Everything', { price: 'generated', wattage: 'generated', variants: 'generated' }),
+    item('No Provenance', null)
+  ];
+
+  test('items with generated or unknown critical fields are refused with reasons', () => {
+    const { accepted, refused } = selectImportable(items);
+    assert.deepEqual(accepted.map(({ catalogueItem }) => catalogueItem.name), ['Select XL 850W']);
+    assert.deepEqual(refused.map(({ catalogueItem, reasons }) => [catalogueItem.name, reasons]), [
+      ['Generated Price', ['price is generated']],
+      ['Generated Everything', ['price is generated', 'wattage is generated', 'variants is generated']],
+      ['No Provenance', ['price is unknown', 'wattage is unknown', 'variants is unknown']]
+    ]);
+  });
+
+  test('allowGenerated imports every item', () => {
+    const { accepted, refused } = selectImportable(items, { allowGenerated: true });
+    assert.equal(accepted.length, items.length);
+    assert.deepEqual(refused, []);
+  });
+
+  test('the fields checked can be narrowed', () => {
+    const { accepted } = selectImportable(items.slice(0, 2), { fields: ['wattage'] });
+    assert.equal(accepted.length, 2);
+  });
+});
+
+describe('provenance summary', () => {
+  test('values are counted per field', () => {
+    const products = [
+      { provenance: { price: 'scraped', wattage: 'scraped' } },
+      { provenance: { price: 'manual', wattage: 'missing' } },
+      { provenance: { price: 'scraped' } },
+      {}
+    ];
+    assert.deepEqual(summariseProvenance(products), {
+      price: { scraped: 2, manual: 1 },
+      wattage: { scraped: 1, missing: 1 }
+    });
+  });
+
+  test('extractor defaults are derived, every other source scraped', () => {
+    assert.equal(provenanceFromSource('default'), PROVENANCE.DERIVED);
+    assert.equal(provenanceFromSource('json-ld'), PROVENANCE.SCRAPED);
+    assert.equal(provenanceFromSource('heuristic'), PROVENANCE.SCRAPED);
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Rate Limiter Tests
+ *
+ * Checks the per-host token buckets of rate-limiter.js: request spacing,
+ * unlimited rates (a delay of 0), throttling and `Retry-After` parsing.
+ *
+ * @author Norko Development Team
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TokenBucket, HostRateLimiter, parseRetryAfter } = require('../rate-limiter');
+
+const URL_A = 'https://www.heatershop.co.uk/herschel-select-xl-850';
+const URL_B = 'https://www.example.com/heater';
+
+/**
+ * Time a number of acquisitions from the same host
+ * @param {HostRateLimiter} limiter - Limiter under test
+ * @param {number} count - Acquisitions
+ * @returns {Promise<number>} Elapsed milliseconds
+ */
+async function timeAcquisitions(limiter, count) {
+  const started = Date.now();
+  await Promise.all(Array.from({ length: count }, () => limiter.acquire(URL_A)));
+  return Date.now() - started;
+}
+
+describe('TokenBucket', () => {
+  test('an unlimited rate never produces NaN tokens', async () => {
+    const bucket = new TokenBucket({ ratePerSecond: Infinity });
+    await bucket.acquire();
+    await bucket.acquire();
+    assert.equal(bucket.tokens, 0);
+    bucket.refill();
+    assert.equal(bucket.tokens, 1);
+  });
+
+  test('a pause holds acquisitions back even without a rate limit', async () => {
+    const bucket = new TokenBucket({ ratePerSecond: Infinity });
+    bucket.pause(60);
+    const started = Date.now();
+    await bucket.acquire();
+    assert.ok(Date.now() - started >= 50);
+  });
+});
+
+describe('HostRateLimiter', () => {
+  test('spaces requests to a host at the configured rate', async () => {
+    const elapsed = await timeAcquisitions(new HostRateLimiter({ requestsPerSecond: 20 }), 3);
+    // The first token is free, the next two take 50ms each
+    assert.ok(elapsed >= 90, `took ${elapsed}ms`);
+  });
+
+  test('resolves at once with an unlimited rate (delay 0)', async () => {
+    const elapsed = await timeAcquisitions(new HostRateLimiter({ requestsPerSecond: Infinity }), 5);
+    assert.ok(elapsed < 50, `took ${elapsed}ms`);
+  });
+
+  test('keeps a separate bucket per host', async () => {
+    const limiter = new HostRateLimiter({ requestsPerSecond: 1 });
+    await limiter.acquire(URL_A);
+    const started = Date.now();
+    await limiter.acquire(URL_B);
+    assert.ok(Date.now() - started < 50);
+  });
+
+  test('halves the rate on throttling, down to the floor, and pauses the host', () => {
+    const limiter = new HostRateLimiter({ requestsPerSecond: 4, minRequestsPerSecond: 1 });
+    assert.equal(limiter.recordThrottle(URL_A, 2000), 2000);
+    assert.equal(limiter.getRate(URL_A), 2);
+    assert.ok(limiter.getHost(URL_A).bucket.pausedUntil > Date.now() + 1900);
+    limiter.recordThrottle(URL_A, null);
+    limiter.recordThrottle(URL_A, null);
+    assert.equal(limiter.getRate(URL_A), 1);
+  });
+
+  test('raises the rate after a streak of successes, up to the ceiling', () => {
+    const limiter = new HostRateLimiter({ requestsPerSecond: 1, maxRequestsPerSecond: 1.5, increaseAfter: 2 });
+    for (let i = 0; i < 2; i++) limiter.recordSuccess(URL_A);
+    assert.equal(limiter.getRate(URL_A), 1.25);
+    for (let i = 0; i < 4; i++) limiter.recordSuccess(URL_A);
+    assert.equal(limiter.getRate(URL_A), 1.5);
+  });
+
+  test('caps the rate with a crawl delay', () => {
+    const limiter = new HostRateLimiter({ requestsPerSecond: Infinity });
+    limiter.setMinInterval(URL_A, 500);
+    assert.equal(limiter.getRate(URL_A), 2);
+  });
+});
+
+describe('parseRetryAfter', () => {
+  test('reads seconds and HTTP dates', () => {
+    assert.equal(parseRetryAfter('5'), 5000);
+    assert.equal(parseRetryAfter(undefined), null);
+    assert.equal(parseRetryAfter('soon'), null);
+    const wait = parseRetryAfter(new Date(Date.now() + 10000).toUTCString());
+    assert.ok(wait > 8000 && wait <= 10000);
+  });
+});
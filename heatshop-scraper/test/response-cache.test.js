@@ -0,0 +1,145 @@
+/**
+ * Response Cache Tests
+ *
+ * Checks that response-cache.js replays the newest fetch of a URL, misses on
+ * URLs it never stored and on fetches older than its maximum age, and that an
+ * offline scrape skips and records a URL the cache cannot replay.
+ *
+ * @author Norko Development Team
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+const { describe, test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ResponseCache } = require('../response-cache');
+const { HeatShopScraper, CONFIG } = require('../scrape-heatshop');
+
+const URL_A = 'https://www.heatershop.co.uk/herschel-select-xl-850';
+const URL_B = 'https://www.heatershop.co.uk/herschel-select-xl-700';
+const HOUR = 60 * 60 * 1000;
+
+let directory;
+
+/**
+ * Store a fetch of a URL as if it had been made some time ago
+ * @param {ResponseCache} cache - Cache to write to
+ * @param {string} url - Request URL
+ * @param {string} body - Response body
+ * @param {number} age - Milliseconds since the fetch
+ * @returns {Promise<Object>} The stored entry
+ */
+async function storeAged(cache, url, body, age) {
+  mock.timers.enable({ apis: ['Date'], now: Date.now() - age });
+  try {
+    return await cache.store(url, body);
+  } finally {
+    mock.timers.reset();
+  }
+}
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'norko-cache-'));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe('ResponseCache', () => {
+  test('a stored page is replayed with its metadata', async () => {
+    const cache = new ResponseCache(directory);
+    await cache.store(URL_A, '<h1>Select XL 850W</h1>', { status: 200, contentType: 'text/html' });
+
+    const entry = await cache.getLatest(URL_A);
+    assert.equal(entry.url, URL_A);
+    assert.equal(entry.body, '<h1>Select XL 850W</h1>');
+    assert.equal(entry.status, 200);
+    assert.equal(entry.contentType, 'text/html');
+  });
+
+  test('a URL that was never stored is a miss', async () => {
+    const cache = new ResponseCache(directory);
+    await cache.store(URL_A, '<h1>Select XL 850W</h1>');
+    assert.equal(await cache.getLatest(URL_B), null);
+    assert.deepEqual(await cache.listEntries(URL_B), []);
+  });
+
+  test('every fetch is kept and the newest is replayed', async () => {
+    const cache = new ResponseCache(directory);
+    await storeAged(cache, URL_A, '<p>£299.00</p>', 2 * HOUR);
+    await storeAged(cache, URL_A, '<p>£269.00</p>', HOUR);
+
+    assert.equal((await cache.listEntries(URL_A)).length, 2);
+    assert.equal((await cache.getLatest(URL_A)).body, '<p>£269.00</p>');
+  });
+
+  test('JSON responses are stored as text', async () => {
+    const cache = new ResponseCache(directory);
+    await cache.store(URL_A, { html: '<li>Panel</li>' });
+    assert.equal((await cache.getLatest(URL_A)).body, '{"html":"<li>Panel</li>"}');
+  });
+
+  test('a fetch older than the maximum age is a miss', async () => {
+    await storeAged(new ResponseCache(directory), URL_A, '<h1>Select XL 850W</h1>', 2 * HOUR);
+
+    assert.equal(await new ResponseCache(directory, { maxAge: HOUR }).getLatest(URL_A), null);
+    assert.ok(await new ResponseCache(directory, { maxAge: 3 * HOUR }).getLatest(URL_A));
+    assert.ok(await new ResponseCache(directory).getLatest(URL_A));
+  });
+
+  test('a newer fetch of an expired page is replayed', async () => {
+    const cache = new ResponseCache(directory, { maxAge: HOUR });
+    await storeAged(cache, URL_A, '<p>£299.00</p>', 2 * HOUR);
+    await cache.store(URL_A, '<p>£269.00</p>');
+    assert.equal((await cache.getLatest(URL_A)).body, '<p>£269.00</p>');
+  });
+});
+
+describe('offline replay', () => {
+  let savedConfig;
+
+  beforeEach(() => {
+    savedConfig = { ...CONFIG };
+    Object.assign(CONFIG, { offline: true, cacheDirectory: directory, cacheMaxAge: null, enableCheckpoints: false });
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    Object.assign(CONFIG, savedConfig);
+  });
+
+  test('a cached page is replayed without a request', async () => {
+    await new ResponseCache(directory).store(URL_A, '<h1>Select XL 850W</h1>');
+    const scraper = new HeatShopScraper();
+    scraper.checkCrawlPolicy = async () => assert.fail('offline replay does not fetch robots.txt');
+
+    assert.equal(await scraper.makeRequest(URL_A), '<h1>Select XL 850W</h1>');
+    assert.equal(scraper.statistics.successfulRequests, 1);
+    assert.equal(scraper.statistics.cacheMisses, 0);
+  });
+
+  test('a miss fails the request and is recorded', async () => {
+    const scraper = new HeatShopScraper();
+    assert.equal(await scraper.makeRequest(URL_B), null);
+    assert.equal(scraper.statistics.cacheMisses, 1);
+    assert.equal(scraper.statistics.failedRequests, 1);
+    assert.deepEqual(
+      scraper.errors.map(({ url, error, step }) => ({ url, error, step })),
+      [{ url: URL_B, error: 'Not found in response cache', step: 'offline_replay' }]
+    );
+  });
+
+  test('an expired page is a miss', async () => {
+    await storeAged(new ResponseCache(directory), URL_A, '<h1>Select XL 850W</h1>', 2 * HOUR);
+    CONFIG.cacheMaxAge = HOUR;
+    const scraper = new HeatShopScraper();
+    assert.equal(await scraper.makeRequest(URL_A), null);
+    assert.equal(scraper.statistics.cacheMisses, 1);
+  });
+});
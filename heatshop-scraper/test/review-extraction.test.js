@@ -0,0 +1,72 @@
+/**
+ * Review Extraction Tests
+ *
+ * Checks how review-extraction.js counts an aggregate rating. The saved
+ * product pages in test/fixtures cover the review markups themselves.
+ *
+ * @author Norko Development Team
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const cheerio = require('cheerio');
+const { extractReviews } = require('../review-extraction');
+
+/**
+ * Load a page with one JSON-LD product
+ * @param {Object} product - schema.org Product fields
+ * @returns {Object} Cheerio object
+ */
+function jsonLdPage(product) {
+  const data = { '@context': 'https://schema.org', '@type': 'Product', name: 'Herschel Select XL 850W', ...product };
+  return cheerio.load(`<script type="application/ld+json">${JSON.stringify(data)}</script>`);
+}
+
+/**
+ * A schema.org review
+ * @param {number} ratingValue - Stars out of 5
+ * @param {string} datePublished - ISO date
+ * @returns {Object} Review node
+ */
+function review(ratingValue, datePublished) {
+  return {
+    '@type': 'Review',
+    author: { '@type': 'Person', name: 'Customer' },
+    datePublished,
+    reviewRating: { '@type': 'Rating', ratingValue, bestRating: 5 },
+    reviewBody: 'Warm within minutes.'
+  };
+}
+
+describe('aggregate rating count', () => {
+  test('a stated count is used', () => {
+    const { rating } = extractReviews(jsonLdPage({
+      aggregateRating: { '@type': 'AggregateRating', ratingValue: 4.6, ratingCount: 38, reviewCount: 12 },
+      review: [review(5, '2026-01-10')]
+    }));
+    assert.deepEqual(rating, { average: 4.6, count: 38, reviewCount: 12, best: 5, derived: false });
+  });
+
+  test('without a stated count the rated reviews on the page are counted', () => {
+    const { rating } = extractReviews(jsonLdPage({
+      aggregateRating: { '@type': 'AggregateRating', ratingValue: 4.5 },
+      review: [review(5, '2026-01-10'), review(4, '2025-11-02')]
+    }));
+    assert.deepEqual(rating, { average: 4.5, count: 2, reviewCount: 2, best: 5, derived: false });
+  });
+
+  test('an aggregate with nothing to count is dropped', () => {
+    const result = extractReviews(jsonLdPage({ aggregateRating: { '@type': 'AggregateRating', ratingValue: 4.5 } }));
+    assert.deepEqual(result, { rating: null, reviews: [], source: null });
+  });
+
+  test('a stated count of 0 is an empty widget, and the reviews give the rating', () => {
+    const { rating } = extractReviews(jsonLdPage({
+      aggregateRating: { '@type': 'AggregateRating', ratingValue: 0, ratingCount: 0 },
+      review: [review(4, '2026-01-10'), review(3, '2025-11-02')]
+    }));
+    assert.deepEqual(rating, { average: 3.5, count: 2, reviewCount: 2, best: 5, derived: true });
+  });
+});
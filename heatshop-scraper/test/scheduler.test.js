@@ -0,0 +1,220 @@
+/**
+ * Scheduler Tests
+ *
+ * Checks the cron parser and next-run calculation of scheduler.js, the
+ * scheduler's one-run-at-a-time queue, the run history and the run lock of
+ * run-lock.js. Times are built in local time, as cron expressions are.
+ *
+ * @author Norko Development Team
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+const { describe, test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { Scheduler, RunHistory, parseCron, nextRunTime, RUN_STATUS } = require('../scheduler');
+const { RunLock } = require('../run-lock');
+
+// Monday 19 October 2026, 14:07:30 local time
+const MONDAY = new Date(2026, 9, 19, 14, 7, 30);
+
+/**
+ * Next run of an expression after MONDAY, as local `YYYY-MM-DD HH:MM`
+ * @param {string} expression - Cron expression
+ * @returns {string|null} Next run or null
+ */
+function next(expression) {
+  const time = nextRunTime(expression, MONDAY);
+  if (!time) return null;
+  const pad = value => String(value).padStart(2, '0');
+  return `${time.getFullYear()}-${pad(time.getMonth() + 1)}-${pad(time.getDate())} ${pad(time.getHours())}:${pad(time.getMinutes())}`;
+}
+
+describe('cron expressions', () => {
+  test('steps, ranges and lists', () => {
+    assert.equal(next('*/15 * * * *'), '2026-10-19 14:15');
+    assert.equal(next('0 2 * * *'), '2026-10-20 02:00');
+    assert.equal(next('0,45 14 * * *'), '2026-10-19 14:45');
+    assert.equal(next('5/20 * * * *'), '2026-10-19 14:25');
+    assert.deepEqual([...parseCron('10-20/5 * * * *').minutes], [10, 15, 20]);
+  });
+
+  test('month and weekday names, and 7 as Sunday', () => {
+    assert.equal(next('30 3 * * mon-fri'), '2026-10-20 03:30');
+    assert.equal(next('0 4 1 jan,jul *'), '2027-01-01 04:00');
+    assert.equal(next('0 1 * * 7'), '2026-10-25 01:00');
+    assert.equal(next('0 1 * * SUN'), '2026-10-25 01:00');
+    assert.deepEqual([...parseCron('0 0 * * 5-7').weekdays].sort(), [0, 5, 6]);
+  });
+
+  test('day of month and day of week match either when both are restricted', () => {
+    // The 13th is a Tuesday and the next Friday is the 23rd
+    assert.equal(next('0 0 13 * fri'), '2026-10-23 00:00');
+    assert.equal(next('0 0 20 * fri'), '2026-10-20 00:00');
+    // With one of them `*`, both must match: the next Friday the 13th
+    assert.equal(next('0 0 13 * *'), '2026-11-13 00:00');
+    assert.equal(next('0 0 */1 * fri'), '2026-10-23 00:00');
+  });
+
+  test('shortcuts', () => {
+    assert.equal(next('@hourly'), '2026-10-19 15:00');
+    assert.equal(next('@daily'), '2026-10-20 00:00');
+    assert.equal(next('@weekly'), '2026-10-25 00:00');
+    assert.equal(next('@monthly'), '2026-11-01 00:00');
+    assert.equal(next('@yearly'), '2027-01-01 00:00');
+  });
+
+  test('dates that rarely or never exist', () => {
+    assert.equal(next('0 0 29 2 *'), '2028-02-29 00:00');
+    assert.equal(next('0 0 30 2 *'), null);
+  });
+
+  test('invalid expressions are rejected', () => {
+    for (const expression of ['* * *', '61 * * * *', '*/0 * * * *', '5-1 * * * *', 'x * * * *', '0 0 * 13 *', '0 0 * * 8', '']) {
+      assert.throws(() => parseCron(expression), Error, expression);
+    }
+  });
+});
+
+describe('Scheduler', () => {
+  let runs;
+  let recorded;
+  let scheduler;
+  const jobs = ['panels', 'patio'].map(name => ({ name, schedule: parseCron('@daily') }));
+
+  beforeEach(() => {
+    // The scheduler logs every run; keep the test output readable
+    for (const method of ['log', 'warn']) mock.method(console, method, () => {});
+    runs = [];
+    recorded = [];
+    scheduler = new Scheduler({
+      jobs,
+      history: { record: async run => { recorded.push(run); } },
+      // Each run waits until the test finishes it
+      runJob: job => new Promise(resolve => { runs.push({ job: job.name, finish: resolve }); })
+    });
+    // start() would set these and arm a timer; the tests drive the queue themselves
+    for (const job of jobs) scheduler.nextRuns.set(job.name, nextRunTime(job.schedule));
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+    mock.restoreAll();
+  });
+
+  test('runs one job at a time and skips a job that is already running or waiting', async () => {
+    const due = new Date(2026, 9, 20, 0, 0);
+    scheduler.enqueue(jobs[0], due);
+    const drained = scheduler.drain();
+    scheduler.enqueue(jobs[1], due);
+    scheduler.enqueue(jobs[0], due);
+    scheduler.enqueue(jobs[1], due);
+
+    assert.deepEqual(runs.map(run => run.job), ['panels']);
+    assert.deepEqual(recorded.map(run => [run.job, run.status]), [['panels', RUN_STATUS.SKIPPED], ['patio', RUN_STATUS.SKIPPED]]);
+
+    runs[0].finish({ status: RUN_STATUS.SUCCEEDED, exitCode: 0 });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(runs.map(run => run.job), ['panels', 'patio']);
+    runs[1].finish({ status: RUN_STATUS.FAILED, exitCode: 1, reason: 'exit code 1' });
+    await drained;
+
+    assert.deepEqual(recorded.slice(2).map(run => [run.job, run.status, run.scheduledFor]), [
+      ['panels', RUN_STATUS.SUCCEEDED, due.toISOString()],
+      ['patio', RUN_STATUS.FAILED, due.toISOString()]
+    ]);
+    assert.ok(recorded[2].startedAt && recorded[2].finishedAt && recorded[2].durationMs >= 0);
+  });
+
+  test('a run that throws is recorded as failed', async () => {
+    scheduler.runJob = async () => { throw new Error('fork failed'); };
+    scheduler.enqueue(jobs[0], new Date());
+    await scheduler.drain();
+    assert.equal(recorded[0].status, RUN_STATUS.FAILED);
+    assert.equal(recorded[0].reason, 'fork failed');
+  });
+
+  test('runs missed while asleep start once, and the next run moves to the future', () => {
+    const now = new Date();
+    scheduler.nextRuns.set('panels', new Date(now.getTime() - 3 * 24 * 60 * 60 * 1000));
+    scheduler.nextRuns.set('patio', nextRunTime(jobs[1].schedule, now));
+    scheduler.tick();
+
+    assert.deepEqual(runs.map(run => run.job), ['panels']);
+    assert.ok(scheduler.nextRuns.get('panels') > now);
+    runs[0].finish({ status: RUN_STATUS.SUCCEEDED });
+  });
+
+  test('stop drops waiting runs and resolves once the run in progress finishes', async () => {
+    scheduler.nextRuns.set('panels', new Date(Date.now() + 60000));
+    scheduler.nextRuns.set('patio', new Date(Date.now() + 60000));
+    const stopped = new Promise(resolve => { scheduler.resolveStopped = resolve; });
+    scheduler.enqueue(jobs[0], new Date());
+    scheduler.enqueue(jobs[1], new Date());
+    scheduler.drain();
+    scheduler.stop();
+
+    runs[0].finish({ status: RUN_STATUS.INTERRUPTED, exitCode: 130 });
+    await stopped;
+    assert.deepEqual(runs.map(run => run.job), ['panels']);
+    assert.deepEqual(recorded.map(run => run.status), [RUN_STATUS.INTERRUPTED]);
+  });
+});
+
+describe('run history and run lock', () => {
+  let directory;
+
+  beforeEach(() => {
+    mock.method(console, 'warn', () => {});
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'norko-scheduler-'));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('concurrent history records are all written, oldest dropped past the limit', async () => {
+    const file = path.join(directory, 'history.json');
+    const history = new RunHistory(file, { limit: 3 });
+    await Promise.all(['a', 'b', 'c', 'd'].map(job => history.record({ job })));
+
+    const reloaded = new RunHistory(file);
+    assert.deepEqual((await reloaded.load()).map(run => run.job), ['b', 'c', 'd']);
+    assert.equal(reloaded.latest('c').job, 'c');
+    assert.equal(reloaded.latest('a'), null);
+  });
+
+  test('a lock held by a running process is not taken', async () => {
+    const file = path.join(directory, 'scrape.lock');
+    const holder = { pid: process.pid, host: os.hostname(), startedAt: '2026-10-19T02:00:00.000Z', job: 'panels' };
+    fs.writeFileSync(file, JSON.stringify(holder));
+
+    const lock = new RunLock(file);
+    assert.deepEqual(await lock.acquire(), holder);
+    assert.equal(lock.held, false);
+  });
+
+  test('a stale lock is taken over and released again', async () => {
+    const file = path.join(directory, 'scrape.lock');
+    // The pid of a process that has already exited
+    const { pid } = spawnSync(process.execPath, ['-e', '']);
+    fs.writeFileSync(file, JSON.stringify({ pid, host: os.hostname() }));
+
+    const lock = new RunLock(file);
+    assert.equal(await lock.acquire({ job: 'patio' }), null);
+    const written = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.equal(written.pid, process.pid);
+    assert.equal(written.job, 'patio');
+
+    // A second lock in the same process sees the first as live
+    assert.equal((await new RunLock(file).acquire()).pid, process.pid);
+
+    await lock.release();
+    assert.equal(fs.existsSync(file), false);
+  });
+});
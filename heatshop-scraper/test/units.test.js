@@ -0,0 +1,126 @@
+/**
+ * Unit Normalisation Tests
+ *
+ * Checks that units.js reads power, dimensions, weight, area and IP ratings
+ * from specification text and converts each to its canonical unit.
+ *
+ * @author Norko Development Team
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseNumber,
+  parsePower,
+  parseDimensions,
+  parseWeight,
+  parseArea,
+  parseIpRating,
+  findQuantity,
+  formatDimensions
+} = require('../units');
+
+/**
+ * Length, width and depth of a dimensions text in millimetres
+ * @param {string} text - Dimensions text
+ * @returns {Array<number|null>|null} `[length, width, depth]` or null
+ */
+function millimetres(text) {
+  const dimensions = parseDimensions(text);
+  return dimensions && [dimensions.length, dimensions.width, dimensions.depth];
+}
+
+describe('parseNumber', () => {
+  test('thousands separators and decimal commas', () => {
+    assert.equal(parseNumber('1,200'), 1200);
+    assert.equal(parseNumber('2.5'), 2.5);
+    assert.equal(parseNumber('2,5'), 2.5);
+  });
+});
+
+describe('parsePower', () => {
+  test('watts and kilowatts are converted to watts', () => {
+    assert.deepEqual(parsePower('Output: 600W'), { value: 600, unit: 'W', text: '600W' });
+    assert.equal(parsePower('2.4 kW').value, 2400);
+    assert.equal(parsePower('1,5kW').value, 1500);
+    assert.equal(parsePower('3 kilowatts').value, 3000);
+    assert.equal(parsePower('750 watts').value, 750);
+  });
+
+  test('a number without a power unit is not a power', () => {
+    assert.equal(parsePower('600 x 1200mm'), null);
+    assert.equal(parsePower('Window 600'), null);
+  });
+});
+
+describe('parseDimensions', () => {
+  test('each length unit is converted to millimetres', () => {
+    assert.deepEqual(millimetres('600mm x 1200mm'), [600, 1200, null]);
+    assert.deepEqual(millimetres('60cm x 120cm x 2cm'), [600, 1200, 20]);
+    assert.deepEqual(millimetres('1.2m x 0.6m'), [1200, 600, null]);
+    assert.deepEqual(millimetres('24in x 48in'), [609.6, 1219.2, null]);
+  });
+
+  test('a unit given once applies to every number, and none means millimetres', () => {
+    assert.deepEqual(millimetres('60 x 120 x 2cm'), [600, 1200, 20]);
+    assert.deepEqual(millimetres('600 × 1200'), [600, 1200, null]);
+    assert.deepEqual(millimetres('600 by 1200 by 25 mm'), [600, 1200, 25]);
+  });
+
+  test('inches from ", inch, inches, in. and a final in', () => {
+    for (const text of ['24" x 48"', '24 x 48 inches', '24 inch x 48 inch', '24in. x 48in.', 'Size: 24 x 48 in', '24 in by 48 in']) {
+      assert.deepEqual(millimetres(text), [609.6, 1219.2, null], text);
+    }
+  });
+
+  test('the word "in" after the numbers is not inches', () => {
+    assert.deepEqual(millimetres('Size 600 x 1200 in white'), [600, 1200, null]);
+    assert.equal(parseDimensions('Size 600 x 1200 in white').text, '600 x 1200');
+    assert.deepEqual(millimetres('600 x 1200 in a slim frame'), [600, 1200, null]);
+  });
+
+  test('formatted back as millimetres', () => {
+    assert.equal(formatDimensions(parseDimensions('60cm x 120cm x 2cm')), '600mm x 1200mm x 20mm');
+  });
+});
+
+describe('parseWeight', () => {
+  test('kilograms and pounds are converted to kilograms', () => {
+    assert.deepEqual(parseWeight('Weight: 4.5kg'), { value: 4.5, unit: 'kg', text: '4.5kg' });
+    assert.equal(parseWeight('10 lbs').value, 4.54);
+    assert.equal(parseWeight('2 kilograms').value, 2);
+  });
+});
+
+describe('parseArea', () => {
+  test('square metres and square feet are converted to square metres', () => {
+    for (const text of ['15m²', '15 m2', '15 sq m', '15 square metres']) {
+      assert.equal(parseArea(text).value, 15, text);
+    }
+    assert.equal(parseArea('160 sq ft').value, 14.86);
+    assert.equal(parseArea('160 ft²').value, 14.86);
+  });
+
+  test('a length is not an area', () => {
+    assert.equal(parseArea('15m cable'), null);
+  });
+});
+
+describe('parseIpRating', () => {
+  test('digits, X placeholders and spacing', () => {
+    assert.deepEqual(parseIpRating('Rated IP24'), { value: 'IP24', solids: 2, liquids: 4, text: 'IP24' });
+    assert.deepEqual(parseIpRating('ip x4'), { value: 'IPX4', solids: null, liquids: 4, text: 'ip x4' });
+    assert.equal(parseIpRating('IP-65').value, 'IP65');
+    assert.equal(parseIpRating('IP99'), null);
+  });
+});
+
+describe('findQuantity', () => {
+  test('a labelled value is preferred over an earlier one', () => {
+    const text = 'Replaces a 1000W convector. Power: 600W. Size 600 x 1200mm';
+    assert.equal(findQuantity(text, parsePower, ['power', 'wattage']).value, 600);
+    assert.equal(findQuantity(text, parsePower).value, 1000);
+  });
+});
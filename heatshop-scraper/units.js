@@ -0,0 +1,212 @@
+/**
+ * Typed Unit Normalisation for Heater Specifications
+ *
+ * Turns loosely written specification text ("2kW", "60 x 120cm", "15m²",
+ * "IP24") into structured values in canonical units so that the import and
+ * storefront filters can compare numbers instead of strings:
+ * - Power in watts (W, kW)
+ * - Dimensions as length/width/depth in millimetres (mm, cm, m, in)
+ * - Weight in kilograms (kg, lb)
+ * - Area in square metres (m², sq m, sq ft)
+ * - IP rating with its solids/liquids digits
+ *
+ * Every parsed value keeps the `text` it was read from.
+ *
+ * @author Norko Development Team
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+const NUMBER = '(\\d{1,3}(?:,\\d{3})+|\\d+(?:[.,]\\d+)?)';
+
+const POWER_TO_W = { w: 1, watt: 1, watts: 1, kw: 1000, kilowatt: 1000, kilowatts: 1000 };
+
+const LENGTH_TO_MM = { mm: 1, cm: 10, m: 1000, in: 25.4, inch: 25.4, inches: 25.4 };
+
+const WEIGHT_TO_KG = { kg: 1, kgs: 1, kilogram: 1, kilograms: 1, lb: 0.45359237, lbs: 0.45359237 };
+
+const SQUARE_FOOT_IN_M2 = 0.09290304;
+
+/**
+ * Parse a number that may use a thousands separator or a decimal comma
+ * @param {string} text - e.g. `1,200`, `2.5` or `2,5`
+ * @returns {number} Parsed number
+ */
+function parseNumber(text) {
+  if (/^\d{1,3}(,\d{3})+$/.test(text)) return parseFloat(text.replace(/,/g, ''));
+  return parseFloat(text.replace(',', '.'));
+}
+
+/**
+ * Round to a sensible precision for stored measurements
+ * @param {number} value - Value to round
+ * @param {number} [decimals] - Decimal places
+ * @returns {number} Rounded value
+ */
+function round(value, decimals = 2) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Parse a power rating
+ * @param {string} text - Text containing e.g. `600W` or `2.4 kW`
+ * @returns {Object|null} `{ value, unit: 'W', text }` or null
+ */
+function parsePower(text) {
+  const match = String(text).match(new RegExp(`${NUMBER}\\s*(kilowatts?|kw|watts?|w)\\b`, 'i'));
+  if (!match) return null;
+
+  return {
+    value: round(parseNumber(match[1]) * POWER_TO_W[match[2].toLowerCase()]),
+    unit: 'W',
+    text: match[0].trim()
+  };
+}
+
+/**
+ * Parse dimensions such as `600 x 1200mm`, `60cm x 120cm x 2cm` or `24" x 48"`.
+ * A unit given only once applies to all numbers; without any unit millimetres are assumed.
+ * Inches are read from `"`, `inch`, `inches`, `in.` or an `in` with no word after it.
+ * @param {string} text - Text containing dimensions
+ * @returns {Object|null} `{ length, width, depth, unit: 'mm', text }` or null
+ */
+function parseDimensions(text) {
+  // A bare `in` is only inches when no word follows it: "600 x 1200 in white" is unitless
+  const inches = 'inch(?:es)?\\b|in\\.|in(?!(?!x)[a-z]|\\s+(?!(?:x|by)\\b)[a-z])';
+  const unit = `(?:((?:mm|cm|m)\\b|${inches})|(")|(?=\\s|x|×|\\*|$))`;
+  const separator = '\\s*(?:x|×|\\*|by)\\s*';
+  const pattern = new RegExp(`${NUMBER}\\s*${unit}${separator}${NUMBER}\\s*${unit}(?:${separator}${NUMBER}\\s*${unit})?`, 'i');
+  const match = String(text).match(pattern);
+  if (!match) return null;
+
+  const parts = [1, 4, 7]
+    .filter(index => match[index] !== undefined)
+    .map(index => ({
+      value: parseNumber(match[index]),
+      unit: (match[index + 1] || match[index + 2] || '').toLowerCase().replace('"', 'in').replace('.', '') || null
+    }));
+  const defaultUnit = [...parts].reverse().find(part => part.unit)?.unit || 'mm';
+  const [length, width, depth] = parts.map(part => round(part.value * LENGTH_TO_MM[part.unit || defaultUnit], 1));
+
+  return {
+    length,
+    width,
+    depth: depth ?? null,
+    unit: 'mm',
+    text: match[0].trim()
+  };
+}
+
+/**
+ * Parse a weight
+ * @param {string} text - Text containing e.g. `4.5kg` or `10 lbs`
+ * @returns {Object|null} `{ value, unit: 'kg', text }` or null
+ */
+function parseWeight(text) {
+  const match = String(text).match(new RegExp(`${NUMBER}\\s*(kilograms?|kgs?|lbs?)\\b`, 'i'));
+  if (!match) return null;
+
+  return {
+    value: round(parseNumber(match[1]) * WEIGHT_TO_KG[match[2].toLowerCase()]),
+    unit: 'kg',
+    text: match[0].trim()
+  };
+}
+
+/**
+ * Parse an area, e.g. a heating coverage of `15m²`, `15 sq m` or `160 sq ft`
+ * @param {string} text - Text containing an area
+ * @returns {Object|null} `{ value, unit: 'm²', text }` or null
+ */
+function parseArea(text) {
+  const squareMetres = 'm²|m2|sq\\.?\\s*m(?:etres|eters)?|square\\s*met(?:re|er)s?';
+  const squareFeet = 'ft²|ft2|sq\\.?\\s*f(?:ee)?t|square\\s*f(?:ee|oo)t';
+  const match = String(text).match(new RegExp(`${NUMBER}\\s*(${squareMetres}|${squareFeet})(?![a-z])`, 'i'));
+  if (!match) return null;
+
+  const isFeet = new RegExp(`^(?:${squareFeet})$`, 'i').test(match[2]);
+  return {
+    value: round(parseNumber(match[1]) * (isFeet ? SQUARE_FOOT_IN_M2 : 1)),
+    unit: 'm²',
+    text: match[0].trim()
+  };
+}
+
+/**
+ * Parse an ingress protection rating
+ * @param {string} text - Text containing e.g. `IP24` or `IP X4`
+ * @returns {Object|null} `{ value, solids, liquids, text }` or null (digits are null for `X`)
+ */
+function parseIpRating(text) {
+  const match = String(text).match(/\bip\s*-?\s*([0-6x])\s*([0-9x])\b/i);
+  if (!match) return null;
+
+  const digit = value => (value.toLowerCase() === 'x' ? null : parseInt(value, 10));
+  return {
+    value: `IP${match[1]}${match[2]}`.toUpperCase(),
+    solids: digit(match[1]),
+    liquids: digit(match[2]),
+    text: match[0].trim()
+  };
+}
+
+/**
+ * Find a quantity in page text, preferring values that follow one of the labels
+ * (e.g. `Power: 600W` over an unrelated `1000W` elsewhere on the page)
+ * @param {string} text - Text to search
+ * @param {Function} parser - One of the parse functions above
+ * @param {Array<string>} [labels] - Labels to look for first, e.g. `['power', 'wattage']`
+ * @returns {Object|null} Parsed value or null
+ */
+function findQuantity(text, parser, labels = []) {
+  for (const label of labels) {
+    const labelled = String(text).match(new RegExp(`${label}\\s*[:\\-]?\\s*(.{1,60})`, 'i'));
+    const value = labelled && parser(labelled[1]);
+    if (value) return value;
+  }
+  return parser(text);
+}
+
+/**
+ * Format a power value for display
+ * @param {Object|number} power - Parsed power or watts
+ * @returns {string} e.g. `600W`
+ */
+function formatPower(power) {
+  return `${typeof power === 'number' ? power : power.value}W`;
+}
+
+/**
+ * Format dimensions for display
+ * @param {Object} dimensions - Parsed dimensions
+ * @returns {string} e.g. `600mm x 1200mm x 20mm`
+ */
+function formatDimensions(dimensions) {
+  return [dimensions.length, dimensions.width, dimensions.depth]
+    .filter(value => value !== null && value !== undefined)
+    .map(value => `${value}mm`)
+    .join(' x ');
+}
+
+/**
+ * Format an area for display
+ * @param {Object|number} area - Parsed area or square metres
+ * @returns {string} e.g. `15m²`
+ */
+function formatArea(area) {
+  return `${typeof area === 'number' ? area : area.value}m²`;
+}
+
+module.exports = {
+  parseNumber,
+  parsePower,
+  parseDimensions,
+  parseWeight,
+  parseArea,
+  parseIpRating,
+  findQuantity,
+  formatPower,
+  formatDimensions,
+  formatArea
+};
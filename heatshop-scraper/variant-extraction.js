@@ -0,0 +1,367 @@
+/**
+ * Product Variant Extraction
+ *
+ * Reads the variants a supplier actually sells from the product page, so the
+ * catalogue never lists SKUs that do not exist at the supplier. Sources, in
+ * order of preference:
+ * 1. Embedded variant JSON: schema.org `ProductGroup.hasVariant` (JSON-LD),
+ *    WooCommerce `data-product_variations`, Shopify product JSON and the
+ *    Magento configurable `spConfig`
+ * 2. Option selectors: `<select>` and radio groups for product options, with
+ *    prices, SKUs and images from `data-*` attributes or "(+£50.00)" labels
+ *
+ * Every source is normalised to
+ * `{ name, sku, price, compareAtPrice, options, image, available, source }`
+ * where missing values are null rather than guessed.
+ *
+ * @author Norko Development Team
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+const { parsePriceValue, flattenJsonLd, hasType } = require('./structured-data');
+
+const OPTION_SELECTORS = [
+  'select[name*="option"]',
+  'select[name*="attribute"]',
+  'select[name*="variant"]',
+  'select[name^="super_attribute"]',
+  'select[data-variant]',
+  'select.product-option',
+  'select.super-attribute-select'
+].join(', ');
+
+const OPTION_RADIOS = [
+  'input[type="radio"][name*="option"]',
+  'input[type="radio"][name*="attribute"]',
+  'input[type="radio"][name*="variant"]'
+].join(', ');
+
+const PLACEHOLDER_OPTION = /^(choose|select|please|--|pick)/i;
+
+const MAX_COMBINATIONS = 50;
+
+/**
+ * Parse JSON from a script element or attribute, ignoring malformed content
+ * @param {string} text - JSON text
+ * @returns {*} Parsed value or null
+ */
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get the first URL from an image value that may be a string, object or array
+ * @param {*} value - Image value
+ * @returns {string|null} Image URL
+ */
+function firstImage(value) {
+  if (!value) return null;
+  if (Array.isArray(value)) return firstImage(value[0]);
+  if (typeof value === 'object') return value.full_src || value.src || value.url || value.full || value.img || null;
+  return String(value);
+}
+
+/**
+ * Turn a WooCommerce/Magento attribute key into a readable option name
+ * @param {string} key - e.g. `attribute_pa_heater-wattage`
+ * @returns {string} e.g. `Heater Wattage`
+ */
+function humaniseKey(key) {
+  return key
+    .replace(/^attribute_(pa_)?/, '')
+    .replace(/[-_]+/g, ' ')
+    .trim()
+    .replace(/\b\w/g, letter => letter.toUpperCase());
+}
+
+/**
+ * Build a variant name from its option values
+ * @param {Object} options - Option name to value
+ * @returns {string} e.g. `600W / White`
+ */
+function nameFromOptions(options) {
+  return Object.values(options).filter(Boolean).join(' / ');
+}
+
+/**
+ * Variants from schema.org ProductGroup `hasVariant` in JSON-LD
+ * @param {Object} $ - Cheerio object
+ * @returns {Array<Object>} Normalised variants
+ */
+function extractJsonLdVariants($) {
+  const variants = [];
+
+  $('script[type="application/ld+json"]').each((i, element) => {
+    const nodes = flattenJsonLd(parseJson($(element).contents().text()));
+    const group = nodes.find(node => hasType(node, 'ProductGroup') && node.hasVariant);
+    if (!group) return;
+
+    const variesBy = [].concat(group.variesBy || []).map(property => String(property).split('/').pop());
+    for (const item of [].concat(group.hasVariant)) {
+      const offer = [].concat(item.offers || [])[0] || {};
+      const options = {};
+      for (const property of variesBy) {
+        if (item[property] !== undefined) options[humaniseKey(property)] = String(item[property]);
+      }
+      for (const property of [].concat(item.additionalProperty || [])) {
+        if (property?.name && property.value !== undefined) options[property.name] = String(property.value);
+      }
+
+      variants.push({
+        name: item.name || nameFromOptions(options) || null,
+        sku: item.sku || offer.sku || null,
+        price: parsePriceValue(offer.price),
+        compareAtPrice: null,
+        options,
+        image: firstImage(item.image),
+        available: offer.availability ? !/OutOfStock|SoldOut|Discontinued/i.test(offer.availability) : null,
+        source: 'json-ld'
+      });
+    }
+  });
+
+  return variants;
+}
+
+/**
+ * Variants from a WooCommerce variations form
+ * @param {Object} $ - Cheerio object
+ * @returns {Array<Object>} Normalised variants
+ */
+function extractWooCommerceVariants($) {
+  const raw = $('form.variations_form[data-product_variations], [data-product_variations]').first().attr('data-product_variations');
+  const variations = raw ? parseJson(raw) : null;
+  if (!Array.isArray(variations)) return [];
+
+  return variations.map(variation => {
+    const options = {};
+    for (const [key, value] of Object.entries(variation.attributes || {})) {
+      if (value) options[humaniseKey(key)] = value;
+    }
+    return {
+      name: nameFromOptions(options) || null,
+      sku: variation.sku || null,
+      price: parsePriceValue(variation.display_price ?? variation.price),
+      compareAtPrice: parsePriceValue(variation.display_regular_price),
+      options,
+      image: firstImage(variation.image),
+      available: variation.is_in_stock ?? null,
+      source: 'woocommerce'
+    };
+  });
+}
+
+/**
+ * Convert a Shopify price in minor units (pence, cents) to a decimal price
+ * @param {number|string|null} value - e.g. `29900`
+ * @returns {number|null} e.g. `299`
+ */
+function minorUnits(value) {
+  if (typeof value === 'number') return value / 100;
+  return parsePriceValue(value);
+}
+
+/**
+ * Variants from Shopify product JSON (prices are in minor units)
+ * @param {Object} $ - Cheerio object
+ * @returns {Array<Object>} Normalised variants
+ */
+function extractShopifyVariants($) {
+  let product = null;
+  $('script[type="application/json"][data-product-json], script#ProductJson-product-template, script[type="application/json"][id^="ProductJson"]').each((i, element) => {
+    const data = parseJson($(element).contents().text());
+    if (!product && Array.isArray(data?.variants)) product = data;
+  });
+  if (!product) return [];
+
+  const optionNames = (product.options || []).map(option => (typeof option === 'string' ? option : option.name));
+  // A single "Default Title" variant means the product has no options
+  if (product.variants.length === 1 && product.variants[0].title === 'Default Title') return [];
+
+  return product.variants.map(variant => {
+    const options = {};
+    [variant.option1, variant.option2, variant.option3].forEach((value, index) => {
+      if (value) options[optionNames[index] || `Option ${index + 1}`] = value;
+    });
+    return {
+      name: variant.title || nameFromOptions(options) || null,
+      sku: variant.sku || null,
+      price: minorUnits(variant.price),
+      compareAtPrice: minorUnits(variant.compare_at_price),
+      options,
+      image: firstImage(variant.featured_image),
+      available: variant.available ?? null,
+      source: 'shopify'
+    };
+  });
+}
+
+/**
+ * Variants from a Magento configurable product (`spConfig` in x-magento-init)
+ * @param {Object} $ - Cheerio object
+ * @returns {Array<Object>} Normalised variants
+ */
+function extractMagentoVariants($) {
+  let config = null;
+  const findConfig = value => {
+    if (!value || typeof value !== 'object' || config) return;
+    if (value.spConfig?.attributes) {
+      config = value.spConfig;
+      return;
+    }
+    Object.values(value).forEach(findConfig);
+  };
+  $('script[type="text/x-magento-init"]').each((i, element) => findConfig(parseJson($(element).contents().text())));
+  if (!config) return [];
+
+  // Each simple product id collects one option per configurable attribute
+  const products = {};
+  for (const attribute of Object.values(config.attributes)) {
+    for (const option of attribute.options || []) {
+      for (const productId of option.products || []) {
+        products[productId] = products[productId] || {};
+        products[productId][attribute.label] = option.label;
+      }
+    }
+  }
+
+  return Object.entries(products).map(([productId, options]) => ({
+    name: nameFromOptions(options),
+    sku: config.skus?.[productId] || config.sku?.[productId] || null,
+    price: parsePriceValue(config.optionPrices?.[productId]?.finalPrice?.amount),
+    compareAtPrice: parsePriceValue(config.optionPrices?.[productId]?.oldPrice?.amount),
+    options,
+    image: firstImage((config.images?.[productId] || []).find(image => image.isMain) || config.images?.[productId]),
+    available: null,
+    source: 'magento'
+  }));
+}
+
+/**
+ * Collect option groups from selects and radio buttons
+ * @param {Object} $ - Cheerio object
+ * @returns {Array<Object>} Groups of `{ name, options: [{ value, label, price, priceDelta, sku, image }] }`
+ */
+function collectOptionGroups($) {
+  const groups = [];
+  const labelFor = element => {
+    const id = $(element).attr('id');
+    const label = id ? $(`label[for="${id}"]`).first().text().trim() : '';
+    return label || $(element).attr('data-attribute-name') || $(element).attr('aria-label') || null;
+  };
+  const readOption = (element, label) => {
+    const el = $(element);
+    const text = label.replace(/\s+/g, ' ').trim();
+    const delta = text.match(/\(\s*([+-])\s*([^)]*\d[^)]*)\)/);
+    return {
+      value: el.attr('value') || text,
+      label: text.replace(/\s*\([+-][^)]*\)\s*$/, '').trim(),
+      price: parsePriceValue(el.attr('data-price')),
+      priceDelta: delta ? (delta[1] === '-' ? -1 : 1) * parsePriceValue(delta[2]) : parsePriceValue(el.attr('data-price-delta')),
+      sku: el.attr('data-sku') || null,
+      image: el.attr('data-image') || null
+    };
+  };
+
+  $(OPTION_SELECTORS).each((i, select) => {
+    const name = labelFor(select) || humaniseKey($(select).attr('name') || `Option ${i + 1}`);
+    const options = $(select).find('option')
+      .filter((j, option) => ($(option).attr('value') || '').trim() !== '' && !PLACEHOLDER_OPTION.test($(option).text().trim()))
+      .map((j, option) => readOption(option, $(option).text()))
+      .get();
+    if (options.length > 0) groups.push({ name: name.replace(/[:*]\s*$/, '').trim(), options });
+  });
+
+  const radioGroups = {};
+  $(OPTION_RADIOS).each((i, radio) => {
+    const groupName = $(radio).attr('name');
+    radioGroups[groupName] = radioGroups[groupName] || [];
+    radioGroups[groupName].push(readOption(radio, labelFor(radio) || $(radio).attr('value') || ''));
+  });
+  for (const [groupName, options] of Object.entries(radioGroups)) {
+    groups.push({ name: humaniseKey(groupName), options });
+  }
+
+  return groups;
+}
+
+/**
+ * Variants from option selectors; several selectors combine into every combination
+ * @param {Object} $ - Cheerio object
+ * @param {number|null} basePrice - Product price that option deltas apply to
+ * @returns {Array<Object>} Normalised variants
+ */
+function extractSelectorVariants($, basePrice) {
+  const groups = collectOptionGroups($);
+  if (groups.length === 0) return [];
+
+  let combinations = [[]];
+  for (const group of groups) {
+    combinations = combinations.flatMap(combination =>
+      group.options.map(option => [...combination, { group: group.name, ...option }]));
+    if (combinations.length > MAX_COMBINATIONS) {
+      console.warn(`⚠️  ${combinations.length}+ option combinations, keeping the first ${MAX_COMBINATIONS}`);
+      combinations = combinations.slice(0, MAX_COMBINATIONS);
+    }
+  }
+
+  return combinations.map(combination => {
+    const options = Object.fromEntries(combination.map(option => [option.group, option.label]));
+    const absolute = combination.find(option => option.price !== null);
+    const deltas = combination.reduce((sum, option) => sum + (option.priceDelta || 0), 0);
+    let price = null;
+    if (absolute) {
+      price = absolute.price + deltas;
+    } else if (basePrice !== null && basePrice !== undefined) {
+      price = basePrice + deltas;
+    }
+
+    return {
+      name: nameFromOptions(options),
+      // A SKU is only known when a single option carries it
+      sku: combination.length === 1 ? combination[0].sku : null,
+      price: price !== null ? Math.round(price * 100) / 100 : null,
+      compareAtPrice: null,
+      options,
+      image: combination.map(option => option.image).find(Boolean) || null,
+      available: null,
+      source: 'options'
+    };
+  });
+}
+
+/**
+ * Extract the product's real variants
+ * @param {Object} $ - Cheerio object
+ * @param {Object} [context] - `basePrice` for option price deltas
+ * @returns {Array<Object>} Normalised variants (empty when the page has no options)
+ */
+function extractVariants($, { basePrice = null } = {}) {
+  const embedded = [
+    extractJsonLdVariants,
+    extractWooCommerceVariants,
+    extractShopifyVariants,
+    extractMagentoVariants
+  ];
+
+  for (const extractor of embedded) {
+    const variants = extractor($);
+    if (variants.length > 0) return variants;
+  }
+
+  return extractSelectorVariants($, basePrice);
+}
+
+module.exports = {
+  extractVariants,
+  extractJsonLdVariants,
+  extractWooCommerceVariants,
+  extractShopifyVariants,
+  extractMagentoVariants,
+  extractSelectorVariants
+};
@@ -0,0 +1,35 @@
+/**
+ * Bounded Worker Pool
+ *
+ * Runs an async worker over a list of items with at most `concurrency`
+ * workers in flight. Used to fetch several product pages at once while the
+ * per-host rate limiter keeps the request rate polite.
+ *
+ * @author Norko Development Team
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+/**
+ * Process items with a bounded number of concurrent workers
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum workers in flight
+ * @param {Function} worker - Async `(item, index) => void`; should handle its own errors
+ * @param {Function} [shouldContinue] - Checked before each item is started; return false to stop
+ * @returns {Promise<void>} Resolves when all started items have finished
+ */
+async function runWorkerPool(items, concurrency, worker, shouldContinue = () => true) {
+  let nextIndex = 0;
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+
+  const runWorker = async () => {
+    while (nextIndex < items.length && shouldContinue()) {
+      const index = nextIndex++;
+      await worker(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+}
+
+module.exports = { runWorkerPool };
@@ -8,6 +8,31 @@ export const buildSchemaMarkup = (product: Product) => {
         image: product.seo.image,
         description: product.seo.description,
         sku: product.defaultVariant.sku,
+        ...(product.rating && {
+            aggregateRating: {
+                '@type': 'AggregateRating',
+                ratingValue: product.rating.average,
+                ratingCount: product.rating.count,
+                reviewCount: product.rating.reviewCount || undefined,
+                bestRating: product.rating.best,
+            },
+        }),
+        ...(product.reviews.length > 0 && {
+            review: product.reviews
+                .filter((review) => review.rating !== undefined)
+                .map((review) => ({
+                    '@type': 'Review',
+                    author: { '@type': 'Person', name: review.author || 'Anonymous' },
+                    datePublished: review.date?.substring(0, 10),
+                    name: review.title,
+                    reviewBody: review.text,
+                    reviewRating: {
+                        '@type': 'Rating',
+                        ratingValue: review.rating,
+                        bestRating: product.rating?.best || 5,
+                    },
+                })),
+        }),
     };
 };
 
@@ -3,6 +3,7 @@ import { ProductVariant } from './ProductVariant';
 import { CrystallizePropertiesTable } from './PropertiesTable';
 import { Dimensions } from './Dimensions';
 import { FileDownload } from './FileDownload';
+import { ProductRating, ProductReview } from './Review';
 import { Paragraph } from './Paragraph';
 import { Item } from './Item';
 import { SEO } from './SEO';
@@ -15,6 +16,8 @@ export type Product = Item & {
     specifications: Array<CrystallizePropertiesTable>;
     dimensions: Dimensions;
     downloads: Array<FileDownload>;
+    rating?: ProductRating;
+    reviews: Array<ProductReview>;
     relatedItems: Array<ProductSlim>;
     topics: Array<Topic>;
     seo: SEO;
@@ -0,0 +1,14 @@
+export type ProductRating = {
+    average: number;
+    count: number;
+    reviewCount: number;
+    best: number;
+};
+
+export type ProductReview = {
+    author: string;
+    date?: string;
+    rating?: number;
+    title?: string;
+    text: string;
+};
@@ -24,6 +24,8 @@ export default (
     const firstDimensionsChunk = chunksForChunkComponentWithId(data.components, 'dimensions')?.[0];
     const firstSeoChunk = chunksForChunkComponentWithId(data.components, 'meta')?.[0];
     const downloads = chunksForChunkComponentWithId(data.components, 'downloads');
+    const firstRatingChunk = chunksForChunkComponentWithId(data.components, 'rating')?.[0];
+    const reviews = chunksForChunkComponentWithId(data.components, 'reviews');
     const relatedItems = itemsForItemRelationComponentWithId(data.components, 'related-items');
     const productDescription = stringForRichTextComponentWithId(data.components, 'description') || data.name!;
 
@@ -47,6 +49,30 @@ export default (
 
     const defaultVariant = variants.find((variant) => variant.isDefault) || variants[0];
 
+    const chunkValues = (chunk: any[]): Record<string, any> =>
+        chunk.reduce((memo: Record<string, any>, data: any) => {
+            let value = undefined;
+            switch (data.type) {
+                case 'singleLine':
+                    value = data.content?.text || undefined;
+                    break;
+                case 'richText':
+                    value = data.content?.plainText?.join(' ') || undefined;
+                    break;
+                case 'numeric':
+                    value = data.content?.number ?? undefined;
+                    break;
+                case 'datetime':
+                    value = data.content?.datetime || undefined;
+                    break;
+            }
+            return {
+                ...memo,
+                [data.id]: value,
+            };
+        }, {});
+    const rating = firstRatingChunk ? chunkValues(firstRatingChunk) : undefined;
+
     const dto: Product = {
         id: data.id,
         path: data.path!,
@@ -129,6 +155,26 @@ export default (
                     files: mapped['files' as keyof typeof mapped],
                 };
             }) || [],
+        rating:
+            rating?.average !== undefined && rating?.count
+                ? {
+                      average: rating.average,
+                      count: rating.count,
+                      reviewCount: rating.reviewCount || 0,
+                      best: rating.best || 5,
+                  }
+                : undefined,
+        reviews:
+            reviews?.map((chunk) => {
+                const mapped = chunkValues(chunk);
+                return {
+                    author: mapped.author || '',
+                    date: mapped.date,
+                    rating: mapped.rating,
+                    title: mapped.title,
+                    text: mapped.text || '',
+                };
+            }) || [],
         relatedItems:
             relatedItems?.map((item) => {
                 return {